@@ -3,6 +3,7 @@ const webpack = require('webpack');
 const webpackDevMiddleware = require('webpack-dev-middleware');
 const webpackHotMiddleware = require('webpack-hot-middleware');
 const compression = require('compression');
+const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const cors = require('cors');
@@ -185,6 +186,248 @@ mockApiRouter.get('/stories', (req, res) => {
   });
 });
 
+// Historias de los fixtures validados con validate-stories.js
+function readStoryFixtures() {
+  const fixturesDir = path.join(__dirname, 'fixtures/stories');
+
+  return fs.readdirSync(fixturesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8')));
+}
+
+// Mock de historia completa
+mockApiRouter.get('/stories/:storyId', (req, res) => {
+  const story = readStoryFixtures()
+    .find(item => item.id === req.params.storyId || item.slug === req.params.storyId);
+
+  if (!story) {
+    return res.status(404).json({ success: false, error: 'Not found' });
+  }
+
+  res.json({ success: true, data: story });
+});
+
+// Mock de capítulos (contenido cargado bajo demanda)
+mockApiRouter.get('/stories/:storyId/chapters/:chapterId', (req, res) => {
+  const { storyId, chapterId } = req.params;
+
+  res.json({
+    success: true,
+    data: {
+      id: chapterId,
+      storyId,
+      content: [
+        { id: `${chapterId}-intro`, type: 'paragraph', content: 'Inicio del capítulo.' },
+        { id: `${chapterId}-body`, type: 'paragraph', content: 'Desarrollo del capítulo.' }
+      ]
+    }
+  });
+});
+
+// Mock de comunidades (con ubicación para /communities/map)
+mockApiRouter.get('/communities', (req, res) => {
+  res.json({
+    success: true,
+    communities: [
+      {
+        id: 'valle',
+        name: 'Comunidad del Valle',
+        slug: 'comunidad-del-valle',
+        description: 'Agua potable y huertos comunitarios en el valle del Cauca.',
+        categoryId: 'water',
+        regionId: 'LA',
+        location: { latitude: 3.4516, longitude: -76.532, city: 'Cali', country: 'CO' },
+        stats: { members: 48, stories: 3, funding: 12500 }
+      },
+      {
+        id: 'andes',
+        name: 'Tejedoras de los Andes',
+        slug: 'tejedoras-de-los-andes',
+        description: 'Tejido tradicional y cooperativa de artesanas.',
+        categoryId: 'arts',
+        regionId: 'LA',
+        location: { latitude: -13.5319, longitude: -71.9675, city: 'Cusco', country: 'PE' },
+        stats: { members: 32, stories: 2, funding: 9000 }
+      },
+      {
+        id: 'sol-quito',
+        name: 'Energía Solar Quito',
+        slug: 'energia-solar-quito',
+        description: 'Paneles solares para escuelas rurales.',
+        categoryId: 'energy',
+        regionId: 'LA',
+        location: { latitude: -0.1807, longitude: -78.4678, city: 'Quito', country: 'EC' },
+        stats: { members: 21, stories: 1, funding: 4300 }
+      },
+      {
+        id: 'escuela-cali',
+        name: 'Escuela Abierta',
+        slug: 'escuela-abierta',
+        description: 'Refuerzo escolar por las tardes.',
+        categoryId: 'education',
+        regionId: 'LA',
+        location: { latitude: 3.42, longitude: -76.51, city: 'Cali', country: 'CO' },
+        stats: { members: 15, stories: 1, funding: 800 }
+      },
+      {
+        id: 'huertos-madrid',
+        name: 'Huertos de Lavapiés',
+        slug: 'huertos-de-lavapies',
+        description: 'Huertos urbanos en solares vacíos.',
+        categoryId: 'agriculture',
+        regionId: 'EU',
+        location: { latitude: 40.4086, longitude: -3.7006, city: 'Madrid', country: 'ES' },
+        stats: { members: 64, stories: 4, funding: 21000 }
+      }
+    ]
+  });
+});
+
+// Mock de geocodificación por nombre de ciudad (ubicación manual del mapa)
+const mockCities = [
+  { name: 'Bogotá', country: 'CO', latitude: 4.711, longitude: -74.0721 },
+  { name: 'Cali', country: 'CO', latitude: 3.4516, longitude: -76.532 },
+  { name: 'Cusco', country: 'PE', latitude: -13.5319, longitude: -71.9675 },
+  { name: 'Lima', country: 'PE', latitude: -12.0464, longitude: -77.0428 },
+  { name: 'Quito', country: 'EC', latitude: -0.1807, longitude: -78.4678 },
+  { name: 'Madrid', country: 'ES', latitude: 40.4168, longitude: -3.7038 },
+  { name: 'Barcelona', country: 'ES', latitude: 41.3874, longitude: 2.1686 }
+];
+
+mockApiRouter.get('/geocode', (req, res) => {
+  const fold = value => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  const query = fold(req.query.q);
+
+  res.json({
+    success: true,
+    data: query ? mockCities.filter(city => fold(city.name).startsWith(query)) : []
+  });
+});
+
+// Mock de resolución de slugs (incluye slugs antiguos)
+const mockSlugs = {
+  stories: [
+    { id: '1', slug: 'comunidad-del-valle', slugHistory: ['historia-de-la-comunidad-del-valle'] },
+    { id: '2', slug: 'tradiciones-andes', slugHistory: ['tradiciones-ancestrales-de-los-andes'] }
+  ],
+  communities: [
+    { id: 'valle', slug: 'comunidad-del-valle', slugHistory: ['valle'] }
+  ]
+};
+
+Object.keys(mockSlugs).forEach(resource => {
+  mockApiRouter.get(`/${resource}/resolve/:slug`, (req, res) => {
+    const { slug } = req.params;
+    const entry = mockSlugs[resource].find(item =>
+      item.id === slug || item.slug === slug || item.slugHistory.includes(slug)
+    );
+
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Not found' });
+    }
+
+    res.json({ success: true, data: entry });
+  });
+});
+
+// Mock de búsquedas populares (sugerencias del buscador)
+mockApiRouter.get('/search/popular', (req, res) => {
+  res.json({
+    success: true,
+    data: [
+      { query: 'agua potable', count: 342 },
+      { query: 'energía solar', count: 298 },
+      { query: 'tejido andino', count: 187 },
+      { query: 'huertos comunitarios', count: 154 },
+      { query: 'educación rural', count: 121 }
+    ]
+  });
+});
+
+// oEmbed (https://oembed.com): los CMS convierten la URL de una historia en su iframe
+const OEMBED_DEFAULT_SIZE = { width: 720, height: 600 };
+
+mockApiRouter.get('/oembed', (req, res) => {
+  const { url, format = 'json' } = req.query;
+
+  if (format !== 'json') {
+    return res.status(501).json({ error: 'Only the json format is supported' });
+  }
+
+  let storyUrl;
+  try {
+    storyUrl = new URL(url);
+  } catch (error) {
+    return res.status(400).json({ error: 'Missing or invalid url parameter' });
+  }
+
+  // Se aceptan la URL de lectura, la de un capítulo y la insertable
+  const slug = storyUrl.pathname.match(/^\/(?:embed\/)?stories\/([^/]+)/)?.[1];
+  const entry = slug && mockSlugs.stories.find(item =>
+    item.id === slug || item.slug === slug || item.slugHistory.includes(slug)
+  );
+  const story = entry && readStoryFixtures().find(item => item.id === entry.id || item.slug === entry.slug);
+
+  if (!story) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const origin = `${req.protocol}://${req.get('host')}`;
+  const width = Math.min(Number(req.query.maxwidth) || OEMBED_DEFAULT_SIZE.width, OEMBED_DEFAULT_SIZE.width);
+  const height = Math.min(Number(req.query.maxheight) || OEMBED_DEFAULT_SIZE.height, OEMBED_DEFAULT_SIZE.height);
+  const lang = storyUrl.searchParams.get('lang');
+  const src = `${origin}/embed/stories/${encodeURIComponent(story.slug)}${lang ? `?lang=${encodeURIComponent(lang)}` : ''}`;
+  const title = escapeAttribute(story.title);
+  const thumbnail = story.media?.images?.[0]?.url;
+
+  res.json({
+    version: '1.0',
+    type: 'rich',
+    provider_name: 'Community Stories Platform',
+    provider_url: origin,
+    title: story.title,
+    author_name: story.metadata?.author || story.community?.name,
+    author_url: story.community?.slug ? `${origin}/communities/${story.community.slug}` : undefined,
+    width,
+    height,
+    html: `<iframe src="${escapeAttribute(src)}" title="${title}" width="${width}" height="${height}" style="border:0;max-width:100%" loading="lazy" data-community-story></iframe>` +
+      `<script async src="${origin}/js/embed/story-embed.js"></script>`,
+    thumbnail_url: thumbnail ? new URL(thumbnail, origin).href : undefined,
+    cache_age: 3600
+  });
+});
+
+// Escapa un valor para un atributo HTML del snippet
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Mock de progreso de lectura (en memoria, last-write-wins por historia)
+const mockProgress = new Map();
+
+mockApiRouter.get('/users/:id/progress', (req, res) => {
+  const records = mockProgress.get(req.params.id) || new Map();
+  res.json({ success: true, data: Array.from(records.values()) });
+});
+
+mockApiRouter.put('/users/:id/progress', (req, res) => {
+  const records = mockProgress.get(req.params.id) || new Map();
+
+  (req.body.records || []).forEach(record => {
+    const current = records.get(record.storyId);
+    if (!current || record.updatedAt > current.updatedAt) {
+      records.set(record.storyId, record);
+    }
+  });
+
+  mockProgress.set(req.params.id, records);
+  res.json({ success: true, data: Array.from(records.values()) });
+});
+
 // Mock de sponsors
 mockApiRouter.get('/sponsors', (req, res) => {
   res.json({
@@ -236,4 +479,10 @@ mockApiRouter.post('/donations', (req, res) => {
   });
 });
 
+// Corpus de ataques XSS para la comprobación del saneador (development.devTools.sanitizerCheck)
+mockApiRouter.get('/dev/xss-payloads', (req, res) => {
+  const payloads = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/xss-payloads.json'), 'utf8'));
+  res.json({ success: true, data: payloads });
+});
+
 module.exports = mockApiRouter;
\ No newline at end of file
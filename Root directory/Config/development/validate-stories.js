@@ -0,0 +1,105 @@
+/**
+ * Community Stories Platform - Validate Stories
+ * Valida los fixtures de historias contra STORY_SCHEMA con ajv
+ *
+ * Uso: node development/validate-stories.js [archivo.json|directorio ...]
+ * Sin argumentos revisa development/fixtures/stories.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const chalk = require('chalk');
+
+// Los scripts del navegador comparten globales: el registro de bloques usa storyValidator
+Object.assign(global, require('../../JavaScript Core/core/story-schema.js'));
+require('../../JavaScript Core/core/story-blocks.js');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures/stories');
+
+// Compilar el esquema (ajv comprueba también que sea JSON Schema válido)
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(global.STORY_SCHEMA);
+
+/**
+ * Lista los archivos JSON de las rutas indicadas
+ */
+function collectFiles(targets) {
+  return targets.flatMap(target => {
+    const resolved = path.resolve(target);
+
+    if (fs.statSync(resolved).isDirectory()) {
+      return fs.readdirSync(resolved)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => path.join(resolved, file));
+    }
+
+    return [resolved];
+  });
+}
+
+/**
+ * Convierte un error de ajv en `ruta: mensaje` (misma ruta que StoryValidator)
+ */
+function formatError(error) {
+  // ajv 6 (ver package.json): en ajv 8 la propiedad se llama instancePath
+  let dataPath = error.dataPath.replace(/^\./, '');
+  let message = error.message;
+
+  if (error.keyword === 'required') {
+    dataPath = dataPath ? `${dataPath}.${error.params.missingProperty}` : error.params.missingProperty;
+    message = 'is required';
+  } else if (error.keyword === 'enum') {
+    message = `should be one of: ${error.params.allowedValues.join(', ')}`;
+  }
+
+  return `${dataPath || '(root)'}: ${message}`;
+}
+
+/**
+ * Valida un archivo y devuelve la lista de errores
+ */
+function validateFile(file) {
+  let story;
+
+  try {
+    story = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return [`(file): ${error.message}`];
+  }
+
+  if (validate(story)) {
+    return [];
+  }
+
+  // Los fallos de "if" repiten los de su rama "then" y las alternativas de anyOf se resumen en uno
+  return validate.errors
+    .filter(error => error.keyword !== 'if' && !error.schemaPath.includes('/anyOf/'))
+    .map(formatError);
+}
+
+const targets = process.argv.slice(2);
+const files = collectFiles(targets.length > 0 ? targets : [DEFAULT_FIXTURES]);
+let invalidCount = 0;
+
+files.forEach(file => {
+  const errors = validateFile(file);
+  const name = path.relative(process.cwd(), file);
+
+  if (errors.length === 0) {
+    console.log(chalk.green(`✔ ${name}`));
+    return;
+  }
+
+  invalidCount++;
+  console.log(chalk.red(`✖ ${name}`));
+  errors.forEach(error => console.log(chalk.red(`    ${error}`)));
+});
+
+if (files.length === 0) {
+  console.log(chalk.yellow('No story fixtures found'));
+}
+
+console.log(`\n${files.length - invalidCount}/${files.length} stories valid`);
+process.exitCode = invalidCount > 0 ? 1 : 0;
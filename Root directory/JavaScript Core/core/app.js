@@ -3,6 +3,10 @@
  * Punto de entrada y coordinación principal de la aplicación
  */
 
+// Vista para insertar en otras webs y mensaje con su altura (lo recibe /js/embed/story-embed.js)
+const EMBED_PATH_PREFIX = '/embed/';
+const EMBED_RESIZE_MESSAGE = 'community-stories:resize';
+
 class CommunityStoriesApp {
   constructor() {
     this.state = APP_STATES.INITIALIZING;
@@ -12,6 +16,9 @@ class CommunityStoriesApp {
     this.subscriptions = [];
     this.router = null;
     this.currentRoute = null;
+    this.disposeStoryBlocks = null;
+    this.embedMode = window.location.pathname.startsWith(EMBED_PATH_PREFIX);
+    this.embedResizeObserver = null;
     
     // Bind methods
     this.handleRouteChange = this.handleRouteChange.bind(this);
@@ -26,6 +33,11 @@ class CommunityStoriesApp {
   async init() {
     try {
       console.log('🚀 Initializing Community Stories Platform...');
+
+      // Insertada en un iframe: sin navegación, pie ni avisos de la aplicación
+      if (this.embedMode) {
+        document.documentElement.classList.add('is-embed');
+      }
       
       // Verificar dependencias críticas
       this.checkDependencies();
@@ -196,7 +208,11 @@ class CommunityStoriesApp {
     this.subscriptions.push(
       eventBus.on(EVENTS.APP_ERROR, this.handleAppError.bind(this)),
       eventBus.on(EVENTS.NETWORK_OFFLINE, this.handleNetworkOffline.bind(this)),
-      eventBus.on(EVENTS.NETWORK_ONLINE, this.handleNetworkOnline.bind(this))
+      eventBus.on(EVENTS.NETWORK_ONLINE, this.handleNetworkOnline.bind(this)),
+      eventBus.on(EVENTS.STORY_SYNC, this.handleReadingProgressSync.bind(this)),
+      eventBus.on(EVENTS.STORY_PROGRESS, this.handleChapterProgress.bind(this)),
+      ...[EVENTS.OFFLINE_START, EVENTS.OFFLINE_PROGRESS, EVENTS.OFFLINE_COMPLETE, EVENTS.OFFLINE_ERROR, EVENTS.OFFLINE_REMOVE]
+        .map(event => eventBus.on(event, this.handleOfflinePackEvent.bind(this)))
     );
 
     console.log('✅ All modules initialized');
@@ -206,16 +222,66 @@ class CommunityStoriesApp {
    * Inicializa sistema de routing
    */
   async initializeRouter() {
-    this.router = new SimpleRouter();
+    this.router = new Router({
+      transition: this.runRouteTransition.bind(this),
+      scrollBehavior: this.getRouteScrollPosition.bind(this)
+    });
     
     // Definir rutas
-    this.router.addRoute('/', this.handleHomeRoute.bind(this));
-    this.router.addRoute('/stories', this.handleStoriesRoute.bind(this));
-    this.router.addRoute('/stories/:slug', this.handleStoryRoute.bind(this));
-    this.router.addRoute('/communities', this.handleCommunitiesRoute.bind(this));
-    this.router.addRoute('/communities/:slug', this.handleCommunityRoute.bind(this));
-    this.router.addRoute('/sponsors', this.handleSponsorsRoute.bind(this));
-    this.router.addRoute('/about', this.handleAboutRoute.bind(this));
+    this.router.addRoute('/', this.handleHomeRoute.bind(this), { name: 'home' });
+    this.router.addRoute('/stories', this.handleStoriesRoute.bind(this), {
+      name: 'stories',
+      alias: '/historias'
+    });
+    this.router.addRoute('/stories/:slug/:chapter?', this.handleStoryRoute.bind(this), {
+      name: 'story',
+      beforeEnter: this.requireCanonicalSlug('story', storyLoader),
+      loader: this.loadStoryRouteData.bind(this)
+    });
+    this.router.addRoute('/embed/stories/:slug', this.handleStoryEmbedRoute.bind(this), {
+      name: 'story-embed',
+      beforeEnter: this.requireCanonicalSlug('story-embed', storyLoader),
+      loader: this.loadStoryRouteData.bind(this)
+    });
+    this.router.addRoute('/communities', this.handleCommunitiesRoute.bind(this), {
+      name: 'communities',
+      alias: '/comunidades'
+    });
+    // Antes de /communities/:slug para que "map" no se tome por un slug
+    this.router.addRoute('/communities/map', this.handleCommunitiesMapRoute.bind(this), {
+      name: 'communities-map',
+      alias: '/comunidades/mapa'
+    });
+    this.router.addRoute('/communities/:slug', this.handleCommunityRoute.bind(this), {
+      name: 'community',
+      beforeEnter: this.requireCanonicalSlug('community', communityManager),
+      loader: this.loadCommunityRouteData.bind(this)
+    });
+    this.router.addRoute('/sponsors', this.handleSponsorsRoute.bind(this), { name: 'sponsors' });
+    this.router.addRoute('/sponsors/dashboard', this.handleSponsorDashboardRoute.bind(this), {
+      name: 'sponsor-dashboard',
+      beforeEnter: this.requireRole(ENUMS.roles.SPONSOR),
+      loader: this.loadSponsorDashboardData.bind(this)
+    });
+    this.router.addRoute('/downloads', this.handleDownloadsRoute.bind(this), {
+      name: 'downloads',
+      alias: '/descargas'
+    });
+    this.router.addRoute('/search', this.handleSearchRoute.bind(this), {
+      name: 'search',
+      alias: '/buscar'
+    });
+    this.router.addRoute('/about', this.handleAboutRoute.bind(this), { name: 'about' });
+    
+    // Redirecciones (el protocol handler del manifest abre /story?id=...)
+    this.router.addRedirect('/story', this.resolveProtocolRedirect.bind(this));
+    this.router.addRedirect('/home', { name: 'home' });
+    
+    // Ruta 404 y errores de guards/loaders
+    this.router.setNotFound(this.handleNotFoundRoute.bind(this));
+    this.router.setErrorHandler((error, context) => {
+      this.handleRouteError(error, context.name || 'unknown');
+    });
     
     // Inicializar router
     this.router.init();
@@ -232,6 +298,12 @@ class CommunityStoriesApp {
       return;
     }
 
+    // En webs de terceros no se instala la app ni se piden notificaciones
+    if (this.embedMode) {
+      console.log('⏭️ Embed mode, skipping PWA initialization');
+      return;
+    }
+
     try {
       // Registrar Service Worker
       if ('serviceWorker' in navigator) {
@@ -327,7 +399,7 @@ class CommunityStoriesApp {
   createInstallPromptUI() {
     return DOMUtils.createElement('div', {
       className: 'install-prompt',
-      innerHTML: `
+      innerHTML: html`
         <div class="install-prompt__content">
           <div class="install-prompt__icon">📱</div>
           <h3 class="install-prompt__title">Instalar Community Stories</h3>
@@ -443,6 +515,11 @@ class CommunityStoriesApp {
       AccessibilityUtils.announce(`Navegando a ${route.title}`, 'polite');
     });
 
+    // Mover el foco al encabezado de la nueva vista
+    this.subscriptions.push(
+      eventBus.on(EVENTS.NAV_END, this.handleNavigationEnd.bind(this))
+    );
+
     // Anunciar errores importantes
     eventBus.on(EVENTS.APP_ERROR, (eventData) => {
       const { error } = eventData.data;
@@ -452,6 +529,87 @@ class CommunityStoriesApp {
     });
   }
 
+  /**
+   * Gestiona el final de una navegación
+   */
+  handleNavigationEnd(eventData) {
+    const { trigger } = eventData.data;
+
+    // En la carga inicial el foco debe quedarse al principio del documento
+    const searchPageFocus = this.searchPageFocus;
+    this.searchPageFocus = null;
+
+    if (trigger === 'initial') return;
+    if (!ConfigManager.get('ui.routing.focusOnNavigate', true)) return;
+
+    // Tras cambiar un filtro el foco vuelve al mismo control
+    if (searchPageFocus) {
+      const control = DOMUtils.$(searchPageFocus);
+      if (control) {
+        control.focus({ preventScroll: true });
+        return;
+      }
+    }
+
+    this.focusViewHeading();
+  }
+
+  /**
+   * Enfoca el encabezado principal de la vista actual
+   */
+  focusViewHeading() {
+    const container = DOMUtils.$('#main-content');
+    if (!container) return;
+
+    const target = DOMUtils.$('h1', container) || DOMUtils.$('h2', container) || container;
+
+    if (!target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+    }
+
+    // preventScroll para no deshacer la restauración de scroll del router
+    target.focus({ preventScroll: true });
+  }
+
+  /**
+   * Ejecuta el pintado de una ruta dentro de una transición de vista
+   */
+  async runRouteTransition(render) {
+    const transition = ConfigManager.get('ui.routing.transition', 'fade');
+
+    if (transition === 'none' || DOMUtils.prefersReducedMotion()) {
+      return render();
+    }
+
+    document.documentElement.setAttribute('data-route-transition', transition);
+
+    // View Transitions API cuando el navegador la soporta
+    if (typeof document.startViewTransition === 'function') {
+      let result;
+      const viewTransition = document.startViewTransition(async () => {
+        result = await render();
+      });
+
+      // Una transición omitida no es un error de navegación
+      viewTransition.ready.catch(() => {});
+      await viewTransition.updateCallbackDone;
+      return result;
+    }
+
+    // Fallback con clases CSS sobre el contenedor principal
+    const container = DOMUtils.$('#main-content');
+    if (!container) return render();
+
+    container.classList.add('route-transition--out');
+    await new Promise(resolve => setTimeout(resolve, ConfigManager.get('ui.animations.duration.fast', 200)));
+
+    try {
+      return await render();
+    } finally {
+      container.classList.remove('route-transition--out');
+    }
+  }
+
   /**
    * Configura navegación por teclado
    */
@@ -467,7 +625,7 @@ class CommunityStoriesApp {
       
       // Atajos de teclado globales
       if (e.ctrlKey || e.metaKey) {
-        switch (e.key) {
+        switch (e.key.toLowerCase()) {
           case 'k': // Ctrl/Cmd + K para búsqueda
             e.preventDefault();
             this.openSearch();
@@ -637,66 +795,290 @@ class CommunityStoriesApp {
   }
 
   /**
-   * Configura búsqueda
+   * Configura el buscador de la cabecera como combobox (patrón WAI-ARIA con lista de sugerencias)
+   *
+   * El foco se queda siempre en el campo: las flechas mueven la opción activa
+   * (aria-activedescendant), Enter la abre y Escape cierra la lista o borra el texto.
    */
   setupSearch() {
     const searchInput = DOMUtils.$('.search-input');
     const searchResults = DOMUtils.$('.search-results');
+    const searchStatus = DOMUtils.$('[data-search-status]');
     
     if (!searchInput || !searchResults) return;
 
-    const debouncedSearch = PerformanceUtils.debounce(async (query) => {
-      if (query.length < LIMITS.SEARCH_QUERY_MIN) {
-        searchResults.innerHTML = '';
+    let lastQuery = null;
+    let activeIndex = -1;
+
+    const getOptions = () => DOMUtils.$$('[role="option"]', searchResults);
+
+    const setActive = (index) => {
+      const options = getOptions();
+      activeIndex = index;
+
+      options.forEach((option, optionIndex) => {
+        option.setAttribute('aria-selected', String(optionIndex === index));
+      });
+
+      const active = options[index];
+      if (active) {
+        searchInput.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+      } else {
+        searchInput.removeAttribute('aria-activedescendant');
+      }
+    };
+
+    const open = () => {
+      if (getOptions().length === 0) return;
+      searchResults.classList.add('search-results--visible');
+      searchInput.setAttribute('aria-expanded', 'true');
+    };
+
+    const close = () => {
+      searchResults.classList.remove('search-results--visible');
+      searchInput.setAttribute('aria-expanded', 'false');
+      setActive(-1);
+    };
+
+    const announce = (message) => {
+      if (searchStatus) searchStatus.textContent = message;
+    };
+
+    const update = async (query) => {
+      lastQuery = query;
+      const count = await this.renderSearchResults(searchResults, query, () => lastQuery === query);
+      if (lastQuery !== query) return;
+
+      setActive(-1);
+      if (count > 0 && document.activeElement === searchInput) {
+        open();
+      } else if (count === 0) {
+        close();
+      }
+
+      // Las sugerencias sin texto no se anuncian: solo el recuento de resultados
+      if (query.trim().length >= ConfigManager.get('search.minQueryLength', 2)) {
+        announce(count > 0
+          ? `${count} ${count === 1 ? 'opción' : 'opciones'}. Usa las flechas arriba y abajo para recorrerlas.`
+          : 'Sin resultados');
+      }
+    };
+
+    // Abre la opción activa o, sin ninguna, la página completa de resultados
+    const commit = (option) => {
+      const query = searchInput.value.trim();
+      close();
+
+      if (option?.dataset.searchAction === 'clear-recent') {
+        searchSuggestions.clearRecent();
+        update(searchInput.value);
+        searchInput.focus();
         return;
       }
 
-      try {
-        const results = await communityManager.searchCommunities(query, { limit: 5 });
-        this.renderSearchResults(results, searchResults);
-      } catch (error) {
-        console.error('Search failed:', error);
+      if (option?.dataset.searchQuery) {
+        searchInput.value = option.dataset.searchQuery;
+        this.openSearchPage(option.dataset.searchQuery);
+        return;
+      }
+
+      if (option?.dataset.searchHref) {
+        searchSuggestions.addRecent(query);
+        const href = TemplateUtils.sanitizeUrl(option.dataset.searchHref);
+        if (/^https?:/i.test(href)) {
+          window.open(href, '_blank', 'noopener');
+        } else {
+          this.router.navigate(href);
+        }
+        searchInput.blur();
+        return;
+      }
+
+      if (query) {
+        this.openSearchPage(query);
       }
-    }, TIMEOUTS.DEBOUNCE_SEARCH);
+    };
+
+    const debouncedUpdate = PerformanceUtils.debounce(update, ConfigManager.get('performance.debounceDelay', 300));
+
+    searchInput.setAttribute('aria-expanded', 'false');
 
     searchInput.addEventListener('input', (e) => {
-      debouncedSearch(e.target.value);
+      debouncedUpdate(e.target.value);
     });
 
-    searchInput.addEventListener('focus', () => {
-      searchResults.classList.add('search-results--visible');
+    searchInput.addEventListener('keydown', (e) => {
+      const options = getOptions();
+      const isOpen = searchInput.getAttribute('aria-expanded') === 'true';
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          if (!isOpen) {
+            open();
+            setActive(options.length > 0 ? 0 : -1);
+          } else {
+            setActive(activeIndex + 1 < options.length ? activeIndex + 1 : 0);
+          }
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          if (!isOpen) {
+            open();
+            setActive(options.length - 1);
+          } else {
+            setActive(activeIndex > 0 ? activeIndex - 1 : options.length - 1);
+          }
+          break;
+        case 'Enter':
+          e.preventDefault();
+          commit(isOpen ? options[activeIndex] : null);
+          break;
+        case 'Escape':
+          if (isOpen) {
+            e.preventDefault();
+            close();
+          } else if (searchInput.value) {
+            e.preventDefault();
+            searchInput.value = '';
+            update('');
+          }
+          break;
+        case 'Tab':
+          close();
+          break;
+      }
     });
 
-    searchInput.addEventListener('blur', () => {
-      setTimeout(() => {
-        searchResults.classList.remove('search-results--visible');
-      }, 200);
+    searchInput.addEventListener('focus', async () => {
+      // Sin texto se muestran las búsquedas recientes y populares
+      await searchSuggestions.loadPopular();
+      if (document.activeElement === searchInput) {
+        update(searchInput.value);
+      }
+    });
+
+    // El foco no sale del campo al pulsar una opción
+    searchResults.addEventListener('mousedown', (e) => e.preventDefault());
+
+    searchResults.addEventListener('click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) commit(option);
+    });
+
+    searchResults.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('[role="option"]');
+      const index = getOptions().indexOf(option);
+      if (option && index !== activeIndex) setActive(index);
     });
+
+    searchInput.addEventListener('blur', close);
+  }
+
+  /**
+   * Abre la página de resultados (la ruta guarda la búsqueda entre las recientes)
+   */
+  openSearchPage(query) {
+    this.router.navigate(this.urlFor('search', {}, { q: query.trim() }));
   }
 
   /**
-   * Renderiza resultados de búsqueda
+   * Enfoca el buscador (Ctrl/Cmd + K)
    */
-  renderSearchResults(results, container) {
-    if (results.length === 0) {
-      container.innerHTML = '<div class="search-no-results">No se encontraron resultados</div>';
+  openSearch() {
+    const searchInput = DOMUtils.$('.search-input');
+    if (!searchInput) {
+      this.navigateTo(this.urlFor('search'));
       return;
     }
 
-    const resultsHTML = results.map(community => `
-      <a href="/communities/${community.slug}" class="search-result">
-        <div class="search-result__image">
-          <img src="${community.image || '/assets/images/placeholder.png'}" alt="${community.name}">
-        </div>
-        <div class="search-result__content">
-          <h4 class="search-result__title">${community.name}</h4>
-          <p class="search-result__description">${StringUtils.truncate(community.description, 100)}</p>
-          <span class="search-result__category">${community.category?.name || ''}</span>
-        </div>
-      </a>
-    `).join('');
+    searchInput.focus();
+    searchInput.select();
+  }
+
+  /**
+   * Pinta las opciones del combobox y devuelve cuántas hay
+   *
+   * Sin texto: búsquedas recientes y populares. Con texto: sugerencias y resultados del
+   * índice local; si la API añade resultados se vuelve a pintar mientras `isCurrent()`.
+   */
+  async renderSearchResults(container, query, isCurrent = () => true) {
+    const text = query.trim();
+    let optionIndex = 0;
+    const nextId = () => `search-option-${optionIndex++}`;
+
+    const renderQueryOption = (value, kind) => html`
+      <div id="${nextId()}" role="option" aria-selected="false" class="search-option search-option--${kind}"
+           data-search-query="${value}">
+        ${value}
+      </div>
+    `;
+
+    const renderGroup = (id, label, options) => options.length > 0 ? html`
+      <div role="group" aria-labelledby="${id}" class="search-results__group">
+        <div id="${id}" role="presentation" class="search-results__heading">${label}</div>
+        ${options}
+      </div>
+    ` : '';
+
+    const render = (results) => {
+      optionIndex = 0;
+      const isQuery = text.length >= ConfigManager.get('search.minQueryLength', 2);
+      const recent = searchSuggestions.getMatchingRecent(text, isQuery ? 2 : undefined);
+      const suggestions = searchSuggestions.getSuggestions(text, isQuery ? 3 : 5)
+        .filter(suggestion => !recent.includes(suggestion));
+
+      const recentOptions = recent.map(value => renderQueryOption(value, 'recent'));
+      if (!isQuery && recent.length > 0) {
+        recentOptions.push(html`
+          <div id="${nextId()}" role="option" aria-selected="false" class="search-option search-option--action"
+               data-search-action="clear-recent">
+            Borrar búsquedas recientes
+          </div>
+        `);
+      }
+
+      const template = html`
+        ${renderGroup('search-group-recent', 'Búsquedas recientes', recentOptions)}
+        ${renderGroup('search-group-suggestions', 'Búsquedas populares', suggestions.map(value => renderQueryOption(value, 'popular')))}
+        ${renderGroup('search-group-results', 'Resultados', results.map(result => this.renderSearchResult(result, nextId())))}
+        ${isQuery ? html`
+          <div id="${nextId()}" role="option" aria-selected="false" class="search-option search-results__all"
+               data-search-query="${text}">
+            Ver todos los resultados de «${text}»
+          </div>
+        ` : ''}
+        ${isQuery && results.length === 0 ? html`
+          <div class="search-no-results" role="presentation">
+            ${navigator.onLine ? 'No se encontraron resultados' : 'No se encontraron resultados entre el contenido guardado sin conexión'}
+          </div>
+        ` : ''}
+      `;
+
+      TemplateUtils.render(container, template);
+      return optionIndex;
+    };
+
+    if (text.length < ConfigManager.get('search.minQueryLength', 2)) {
+      return render([]);
+    }
+
+    // Resultados locales al instante, sin esperar a la red
+    const options = { types: [SEARCH_RESULT_TYPES.COMMUNITY, SEARCH_RESULT_TYPES.STORY], limit: 6 };
+    const count = render(searchIndex.searchLocal(text, options));
+
+    try {
+      const results = await searchIndex.search(text, options);
+      // Una respuesta lenta no debe pisar la de una consulta posterior
+      if (isCurrent() && results.some(result => result.source === 'api')) {
+        return render(results);
+      }
+    } catch (error) {
+      console.error('Search failed:', error);
+    }
 
-    container.innerHTML = resultsHTML;
+    return count;
   }
 
   /**
@@ -723,6 +1105,10 @@ class CommunityStoriesApp {
     }
 
     console.log(`🎉 Community Stories Platform ready in ${initTime}ms`);
+
+    if (ConfigManager.get('development.devTools.sanitizerCheck', false)) {
+      this.runSanitizerCheck();
+    }
     
     // Resolver promise de ready
     if (this.readyPromise) {
@@ -730,6 +1116,36 @@ class CommunityStoriesApp {
     }
   }
 
+  /**
+   * Pasa el corpus de ataques XSS por el saneador (solo desarrollo)
+   */
+  async runSanitizerCheck() {
+    try {
+      const response = await fetch('/api/dev/xss-payloads');
+      if (!response.ok) {
+        throw new Error(`Failed to fetch XSS payloads: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const payloads = data.data || data;
+      const failures = ValidationUtils.checkSanitizer(payloads);
+
+      if (failures.length === 0) {
+        console.log(`🛡️ Sanitizer check passed (${payloads.length} payloads)`);
+        return;
+      }
+
+      console.warn(`🛡️ Sanitizer check failed for ${failures.length}/${payloads.length} payloads`);
+      console.table(failures.map(failure => ({
+        name: failure.name,
+        output: failure.output,
+        problems: failure.problems.join('; ')
+      })));
+    } catch (error) {
+      console.warn('Sanitizer check skipped:', error.message);
+    }
+  }
+
   /**
    * Obtiene características habilitadas
    */
@@ -775,7 +1191,7 @@ class CommunityStoriesApp {
     
     const errorEl = DOMUtils.createElement('div', {
       className: 'critical-error',
-      innerHTML: `
+      innerHTML: html`
         <div class="critical-error__content">
           <h2>Error de Inicialización</h2>
           <p>Ha ocurrido un error al cargar la aplicación.</p>
@@ -798,10 +1214,49 @@ class CommunityStoriesApp {
   /**
    * Navega a una ruta
    */
-  navigateTo(path, pushState = true) {
+  navigateTo(path, options = {}) {
     if (this.router) {
-      this.router.navigate(path, pushState);
+      this.router.navigate(path, options);
+    }
+  }
+
+  /**
+   * Construye URL de una ruta con nombre
+   */
+  urlFor(name, params = {}, query = {}) {
+    return this.router ? this.router.buildUrl(name, params, query) : '/';
+  }
+
+  /**
+   * Posición de scroll de cada navegación
+   */
+  getRouteScrollPosition(context, trigger, savedPosition) {
+    // Con la restauración desactivada se deja el scroll como esté
+    if (ConfigManager.get('ui.routing.scrollRestoration', true) === false) {
+      return null;
+    }
+
+    // Cambiar un filtro de la búsqueda no debe llevar arriba del todo
+    if (context.name === 'search' && this.searchPageFocus) {
+      return null;
+    }
+
+    // Cambio de idioma: el mismo bloque queda a la misma altura
+    if (context.name === 'story' && this.languageScrollAnchor) {
+      const { blockId, offset } = this.languageScrollAnchor;
+      this.languageScrollAnchor = null;
+      return { selector: `[data-block-id="${CSS.escape(blockId)}"]`, offset };
+    }
+
+    // Enlaces "Continuar leyendo": saltar a la última sección leída
+    if (context.name === 'story' && context.query.continue && trigger !== 'pop' && context.data) {
+      const record = readingProgress.getRecord(context.data.storyId);
+      if (record?.lastSection) {
+        return { selector: `[data-block-id="${CSS.escape(record.lastSection)}"]` };
+      }
     }
+
+    return this.router.getDefaultScrollPosition(context, trigger, savedPosition);
   }
 
   /**
@@ -814,18 +1269,27 @@ class CommunityStoriesApp {
     if (this.initialData?.featuredCommunities) {
       this.renderFeaturedCommunities(this.initialData.featuredCommunities);
     }
+
+    this.renderContinueReading();
   }
 
   /**
    * Maneja ruta de historias
    */
-  async handleStoriesRoute(params) {
+  async handleStoriesRoute(params, context = {}) {
     this.setCurrentRoute('stories', 'Historias');
     
+    // Los filtros viven en la URL para sobrevivir recargas y atrás/adelante
+    const { category = null, page = '1' } = context.query || {};
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = 20;
+    
     try {
       const stories = await communityManager.loadCommunities({
         includeStories: true,
-        limit: 20
+        category,
+        limit: pageSize,
+        offset: (pageNumber - 1) * pageSize
       });
       
       this.renderStoriesGrid(stories);
@@ -835,24 +1299,85 @@ class CommunityStoriesApp {
   }
 
   /**
-   * Maneja ruta de historia específica
+   * Actualiza filtros del listado de historias en la URL
+   */
+  setStoriesFilters(filters = {}) {
+    if (!this.router) return;
+    
+    // Cambiar un filtro reinicia la paginación salvo que se indique página
+    const changes = { page: null, ...filters };
+    this.router.updateQuery(changes);
+  }
+
+  /**
+   * Carga datos de la ruta de historia antes de pintar
    */
-  async handleStoryRoute(params) {
-    const { slug } = params;
+  async loadStoryRouteData(context) {
+    const storyId = await this.resolveStorySlug(context.params.slug);
+    if (!storyId) return null;
+
+    const story = await storyLoader.loadStory(storyId, { format: 'full' });
+
+    // Historias por capítulos: sin capítulo en la URL se abre el primero
+    const { chapter: chapterSlug } = context.params;
+    if (!this.hasChapters(story)) {
+      return chapterSlug ? null : { storyId, story, chapterId: null };
+    }
+
+    const chapter = chapterSlug ? storyLoader.getChapter(story, chapterSlug) : story.chapters[0];
+    if (!chapter) return null;
+
+    // El contenido de los capítulos no visitados se carga al entrar
+    await storyLoader.loadChapter(storyId, chapter.id);
     
+    return { storyId, story, chapterId: chapter.id };
+  }
+
+  /**
+   * Maneja ruta de historia específica
+   */
+  async handleStoryRoute(params, context = {}) {
+    if (!context.data) {
+      return this.handleNotFoundRoute(params, context);
+    }
+
     try {
-      // Resolver slug a ID si es necesario
-      const storyId = await this.resolveStorySlug(slug);
-      const story = await storyLoader.setActiveStory(storyId);
+      // La historia ya está en caché gracias al loader de la ruta
+      const activeStory = await storyLoader.setActiveStory(context.data.storyId, { updateUrl: false });
+      const story = storyLocalizer.localize(activeStory, context.query?.lang || null);
+      const chapter = storyLoader.getChapter(story, context.data.chapterId);
       
-      this.setCurrentRoute('story', story.title);
-      this.renderStoryView(story);
+      this.setCurrentRoute('story', chapter ? `${chapter.title} · ${story.title}` : story.title);
+      this.renderStoryView(story, { chapter });
+      this.updateLanguageAlternates(story, chapter);
+      this.updateEmbedDiscovery(story);
       
     } catch (error) {
       this.handleRouteError(error, 'story');
     }
   }
 
+  /**
+   * Maneja la vista insertable de una historia (/embed/stories/:slug)
+   */
+  async handleStoryEmbedRoute(params, context = {}) {
+    if (!context.data) {
+      return this.handleNotFoundRoute(params, context);
+    }
+
+    try {
+      const activeStory = await storyLoader.setActiveStory(context.data.storyId, { updateUrl: false });
+      const story = storyLocalizer.localize(activeStory, context.query?.lang || null);
+      const chapter = storyLoader.getChapter(story, context.data.chapterId);
+
+      this.setCurrentRoute('story-embed', story.title);
+      this.renderStoryEmbed(story, chapter);
+
+    } catch (error) {
+      this.handleRouteError(error, 'story-embed');
+    }
+  }
+
   /**
    * Maneja ruta de comunidades
    */
@@ -868,14 +1393,47 @@ class CommunityStoriesApp {
   }
 
   /**
-   * Maneja ruta de comunidad específica
+   * Maneja el mapa de comunidades
+   */
+  async handleCommunitiesMapRoute(params) {
+    this.setCurrentRoute('communities-map', 'Mapa de comunidades');
+
+    let communities;
+    try {
+      communities = await communityManager.loadCommunities({ limit: ConfigManager.get('search.pageLimit', 200) });
+    } catch (error) {
+      // Sin conexión se muestran las comunidades ya cargadas
+      communities = Array.from(communityManager.communities.values());
+      if (communities.length === 0) {
+        return this.handleRouteError(error, 'communities-map');
+      }
+    }
+
+    this.renderCommunitiesMap(communities);
+  }
+
+  /**
+   * Carga datos de la ruta de comunidad antes de pintar
    */
-  async handleCommunityRoute(params) {
-    const { slug } = params;
+  async loadCommunityRouteData(context) {
+    const communityId = await this.resolveCommunitySlug(context.params.slug);
+    if (!communityId) return null;
+
+    const community = await communityManager.getCommunity(communityId);
     
+    return { communityId, community };
+  }
+
+  /**
+   * Maneja ruta de comunidad específica
+   */
+  async handleCommunityRoute(params, context = {}) {
+    if (!context.data) {
+      return this.handleNotFoundRoute(params, context);
+    }
+
     try {
-      const communityId = await this.resolveCommunitySlug(slug);
-      const community = await communityManager.selectCommunity(communityId);
+      const community = await communityManager.selectCommunity(context.data.communityId, { updateUrl: false });
       
       this.setCurrentRoute('community', community.name);
       this.renderCommunityView(community);
@@ -894,46 +1452,199 @@ class CommunityStoriesApp {
   }
 
   /**
-   * Maneja ruta about
+   * Carga datos del panel de patrocinadores
    */
-  async handleAboutRoute(params) {
-    this.setCurrentRoute('about', 'Acerca de');
-    this.renderAboutPage();
+  async loadSponsorDashboardData(context) {
+    const user = this.getCurrentUser();
+    const response = await fetch(`/api/sponsors/${user.sponsorId || user.id}/dashboard`, {
+      signal: context.signal
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Failed to fetch sponsor dashboard: ${response.status}`);
+    }
+    
+    return await response.json();
   }
 
   /**
-   * Establece ruta actual
+   * Maneja ruta del panel de patrocinadores
    */
-  setCurrentRoute(routeName, pageTitle) {
-    this.currentRoute = routeName;
-    
-    // Actualizar título de página
-    if (window.AccessibilityUtils) {
-      AccessibilityUtils.setPageTitle(pageTitle);
-    } else {
-      document.title = pageTitle + SEO_DEFAULTS.TITLE_SUFFIX;
-    }
-    
-    // Emitir evento de cambio de ruta
-    eventBus.emit(EVENTS.NAV_CHANGE, {
-      route: { name: routeName, title: pageTitle },
-      timestamp: Date.now()
-    });
-    
-    // Rastrear page view
-    if (window.AnalyticsUtils) {
-      AnalyticsUtils.trackPageView(window.location.pathname);
-    }
+  async handleSponsorDashboardRoute(params, context = {}) {
+    this.setCurrentRoute('sponsor-dashboard', 'Panel de patrocinadores');
+    this.renderSponsorDashboard(context.data || {});
   }
 
   /**
-   * Maneja errores de ruta
+   * Maneja ruta de descargas offline
    */
-  handleRouteError(error, routeName) {
-    console.error(`Route error in ${routeName}:`, error);
-    
-    eventBus.emit(EVENTS.APP_ERROR, {
-      type: 'route_error',
+  async handleDownloadsRoute(params) {
+    this.setCurrentRoute('downloads', 'Descargas');
+
+    // El índice de paquetes se lee de IndexedDB al arrancar
+    await offlinePacks.ready;
+    await this.renderDownloadsPage();
+  }
+
+  /**
+   * Maneja la página de resultados de búsqueda (/search?q=)
+   */
+  async handleSearchRoute(params, context = {}) {
+    const state = searchFacets.parseState(context.query || {});
+    this.setCurrentRoute('search', state.q ? `Buscar: ${state.q}` : 'Buscar');
+
+    if (state.q) {
+      searchSuggestions.addRecent(state.q);
+    }
+
+    try {
+      const results = await this.getSearchPageResults(state.q);
+      this.renderSearchPage(state, results);
+    } catch (error) {
+      this.handleRouteError(error, 'search');
+    }
+  }
+
+  /**
+   * Maneja ruta about
+   */
+  async handleAboutRoute(params) {
+    this.setCurrentRoute('about', 'Acerca de');
+    this.renderAboutPage();
+  }
+
+  /**
+   * Maneja rutas no encontradas
+   */
+  async handleNotFoundRoute(params, context = {}) {
+    this.setCurrentRoute('not-found', 'Página no encontrada');
+    this.renderNotFoundPage(context.pathname);
+  }
+
+  // === GUARDS Y REDIRECCIONES ===
+
+  /**
+   * Obtiene el usuario con sesión iniciada
+   */
+  getCurrentUser() {
+    return StorageUtils.getItem('current-user');
+  }
+
+  /**
+   * Obtiene el nivel de rol (ENUMS.roles) de un usuario
+   */
+  getRoleLevel(user) {
+    if (!user) return ENUMS.roles.GUEST;
+    
+    if (typeof user.role === 'number') {
+      return user.role;
+    }
+    
+    const level = ENUMS.roles[String(user.role || '').toUpperCase()];
+    return level !== undefined ? level : ENUMS.roles.GUEST;
+  }
+
+  /**
+   * Crea un guard que exige un nivel de rol mínimo
+   */
+  requireRole(minRole) {
+    return (context) => {
+      const user = this.getCurrentUser();
+      
+      if (this.getRoleLevel(user) >= minRole) {
+        return true;
+      }
+      
+      this.showToast(
+        'warning',
+        'Acceso restringido',
+        user ? 'Tu cuenta no tiene permisos para ver esta sección' : 'Inicia sesión para continuar'
+      );
+      
+      return { name: 'sponsors', query: { next: context.fullPath } };
+    };
+  }
+
+  /**
+   * Crea un guard que redirige slugs antiguos o IDs a la URL canónica
+   *
+   * La URL antigua nunca llega al historial (equivalente a un 301).
+   */
+  requireCanonicalSlug(routeName, resolver) {
+    return async (context) => {
+      const resolution = await resolver.resolveSlug(context.params.slug);
+
+      if (resolution && resolution.redirect) {
+        return {
+          name: routeName,
+          params: { ...context.params, slug: resolution.slug },
+          query: context.query,
+          hash: context.hash
+        };
+      }
+
+      return true;
+    };
+  }
+
+  /**
+   * Resuelve la redirección del protocol handler (web+communitystories:slug)
+   */
+  resolveProtocolRedirect(context) {
+    const { id } = context.query;
+    if (!id) return null;
+    
+    const slug = String(id)
+      .replace(/^web\+communitystories:/i, '')
+      .replace(/^\/+/, '')
+      .replace(/^stories\//, '')
+      .split(/[?#/]/)[0];
+    
+    return slug ? { name: 'story', params: { slug } } : null;
+  }
+
+  /**
+   * Establece ruta actual
+   */
+  setCurrentRoute(routeName, pageTitle) {
+    this.currentRoute = routeName;
+
+    if (routeName !== 'communities-map') {
+      this.destroyCommunitiesMap();
+    }
+
+    if (routeName !== 'story') {
+      this.updateLanguageAlternates(null);
+      this.updateEmbedDiscovery(null);
+    }
+    
+    // Actualizar título de página
+    if (window.AccessibilityUtils) {
+      AccessibilityUtils.setPageTitle(pageTitle);
+    } else {
+      document.title = pageTitle + SEO_DEFAULTS.TITLE_SUFFIX;
+    }
+    
+    // Emitir evento de cambio de ruta
+    eventBus.emit(EVENTS.NAV_CHANGE, {
+      route: { name: routeName, title: pageTitle },
+      timestamp: Date.now()
+    });
+    
+    // Rastrear page view
+    if (window.AnalyticsUtils) {
+      AnalyticsUtils.trackPageView(window.location.pathname);
+    }
+  }
+
+  /**
+   * Maneja errores de ruta
+   */
+  handleRouteError(error, routeName) {
+    console.error(`Route error in ${routeName}:`, error);
+    
+    eventBus.emit(EVENTS.APP_ERROR, {
+      type: 'route_error',
       route: routeName,
       error: error.message
     });
@@ -942,230 +1653,1932 @@ class CommunityStoriesApp {
     this.renderErrorPage(error, routeName);
   }
 
-  // === MÉTODOS DE RENDERIZADO ===
+  // === MÉTODOS DE RENDERIZADO ===
+
+  /**
+   * Renderiza comunidades destacadas
+   */
+  renderFeaturedCommunities(communities) {
+    const container = DOMUtils.$('#featured-communities');
+    if (!container || communities.length === 0) return;
+    
+    TemplateUtils.renderList(container, communities, community => community.id, community => html`
+      <article class="community-card" data-community-id="${community.id}">
+        <div class="community-card__media">
+          <img src="${community.image || '/assets/images/placeholder.png'}" 
+               alt="${community.name}"
+               loading="lazy">
+          <div class="community-card__overlay">
+            <span class="community-card__category">${community.category?.name}</span>
+          </div>
+        </div>
+        <div class="community-card__content">
+          <h3 class="community-card__title">
+            <a href="/communities/${community.slug}">${community.name}</a>
+          </h3>
+          <p class="community-card__description">
+            ${StringUtils.truncate(community.description, 120)}
+          </p>
+          <div class="community-card__stats">
+            <span class="stat">
+              <span class="stat__number">${community.stats.members}</span>
+              <span class="stat__label">miembros</span>
+            </span>
+            <span class="stat">
+              <span class="stat__number">${community.stats.stories}</span>
+              <span class="stat__label">historias</span>
+            </span>
+          </div>
+        </div>
+      </article>
+    `);
+  }
+
+  /**
+   * Renderiza el carril "Continuar donde lo dejaste"
+   */
+  renderContinueReading() {
+    const section = DOMUtils.$('#continue-reading');
+    const rail = DOMUtils.$('#continue-reading-rail');
+    if (!section || !rail) return;
+
+    const records = readingProgress.getInProgress(10);
+    section.hidden = records.length === 0;
+    if (records.length === 0) return;
+
+    TemplateUtils.renderList(rail, records, record => record.storyId, record => {
+      const title = record.title || 'Historia sin título';
+      const url = this.urlFor('story', {
+        slug: record.slug || record.storyId,
+        chapter: record.chapterSlug
+      }, { continue: 1 });
+      const chapter = record.chapterTitle || record.chapter;
+      const progress = NumberUtils.clamp(Math.round(record.progress), 0, 100);
+
+      return html`
+        <li class="continue-card">
+          <a class="continue-card__link" href="${url}">
+            <span class="continue-card__media">
+              <img src="${record.image || '/assets/images/placeholder.png'}" alt="" loading="lazy">
+            </span>
+            <span class="continue-card__title">${title}</span>
+            ${chapter ? html`<span class="continue-card__chapter">${chapter}</span>` : ''}
+          </a>
+          <div class="continue-card__progress" role="progressbar" aria-label="Progreso de lectura"
+               aria-valuemin="0" aria-valuemax="100" aria-valuenow="${progress}">
+            <span class="continue-card__progress-bar" style="width: ${progress}%"></span>
+          </div>
+          <span class="continue-card__meta">${progress}% leído</span>
+        </li>
+      `;
+    });
+  }
+
+  /**
+   * Refresca el carril si llega progreso de otro dispositivo
+   */
+  handleReadingProgressSync() {
+    if (this.currentRoute === 'home') {
+      this.renderContinueReading();
+    }
+  }
+
+  /**
+   * Renderiza grid de historias
+   */
+  renderStoriesGrid(communities) {
+    const container = DOMUtils.$('#stories-grid');
+    if (!container) return;
+    
+    // Extraer todas las historias de las comunidades
+    const allStories = communities.reduce((stories, community) => {
+      if (community.stories) {
+        community.stories.forEach(story => {
+          story.community = {
+            id: community.id,
+            name: community.name,
+            slug: community.slug
+          };
+          stories.push(story);
+        });
+      }
+      return stories;
+    }, []);
+    
+    if (allStories.length === 0) {
+      TemplateUtils.render(container, html`<div class="empty-state">No hay historias disponibles</div>`);
+      return;
+    }
+    
+    TemplateUtils.renderList(container, allStories, story => story.id, story => html`
+      <article class="story-card" data-story-id="${story.id}">
+        <div class="story-card__media">
+          <img src="${story.image || '/assets/images/story-placeholder.png'}" 
+               alt="${story.title}"
+               loading="lazy">
+          <div class="story-card__duration">
+            ${story.readingStats?.estimatedReadingTime || 5} min
+          </div>
+        </div>
+        <div class="story-card__content">
+          <div class="story-card__meta">
+            <span class="story-card__community">${story.community.name}</span>
+            <span class="story-card__date">${DateUtils.formatRelativeTime(story.publishedAt)}</span>
+          </div>
+          <h3 class="story-card__title">
+            <a href="/stories/${story.slug}">${story.title}</a>
+          </h3>
+          <p class="story-card__description">
+            ${StringUtils.truncate(story.description, 150)}
+          </p>
+        </div>
+      </article>
+    `);
+  }
+
+  /**
+   * Renderiza vista de historia
+   */
+  renderStoryView(story, options = {}) {
+    const container = DOMUtils.$('#story-view');
+    if (!container) return;
+
+    const { chapter = null } = options;
+
+    this.releaseStoryBlocks();
+    
+    TemplateUtils.render(container, html`
+      <article class="story-view">
+        <header class="story-header">
+          <div class="story-header__background">
+            <img src="${story.media?.images?.[0]?.url || '/assets/images/story-bg.jpg'}" 
+                 alt="${story.title}">
+          </div>
+          <div class="story-header__content">
+            <div class="story-meta">
+              <span class="story-community">${story.community?.name}</span>
+              <span class="story-date">${DateUtils.formatDate(story.publishedAt)}</span>
+            </div>
+            <h1 class="story-title" ${this.getStoryLangAttrs(story)}>${story.title}</h1>
+            <p class="story-subtitle" ${this.getStoryLangAttrs(story)}>${story.description}</p>
+            <div class="story-stats">
+              <span class="reading-time">${story.readingStats.estimatedReadingTime} min de lectura</span>
+              <span class="difficulty">Nivel: ${story.readingStats.difficulty}</span>
+            </div>
+            ${this.renderLanguageSwitcher(story, chapter)}
+            ${offlinePacks.isSupported() ? html`
+              <div class="offline-pack" id="offline-pack" data-story-id="${story.id}" aria-live="polite"></div>
+            ` : ''}
+            ${this.renderStoryExport()}
+            ${this.renderEmbedCode(story)}
+          </div>
+        </header>
+
+        ${this.renderTranslationNotice(story)}
+        
+        ${chapter ? this.renderChapterLayout(story, chapter) : html`
+          <div class="story-content" id="story-content" ${this.getStoryLangAttrs(story)}>
+            ${this.hasBranchingNarrative(story) ? '' : this.renderStoryContent(story.content || [])}
+          </div>
+        `}
+        
+        ${story.sponsors?.length > 0 ? this.renderStorySponsors(story.sponsors) : ''}
+      </article>
+    `);
+    
+    // Configurar elementos interactivos de la historia
+    this.setupStoryInteractions(story);
+  }
+
+  // === IDIOMAS ===
+
+  /**
+   * Atributos lang y dir del texto de la historia (la interfaz sigue en su idioma)
+   */
+  getStoryLangAttrs(story) {
+    if (!story.language) return '';
+    return html`lang="${story.language}" dir="${story.localization?.dir || 'ltr'}"`;
+  }
+
+  /**
+   * Query que conserva el idioma elegido al cambiar de capítulo
+   */
+  getLanguageQuery(story) {
+    const requested = story.localization?.requested;
+    return requested ? { lang: requested } : {};
+  }
+
+  /**
+   * Renderiza el selector de idioma de la historia
+   */
+  renderLanguageSwitcher(story, chapter = null) {
+    const localization = story.localization;
+    if (!localization || localization.available.length < 2) return '';
+
+    return html`
+      <nav class="story-languages" aria-label="Idioma de la historia">
+        <ul class="story-languages__list">
+          ${localization.available.map(code => html`
+            <li>
+              <a class="story-languages__link" data-story-language="${code}"
+                 href="${this.urlFor('story', { slug: story.slug, chapter: chapter?.slug }, { lang: code })}"
+                 hreflang="${code}" lang="${code}"
+                 ${code === localization.language ? unsafeHTML('aria-current="true"') : ''}>
+                ${storyLocalizer.getLanguageName(code)}
+              </a>
+            </li>
+          `)}
+        </ul>
+      </nav>
+    `;
+  }
+
+  /**
+   * Aviso de traducción parcial o automática
+   */
+  renderTranslationNotice(story) {
+    const localization = story.localization;
+    if (!localization) return '';
+
+    const untranslated = localization.counts[TRANSLATION_STATUS.UNTRANSLATED] || 0;
+    const machine = localization.counts[TRANSLATION_STATUS.MACHINE] || 0;
+    const outdated = localization.counts[TRANSLATION_STATUS.OUTDATED] || 0;
+    const messages = [];
+
+    // Idioma pedido sin variante: toda la historia se muestra en otro idioma
+    if (localization.requested && localization.requested !== localization.language) {
+      messages.push(`Esta historia no está disponible en ${storyLocalizer.getLanguageName(localization.requested)}; se muestra en ${storyLocalizer.getLanguageName(localization.language)}.`);
+    }
+
+    if (untranslated > 0) {
+      messages.push(`${untranslated} ${untranslated === 1 ? 'sección aún no está traducida y se muestra' : 'secciones aún no están traducidas y se muestran'} en su idioma original.`);
+    }
+
+    if (machine > 0) {
+      messages.push(`${machine} ${machine === 1 ? 'sección tiene' : 'secciones tienen'} traducción automática sin revisar.`);
+    }
+
+    if (outdated > 0) {
+      messages.push(`${outdated} ${outdated === 1 ? 'sección puede estar desactualizada' : 'secciones pueden estar desactualizadas'} respecto al original.`);
+    }
+
+    if (messages.length === 0) return '';
+
+    return html`
+      <aside class="story-translation-notice" role="note">
+        ${messages.map(message => html`<p class="story-translation-notice__text">${message}</p>`)}
+      </aside>
+    `;
+  }
+
+  /**
+   * Intercepta el selector de idioma antes que la navegación global
+   */
+  setupLanguageSwitcher() {
+    const switcher = DOMUtils.$('.story-languages');
+    if (!switcher) return;
+
+    switcher.addEventListener('click', event => {
+      const link = event.target.closest('[data-story-language]');
+      if (!link) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (link.getAttribute('aria-current') !== 'true') {
+        this.switchStoryLanguage(link.dataset.storyLanguage);
+      }
+    });
+  }
+
+  /**
+   * Cambia el idioma de la historia sin perder la posición de lectura
+   */
+  switchStoryLanguage(language) {
+    this.languageScrollAnchor = this.getScrollAnchor();
+    this.router.updateQuery({ lang: language }, { replace: true });
+  }
+
+  /**
+   * Primer bloque visible y su distancia al borde superior
+   */
+  getScrollAnchor() {
+    const block = DOMUtils.$$('#story-content [data-block-id]')
+      .find(element => element.getBoundingClientRect().bottom > 0);
+
+    return block
+      ? { blockId: block.dataset.blockId, offset: block.getBoundingClientRect().top }
+      : null;
+  }
+
+  /**
+   * Enlaces hreflang a las variantes de idioma de la historia (null los elimina)
+   */
+  updateLanguageAlternates(story, chapter = null) {
+    DOMUtils.$$('link[data-story-alternate]', document.head).forEach(link => link.remove());
+
+    const localization = story?.localization;
+    if (!localization || localization.available.length < 2) return;
+
+    const origin = ConfigManager.get('seo.canonicalUrl', window.location.origin);
+    const params = { slug: story.slug, chapter: chapter?.slug };
+    const alternates = [
+      ...localization.available.map(code => ({ hreflang: code, query: { lang: code } })),
+      { hreflang: 'x-default', query: {} }
+    ];
+
+    alternates.forEach(({ hreflang, query }) => {
+      const link = DOMUtils.createElement('link', {
+        rel: 'alternate',
+        hreflang,
+        href: origin + this.urlFor('story', params, query),
+        'data-story-alternate': ''
+      });
+      document.head.appendChild(link);
+    });
+  }
+
+  // === DESCARGAS OFFLINE ===
+
+  /**
+   * Prepara la acción "Descargar para leer sin conexión"
+   */
+  setupOfflinePack(story) {
+    const container = DOMUtils.$('#offline-pack');
+    if (!container) return;
+
+    container.addEventListener('click', event => {
+      const button = event.target.closest('[data-offline-action]');
+      if (button) {
+        this.runOfflineAction(button.dataset.offlineAction, story);
+      }
+    });
+
+    this.renderOfflinePack(story);
+  }
+
+  /**
+   * Pinta el estado del paquete offline de la historia
+   */
+  async renderOfflinePack(story) {
+    const container = DOMUtils.$('#offline-pack');
+    if (!container || container.dataset.storyId !== story.id) return;
+
+    const download = offlinePacks.getDownload(story.id);
+    if (download) {
+      TemplateUtils.render(container, html`
+        <div class="offline-pack__progress" role="progressbar" aria-label="Descargando historia"
+             aria-valuemin="0" aria-valuemax="100" aria-valuenow="${download.percent}">
+          <span class="offline-pack__progress-bar" style="width: ${download.percent}%"></span>
+        </div>
+        <span class="offline-pack__status">Descargando… <span data-offline-percent>${download.percent}%</span></span>
+        <button type="button" class="btn-tertiary" data-offline-action="cancel">Cancelar</button>
+      `);
+      return;
+    }
+
+    const pack = offlinePacks.get(story.id);
+    if (pack) {
+      TemplateUtils.render(container, html`
+        <span class="offline-pack__status offline-pack__status--ready">
+          Disponible sin conexión · ${NumberUtils.formatBytes(pack.size)}
+        </span>
+        ${offlinePacks.isOutdated(story) ? html`
+          <button type="button" class="btn-tertiary" data-offline-action="download">Actualizar descarga</button>
+        ` : ''}
+        <button type="button" class="btn-tertiary" data-offline-action="remove">Eliminar descarga</button>
+      `);
+      return;
+    }
+
+    TemplateUtils.render(container, html`
+      <button type="button" class="btn-secondary" data-offline-action="download" ${navigator.onLine ? '' : unsafeHTML('disabled')}>
+        Descargar para leer sin conexión
+      </button>
+      <span class="offline-pack__size" data-offline-size>Calculando tamaño…</span>
+    `);
+
+    try {
+      const estimate = await offlinePacks.estimateSize(story);
+      const size = DOMUtils.$('[data-offline-size]', container);
+      if (size) {
+        // Recursos sin Content-Length: el tamaño real será mayor
+        size.textContent = `≈ ${NumberUtils.formatBytes(estimate.bytes)}${estimate.unknown > 0 ? ' o más' : ''}`;
+      }
+    } catch (error) {
+      DOMUtils.$('[data-offline-size]', container)?.remove();
+    }
+  }
+
+  /**
+   * Ejecuta una acción sobre el paquete offline
+   */
+  async runOfflineAction(action, story) {
+    try {
+      switch (action) {
+        case 'download': {
+          const download = offlinePacks.download(story.id);
+          this.renderOfflinePack(story);
+          await download;
+          break;
+        }
+        case 'cancel':
+          offlinePacks.cancel(story.id);
+          break;
+        case 'remove':
+          await offlinePacks.remove(story.id);
+          break;
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        this.showToast('error', 'No se pudo descargar la historia', error.message);
+      }
+    }
+  }
+
+  /**
+   * Refleja inicio, progreso, fin y borrado de paquetes
+   */
+  handleOfflinePackEvent(eventData) {
+    const { storyId } = eventData.data;
+
+    if (this.currentRoute === 'downloads') {
+      this.renderDownloadsPage();
+      return;
+    }
+
+    const container = DOMUtils.$('#offline-pack');
+    if (!container || container.dataset.storyId !== storyId) return;
+
+    // El progreso solo actualiza la barra para no repintar en cada recurso
+    if (eventData.name === EVENTS.OFFLINE_PROGRESS) {
+      const bar = DOMUtils.$('.offline-pack__progress', container);
+      if (bar) {
+        bar.setAttribute('aria-valuenow', eventData.data.percent);
+        DOMUtils.$('.offline-pack__progress-bar', container).style.width = `${eventData.data.percent}%`;
+        DOMUtils.$('[data-offline-percent]', container).textContent = `${eventData.data.percent}%`;
+        return;
+      }
+    }
+
+    const story = storyLoader.activeStory;
+    if (story && story.id === storyId) {
+      this.renderOfflinePack(story);
+    }
+
+    if (eventData.name === EVENTS.OFFLINE_COMPLETE && window.AccessibilityUtils) {
+      AccessibilityUtils.announce('Historia disponible sin conexión', 'polite');
+    }
+  }
+
+  /**
+   * Renderiza la pantalla de gestión de descargas
+   */
+  async renderDownloadsPage() {
+    const container = DOMUtils.$('#main-content');
+    if (!container) return;
+
+    const packs = offlinePacks.list();
+    const usage = await offlinePacks.getStorageUsage();
+    const free = usage.quota ? usage.quota - usage.usage : null;
+
+    let body;
+    if (!offlinePacks.isSupported()) {
+      body = html`<p class="downloads-page__empty">Tu navegador no permite guardar historias para leer sin conexión.</p>`;
+    } else if (packs.length === 0) {
+      body = html`
+        <div class="downloads-page__empty">
+          <p>Aún no has descargado ninguna historia.</p>
+          <a href="${this.urlFor('stories')}" class="btn-secondary">Explorar historias</a>
+        </div>
+      `;
+    } else {
+      body = html`
+        <ul class="downloads-list">
+          ${packs.map(pack => html`
+            <li class="downloads-list__item" data-pack-id="${pack.storyId}">
+              <img class="downloads-list__image" src="${pack.image || '/assets/images/placeholder.png'}" alt="" loading="lazy">
+              <div class="downloads-list__info">
+                <a class="downloads-list__title" href="${this.urlFor('story', { slug: pack.slug || pack.storyId })}">
+                  ${pack.title}
+                </a>
+                <span class="downloads-list__meta">
+                  ${NumberUtils.formatBytes(pack.size)} · ${pack.assets} recursos · ${DateUtils.getRelativeTime(pack.downloadedAt)}
+                </span>
+                ${pack.failed > 0 ? html`
+                  <span class="downloads-list__warning">${pack.failed} recursos no se pudieron descargar</span>
+                ` : ''}
+              </div>
+              <button type="button" class="btn-tertiary downloads-list__delete" data-pack-delete="${pack.storyId}"
+                      aria-label="Eliminar descarga de ${pack.title}">
+                Eliminar
+              </button>
+            </li>
+          `)}
+        </ul>
+      `;
+    }
+
+    TemplateUtils.render(container, html`
+      <section class="downloads-page" aria-labelledby="downloads-title">
+        <header class="downloads-page__header">
+          <h1 id="downloads-title">Descargas</h1>
+          <p class="downloads-page__usage">
+            ${NumberUtils.formatBytes(usage.packs)} en historias descargadas${free !== null ? ` · ${NumberUtils.formatBytes(free)} libres en el dispositivo` : ''}
+          </p>
+        </header>
+        ${body}
+      </section>
+    `);
+
+    DOMUtils.$$('[data-pack-delete]', container).forEach(button => {
+      button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+          await offlinePacks.remove(button.dataset.packDelete);
+        } catch (error) {
+          button.disabled = false;
+          this.showToast('error', 'No se pudo eliminar la descarga', error.message);
+        }
+      });
+    });
+  }
+
+  // === PÁGINA DE BÚSQUEDA ===
+
+  /**
+   * Resultados de una consulta; cambiar de pestaña o de filtro no vuelve a buscar
+   */
+  async getSearchPageResults(query) {
+    if (!query) return [];
+    if (this.searchPageResults?.query === query) return this.searchPageResults.results;
+
+    await searchIndex.ready;
+    const results = await searchIndex.search(query, { limit: ConfigManager.get('search.pageLimit', 200) });
+    this.searchPageResults = { query, results };
+    return results;
+  }
+
+  /**
+   * Renderiza la página de resultados con pestañas por tipo y facetas
+   */
+  renderSearchPage(state, results) {
+    const container = DOMUtils.$('#main-content');
+    if (!container) return;
+
+    const tabCounts = searchFacets.getTabCounts(results, state);
+    // Sin pestaña en la URL se abre la primera que tenga resultados
+    const tab = searchFacets.getTab(state.tab) || SEARCH_TABS.find(({ id }) => tabCounts[id] > 0) || SEARCH_TABS[0];
+    const visible = searchFacets.filter(results, state).filter(result => result.type === tab.type);
+    const total = tabCounts[tab.id];
+
+    let body = '';
+    if (!state.q) {
+      body = html`<p class="search-page__empty">Busca comunidades, historias o patrocinadores.</p>`;
+    } else {
+      body = html`
+        <nav class="search-tabs" aria-label="Tipo de resultado">
+          ${SEARCH_TABS.map(item => html`
+            <a class="search-tabs__tab" href="${this.urlFor('search', {}, searchFacets.toQuery({ ...state, tab: item.id }))}"
+               data-search-tab="${item.id}"
+               ${item.id === tab.id ? unsafeHTML('aria-current="page"') : ''}>
+              ${item.label} <span class="search-tabs__count">${tabCounts[item.id]}</span>
+            </a>
+          `)}
+        </nav>
+
+        <div class="search-page__body">
+          ${this.renderSearchFacets(state, results, tab)}
+
+          <div class="search-page__results">
+            <p class="search-page__status" role="status">
+              ${total === 1 ? '1 resultado' : `${total} resultados`}${navigator.onLine ? '' : ' guardados sin conexión'}
+            </p>
+            ${visible.length > 0 ? html`
+              <ul class="search-page__list">
+                ${visible.map(result => html`<li>${this.renderSearchResult(result)}</li>`)}
+              </ul>
+            ` : html`
+              <div class="empty-state">
+                <p>No hay ${tab.label.toLowerCase()} que coincidan${searchFacets.hasFilters(state) ? ' con estos filtros' : ''}.</p>
+              </div>
+            `}
+          </div>
+        </div>
+      `;
+    }
+
+    TemplateUtils.render(container, html`
+      <section class="search-page" aria-labelledby="search-title">
+        <header class="search-page__header">
+          <h1 id="search-title">${state.q ? html`Resultados de «${state.q}»` : 'Buscar'}</h1>
+          <form class="search-page__form" role="search" data-search-page-form>
+            <label class="sr-only" for="search-page-query">Buscar</label>
+            <input type="search" id="search-page-query" name="q" value="${state.q}" class="search-page__input" autocomplete="off">
+            <button type="submit" class="btn-primary">Buscar</button>
+          </form>
+        </header>
+        ${body}
+      </section>
+    `);
+
+    this.setupSearchPage(container, state, tab);
+  }
+
+  /**
+   * Facetas de la pestaña activa con el recuento de cada opción
+   */
+  renderSearchFacets(state, results, tab) {
+    const facets = searchFacets.getFacetCounts(results, state, tab.type);
+    const thresholds = searchFacets.getThresholds(tab.type);
+
+    if (facets.length === 0 && thresholds.length === 0) return '';
+
+    return html`
+      <form class="search-facets" data-search-facets aria-label="Filtros">
+        ${facets.map(facet => html`
+          <fieldset class="search-facets__group">
+            <legend class="search-facets__legend">${facet.label}</legend>
+            ${facet.options
+              .filter(option => option.count > 0 || option.selected)
+              .map(option => html`
+                <label class="search-facets__option">
+                  <input type="checkbox" id="facet-${facet.id}-${option.value}" name="${facet.id}" value="${option.value}"
+                         ${option.selected ? unsafeHTML('checked') : ''}>
+                  <span class="search-facets__label">${option.label}</span>
+                  <span class="search-facets__count">${option.count}</span>
+                </label>
+              `)}
+          </fieldset>
+        `)}
+
+        ${thresholds.length > 0 ? html`
+          <fieldset class="search-facets__group">
+            <legend class="search-facets__legend">Tamaño</legend>
+            ${thresholds.map(threshold => html`
+              <label class="search-facets__threshold" for="facet-${threshold.id}">${threshold.label}</label>
+              <input type="number" id="facet-${threshold.id}" name="${threshold.id}" min="0" step="${threshold.step}"
+                     value="${state.thresholds[threshold.id] ?? ''}" inputmode="numeric">
+            `)}
+          </fieldset>
+        ` : ''}
+
+        ${searchFacets.hasFilters(state) ? html`
+          <a class="btn-tertiary search-facets__clear" data-search-clear
+             href="${this.urlFor('search', {}, { q: state.q, type: state.tab })}">Quitar filtros</a>
+        ` : ''}
+      </form>
+    `;
+  }
+
+  /**
+   * Destino, imagen y etiqueta de un resultado de búsqueda (comunidad, historia o patrocinador)
+   */
+  getSearchResultView(result) {
+    const item = result.item;
+
+    switch (result.type) {
+      case SEARCH_RESULT_TYPES.STORY:
+        return {
+          href: this.urlFor('story', { slug: item.slug }),
+          image: item.media?.images?.[0]?.url,
+          label: item.community?.name || 'Historia'
+        };
+      case SEARCH_RESULT_TYPES.SPONSOR: {
+        // Sin web propia el patrocinador lleva a lo primero que apoya
+        const support = item.supports?.[0];
+        return {
+          href: item.website || (support && this.urlFor(support.type === SEARCH_RESULT_TYPES.STORY ? 'story' : 'community', { slug: support.slug })) || '#',
+          image: item.logo,
+          label: item.supports?.length ? `Apoya ${item.supports.map(entry => entry.name).join(', ')}` : 'Patrocinador'
+        };
+      }
+      default:
+        return {
+          href: this.urlFor('community', { slug: item.slug }),
+          image: item.image,
+          label: CONSTANTS.category(item.categoryId)?.name || item.category?.name
+        };
+    }
+  }
+
+  /**
+   * Resultado de búsqueda como enlace o, con `optionId`, como opción del combobox de la cabecera
+   */
+  renderSearchResult(result, optionId = null) {
+    const { href, image, label } = this.getSearchResultView(result);
+    const content = html`
+      <div class="search-result__image">
+        <img src="${image || '/assets/images/placeholder.png'}" alt="" loading="lazy">
+      </div>
+      <div class="search-result__content">
+        <h4 class="search-result__title">${result.title}</h4>
+        <p class="search-result__description">${result.snippet}</p>
+        <span class="search-result__category">${label}</span>
+      </div>
+    `;
+
+    if (optionId) {
+      return html`
+        <div id="${optionId}" role="option" aria-selected="false" class="search-result search-result--${result.type}"
+             data-search-href="${href}">
+          ${content}
+        </div>
+      `;
+    }
+
+    return html`<a href="${href}" class="search-result search-result--${result.type}">${content}</a>`;
+  }
+
+  /**
+   * Lleva al URL cada cambio de consulta, pestaña o filtro
+   */
+  setupSearchPage(container, state, tab) {
+    const form = DOMUtils.$('[data-search-page-form]', container);
+    form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const q = form.elements.q.value.trim();
+      // Una consulta nueva empieza sin filtros
+      this.router.navigate(this.urlFor('search', {}, { q, type: state.tab }));
+    });
+
+    const facets = DOMUtils.$('[data-search-facets]', container);
+    if (!facets) return;
+
+    facets.addEventListener('submit', (e) => e.preventDefault());
+
+    facets.addEventListener('change', (e) => {
+      const next = {
+        ...state,
+        tab: tab.id,
+        facets: { ...state.facets },
+        thresholds: { ...state.thresholds }
+      };
+
+      if (e.target.type === 'checkbox') {
+        next.facets[e.target.name] = DOMUtils.$$(`input[name="${e.target.name}"]:checked`, facets).map(input => input.value);
+      } else if (e.target.name in next.thresholds) {
+        const value = parseFloat(e.target.value);
+        next.thresholds[e.target.name] = Number.isFinite(value) && value > 0 ? value : null;
+      }
+
+      this.searchPageFocus = `#${CSS.escape(e.target.id)}`;
+      this.router.updateQuery(searchFacets.toQuery(next));
+    });
+  }
+
+  // === MAPA DE COMUNIDADES ===
+
+  /**
+   * Renderiza el mapa de comunidades junto a su lista y el filtro de cercanía
+   */
+  renderCommunitiesMap(communities) {
+    const container = DOMUtils.$('#main-content');
+    if (!container) return;
+
+    const located = communities.filter(community =>
+      Number.isFinite(community.location?.latitude) && Number.isFinite(community.location?.longitude)
+    );
+    const location = GeolocationUtils.getSavedLocation();
+    const radius = this.getCommunitiesMapRadius();
+
+    TemplateUtils.render(container, html`
+      <section class="communities-map" aria-labelledby="communities-map-title">
+        <header class="communities-map__header">
+          <h1 id="communities-map-title">Mapa de comunidades</h1>
+          <a class="btn-tertiary" href="${this.urlFor('communities')}">Ver como cuadrícula</a>
+        </header>
+
+        <div class="communities-map__body">
+          <div class="communities-map__sidebar">
+            <form class="communities-map__near" data-map-near>
+              <fieldset class="communities-map__fieldset">
+                <legend class="communities-map__legend">Cerca de</legend>
+                <p class="communities-map__location" data-map-location aria-live="polite">
+                  ${location ? `📍 ${location.label || 'Tu ubicación'}` : 'Indica dónde estás para ver las comunidades cercanas.'}
+                </p>
+
+                <div class="communities-map__geo" data-map-geo hidden>
+                  <button type="button" class="btn-secondary" data-map-use-location>Usar mi ubicación</button>
+                  <p class="communities-map__hint" data-map-geo-hint></p>
+                </div>
+
+                <label class="communities-map__label" for="map-city">Ciudad</label>
+                <div class="communities-map__city">
+                  <input type="text" id="map-city" name="city" autocomplete="address-level2"
+                         value="${location?.source === 'manual' ? location.label : ''}">
+                  <button type="submit" class="btn-secondary">Buscar</button>
+                </div>
+
+                <label class="communities-map__label" for="map-radius">Distancia</label>
+                <select id="map-radius" name="radius">
+                  ${ConfigManager.get('maps.nearbyRadii', [10, 25, 50, 100, 250]).map(km => html`
+                    <option value="${km}" ${km === radius ? unsafeHTML('selected') : ''}>A menos de ${km} km</option>
+                  `)}
+                  <option value="" ${radius ? '' : unsafeHTML('selected')}>Cualquier distancia</option>
+                </select>
+
+                <button type="button" class="btn-tertiary" data-map-clear-location ${location ? '' : unsafeHTML('hidden')}>
+                  Quitar ubicación
+                </button>
+              </fieldset>
+            </form>
+
+            <div class="communities-map__results" data-map-results></div>
+          </div>
+
+          <div class="community-map" data-community-map></div>
+        </div>
+      </section>
+    `);
+
+    this.setupCommunitiesMap(container, located, communities.length - located.length);
+  }
+
+  /**
+   * Radio del filtro de cercanía en km (null = cualquier distancia)
+   */
+  getCommunitiesMapRadius() {
+    return this.communitiesMapRadius !== undefined
+      ? this.communitiesMapRadius
+      : ConfigManager.get('maps.nearbyRadius', 50);
+  }
+
+  /**
+   * Comunidades a mostrar y su distancia a la ubicación guardada (sin conexión, con el índice geohash)
+   */
+  getVisibleMapCommunities(located) {
+    const location = GeolocationUtils.getSavedLocation();
+    if (!location) return { communities: located, distances: new Map(), location: null };
+
+    const radius = this.getCommunitiesMapRadius();
+    const communities = radius
+      ? communityManager.filterCommunities(located, { near: location, maxDistance: radius })
+      : located.slice();
+
+    const distances = new Map(communities.map(community => [
+      community.id,
+      GeolocationUtils.calculateDistance(location.latitude, location.longitude, community.location.latitude, community.location.longitude)
+    ]));
+    communities.sort((a, b) => distances.get(a.id) - distances.get(b.id));
+
+    return { communities, distances, location };
+  }
+
+  /**
+   * Lista y marcadores de las comunidades visibles
+   */
+  renderCommunitiesMapResults(container, located, missing) {
+    const results = DOMUtils.$('[data-map-results]', container);
+    const map = this.communitiesMap;
+    if (!results || !map) return;
+
+    const { communities, distances, location } = this.getVisibleMapCommunities(located);
+    const radius = this.getCommunitiesMapRadius();
+    const count = communities.length === 1 ? '1 comunidad' : `${communities.length} comunidades`;
+
+    let status = `${count} en el mapa${missing > 0 ? ` · ${missing} sin ubicación` : ''}`;
+    if (location) {
+      status = radius ? `${count} a menos de ${radius} km` : `${count} por cercanía`;
+    }
+
+    TemplateUtils.render(results, html`
+      <p class="communities-map__status" role="status">${status}</p>
+      ${communities.length > 0 ? html`
+        <ul class="communities-map__list">
+          ${communities.map(community => {
+            const category = CONSTANTS.category(community.categoryId);
+            const meta = [
+              category ? `${category.icon} ${category.name}` : null,
+              community.location.city,
+              distances.has(community.id) ? GeolocationUtils.formatDistance(distances.get(community.id)) : null
+            ].filter(Boolean).join(' · ');
+
+            return html`
+              <li class="communities-map__item" data-community-id="${community.id}"
+                  style="${`--marker-color: ${mapProviders.getMarkerColor(community)}`}">
+                <a class="communities-map__name" href="${this.urlFor('community', { slug: community.slug })}">${community.name}</a>
+                <span class="communities-map__meta">${meta}</span>
+                <button type="button" class="btn-tertiary communities-map__locate" data-map-locate
+                        aria-label="${`Ver ${community.name} en el mapa`}">Ver en el mapa</button>
+              </li>
+            `;
+          })}
+        </ul>
+      ` : html`
+        <div class="empty-state">
+          <p>${location ? 'No hay comunidades a esa distancia. Prueba con un radio mayor.' : 'Todavía no hay comunidades con ubicación.'}</p>
+        </div>
+      `}
+    `);
+
+    map.setMarkers(communities.map(community => ({
+      id: community.id,
+      lat: community.location.latitude,
+      lng: community.location.longitude,
+      label: community.name,
+      color: mapProviders.getMarkerColor(community)
+    })));
+
+    // Se encuadra cuando el contenedor ya tiene tamaño
+    requestAnimationFrame(() => {
+      if (communities.length > 0) {
+        map.fitBounds();
+      } else if (location) {
+        map.setView({ lat: location.latitude, lng: location.longitude }, ConfigManager.get('maps.defaultZoom', 10));
+      } else {
+        map.setView(ConfigManager.get('maps.defaultCenter', { lat: 0, lng: 0 }), ConfigManager.get('maps.minZoom', 2));
+      }
+    });
+  }
+
+  /**
+   * Crea el mapa del proveedor configurado y sincroniza lista, marcadores y filtro de cercanía
+   */
+  setupCommunitiesMap(container, located, missing) {
+    this.destroyCommunitiesMap();
+
+    const element = DOMUtils.$('[data-community-map]', container);
+    const results = DOMUtils.$('[data-map-results]', container);
+    if (!element || !results) return;
+
+    const map = mapProviders.create().mount(element);
+    this.communitiesMap = map;
+
+    const update = () => this.renderCommunitiesMapResults(container, located, missing);
+    update();
+
+    const getItem = id => (id ? DOMUtils.$(`[data-community-id="${CSS.escape(id)}"]`, results) : null);
+
+    // Mapa -> lista
+    map.on('hover', (id) => {
+      DOMUtils.$$('.communities-map__item.is-highlighted', results).forEach(item => item.classList.remove('is-highlighted'));
+      getItem(id)?.classList.add('is-highlighted');
+    });
+
+    map.on('select', (id) => {
+      DOMUtils.$$('.communities-map__item[aria-current]', results).forEach(item => item.removeAttribute('aria-current'));
+
+      const item = getItem(id);
+      if (item) {
+        item.setAttribute('aria-current', 'true');
+        item.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+      }
+    });
+
+    // Lista -> mapa
+    const highlight = (e) => {
+      map.highlight(e.target.closest('.communities-map__item')?.dataset.communityId || null);
+    };
+    results.addEventListener('pointerover', highlight);
+    results.addEventListener('focusin', highlight);
+    results.addEventListener('pointerleave', () => map.highlight(null));
+    results.addEventListener('focusout', () => map.highlight(null));
+
+    results.addEventListener('click', (e) => {
+      if (!e.target.closest('[data-map-locate]')) return;
+
+      const id = e.target.closest('.communities-map__item').dataset.communityId;
+      map.select(id);
+      map.emit('select', id);
+    });
+
+    this.setupCommunitiesMapLocation(container, update);
+  }
+
+  /**
+   * Ubicación por GPS (según el estado del permiso) o por ciudad, y radio de búsqueda
+   */
+  setupCommunitiesMapLocation(container, update) {
+    const form = DOMUtils.$('[data-map-near]', container);
+    if (!form) return;
+
+    const status = DOMUtils.$('[data-map-location]', form);
+    const geo = DOMUtils.$('[data-map-geo]', form);
+    const useLocation = DOMUtils.$('[data-map-use-location]', form);
+    const hint = DOMUtils.$('[data-map-geo-hint]', form);
+    const clear = DOMUtils.$('[data-map-clear-location]', form);
+
+    const setLocation = (location) => {
+      if (location) {
+        GeolocationUtils.saveLocation(location);
+      } else {
+        GeolocationUtils.clearLocation();
+      }
+
+      status.textContent = location
+        ? `📍 ${location.label || 'Tu ubicación'}`
+        : 'Indica dónde estás para ver las comunidades cercanas.';
+      clear.hidden = !location;
+      update();
+    };
+
+    // El botón solo se ofrece si el navegador puede preguntar o ya tiene permiso
+    const showPermission = (state) => {
+      geo.hidden = state === 'unsupported';
+      useLocation.hidden = state === 'denied';
+      hint.textContent = {
+        prompt: 'Tu navegador te pedirá permiso. La ubicación solo se guarda en este dispositivo.',
+        denied: 'La ubicación está bloqueada en tu navegador. Escribe tu ciudad o vuelve a permitirla en los ajustes del sitio.'
+      }[state] || '';
+    };
+
+    GeolocationUtils.getPermissionState().then(showPermission);
+    this.communitiesMapCleanup = GeolocationUtils.onPermissionChange(showPermission);
+
+    useLocation.addEventListener('click', async () => {
+      useLocation.disabled = true;
+      useLocation.textContent = 'Buscando…';
+
+      try {
+        const position = await GeolocationUtils.getCurrentPosition();
+        setLocation({ ...position, label: 'Tu ubicación', source: 'gps' });
+      } catch (error) {
+        if (error.denied) {
+          showPermission('denied');
+          form.elements.city.focus();
+        } else {
+          this.showToast('error', 'No se pudo obtener tu ubicación', error.message);
+        }
+      } finally {
+        useLocation.disabled = false;
+        useLocation.textContent = 'Usar mi ubicación';
+      }
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const city = form.elements.city.value.trim();
+      if (!city) return;
+
+      const [place] = await GeolocationUtils.findCity(city);
+      if (!place) {
+        status.textContent = `No encontramos «${city}». Prueba con otra ciudad${navigator.onLine ? '' : ' o conéctate a internet'}.`;
+        return;
+      }
+
+      form.elements.city.value = place.label;
+      setLocation({ ...place, source: 'manual' });
+    });
+
+    form.elements.radius.addEventListener('change', (e) => {
+      this.communitiesMapRadius = parseFloat(e.target.value) || null;
+      update();
+    });
+
+    clear.addEventListener('click', () => {
+      form.elements.city.value = '';
+      setLocation(null);
+      form.elements.city.focus();
+    });
+  }
+
+  /**
+   * Quita el mapa al salir de la ruta
+   */
+  destroyCommunitiesMap() {
+    this.communitiesMapCleanup?.();
+    this.communitiesMapCleanup = null;
+    this.communitiesMap?.destroy();
+    this.communitiesMap = null;
+  }
+
+  // === EXPORTACIÓN ===
+
+  /**
+   * Botones de exportación habilitados en la configuración
+   */
+  renderStoryExport() {
+    const formats = [
+      { format: EXPORT_FORMATS.PDF, label: 'Descargar PDF' },
+      { format: EXPORT_FORMATS.EPUB, label: 'Descargar EPUB' }
+    ].filter(({ format }) => storyExporter.isEnabled(format));
+
+    if (formats.length === 0) return '';
+
+    return html`
+      <div class="story-export" id="story-export">
+        ${formats.map(({ format, label }) => html`
+          <button type="button" class="btn-tertiary" data-story-export="${format}">${label}</button>
+        `)}
+      </div>
+    `;
+  }
+
+  /**
+   * Exporta la historia en el idioma que se está leyendo
+   */
+  setupStoryExport(story) {
+    const container = DOMUtils.$('#story-export');
+    if (!container) return;
+
+    container.addEventListener('click', async event => {
+      const button = event.target.closest('[data-story-export]');
+      if (!button || button.disabled) return;
+
+      button.disabled = true;
+      button.setAttribute('aria-busy', 'true');
+
+      try {
+        await storyExporter.export(button.dataset.storyExport, story);
+      } catch (error) {
+        this.showToast('error', 'No se pudo exportar la historia', error.message);
+      } finally {
+        button.disabled = false;
+        button.removeAttribute('aria-busy');
+      }
+    });
+  }
+
+  // === INSERCIÓN EN OTRAS WEBS ===
+
+  /**
+   * Renderiza la historia con el mínimo de interfaz y la atribución a sus sponsors
+   *
+   * Las historias por capítulos muestran el capítulo de la URL (el primero por defecto).
+   */
+  renderStoryEmbed(story, chapter = null) {
+    const container = DOMUtils.$('#main-content');
+    if (!container) return;
+
+    this.releaseStoryBlocks();
+
+    const storyUrl = window.location.origin +
+      this.urlFor('story', { slug: story.slug, chapter: chapter?.slug }, this.getLanguageQuery(story));
+    const hasMoreChapters = Boolean(chapter) && story.chapters.indexOf(chapter) < story.chapters.length - 1;
+
+    TemplateUtils.render(container, html`
+      <div class="story-embed" id="story-view">
+        <article class="story-view story-embed__article">
+          <header class="story-embed__header">
+            ${story.community?.name ? html`<p class="story-embed__community">${story.community.name}</p>` : ''}
+            <h1 class="story-embed__title" ${this.getStoryLangAttrs(story)}>${story.title}</h1>
+            ${chapter ? html`<p class="story-embed__chapter" ${this.getStoryLangAttrs(story)}>${chapter.title}</p>` : ''}
+          </header>
+
+          ${this.renderTranslationNotice(story)}
+
+          <div class="story-content" id="story-content" ${this.getStoryLangAttrs(story)}>
+            ${this.hasBranchingNarrative(story)
+              ? html`<p class="story-embed__description">${story.description}</p>`
+              : this.renderStoryContent((chapter ? chapter.content : story.content) || [])}
+          </div>
+
+          <footer class="story-embed__footer">
+            ${story.sponsors?.length > 0 ? html`
+              <div class="story-embed__sponsors">
+                <span class="story-embed__sponsors-label">Con el apoyo de</span>
+                <ul class="story-embed__sponsor-list">
+                  ${story.sponsors.map(sponsor => html`
+                    <li class="story-embed__sponsor">
+                      ${sponsor.logo ? html`<img src="${sponsor.logo}" alt="" class="story-embed__sponsor-logo" loading="lazy">` : ''}
+                      ${sponsor.name}
+                    </li>
+                  `)}
+                </ul>
+              </div>
+            ` : ''}
+            <a class="story-embed__link" href="${storyUrl}" target="_blank" rel="noopener">
+              ${hasMoreChapters || this.hasBranchingNarrative(story) ? 'Seguir leyendo en Community Stories' : 'Ver en Community Stories'}
+            </a>
+          </footer>
+        </article>
+      </div>
+    `);
+
+    this.hydrateStoryBlocks(story);
+    this.setupScrollytelling(story);
+    this.setupEmbedResize();
+  }
+
+  /**
+   * Comunica la altura del contenido a la página que inserta el iframe
+   */
+  setupEmbedResize() {
+    const embed = DOMUtils.$('.story-embed');
+    if (!embed || window.parent === window || typeof ResizeObserver === 'undefined') return;
+
+    let frame = null;
+    const postHeight = () => {
+      frame = null;
+      window.parent.postMessage({
+        type: EMBED_RESIZE_MESSAGE,
+        height: Math.ceil(embed.getBoundingClientRect().height),
+        path: window.location.pathname
+      }, '*');
+    };
+
+    // La altura no es un dato sensible: se envía a cualquier origen
+    this.embedResizeObserver?.disconnect();
+    this.embedResizeObserver = new ResizeObserver(() => {
+      if (!frame) {
+        frame = requestAnimationFrame(postHeight);
+      }
+    });
+    this.embedResizeObserver.observe(embed);
+  }
+
+  /**
+   * Código de inserción (iframe con redimensionado automático)
+   */
+  getEmbedCode(story) {
+    const origin = window.location.origin;
+    const src = origin + this.urlFor('story-embed', { slug: story.slug }, this.getLanguageQuery(story));
+    const height = ConfigManager.get('stories.sharing.embed.defaultHeight', 600);
+    const maxWidth = ConfigManager.get('stories.sharing.embed.maxWidth', 720);
+
+    return String(html`<iframe src="${src}" title="${story.title}" width="100%" height="${height}" style="border:0;max-width:${maxWidth}px" loading="lazy" data-community-story></iframe>
+<script async src="${origin}/js/embed/story-embed.js"></script>`);
+  }
+
+  /**
+   * Panel con el código de inserción
+   */
+  renderEmbedCode(story) {
+    if (!ConfigManager.get('stories.sharing.embedCode', false)) return '';
+
+    return html`
+      <details class="story-embed-code">
+        <summary class="btn-tertiary">Insertar en tu web</summary>
+        <label class="story-embed-code__label" for="story-embed-code">
+          Copia este código en tu página; el marco se ajusta solo a la altura de la historia.
+        </label>
+        <textarea class="story-embed-code__input" id="story-embed-code" rows="4" readonly>${this.getEmbedCode(story)}</textarea>
+        <button type="button" class="btn-secondary" data-embed-copy>Copiar código</button>
+        <span class="story-embed-code__status" aria-live="polite"></span>
+      </details>
+    `;
+  }
+
+  /**
+   * Copia el código de inserción al portapapeles
+   */
+  setupEmbedCode() {
+    const panel = DOMUtils.$('.story-embed-code');
+    if (!panel) return;
+
+    const input = DOMUtils.$('.story-embed-code__input', panel);
+    const status = DOMUtils.$('.story-embed-code__status', panel);
+
+    input.addEventListener('focus', () => input.select());
+
+    DOMUtils.$('[data-embed-copy]', panel).addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(input.value);
+        status.textContent = 'Código copiado';
+      } catch (error) {
+        // Sin permiso de portapapeles queda el texto seleccionado para copiarlo a mano
+        input.select();
+        status.textContent = 'Pulsa Ctrl+C para copiar';
+      }
+    });
+  }
+
+  /**
+   * Enlace de descubrimiento oEmbed de la historia (null lo elimina)
+   */
+  updateEmbedDiscovery(story) {
+    DOMUtils.$('link[data-oembed]', document.head)?.remove();
+
+    if (!story || !ConfigManager.get('stories.sharing.embedCode', false)) return;
+
+    const storyUrl = window.location.origin + this.urlFor('story', { slug: story.slug });
+    document.head.appendChild(DOMUtils.createElement('link', {
+      rel: 'alternate',
+      type: 'application/json+oembed',
+      href: `/api/oembed?url=${encodeURIComponent(storyUrl)}&format=json`,
+      title: story.title,
+      'data-oembed': ''
+    }));
+  }
+
+  // === CAPÍTULOS ===
+
+  /**
+   * Indica si la historia se lee por capítulos con URL propia
+   */
+  hasChapters(story) {
+    return Boolean(story?.chapters?.length) && !this.hasBranchingNarrative(story);
+  }
+
+  /**
+   * Renderiza índice, capítulo actual y controles anterior/siguiente
+   */
+  renderChapterLayout(story, chapter) {
+    const index = story.chapters.indexOf(chapter);
+    const previous = story.chapters[index - 1] || null;
+    const next = story.chapters[index + 1] || null;
+    const chapterUrl = item => this.urlFor('story', { slug: story.slug, chapter: item.slug }, this.getLanguageQuery(story));
+
+    return html`
+      <div class="story-chapters">
+        ${this.renderChapterToc(story, chapter)}
+
+        <div class="story-content" id="story-content" ${this.getStoryLangAttrs(story)}>
+          <section class="story-chapter" data-chapter-id="${chapter.id}" aria-labelledby="chapter-title">
+            <header class="story-chapter__header">
+              <span class="story-chapter__number">Capítulo ${index + 1} de ${story.chapters.length}</span>
+              <h2 class="story-chapter__title" id="chapter-title">${chapter.title}</h2>
+            </header>
+            ${this.renderStoryContent(chapter.content)}
+          </section>
+
+          <nav class="story-chapter-nav" aria-label="Navegación entre capítulos">
+            ${previous ? html`
+              <a class="story-chapter-nav__link story-chapter-nav__link--prev" href="${chapterUrl(previous)}" rel="prev">
+                <span class="story-chapter-nav__label">Capítulo anterior</span>
+                <span class="story-chapter-nav__title">${previous.title}</span>
+              </a>
+            ` : ''}
+            ${next ? html`
+              <a class="story-chapter-nav__link story-chapter-nav__link--next" href="${chapterUrl(next)}" rel="next">
+                <span class="story-chapter-nav__label">Siguiente capítulo</span>
+                <span class="story-chapter-nav__title">${next.title}</span>
+              </a>
+            ` : ''}
+          </nav>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza el índice fijo con el progreso de cada capítulo
+   */
+  renderChapterToc(story, currentChapter) {
+    const record = readingProgress.getRecord(story.id);
+
+    return html`
+      <nav class="story-toc" aria-label="Capítulos">
+        <h2 class="story-toc__title">Capítulos</h2>
+        <ol class="story-toc__list" ${this.getStoryLangAttrs(story)}>
+          ${story.chapters.map(chapter => {
+            const progress = Math.round(Math.max(chapter.progress, record?.chapters?.[chapter.id] || 0));
+            const current = chapter === currentChapter;
+
+            return html`
+              <li class="story-toc__item ${current ? 'story-toc__item--current' : ''}" data-toc-chapter="${chapter.id}">
+                <a class="story-toc__link" href="${this.urlFor('story', { slug: story.slug, chapter: chapter.slug }, this.getLanguageQuery(story))}"
+                   ${current ? unsafeHTML('aria-current="page"') : ''}>
+                  <span class="story-toc__label">${chapter.title}</span>
+                  ${chapter.duration ? html`<span class="story-toc__duration">${chapter.duration} min</span>` : ''}
+                </a>
+                <div class="story-toc__progress" role="progressbar" aria-label="Progreso del capítulo"
+                     aria-valuemin="0" aria-valuemax="100" aria-valuenow="${progress}">
+                  <span class="story-toc__progress-bar" style="width: ${progress}%"></span>
+                </div>
+              </li>
+            `;
+          })}
+        </ol>
+      </nav>
+    `;
+  }
+
+  /**
+   * Actualiza la barra de progreso del capítulo en el índice
+   */
+  handleChapterProgress(eventData) {
+    const { chapterId, chapterProgress } = eventData.data;
+    if (!chapterId) return;
+
+    const item = DOMUtils.$(`[data-toc-chapter="${CSS.escape(chapterId)}"]`);
+    if (!item) return;
+
+    const progress = Math.round(chapterProgress);
+    const bar = DOMUtils.$('.story-toc__progress', item);
+    const fill = DOMUtils.$('.story-toc__progress-bar', item);
+
+    if (Number(bar.getAttribute('aria-valuenow')) >= progress) return;
+
+    bar.setAttribute('aria-valuenow', progress);
+    fill.style.width = `${progress}%`;
+  }
+
+  /**
+   * Renderiza contenido de historia (cada tipo de bloque se pinta desde storyBlocks)
+   */
+  renderStoryContent(contentBlocks) {
+    return storyBlocks.renderAll(contentBlocks);
+  }
+
+  /**
+   * Renderiza sponsors de historia
+   */
+  renderStorySponsors(sponsors) {
+    const sponsorsByTier = ArrayUtils.groupBy(sponsors, 'tier');
+    
+    return html`
+      <section class="story-sponsors">
+        <h3 class="story-sponsors__title">Patrocinadores</h3>
+        <div class="story-sponsors__grid">
+          ${Object.entries(sponsorsByTier).map(([tier, tierSponsors]) => html`
+            <div class="sponsor-tier sponsor-tier--${tier}">
+              <h4 class="sponsor-tier__title">${SPONSOR_TIERS[tier.toUpperCase()]?.name || tier}</h4>
+              <div class="sponsor-list">
+                ${tierSponsors.map(sponsor => html`
+                  <div class="sponsor-item">
+                    <img src="${sponsor.logo}" alt="${sponsor.name}" class="sponsor-logo">
+                    <span class="sponsor-name">${sponsor.name}</span>
+                  </div>
+                `)}
+              </div>
+            </div>
+          `)}
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Configura interacciones de historia
+   */
+  setupStoryInteractions(story) {
+    // Narrativa ramificada: pinta el recorrido guardado del lector
+    if (this.hasBranchingNarrative(story)) {
+      this.setupNarrative(story);
+    }
+
+    // Configurar observación de progreso
+    this.observeStorySections();
+
+    // Animaciones ligadas al scroll (o artículo plano con movimiento reducido)
+    this.setupScrollytelling(story);
+
+    // Bloques interactivos (galerías, comparadores, mapas...)
+    this.hydrateStoryBlocks(story);
+    
+    // Configurar controles de audio (sin pistas se libera el audio de la historia anterior)
+    this.setupAudioNarration(story);
+    
+    // Configurar interacciones personalizadas
+    if (story.interactions) {
+      this.setupCustomInteractions(story.interactions, story);
+    }
+
+    // Acción de descarga para leer sin conexión
+    this.setupOfflinePack(story);
+
+    // Selector de idioma
+    this.setupLanguageSwitcher();
+
+    // Exportación a PDF y EPUB
+    this.setupStoryExport(story);
+
+    // Código para insertar la historia
+    this.setupEmbedCode();
+  }
+
+  /**
+   * Observa las secciones pintadas para el tracking de progreso
+   */
+  observeStorySections() {
+    if (!storyLoader.intersectionObserver) return;
+
+    DOMUtils.$$('[data-story-section]').forEach(element => {
+      storyLoader.intersectionObserver.observe(element);
+    });
+  }
+
+  /**
+   * Hidrata los bloques pintados y libera los de la vista anterior
+   */
+  hydrateStoryBlocks(story) {
+    const container = DOMUtils.$('#story-view');
+    if (!container) return;
+
+    // Los bloques conservados por una lista con clave ya están hidratados y mantienen su limpieza
+    const dispose = storyBlocks.hydrate(container, story);
+    const previous = this.disposeStoryBlocks;
+
+    this.disposeStoryBlocks = previous
+      ? () => { previous(); dispose(); }
+      : dispose;
+  }
+
+  /**
+   * Limpia los bloques hidratados antes de sustituir la vista
+   */
+  releaseStoryBlocks() {
+    if (this.disposeStoryBlocks) {
+      this.disposeStoryBlocks();
+      this.disposeStoryBlocks = null;
+    }
+  }
+
+  /**
+   * Conecta el motor de scrollytelling al contenido de la historia
+   */
+  setupScrollytelling(story) {
+    const container = DOMUtils.$('#story-content');
+    if (container) {
+      scrollytelling.attach(container, story);
+    }
+  }
+
+  // === AUDIO Y MINI REPRODUCTOR ===
+
+  /**
+   * Prepara el audio de la historia y muestra el mini reproductor
+   */
+  setupAudioNarration(story) {
+    if (!audioEngine.loadStory(story)) {
+      // Sin audio reproducible no debe quedar a la vista la pista de la historia anterior
+      const player = DOMUtils.$('#audio-mini-player');
+      if (player) player.hidden = true;
+      return;
+    }
+
+    this.setupMiniPlayer();
+    this.updateMiniPlayer({ data: audioEngine.getState() });
+  }
+
+  /**
+   * Crea el mini reproductor persistente (sobrevive a la navegación)
+   */
+  setupMiniPlayer() {
+    if (DOMUtils.$('#audio-mini-player')) return;
+
+    const player = DOMUtils.createElement('div', {
+      id: 'audio-mini-player',
+      className: 'mini-player',
+      innerHTML: html`
+        <button type="button" class="mini-player__toggle" data-audio-action="toggle" aria-label="Reproducir narración">
+          <span aria-hidden="true">▶</span>
+        </button>
+        <div class="mini-player__info">
+          <span class="mini-player__title"></span>
+          <span class="mini-player__track"></span>
+          <div class="mini-player__progress" role="progressbar" aria-label="Progreso de la narración"
+               aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+            <div class="mini-player__progress-bar"></div>
+          </div>
+        </div>
+        <button type="button" class="mini-player__close" data-audio-action="close" aria-label="Cerrar reproductor">
+          &times;
+        </button>
+      `
+    });
+    player.setAttribute('role', 'region');
+    player.setAttribute('aria-label', 'Reproductor de audio');
+
+    document.body.appendChild(player);
+
+    player.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-audio-action]');
+      if (!button) return;
+
+      if (button.dataset.audioAction === 'toggle') {
+        audioEngine.toggle();
+      } else {
+        audioEngine.pause();
+        player.hidden = true;
+      }
+    });
+
+    this.subscriptions.push(
+      eventBus.on(EVENTS.AUDIO_LOAD, () => { player.hidden = false; }),
+      eventBus.on(EVENTS.AUDIO_PLAY, this.updateMiniPlayer.bind(this)),
+      eventBus.on(EVENTS.AUDIO_PAUSE, this.updateMiniPlayer.bind(this)),
+      eventBus.on(EVENTS.AUDIO_ENDED, this.updateMiniPlayer.bind(this)),
+      eventBus.on(EVENTS.AUDIO_TRACK, this.handleAudioTrack.bind(this)),
+      eventBus.on(EVENTS.AUDIO_PROGRESS, this.updateMiniPlayerProgress.bind(this))
+    );
+  }
+
+  /**
+   * Refleja el estado de reproducción en el mini reproductor
+   */
+  updateMiniPlayer(eventData) {
+    const player = DOMUtils.$('#audio-mini-player');
+    if (!player) return;
+
+    const { title, track, playing } = eventData.data;
+    const toggle = DOMUtils.$('.mini-player__toggle', player);
+
+    DOMUtils.$('.mini-player__title', player).textContent = title;
+    DOMUtils.$('.mini-player__track', player).textContent = track;
+    DOMUtils.$('span', toggle).textContent = playing ? '❚❚' : '▶';
+    toggle.setAttribute('aria-label', playing ? 'Pausar narración' : 'Reproducir narración');
+    player.classList.toggle('mini-player--playing', playing);
+  }
+
+  /**
+   * Actualiza la barra de progreso del mini reproductor
+   */
+  updateMiniPlayerProgress(eventData) {
+    const progress = DOMUtils.$('#audio-mini-player .mini-player__progress');
+    if (!progress) return;
+
+    const { currentTime, duration } = eventData.data;
+    const percent = duration > 0 ? Math.round((currentTime / duration) * 100) : 0;
+
+    progress.setAttribute('aria-valuenow', percent);
+    DOMUtils.$('.mini-player__progress-bar', progress).style.width = `${percent}%`;
+  }
+
+  /**
+   * Resalta la sección narrada y actualiza el título de la pista
+   */
+  handleAudioTrack(eventData) {
+    const { title, section } = eventData.data;
+
+    DOMUtils.$$('.story-section--narrating').forEach(element => {
+      element.classList.remove('story-section--narrating');
+    });
+
+    if (section) {
+      const element = DOMUtils.$(`[data-block-id="${CSS.escape(section)}"]`);
+      if (element) element.classList.add('story-section--narrating');
+    }
+
+    const track = DOMUtils.$('#audio-mini-player .mini-player__track');
+    if (track) track.textContent = title;
+  }
+
+  // === NARRATIVA RAMIFICADA ===
+
+  /**
+   * Indica si la historia debe mostrarse como narrativa ramificada
+   */
+  hasBranchingNarrative(story) {
+    return Boolean(story.narrative) && ConfigManager.get('stories.userChoices', true);
+  }
+
+  /**
+   * Carga la narrativa y configura decisiones y rebobinado
+   */
+  setupNarrative(story) {
+    const container = DOMUtils.$('#story-content');
+    if (!container) return;
+
+    try {
+      narrativeEngine.load(story);
+    } catch (error) {
+      // Una narrativa mal formada no debe impedir leer la historia
+      errorHandler.logError({
+        type: 'narrative',
+        message: `Invalid narrative for story ${story.id}`,
+        error: error.message
+      });
+      TemplateUtils.render(container, this.renderStoryContent(story.content || []));
+      return;
+    }
+
+    this.renderNarrative(story);
+
+    container.addEventListener('click', (e) => {
+      const choiceButton = e.target.closest('[data-choice]');
+      const rewindButton = e.target.closest('[data-rewind]');
+
+      if (choiceButton) {
+        this.makeStoryChoice(story, choiceButton.dataset.choice);
+      } else if (rewindButton) {
+        this.rewindStory(story, Number(rewindButton.dataset.rewind));
+      }
+    });
+  }
+
+  /**
+   * Pinta los nodos recorridos, las decisiones tomadas y la decisión pendiente
+   */
+  renderNarrative(story) {
+    const container = DOMUtils.$('#story-content');
+    const state = narrativeEngine.getState(story.id);
+    if (!container || !state) return;
+
+    const blocksById = new Map((story.content || []).map(block => [block.id, block]));
+    const current = state.segments[state.segments.length - 1];
+
+    // Lista con clave: los nodos ya leídos no se repintan (conservan foco y audio o vídeo en curso)
+    const items = state.segments.map((segment, segmentIndex) => ({
+      key: `node:${segmentIndex}:${segment.nodeId}`,
+      render: () => {
+        const blocks = segment.blocks.map(id => blocksById.get(id)).filter(Boolean);
+        const decisionIndex = state.decisions.findIndex(decision => decision.segmentIndex === segmentIndex);
+
+        return html`
+          <section class="story-node story-node--${segment.type}" data-node-id="${segment.nodeId}" tabindex="-1">
+            ${segment.title ? html`<h2 class="story-node__title">${segment.title}</h2>` : ''}
+            ${this.renderStoryContent(blocks)}
+            ${decisionIndex >= 0 ? this.renderStoryDecision(state.decisions[decisionIndex], decisionIndex) : ''}
+          </section>
+        `;
+      }
+    }));
+
+    if (state.choices) {
+      items.push({ key: `choices:${current.nodeId}`, render: () => this.renderStoryChoices(current, state.choices) });
+    }
+
+    if (state.ended) {
+      items.push({ key: 'ending', render: () => this.renderStoryEnding(state) });
+    }
+
+    TemplateUtils.renderList(container, items, item => item.key, item => item.render());
+
+    this.observeStorySections();
+    this.setupScrollytelling(story);
+    this.hydrateStoryBlocks(story);
+
+    // Las interacciones pueden depender de decisiones previas
+    if (story.interactions) {
+      this.setupCustomInteractions(story.interactions, story);
+    }
+  }
 
   /**
-   * Renderiza comunidades destacadas
+   * Renderiza opciones de una decisión pendiente
    */
-  renderFeaturedCommunities(communities) {
-    const container = DOMUtils.$('#featured-communities');
-    if (!container || communities.length === 0) return;
-    
-    const html = communities.map(community => `
-      <article class="community-card" data-community-id="${community.id}">
-        <div class="community-card__media">
-          <img src="${community.image || '/assets/images/placeholder.png'}" 
-               alt="${community.name}"
-               loading="lazy">
-          <div class="community-card__overlay">
-            <span class="community-card__category">${community.category?.name || ''}</span>
-          </div>
-        </div>
-        <div class="community-card__content">
-          <h3 class="community-card__title">
-            <a href="/communities/${community.slug}">${community.name}</a>
-          </h3>
-          <p class="community-card__description">
-            ${StringUtils.truncate(community.description, 120)}
-          </p>
-          <div class="community-card__stats">
-            <span class="stat">
-              <span class="stat__number">${community.stats.members}</span>
-              <span class="stat__label">miembros</span>
-            </span>
-            <span class="stat">
-              <span class="stat__number">${community.stats.stories}</span>
-              <span class="stat__label">historias</span>
-            </span>
-          </div>
+  renderStoryChoices(segment, choices) {
+    const promptId = `story-choice-${segment.nodeId}`;
+
+    return html`
+      <section class="story-choice" aria-labelledby="${promptId}">
+        <h2 class="story-choice__prompt" id="${promptId}">${segment.prompt || '¿Qué ocurre ahora?'}</h2>
+        <div class="story-choice__options" role="group" aria-labelledby="${promptId}">
+          ${choices.map(choice => html`
+            <button type="button" class="story-choice__option" data-choice="${choice.id}">
+              ${choice.label}
+            </button>
+          `)}
         </div>
-      </article>
-    `).join('');
-    
-    container.innerHTML = html;
+      </section>
+    `;
   }
 
   /**
-   * Renderiza grid de historias
+   * Renderiza una decisión ya tomada con opción de volver a ella
    */
-  renderStoriesGrid(communities) {
-    const container = DOMUtils.$('#stories-grid');
-    if (!container) return;
-    
-    // Extraer todas las historias de las comunidades
-    const allStories = communities.reduce((stories, community) => {
-      if (community.stories) {
-        community.stories.forEach(story => {
-          story.community = {
-            id: community.id,
-            name: community.name,
-            slug: community.slug
-          };
-          stories.push(story);
+  renderStoryDecision(decision, index) {
+    return html`
+      <div class="story-decision">
+        <span class="story-decision__label">
+          Elegiste: <strong>${decision.label}</strong>
+        </span>
+        <button type="button" class="story-decision__rewind" data-rewind="${index}">
+          Cambiar esta decisión
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Renderiza el cierre de un final narrativo
+   */
+  renderStoryEnding(state) {
+    return html`
+      <footer class="story-ending">
+        <p class="story-ending__title">Has llegado a un final de la historia</p>
+        ${state.decisions.length > 0 ? html`
+          <button type="button" class="story-ending__restart" data-rewind="0">
+            Empezar de nuevo
+          </button>
+        ` : ''}
+      </footer>
+    `;
+  }
+
+  /**
+   * Toma una decisión y muestra la continuación
+   */
+  makeStoryChoice(story, choiceId) {
+    try {
+      const state = narrativeEngine.choose(story.id, choiceId);
+      this.renderNarrative(story);
+
+      // Llevar el foco al contenido que se acaba de desvelar
+      const decision = state.decisions[state.decisions.length - 1];
+      const nextSegment = state.segments[decision.segmentIndex + 1];
+      if (nextSegment) {
+        const element = DOMUtils.$(`[data-node-id="${CSS.escape(nextSegment.nodeId)}"]`);
+        if (element) element.focus();
+      }
+
+      AccessibilityUtils.announce(`Elegiste: ${decision.label}`, 'polite');
+
+      if (window.AnalyticsUtils) {
+        AnalyticsUtils.trackEvent('story_choice', {
+          storyId: story.id,
+          nodeId: decision.nodeId,
+          choiceId
         });
       }
-      return stories;
-    }, []);
-    
-    if (allStories.length === 0) {
-      container.innerHTML = '<div class="empty-state">No hay historias disponibles</div>';
-      return;
+    } catch (error) {
+      errorHandler.logError({
+        type: 'narrative',
+        message: `Failed to apply choice ${choiceId}`,
+        error: error.message
+      });
     }
-    
-    const html = allStories.map(story => `
-      <article class="story-card" data-story-id="${story.id}">
-        <div class="story-card__media">
-          <img src="${story.image || '/assets/images/story-placeholder.png'}" 
-               alt="${story.title}"
-               loading="lazy">
-          <div class="story-card__duration">
-            ${story.readingStats?.estimatedReadingTime || 5} min
-          </div>
-        </div>
-        <div class="story-card__content">
-          <div class="story-card__meta">
-            <span class="story-card__community">${story.community.name}</span>
-            <span class="story-card__date">${DateUtils.formatRelativeTime(story.publishedAt)}</span>
-          </div>
-          <h3 class="story-card__title">
-            <a href="/stories/${story.slug}">${story.title}</a>
-          </h3>
-          <p class="story-card__description">
-            ${StringUtils.truncate(story.description, 150)}
-          </p>
-        </div>
-      </article>
-    `).join('');
-    
-    container.innerHTML = html;
   }
 
   /**
-   * Renderiza vista de historia
+   * Vuelve a una decisión anterior
    */
-  renderStoryView(story) {
-    const container = DOMUtils.$('#story-view');
-    if (!container) return;
-    
-    container.innerHTML = `
-      <article class="story-view">
-        <header class="story-header">
-          <div class="story-header__background">
-            <img src="${story.media?.images?.[0]?.url || '/assets/images/story-bg.jpg'}" 
-                 alt="${story.title}">
-          </div>
-          <div class="story-header__content">
-            <div class="story-meta">
-              <span class="story-community">${story.community?.name || ''}</span>
-              <span class="story-date">${DateUtils.formatDate(story.publishedAt)}</span>
-            </div>
-            <h1 class="story-title">${story.title}</h1>
-            <p class="story-subtitle">${story.description || ''}</p>
-            <div class="story-stats">
-              <span class="reading-time">${story.readingStats.estimatedReadingTime} min de lectura</span>
-              <span class="difficulty">Nivel: ${story.readingStats.difficulty}</span>
-            </div>
-          </div>
-        </header>
-        
-        <div class="story-content" id="story-content">
-          ${this.renderStoryContent(story.content || [])}
-        </div>
-        
-        ${story.sponsors?.length > 0 ? this.renderStorySponsors(story.sponsors) : ''}
-      </article>
-    `;
-    
-    // Configurar elementos interactivos de la historia
-    this.setupStoryInteractions(story);
+  rewindStory(story, decisionIndex) {
+    try {
+      const previous = narrativeEngine.getState(story.id).decisions[decisionIndex];
+      narrativeEngine.rewind(story.id, decisionIndex);
+      this.renderNarrative(story);
+
+      const choice = DOMUtils.$('.story-choice__prompt');
+      if (choice) {
+        choice.setAttribute('tabindex', '-1');
+        choice.focus();
+      }
+
+      AccessibilityUtils.announce(
+        previous ? 'Puedes volver a elegir' : 'Historia reiniciada',
+        'polite'
+      );
+    } catch (error) {
+      errorHandler.logError({
+        type: 'narrative',
+        message: `Failed to rewind story ${story.id}`,
+        error: error.message
+      });
+    }
   }
 
   /**
-   * Renderiza contenido de historia
+   * Configura interacciones personalizadas declaradas en la historia
    */
-  renderStoryContent(contentBlocks) {
-    return contentBlocks.map((block, index) => {
-      switch (block.type) {
-        case 'paragraph':
-          return `<p class="story-paragraph" data-story-section="${index}">${block.content}</p>`;
-        case 'quote':
-          return `
-            <blockquote class="story-quote" data-story-section="${index}">
-              <p class="story-quote__text">${block.content}</p>
-              ${block.author ? `<cite class="story-quote__author">${block.author}</cite>` : ''}
-            </blockquote>
-          `;
-        case 'image':
-          return `
-            <figure class="story-media" data-story-section="${index}">
-              <img src="${block.url}" alt="${block.alt || ''}" loading="lazy">
-              ${block.caption ? `<figcaption>${block.caption}</figcaption>` : ''}
-            </figure>
-          `;
-        case 'video':
-          return `
-            <figure class="story-media story-media--video" data-story-section="${index}">
-              <video controls preload="metadata">
-                <source src="${block.url}" type="video/mp4">
-                Tu navegador no soporta el elemento video.
-              </video>
-              ${block.caption ? `<figcaption>${block.caption}</figcaption>` : ''}
-            </figure>
-          `;
-        default:
-          return `<div class="story-block" data-story-section="${index}">${block.content}</div>`;
+  setupCustomInteractions(interactions, story) {
+    const view = DOMUtils.$('#story-view');
+    if (!view) return;
+
+    interactions.forEach(interaction => {
+      const target = this.getInteractionTarget(view, interaction.trigger);
+      if (!target) return;
+
+      // Visibilidad condicionada por el recorrido narrativo
+      if (story.narrative) {
+        target.hidden = !narrativeEngine.evaluate(story.id, interaction.conditions);
       }
-    }).join('');
+
+      // Los nodos se repintan; no enlazar dos veces el mismo elemento
+      if (target.dataset.interactionBound === interaction.id) return;
+      target.dataset.interactionBound = interaction.id;
+
+      target.addEventListener(interaction.trigger.event || interaction.type, (e) => {
+        this.runInteraction(interaction, story, view, e);
+      });
+    });
   }
 
   /**
-   * Renderiza sponsors de historia
+   * Obtiene el elemento que dispara una interacción
    */
-  renderStorySponsors(sponsors) {
-    const sponsorsByTier = ArrayUtils.groupBy(sponsors, 'tier');
-    
-    return `
-      <section class="story-sponsors">
-        <h3 class="story-sponsors__title">Patrocinadores</h3>
-        <div class="story-sponsors__grid">
-          ${Object.entries(sponsorsByTier).map(([tier, tierSponsors]) => `
-            <div class="sponsor-tier sponsor-tier--${tier}">
-              <h4 class="sponsor-tier__title">${SPONSOR_TIERS[tier.toUpperCase()]?.name || tier}</h4>
-              <div class="sponsor-list">
-                ${tierSponsors.map(sponsor => `
-                  <div class="sponsor-item">
-                    <img src="${sponsor.logo}" alt="${sponsor.name}" class="sponsor-logo">
-                    <span class="sponsor-name">${sponsor.name}</span>
-                  </div>
-                `).join('')}
-              </div>
-            </div>
-          `).join('')}
-        </div>
-      </section>
-    `;
+  getInteractionTarget(view, trigger = {}) {
+    if (trigger.blockId) {
+      return DOMUtils.$(`[data-block-id="${CSS.escape(trigger.blockId)}"]`, view);
+    }
+    if (trigger.selector) {
+      return DOMUtils.$(trigger.selector, view);
+    }
+    return null;
   }
 
   /**
-   * Configura interacciones de historia
+   * Ejecuta la acción de una interacción
    */
-  setupStoryInteractions(story) {
-    // Configurar observación de progreso
-    const storyElements = DOMUtils.$('[data-story-section]');
-    storyElements.forEach(element => {
-      if (storyLoader.intersectionObserver) {
-        storyLoader.intersectionObserver.observe(element);
+  runInteraction(interaction, story, view, event) {
+    const { action } = interaction;
+
+    switch (action.type) {
+      case 'choice':
+        this.makeStoryChoice(story, action.choice);
+        break;
+      case 'toggle': {
+        const target = this.getInteractionTarget(view, action) || event.currentTarget;
+        target.classList.toggle(action.className || 'is-active');
+        break;
       }
-    });
-    
-    // Configurar controles de audio si hay narración
-    if (story.media?.audio?.length > 0) {
-      this.setupAudioNarration(story.media.audio[0]);
+      case 'reveal': {
+        const target = this.getInteractionTarget(view, action);
+        if (target) target.hidden = false;
+        break;
+      }
+      case 'navigate':
+        this.navigateTo(action.url);
+        break;
+      default:
+        console.warn(`Unknown story interaction action: ${action.type}`);
+        return;
     }
-    
-    // Configurar interacciones personalizadas
-    if (story.interactions) {
-      this.setupCustomInteractions(story.interactions);
+
+    const tracking = storyLoader.progressTracking.get(story.id);
+    if (tracking) {
+      tracking.interactions.push({ id: interaction.id, timestamp: Date.now() });
+    }
+
+    if (interaction.analytics && window.AnalyticsUtils) {
+      AnalyticsUtils.trackEvent('story_interaction', {
+        storyId: story.id,
+        interactionId: interaction.id,
+        action: action.type
+      });
     }
   }
 
@@ -1175,18 +3588,16 @@ class CommunityStoriesApp {
    * Resuelve slug de historia a ID
    */
   async resolveStorySlug(slug) {
-    // En una implementación real, esto haría una consulta a la API
-    // Por ahora, asumimos que el slug es el ID
-    return slug;
+    const resolution = await storyLoader.resolveSlug(slug);
+    return resolution ? resolution.id : null;
   }
 
   /**
    * Resuelve slug de comunidad a ID
    */
   async resolveCommunitySlug(slug) {
-    // En una implementación real, esto haría una consulta a la API
-    // Por ahora, asumimos que el slug es el ID
-    return slug;
+    const resolution = await communityManager.resolveSlug(slug);
+    return resolution ? resolution.id : null;
   }
 
   /**
@@ -1196,7 +3607,7 @@ class CommunityStoriesApp {
     const container = DOMUtils.$('#main-content');
     if (!container) return;
     
-    container.innerHTML = `
+    TemplateUtils.render(container, html`
       <div class="error-page">
         <div class="error-page__content">
           <h1>Oops! Algo salió mal</h1>
@@ -1207,7 +3618,69 @@ class CommunityStoriesApp {
           </div>
         </div>
       </div>
-    `;
+    `);
+  }
+
+  /**
+   * Renderiza panel de patrocinadores
+   */
+  renderSponsorDashboard(dashboard) {
+    const container = DOMUtils.$('#main-content');
+    if (!container) return;
+    
+    const stats = dashboard.stats || {};
+    const stories = dashboard.stories || [];
+    
+    TemplateUtils.render(container, html`
+      <section class="sponsor-dashboard">
+        <header class="sponsor-dashboard__header">
+          <h1>Panel de patrocinadores</h1>
+          <p>${dashboard.name}</p>
+        </header>
+        <div class="sponsor-dashboard__stats">
+          <span class="stat">
+            <span class="stat__number">${StringUtils.formatNumber(stats.reach || 0)}</span>
+            <span class="stat__label">alcance</span>
+          </span>
+          <span class="stat">
+            <span class="stat__number">${StringUtils.formatNumber(stats.totalDonated || 0)}</span>
+            <span class="stat__label">aportado</span>
+          </span>
+          <span class="stat">
+            <span class="stat__number">${stories.length}</span>
+            <span class="stat__label">historias patrocinadas</span>
+          </span>
+        </div>
+        <ul class="sponsor-dashboard__stories">
+          ${stories.map(story => html`
+            <li>
+              <a href="${this.urlFor('story', { slug: story.slug })}">${story.title}</a>
+            </li>
+          `)}
+        </ul>
+      </section>
+    `);
+  }
+
+  /**
+   * Renderiza página 404
+   */
+  renderNotFoundPage(path) {
+    const container = DOMUtils.$('#main-content');
+    if (!container) return;
+    
+    TemplateUtils.render(container, html`
+      <div class="error-page error-page--not-found">
+        <div class="error-page__content">
+          <h1>Página no encontrada</h1>
+          <p>La dirección <code>${path}</code> no existe o ha sido movida.</p>
+          <div class="error-page__actions">
+            <a href="${this.urlFor('stories')}" class="btn-secondary">Ver historias</a>
+            <a href="${this.urlFor('home')}" class="btn-primary">Ir al inicio</a>
+          </div>
+        </div>
+      </div>
+    `);
   }
 
   // === MANEJADORES DE EVENTOS ===
@@ -1269,6 +3742,8 @@ class CommunityStoriesApp {
   handleOffline() {
     this.state = APP_STATES.OFFLINE;
     this.showOfflineNotification();
+
+    eventBus.emit(EVENTS.NETWORK_OFFLINE, {});
   }
 
   /**
@@ -1280,6 +3755,11 @@ class CommunityStoriesApp {
     
     // Sincronizar datos pendientes
     this.syncOfflineData();
+
+    // Comunidades y progreso de lectura sincronizan al recibir el evento
+    eventBus.emit(EVENTS.NETWORK_ONLINE, {
+      effectiveType: navigator.connection?.effectiveType || null
+    });
   }
 
   /**
@@ -1336,7 +3816,7 @@ class CommunityStoriesApp {
     const toast = DOMUtils.createElement('div', {
       id: toastId,
       className: `toast toast--${type}`,
-      innerHTML: `
+      innerHTML: html`
         <div class="toast__content">
           <strong class="toast__title">${title}</strong>
           <p class="toast__message">${message}</p>
@@ -1390,8 +3870,11 @@ class CommunityStoriesApp {
    * Pausa operaciones no críticas
    */
   pauseNonCriticalOperations() {
-    // Pausar preload queue
-    storyLoader.preloadQueue.length = 0;
+    // Pausar precargas (la cola se conserva; una pausa por red lenta sigue aparte)
+    preloadScheduler.pause('hidden');
+
+    // Pausar música y voces; la narración sigue (como un podcast)
+    audioEngine.suspendAmbient();
     
     // Pausar actualizaciones automáticas
     clearInterval(this.updateInterval);
@@ -1401,8 +3884,14 @@ class CommunityStoriesApp {
    * Reanuda operaciones
    */
   resumeOperations() {
+    // Reanudar precargas pendientes
+    preloadScheduler.resume('hidden');
+
     // Reanudar actualizaciones si es necesario
     this.startPeriodicUpdates();
+
+    // Reanudar ambiente sonoro si la reproducción sigue activa
+    audioEngine.resumeAmbient();
   }
 
   /**
@@ -1429,10 +3918,6 @@ class CommunityStoriesApp {
     if (window.AnalyticsUtils) {
       await AnalyticsUtils.syncOfflineEvents();
     }
-    
-    if (communityManager) {
-      await communityManager.syncOfflineData();
-    }
   }
 
   /**
@@ -1526,79 +4011,6 @@ class CommunityStoriesApp {
   }
 }
 
-// Router simple para SPA
-class SimpleRouter {
-  constructor() {
-    this.routes = new Map();
-    this.currentRoute = null;
-  }
-
-  addRoute(path, handler) {
-    this.routes.set(path, handler);
-  }
-
-  init() {
-    window.addEventListener('popstate', this.handlePopState.bind(this));
-    this.handleRoute(window.location.pathname);
-  }
-
-  navigate(path, pushState = true) {
-    if (pushState) {
-      window.history.pushState({}, '', path);
-    }
-    this.handleRoute(path);
-  }
-
-  handlePopState() {
-    this.handleRoute(window.location.pathname);
-  }
-
-  handleRoute(path) {
-    const route = this.matchRoute(path);
-    if (route) {
-      this.currentRoute = path;
-      route.handler(route.params);
-    } else {
-      console.warn('No route found for:', path);
-    }
-  }
-
-  matchRoute(path) {
-    for (const [pattern, handler] of this.routes) {
-      const params = this.extractParams(pattern, path);
-      if (params !== null) {
-        return { handler, params };
-      }
-    }
-    return null;
-  }
-
-  extractParams(pattern, path) {
-    const patternParts = pattern.split('/');
-    const pathParts = path.split('/');
-
-    if (patternParts.length !== pathParts.length) {
-      return null;
-    }
-
-    const params = {};
-    
-    for (let i = 0; i < patternParts.length; i++) {
-      const patternPart = patternParts[i];
-      const pathPart = pathParts[i];
-
-      if (patternPart.startsWith(':')) {
-        const paramName = patternPart.slice(1);
-        params[paramName] = pathPart;
-      } else if (patternPart !== pathPart) {
-        return null;
-      }
-    }
-
-    return params;
-  }
-}
-
 // Inicialización automática cuando el DOM esté listo
 let app = null;
 
@@ -1622,6 +4034,5 @@ if (document.readyState === 'loading') {
 
 // Exportar al scope global
 window.CommunityStoriesApp = CommunityStoriesApp;
-window.SimpleRouter = SimpleRouter;
 
 console.log('✅ Community Stories Platform - App Core loaded');
\ No newline at end of file
@@ -0,0 +1,709 @@
+/**
+ * Community Stories Platform - Audio Engine
+ * Narración sincronizada por secciones, música con ducking y voces espaciales (Web Audio API)
+ *
+ * Las pistas salen de `story.media.audio`; cada una declara su papel en
+ * `role` (o `metadata.role`):
+ *   narration: voz del narrador, opcionalmente ligada a `section` (ID de bloque)
+ *   music: cama musical en bucle, opcionalmente ligada a `chapter`
+ *   voice: voz de la comunidad posicionada en el espacio según el scroll de su `section`
+ */
+
+class AudioEngine {
+  constructor() {
+    this.context = null;
+    this.buses = {};
+    this.story = null;
+
+    this.narration = [];
+    this.music = [];
+    this.voices = new Map(); // blockId -> pista espacial
+    this.sectionNarration = new Map(); // blockId -> índice de narración
+    this.blockChapters = new Map(); // blockId -> capítulo
+    this.blockSteps = new Map(); // blockId -> IDs de sus pasos de escena
+
+    this.currentNarration = null;
+    this.currentMusic = null;
+    this.currentChapter = null;
+    this.activeVoices = new Set();
+
+    this.playing = false;
+    this.ambientSuspended = false;
+    this.unsubscribeIntersection = null;
+    this.frameRequested = false;
+    this.lastProgressEmit = 0;
+
+    // Bind methods
+    this.handleIntersection = this.handleIntersection.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.updateVoicePositions = this.updateVoicePositions.bind(this);
+  }
+
+  /**
+   * Prepara las pistas de audio de una historia
+   */
+  loadStory(story) {
+    this.unload();
+
+    const settings = this.getSettings();
+    this.story = { id: story.id, title: story.title };
+
+    (story.media?.audio || []).forEach((item, index) => {
+      const metadata = item.metadata || {};
+      const track = {
+        id: item.id || `audio-${index}`,
+        url: item.url,
+        title: item.title || '',
+        role: item.role || metadata.role || 'narration',
+        section: item.section || metadata.section || null,
+        chapter: item.chapter || metadata.chapter || null,
+        start: Number(item.start || metadata.start || 0),
+        pan: Number(metadata.pan || 0),
+        node: null
+      };
+
+      if (track.role === 'music' && settings.backgroundMusic) {
+        this.music.push(track);
+      } else if (track.role === 'voice' && settings.spatialAudio && track.section) {
+        this.voices.set(track.section, track);
+      } else if (track.role === 'narration' && settings.voiceNarration) {
+        this.narration.push(track);
+      }
+    });
+
+    this.narration.forEach((track, index) => {
+      if (track.section) {
+        this.sectionNarration.set(track.section, index);
+      }
+    });
+
+    (story.content || []).forEach(block => {
+      if (block.chapter) {
+        this.blockChapters.set(block.id, block.chapter);
+      }
+    });
+
+    // Capítulos con ruta propia: sus bloques pertenecen al capítulo
+    (story.chapters || []).forEach(chapter => {
+      (chapter.content || []).forEach(block => this.blockChapters.set(block.id, chapter.id));
+    });
+
+    storyLoader.getStoryBlocks(story).forEach(block => {
+      if (Array.isArray(block.steps) && block.steps.length > 0) {
+        this.blockSteps.set(block.id, block.steps.map(step => step.id));
+      }
+    });
+
+    this.currentNarration = this.narration[0] || null;
+    this.currentMusic = this.music.find(track => !track.chapter) || this.music[0] || null;
+
+    this.unsubscribeIntersection = storyLoader.onIntersection(this.handleIntersection);
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+
+    if (!this.hasAudio()) return false;
+
+    eventBus.emit(EVENTS.AUDIO_LOAD, {
+      storyId: story.id,
+      title: story.title,
+      hasNarration: this.narration.length > 0,
+      hasMusic: this.music.length > 0,
+      hasVoices: this.voices.size > 0
+    });
+
+    return true;
+  }
+
+  /**
+   * Indica si la historia cargada tiene audio reproducible
+   */
+  hasAudio() {
+    return this.narration.length > 0 || this.music.length > 0 || this.voices.size > 0;
+  }
+
+  /**
+   * Obtiene la configuración de audio
+   */
+  getSettings() {
+    return {
+      voiceNarration: ConfigManager.get('media.audio.voiceNarration', true),
+      backgroundMusic: ConfigManager.get('media.audio.backgroundMusic', true),
+      spatialAudio: ConfigManager.get('media.audio.spatialAudio', true) &&
+        ConfigManager.get('features.storytelling.audioSpatial', true),
+      musicVolume: ConfigManager.get('media.audio.musicVolume', 0.4),
+      duckingLevel: ConfigManager.get('media.audio.duckingLevel', 0.25),
+      crossfadeDuration: ConfigManager.get('media.audio.crossfadeDuration', 1.5)
+    };
+  }
+
+  // === CONTEXTO Y NODOS ===
+
+  /**
+   * Crea o reanuda el AudioContext (requiere gesto del usuario)
+   */
+  async ensureContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    if (!this.context) {
+      this.context = new AudioContextClass();
+
+      const master = this.context.createGain();
+      master.connect(this.context.destination);
+
+      this.buses = {
+        master,
+        narration: this.createBus(master, 1),
+        music: this.createBus(master, this.getSettings().musicVolume),
+        voices: this.createBus(master, 1)
+      };
+    }
+
+    if (this.context.state === 'suspended') {
+      await this.context.resume();
+    }
+
+    return this.context;
+  }
+
+  /**
+   * Crea un bus de mezcla conectado al master
+   */
+  createBus(destination, volume) {
+    const bus = this.context.createGain();
+    bus.gain.value = volume;
+    bus.connect(destination);
+    return bus;
+  }
+
+  /**
+   * Crea los nodos de una pista (elemento → [panner] → gain → bus)
+   */
+  createTrackNode(track, bus, options = {}) {
+    const element = new Audio();
+    element.crossOrigin = 'anonymous';
+    element.preload = 'auto';
+    element.loop = Boolean(options.loop);
+    element.src = track.url;
+
+    if (track.start) {
+      element.currentTime = track.start;
+    }
+
+    // Sin Web Audio las pistas suenan directamente con el volumen del elemento
+    if (!this.context) {
+      element.volume = 0;
+      track.node = { element, gain: null, panner: null };
+      return track.node;
+    }
+
+    const source = this.context.createMediaElementSource(element);
+    const gain = this.context.createGain();
+    gain.gain.value = 0;
+
+    let panner = null;
+    if (options.spatial) {
+      panner = this.context.createPanner();
+      panner.panningModel = 'HRTF';
+      panner.distanceModel = 'inverse';
+      panner.refDistance = 1;
+      panner.maxDistance = 20;
+      source.connect(panner);
+      panner.connect(gain);
+    } else {
+      source.connect(gain);
+    }
+
+    gain.connect(this.buses[bus]);
+
+    track.node = { element, source, gain, panner };
+    return track.node;
+  }
+
+  /**
+   * Lleva el volumen de una pista a un valor de forma progresiva
+   */
+  fadeTo(track, value, duration = 0) {
+    if (!track || !track.node) return;
+
+    const { gain, element } = track.node;
+
+    if (!gain) {
+      element.volume = NumberUtils.clamp(value, 0, 1);
+      return;
+    }
+
+    const now = this.context.currentTime;
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(gain.gain.value, now);
+    gain.gain.linearRampToValueAtTime(value, now + duration);
+  }
+
+  /**
+   * Inicia una pista con fundido de entrada
+   */
+  startTrack(track, bus, options = {}) {
+    if (!track) return;
+
+    const node = track.node || this.createTrackNode(track, bus, options);
+
+    node.element.play().catch(error => {
+      console.warn(`Failed to play audio track ${track.id}:`, error);
+    });
+
+    this.fadeTo(track, options.volume ?? 1, options.fade ?? 0.3);
+  }
+
+  /**
+   * Detiene una pista con fundido de salida
+   */
+  stopTrack(track, fade = 0.3) {
+    if (!track || !track.node) return;
+
+    this.fadeTo(track, 0, fade);
+
+    const { element, gain } = track.node;
+    setTimeout(() => {
+      // Puede haberse reactivado durante el fundido
+      const level = gain ? gain.gain.value : element.volume;
+      if (level > 0.01) return;
+      element.pause();
+    }, fade * 1000);
+  }
+
+  /**
+   * Fundido cruzado entre dos pistas
+   */
+  crossfade(from, to, bus, options = {}) {
+    const duration = options.fade ?? this.getSettings().crossfadeDuration;
+
+    if (from && from !== to) {
+      this.stopTrack(from, duration);
+    }
+
+    this.startTrack(to, bus, { ...options, fade: duration });
+  }
+
+  // === REPRODUCCIÓN ===
+
+  /**
+   * Reproduce la narración y el ambiente
+   */
+  async play() {
+    if (!this.story) return;
+
+    await this.ensureContext();
+    this.playing = true;
+
+    if (this.currentNarration) {
+      this.startNarration(this.currentNarration);
+    }
+
+    if (!this.ambientSuspended) {
+      this.startAmbient();
+    }
+
+    this.updateDucking();
+    this.updateMediaSession();
+
+    eventBus.emit(EVENTS.AUDIO_PLAY, this.getState());
+  }
+
+  /**
+   * Pausa toda la reproducción
+   */
+  pause() {
+    this.playing = false;
+
+    this.stopTrack(this.currentNarration);
+    this.stopAmbient();
+    this.updateDucking();
+
+    eventBus.emit(EVENTS.AUDIO_PAUSE, this.getState());
+  }
+
+  /**
+   * Alterna reproducción y pausa
+   */
+  toggle() {
+    return this.playing ? this.pause() : this.play();
+  }
+
+  /**
+   * Inicia una pista de narración y enlaza sus eventos
+   */
+  startNarration(track, options = {}) {
+    const isNew = !track.node;
+    this.startTrack(track, 'narration', options);
+
+    if (isNew) {
+      const { element } = track.node;
+      element.addEventListener('ended', () => this.handleNarrationEnded(element));
+      element.addEventListener('timeupdate', () => this.handleNarrationProgress(element));
+    }
+
+    this.emitTrack(track);
+  }
+
+  /**
+   * Cambia a la narración de otra pista (misma URL: salta al inicio de la sección)
+   */
+  switchNarration(track) {
+    if (!track || track === this.currentNarration) return;
+
+    const previous = this.currentNarration;
+    this.currentNarration = track;
+
+    if (!this.playing) return;
+
+    if (previous && previous.url === track.url && previous.node) {
+      // Una única grabación con marcas por sección
+      track.node = previous.node;
+      previous.node = null;
+      track.node.element.currentTime = track.start;
+      this.emitTrack(track);
+      return;
+    }
+
+    const duration = this.getSettings().crossfadeDuration;
+    this.stopTrack(previous, duration);
+    this.startNarration(track, { fade: duration });
+  }
+
+  /**
+   * Emite el cambio de pista de narración
+   */
+  emitTrack(track) {
+    eventBus.emit(EVENTS.AUDIO_TRACK, {
+      storyId: this.story.id,
+      trackId: track.id,
+      title: track.title,
+      section: track.section
+    });
+  }
+
+  /**
+   * Continúa con la siguiente sección al terminar una narración
+   */
+  handleNarrationEnded(element) {
+    const track = this.currentNarration;
+    if (!track || !track.node || track.node.element !== element) return;
+
+    const next = this.narration[this.narration.indexOf(track) + 1];
+
+    if (next && next.url !== track.url) {
+      this.switchNarration(next);
+      return;
+    }
+
+    this.playing = false;
+    this.stopAmbient();
+    this.updateDucking();
+
+    eventBus.emit(EVENTS.AUDIO_ENDED, this.getState());
+  }
+
+  /**
+   * Emite el progreso de la narración (limitado a 4 veces por segundo)
+   */
+  handleNarrationProgress(element) {
+    const track = this.currentNarration;
+    if (!track || !track.node || track.node.element !== element) return;
+
+    const now = Date.now();
+    if (now - this.lastProgressEmit < 250) return;
+    this.lastProgressEmit = now;
+
+    eventBus.emit(EVENTS.AUDIO_PROGRESS, {
+      storyId: this.story.id,
+      currentTime: element.currentTime,
+      duration: element.duration || 0
+    });
+  }
+
+  /**
+   * Atenúa la música mientras suena la voz
+   */
+  updateDucking() {
+    if (!this.context || !this.buses.music) return;
+
+    const settings = this.getSettings();
+    const narrating = this.playing && Boolean(this.currentNarration);
+    const target = narrating ? settings.musicVolume * settings.duckingLevel : settings.musicVolume;
+
+    const now = this.context.currentTime;
+    this.buses.music.gain.cancelScheduledValues(now);
+    this.buses.music.gain.setValueAtTime(this.buses.music.gain.value, now);
+    this.buses.music.gain.linearRampToValueAtTime(target, now + 0.4);
+  }
+
+  // === AMBIENTE (MÚSICA Y VOCES) ===
+
+  /**
+   * Inicia música y voces de las secciones visibles
+   */
+  startAmbient() {
+    if (this.currentMusic) {
+      this.startTrack(this.currentMusic, 'music', { loop: true, fade: this.getSettings().crossfadeDuration });
+    }
+
+    this.activeVoices.forEach(section => this.startVoice(section));
+  }
+
+  /**
+   * Detiene música y voces
+   */
+  stopAmbient() {
+    this.stopTrack(this.currentMusic);
+    this.voices.forEach(track => this.stopTrack(track));
+  }
+
+  /**
+   * Suspende el ambiente (pestaña oculta); la narración sigue sonando
+   */
+  suspendAmbient() {
+    if (this.ambientSuspended) return;
+
+    this.ambientSuspended = true;
+    this.stopAmbient();
+  }
+
+  /**
+   * Reanuda el ambiente si la reproducción sigue activa
+   */
+  resumeAmbient() {
+    if (!this.ambientSuspended) return;
+
+    this.ambientSuspended = false;
+
+    // La narración pudo pausarse en segundo plano (controles del sistema)
+    if (this.playing) {
+      this.startAmbient();
+      this.updateDucking();
+    }
+  }
+
+  /**
+   * Cambia la música y narración al capítulo indicado
+   */
+  setChapter(chapterId) {
+    if (!chapterId || chapterId === this.currentChapter) return;
+    this.currentChapter = chapterId;
+
+    const music = this.music.find(track => track.chapter === chapterId);
+    if (music && music !== this.currentMusic) {
+      const previous = this.currentMusic;
+      this.currentMusic = music;
+
+      if (this.playing && !this.ambientSuspended) {
+        this.crossfade(previous, music, 'music', { loop: true });
+      }
+    }
+
+    const narration = this.narration.find(track => track.chapter === chapterId);
+    if (narration && this.currentNarration?.chapter !== chapterId) {
+      this.switchNarration(narration);
+    }
+  }
+
+  /**
+   * Inicia la voz espacial de una sección
+   */
+  startVoice(section) {
+    const track = this.voices.get(section);
+    if (!track) return;
+
+    this.startTrack(track, 'voices', { loop: true, spatial: true, fade: 1 });
+    this.requestVoiceUpdate();
+  }
+
+  // === SINCRONIZACIÓN CON EL SCROLL ===
+
+  /**
+   * Sincroniza narración, capítulo y voces con las secciones visibles
+   */
+  handleIntersection(entries) {
+    entries.forEach(entry => {
+      const blockId = entry.target.dataset.blockId;
+      if (!blockId) return;
+
+      this.getVoiceSections(blockId).forEach(section => {
+        if (entry.isIntersecting) {
+          this.activeVoices.add(section);
+          if (this.playing && !this.ambientSuspended) this.startVoice(section);
+        } else {
+          this.activeVoices.delete(section);
+          this.stopTrack(this.voices.get(section), 1);
+        }
+      });
+
+      // La sección se considera leída cuando ocupa la mitad de la pantalla
+      if (!entry.isIntersecting || entry.intersectionRatio < 0.5) return;
+
+      this.setChapter(this.blockChapters.get(blockId));
+
+      if (this.sectionNarration.has(blockId)) {
+        this.switchNarration(this.narration[this.sectionNarration.get(blockId)]);
+      }
+    });
+  }
+
+  /**
+   * Secciones con voz espacial que dependen de la visibilidad de un bloque
+   */
+  getVoiceSections(blockId) {
+    const sections = [blockId];
+
+    // Sin modo cinematográfico nadie observa los pasos de escena: suenan con su bloque
+    if (!scrollytelling.isObservingSteps()) {
+      sections.push(...(this.blockSteps.get(blockId) || []));
+    }
+
+    return sections.filter(section => this.voices.has(section));
+  }
+
+  /**
+   * Agrupa actualizaciones de posición en un frame
+   */
+  handleScroll() {
+    if (this.activeVoices.size > 0) {
+      this.requestVoiceUpdate();
+    }
+  }
+
+  /**
+   * Solicita actualización de posiciones
+   */
+  requestVoiceUpdate() {
+    if (this.frameRequested) return;
+
+    this.frameRequested = true;
+    requestAnimationFrame(this.updateVoicePositions);
+  }
+
+  /**
+   * Posiciona cada voz según la posición de su sección en pantalla
+   */
+  updateVoicePositions() {
+    this.frameRequested = false;
+    const viewportHeight = window.innerHeight;
+
+    this.activeVoices.forEach(section => {
+      const track = this.voices.get(section);
+      const element = DOMUtils.$(`[data-block-id="${CSS.escape(section)}"]`);
+      if (!track || !track.node || !element) return;
+
+      // -1 por encima del centro de la pantalla, 1 por debajo
+      const rect = element.getBoundingClientRect();
+      const offset = NumberUtils.clamp((rect.top + rect.height / 2 - viewportHeight / 2) / viewportHeight, -1, 1);
+
+      if (track.node.panner) {
+        this.setPannerPosition(track.node.panner, track.pan * 3, 0, offset * 5);
+      }
+
+      if (this.playing && !this.ambientSuspended) {
+        this.fadeTo(track, 1 - Math.abs(offset) * 0.7, 0.1);
+      }
+    });
+  }
+
+  /**
+   * Coloca un PannerNode (API moderna o setPosition heredado)
+   */
+  setPannerPosition(panner, x, y, z) {
+    if (panner.positionX) {
+      const now = this.context.currentTime;
+      panner.positionX.setTargetAtTime(x, now, 0.1);
+      panner.positionY.setTargetAtTime(y, now, 0.1);
+      panner.positionZ.setTargetAtTime(z, now, 0.1);
+    } else {
+      panner.setPosition(x, y, z);
+    }
+  }
+
+  // === ESTADO ===
+
+  /**
+   * Actualiza los controles multimedia del sistema
+   */
+  updateMediaSession() {
+    if (!('mediaSession' in navigator) || !window.MediaMetadata) return;
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: this.currentNarration?.title || this.story.title,
+      album: this.story.title,
+      artist: 'Community Stories'
+    });
+
+    navigator.mediaSession.setActionHandler('play', () => this.play());
+    navigator.mediaSession.setActionHandler('pause', () => this.pause());
+  }
+
+  /**
+   * Obtiene el estado actual del reproductor
+   */
+  getState() {
+    return {
+      storyId: this.story?.id || null,
+      title: this.story?.title || '',
+      track: this.currentNarration?.title || '',
+      playing: this.playing,
+      ambientSuspended: this.ambientSuspended
+    };
+  }
+
+  /**
+   * Detiene y libera las pistas de la historia actual
+   */
+  unload() {
+    if (this.unsubscribeIntersection) {
+      this.unsubscribeIntersection();
+      this.unsubscribeIntersection = null;
+    }
+
+    window.removeEventListener('scroll', this.handleScroll);
+
+    [...this.narration, ...this.music, ...this.voices.values()].forEach(track => {
+      if (!track.node) return;
+
+      track.node.element.pause();
+      track.node.element.removeAttribute('src');
+      if (track.node.gain) track.node.gain.disconnect();
+      track.node = null;
+    });
+
+    this.narration = [];
+    this.music = [];
+    this.voices.clear();
+    this.sectionNarration.clear();
+    this.blockChapters.clear();
+    this.blockSteps.clear();
+    this.activeVoices.clear();
+    this.currentNarration = null;
+    this.currentMusic = null;
+    this.currentChapter = null;
+    this.playing = false;
+    this.story = null;
+  }
+
+  /**
+   * Destruye el motor de audio
+   */
+  destroy() {
+    this.unload();
+
+    if (this.context) {
+      this.context.close();
+      this.context = null;
+      this.buses = {};
+    }
+  }
+}
+
+// Crear instancia global
+const audioEngine = new AudioEngine();
+
+// Exportar al scope global
+window.AudioEngine = AudioEngine;
+window.audioEngine = audioEngine;
+
+console.log('✅ Community Stories Platform - Audio Engine loaded');
\ No newline at end of file
@@ -7,9 +7,15 @@ class CommunityManager {
   constructor() {
     this.communities = new Map();
     this.activeCommunity = null;
-    this.cache = new Map();
+    this.cache = memoryCache.namespace('communities');
     this.loadingStates = new Map();
+    this.geoIndex = new GeoIndex(); // ubicaciones de las comunidades en caché
     this.subscriptions = [];
+    this.slugResolver = new SlugResolver({
+      resource: 'communities',
+      storageKey: 'community-slugs',
+      getCachedEntity: id => this.communities.get(id) || null
+    });
     
     this.init();
   }
@@ -21,7 +27,8 @@ class CommunityManager {
     // Suscribirse a eventos relevantes
     this.subscriptions.push(
       eventBus.on(EVENTS.COMMUNITY_SELECT, this.handleCommunitySelect.bind(this)),
-      eventBus.on(EVENTS.NETWORK_ONLINE, this.syncOfflineData.bind(this))
+      eventBus.on(EVENTS.NETWORK_ONLINE, this.syncOfflineData.bind(this)),
+      this.cache.onEvict(this.handleCacheEvict.bind(this))
     );
 
     // Cargar datos desde caché local
@@ -49,11 +56,9 @@ class CommunityManager {
     const cacheKey = this.generateCacheKey('communities', queryOptions);
 
     // Verificar caché primero
-    if (this.cache.has(cacheKey) && !options.forceRefresh) {
-      const cachedData = this.cache.get(cacheKey);
-      if (Date.now() - cachedData.timestamp < TIMEOUTS.CACHE_EXPIRE) {
-        return cachedData.data;
-      }
+    const cachedCommunities = options.forceRefresh ? undefined : this.cache.get(cacheKey);
+    if (cachedCommunities) {
+      return cachedCommunities;
     }
 
     // Verificar si ya está cargando
@@ -73,15 +78,13 @@ class CommunityManager {
       const processedCommunities = await this.processCommunities(communities);
 
       // Almacenar en caché
-      this.cache.set(cacheKey, {
-        data: processedCommunities,
-        timestamp: Date.now()
-      });
+      this.cache.set(cacheKey, processedCommunities);
 
       // Almacenar comunidades individuales
       processedCommunities.forEach(community => {
-        this.communities.set(community.id, community);
+        this.cacheCommunity(community);
       });
+      this.slugResolver.registerAll(processedCommunities);
 
       this.loadingStates.delete(cacheKey);
 
@@ -109,10 +112,10 @@ class CommunityManager {
         });
       }
 
-      // Retornar datos del caché si están disponibles
-      const cachedData = this.cache.get(cacheKey);
-      if (cachedData) {
-        return cachedData.data;
+      // Retornar datos del caché si están disponibles (aunque hayan caducado)
+      const staleCommunities = this.cache.peek(cacheKey);
+      if (staleCommunities) {
+        return staleCommunities;
       }
 
       throw error;
@@ -134,7 +137,8 @@ class CommunityManager {
     // Verificar caché local primero
     if (this.communities.has(communityId) && !options.forceRefresh) {
       const community = this.communities.get(communityId);
-      
+      this.cache.get(this.getCommunityCacheKey(communityId)); // marcar como usada (LRU)
+
       // Verificar si tiene todos los datos requeridos
       if (this.hasSufficientData(community, queryOptions)) {
         return community;
@@ -146,7 +150,8 @@ class CommunityManager {
       const processedCommunity = await this.processCommunity(community);
 
       // Almacenar en caché
-      this.communities.set(communityId, processedCommunity);
+      this.cacheCommunity(processedCommunity);
+      this.slugResolver.registerAll([processedCommunity]);
 
       return processedCommunity;
 
@@ -168,6 +173,13 @@ class CommunityManager {
     }
   }
 
+  /**
+   * Resuelve el slug de una comunidad a su ID y slug canónico
+   */
+  resolveSlug(slug) {
+    return this.slugResolver.resolve(slug);
+  }
+
   /**
    * Busca comunidades
    */
@@ -182,18 +194,16 @@ class CommunityManager {
 
     const searchOptions = { ...defaultOptions, ...options };
 
-    if (!query || query.trim().length < LIMITS.SEARCH_QUERY_MIN) {
+    if (!query || query.trim().length < ConfigManager.get('search.minQueryLength', 2)) {
       return [];
     }
 
     const cacheKey = this.generateCacheKey('search', { query, ...searchOptions });
 
     // Verificar caché
-    if (this.cache.has(cacheKey)) {
-      const cachedData = this.cache.get(cacheKey);
-      if (Date.now() - cachedData.timestamp < TIMEOUTS.TEMP_CACHE) {
-        return cachedData.data;
-      }
+    const cachedData = this.cache.get(cacheKey);
+    if (cachedData) {
+      return cachedData;
     }
 
     try {
@@ -203,9 +213,8 @@ class CommunityManager {
       const processedResults = await this.processCommunities(results);
 
       // Almacenar en caché temporal
-      this.cache.set(cacheKey, {
-        data: processedResults,
-        timestamp: Date.now()
+      this.cache.set(cacheKey, processedResults, {
+        ttl: ConfigManager.get('performance.tempCacheTimeout', 5 * 60 * 1000)
       });
 
       eventBus.emit(EVENTS.SEARCH_RESULTS, {
@@ -243,7 +252,9 @@ class CommunityManager {
   /**
    * Selecciona una comunidad activa
    */
-  async selectCommunity(communityId) {
+  async selectCommunity(communityId, options = {}) {
+    const { updateUrl = true } = options;
+
     try {
       const community = await this.getCommunity(communityId, {
         includeStories: true,
@@ -253,8 +264,8 @@ class CommunityManager {
 
       this.activeCommunity = community;
 
-      // Actualizar URL sin recargar
-      if (window.history && window.history.pushState) {
+      // Actualizar URL sin recargar (el router ya lo hace al navegar)
+      if (updateUrl && window.history && window.history.pushState) {
         const newUrl = `/communities/${community.slug || community.id}`;
         window.history.pushState({ communityId }, community.name, newUrl);
       }
@@ -322,13 +333,17 @@ class CommunityManager {
   }
 
   /**
-   * Obtiene comunidades cercanas
+   * Obtiene comunidades cercanas (en km); sin conexión, o si falla la API, busca en la caché
    */
   async getNearbyCommunities(location, maxDistance = 50) {
-    if (!location || !location.latitude || !location.longitude) {
+    if (!location || !Number.isFinite(location.latitude) || !Number.isFinite(location.longitude)) {
       throw new Error('Valid location coordinates required');
     }
 
+    if (!navigator.onLine) {
+      return this.getCachedNearbyCommunities(location, maxDistance);
+    }
+
     try {
       const response = await NetworkUtils.fetchWithRetry('/api/communities/nearby', {
         method: 'POST',
@@ -340,34 +355,52 @@ class CommunityManager {
         })
       });
 
+      if (!response.ok) {
+        throw new Error(`Failed to fetch nearby communities: ${response.status}`);
+      }
+
       const nearbyData = await response.json();
-      const communities = await this.processCommunities(nearbyData.communities);
+      const processedCommunities = await this.processCommunities(nearbyData.communities);
 
-      // Calcular distancias
-      communities.forEach(community => {
-        if (community.location) {
-          community.distance = GeolocationUtils.calculateDistance(
+      // Calcular distancias sobre copias: la distancia no se guarda en las comunidades en caché
+      const communities = processedCommunities.map(community => {
+        this.cacheCommunity(community);
+        if (!community.location) return { ...community };
+
+        return {
+          ...community,
+          distance: GeolocationUtils.calculateDistance(
             location.latitude,
             location.longitude,
             community.location.latitude,
             community.location.longitude
-          );
-        }
+          )
+        };
       });
 
       // Ordenar por distancia
-      communities.sort((a, b) => (a.distance || Infinity) - (b.distance || Infinity));
+      communities.sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
 
       return communities;
 
     } catch (error) {
-      if (window.errorHandler) {
-        window.errorHandler.handleNetworkError(error, '/api/communities/nearby');
-      }
-      return [];
+      console.warn('Nearby communities API failed, using cached communities:', error);
+      return this.getCachedNearbyCommunities(location, maxDistance);
     }
   }
 
+  /**
+   * Comunidades en caché a menos de `maxDistance` km, de la más cercana a la más lejana
+   *
+   * Devuelve copias con `distance`, sin modificar las comunidades en caché.
+   */
+  getCachedNearbyCommunities(location, maxDistance = 50) {
+    this.geoIndex.sync(this.communities.values());
+
+    return this.geoIndex.queryRadius(location.latitude, location.longitude, maxDistance)
+      .map(({ id, distance }) => ({ ...this.communities.get(id), distance }));
+  }
+
   /**
    * Obtiene estadísticas de una comunidad
    */
@@ -375,11 +408,9 @@ class CommunityManager {
     const cacheKey = `stats-${communityId}`;
     
     // Verificar caché
-    if (this.cache.has(cacheKey)) {
-      const cachedData = this.cache.get(cacheKey);
-      if (Date.now() - cachedData.timestamp < TIMEOUTS.TEMP_CACHE) {
-        return cachedData.data;
-      }
+    const cachedData = this.cache.get(cacheKey);
+    if (cachedData) {
+      return cachedData;
     }
 
     try {
@@ -387,9 +418,8 @@ class CommunityManager {
       const stats = await response.json();
 
       // Almacenar en caché
-      this.cache.set(cacheKey, {
-        data: stats,
-        timestamp: Date.now()
+      this.cache.set(cacheKey, stats, {
+        ttl: ConfigManager.get('performance.tempCacheTimeout', 5 * 60 * 1000)
       });
 
       return stats;
@@ -489,7 +519,7 @@ class CommunityManager {
   async processCommunity(community) {
     // Enriquecer con datos de categoría
     if (community.categoryId) {
-      community.category = COMMUNITY_CATEGORIES[community.categoryId.toUpperCase()];
+      community.category = CONSTANTS.category(community.categoryId);
     }
 
     // Enriquecer con datos de región
@@ -601,6 +631,31 @@ class CommunityManager {
     return true;
   }
 
+  /**
+   * Almacena una comunidad en el Map principal y en la caché compartida
+   */
+  cacheCommunity(community) {
+    // La entrada propia en caché acota el Map: al expulsarla se retira también de él
+    this.cache.set(this.getCommunityCacheKey(community.id), community);
+    this.communities.set(community.id, community);
+  }
+
+  /**
+   * Retira del Map principal las comunidades que la caché compartida ha expulsado
+   */
+  handleCacheEvict(key, community) {
+    if (!key.startsWith(this.getCommunityCacheKey('')) || this.activeCommunity?.id === community.id) return;
+
+    this.communities.delete(community.id);
+  }
+
+  /**
+   * Clave de caché de una comunidad individual
+   */
+  getCommunityCacheKey(communityId) {
+    return `community-${communityId}`;
+  }
+
   /**
    * Genera clave de caché
    */
@@ -635,8 +690,8 @@ class CommunityManager {
    */
   async preloadRelatedStories(stories) {
     const preloadPromises = stories.slice(0, 3).map(story => {
-      if (window.StoryLoader) {
-        return window.StoryLoader.preloadStory(story.id).catch(() => {});
+      if (window.storyLoader) {
+        return window.storyLoader.preloadStory(story.id, 'low').catch(() => {});
       }
       return Promise.resolve();
     });
@@ -652,7 +707,8 @@ class CommunityManager {
       const cachedCommunities = StorageUtils.getItem('communities-cache', null);
       if (cachedCommunities && Array.isArray(cachedCommunities.data)) {
         cachedCommunities.data.forEach(community => {
-          this.communities.set(community.id, community);
+          this.cacheCommunity(community);
+          this.slugResolver.register(community);
         });
       }
 
@@ -674,10 +730,10 @@ class CommunityManager {
       StorageUtils.setItem('communities-cache', {
         data: communitiesArray,
         timestamp: Date.now()
-      }, 24 * 60); // 24 horas
+      }, 24 * 60 * 60 * 1000); // 24 horas
 
       if (this.activeCommunity) {
-        StorageUtils.setItem('active-community-id', this.activeCommunity.id, 24 * 60);
+        StorageUtils.setItem('active-community-id', this.activeCommunity.id, 24 * 60 * 60 * 1000);
       }
     } catch (error) {
       console.warn('Failed to save communities to cache:', error);
@@ -773,6 +829,18 @@ class CommunityManager {
    * Filtra comunidades por criterios
    */
   filterCommunities(communities, filters) {
+    // El texto se busca en el índice local (raíces, sin acentos y con erratas)
+    const matchingIds = filters.searchText ? searchIndex.matchIds(filters.searchText) : null;
+
+    // Distancia máxima en km a `filters.near` ({ latitude, longitude }), con el índice geohash
+    let nearbyIds = null;
+    if (filters.near && filters.maxDistance) {
+      this.geoIndex.sync(communities);
+      nearbyIds = new Set(
+        this.geoIndex.queryRadius(filters.near.latitude, filters.near.longitude, filters.maxDistance).map(({ id }) => id)
+      );
+    }
+
     return communities.filter(community => {
       // Filtro por categoría
       if (filters.categories && filters.categories.length > 0) {
@@ -808,17 +876,13 @@ class CommunityManager {
       }
 
       // Filtro por texto
-      if (filters.searchText) {
-        const searchText = filters.searchText.toLowerCase();
-        const searchableText = [
-          community.name,
-          community.description,
-          community.tags?.join(' ') || ''
-        ].join(' ').toLowerCase();
-
-        if (!searchableText.includes(searchText)) {
-          return false;
-        }
+      if (matchingIds && !matchingIds.has(community.id)) {
+        return false;
+      }
+
+      // Filtro por distancia
+      if (nearbyIds && !nearbyIds.has(community.id)) {
+        return false;
       }
 
       return true;
@@ -921,7 +985,8 @@ class CommunityManager {
       const processedCommunity = await this.processCommunity(newCommunity);
 
       // Almacenar en caché
-      this.communities.set(processedCommunity.id, processedCommunity);
+      this.cacheCommunity(processedCommunity);
+      this.slugResolver.registerAll([processedCommunity]);
 
       eventBus.emit(EVENTS.COMMUNITY_CREATED, { community: processedCommunity });
 
@@ -957,8 +1022,9 @@ class CommunityManager {
       const updatedCommunity = await response.json();
       const processedCommunity = await this.processCommunity(updatedCommunity);
 
-      // Actualizar caché
-      this.communities.set(communityId, processedCommunity);
+      // Actualizar caché (el slug anterior queda en el historial de slugs)
+      this.cacheCommunity(processedCommunity);
+      this.slugResolver.registerAll([processedCommunity]);
 
       // Actualizar comunidad activa si es la misma
       if (this.activeCommunity && this.activeCommunity.id === communityId) {
@@ -985,28 +1051,25 @@ class CommunityManager {
    * Obtiene métricas del gestor
    */
   getMetrics() {
+    const cache = this.cache.getMetrics();
+
     return {
       totalCommunities: this.communities.size,
       cachedItems: this.cache.size,
       activeCommunity: this.activeCommunity?.id || null,
       loadingStates: this.loadingStates.size,
-      cacheHitRate: this.calculateCacheHitRate()
+      cacheHitRate: cache.hitRate,
+      cache
     };
   }
 
-  /**
-   * Calcula tasa de aciertos de caché
-   */
-  calculateCacheHitRate() {
-    // Implementación simple - en producción se trackearía más detalladamente
-    return this.cache.size > 0 ? 0.85 : 0;
-  }
-
   /**
    * Limpia caché
    */
   clearCache() {
     this.cache.clear();
+    this.communities.clear();
+    this.slugResolver.clear();
     StorageUtils.removeItem('communities-cache');
     StorageUtils.removeItem('active-community-id');
   }
@@ -0,0 +1,638 @@
+/**
+ * Community Stories Platform - Community Map
+ * Mapa de comunidades detrás de adaptadores de proveedor, con agrupación de marcadores
+ *
+ * Un adaptador es cualquier objeto con esta interfaz (ver RasterMapAdapter):
+ *   mount(container)             crea el mapa dentro del contenedor
+ *   setMarkers(markers)          [{ id, lat, lng, label, color }]
+ *   fitBounds(markers)           encuadra los marcadores
+ *   setView({ lat, lng }, zoom)
+ *   highlight(id | null)         resalta un marcador (o el grupo que lo contiene)
+ *   select(id | null)            selecciona un marcador y lo centra
+ *   on('hover' | 'select', callback)
+ *   destroy()
+ *
+ * Proveedores incluidos (config `maps.provider`):
+ *   openstreetmap  teselas raster de OSM (por defecto)
+ *   mapbox         teselas raster de un estilo de Mapbox; necesita `maps.apiKey`
+ *   local          teselas generadas en el navegador, sin red (pruebas y desarrollo sin conexión)
+ * Otros (p. ej. google) se añaden con mapProviders.register(id, options => adaptador).
+ */
+
+const MAP_TILE_SIZE = 256;
+const MAP_MAX_LATITUDE = 85.0511287798; // límite de Web Mercator
+
+// Diámetro en píxeles de cada tamaño de marcador de `maps.markers`
+const MAP_MARKER_SIZES = {
+  small: 24,
+  medium: 32,
+  large: 40
+};
+
+// Fuentes de teselas raster; {z}/{x}/{y} se sustituyen por las coordenadas de la tesela
+const MAP_TILE_SOURCES = {
+  openstreetmap: {
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© Colaboradores de OpenStreetMap',
+    attributionUrl: 'https://www.openstreetmap.org/copyright',
+    maxZoom: 19
+  },
+  mapbox: {
+    url: 'https://api.mapbox.com/styles/v1/mapbox/{style}/tiles/256/{z}/{x}/{y}?access_token={apiKey}',
+    attribution: '© Mapbox © Colaboradores de OpenStreetMap',
+    attributionUrl: 'https://www.mapbox.com/about/maps/',
+    maxZoom: 20,
+    requiresApiKey: true
+  },
+  local: {
+    attribution: 'Teselas locales',
+    maxZoom: 19,
+    // Cuadrícula con las coordenadas de la tesela: sirve sin red y es determinista
+    render: (z, x, y) => `data:image/svg+xml,${encodeURIComponent(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">` +
+      `<rect width="256" height="256" fill="#eef2f7"/>` +
+      `<path d="M0 0.5H256M0.5 0V256" stroke="#cbd5e1"/>` +
+      `<text x="8" y="20" font-family="sans-serif" font-size="12" fill="#94a3b8">${z}/${x}/${y}</text>` +
+      `</svg>`
+    )}`
+  }
+};
+
+/**
+ * Coordenadas geográficas a píxeles del mundo en un nivel de zoom (Web Mercator)
+ */
+function projectPoint(lat, lng, zoom) {
+  const scale = MAP_TILE_SIZE * Math.pow(2, zoom);
+  const latitude = Math.max(-MAP_MAX_LATITUDE, Math.min(MAP_MAX_LATITUDE, lat)) * Math.PI / 180;
+
+  return {
+    x: (lng + 180) / 360 * scale,
+    y: (1 - Math.log(Math.tan(latitude) + 1 / Math.cos(latitude)) / Math.PI) / 2 * scale
+  };
+}
+
+/**
+ * Píxeles del mundo a coordenadas geográficas
+ */
+function unprojectPoint(x, y, zoom) {
+  const scale = MAP_TILE_SIZE * Math.pow(2, zoom);
+  const n = Math.PI - 2 * Math.PI * y / scale;
+
+  return {
+    lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+    lng: x / scale * 360 - 180
+  };
+}
+
+/**
+ * Agrupa los marcadores que quedan a menos de `radius` píxeles en un nivel de zoom
+ *
+ * Agrupación voraz: cada marcador se une al primer grupo cercano. Basta para cientos
+ * de comunidades y da siempre el mismo resultado para el mismo orden de entrada.
+ */
+function clusterMarkers(markers, zoom, radius) {
+  const clusters = [];
+
+  markers.forEach(marker => {
+    const point = projectPoint(marker.lat, marker.lng, zoom);
+    const cluster = clusters.find(candidate => Math.hypot(candidate.anchor.x - point.x, candidate.anchor.y - point.y) <= radius);
+
+    if (cluster) {
+      cluster.markers.push(marker);
+      cluster.sum.x += point.x;
+      cluster.sum.y += point.y;
+    } else {
+      clusters.push({ anchor: point, sum: { ...point }, markers: [marker] });
+    }
+  });
+
+  return clusters.map(({ sum, markers: members }) => ({
+    x: sum.x / members.length,
+    y: sum.y / members.length,
+    markers: members
+  }));
+}
+
+/**
+ * Adaptador propio para proveedores de teselas raster (sin librerías externas)
+ */
+class RasterMapAdapter {
+  constructor(source, options = {}) {
+    this.source = source;
+    this.options = {
+      minZoom: 2,
+      maxZoom: 18,
+      clustering: true,
+      clusterRadius: 60,
+      clusterMaxZoom: 14,
+      markerSize: 'medium',
+      ...options
+    };
+    // El proveedor no sirve teselas más allá de su zoom máximo
+    this.options.maxZoom = Math.min(this.options.maxZoom, source.maxZoom || this.options.maxZoom);
+
+    this.center = { lat: 0, lng: 0 };
+    this.zoom = this.options.minZoom;
+    this.markers = [];
+    this.clusters = [];
+    this.highlighted = null;
+    this.selected = null;
+    this.listeners = { hover: [], select: [] };
+    this.tiles = new Map(); // "z/x/y" -> <img>
+    this.frame = null;
+    this.drag = null;
+    this.lastWheel = 0;
+  }
+
+  // === CICLO DE VIDA ===
+
+  /**
+   * Crea capas, controles y atribución dentro del contenedor
+   */
+  mount(container) {
+    this.container = container;
+    this.viewport = DOMUtils.createElement('div', {
+      className: 'community-map__viewport',
+      tabIndex: 0,
+      role: 'region',
+      ariaLabel: 'Mapa de comunidades. Usa las flechas para moverte y + o - para acercar o alejar.'
+    });
+    this.tileLayer = DOMUtils.createElement('div', { className: 'community-map__tiles', ariaHidden: 'true' });
+    this.markerLayer = DOMUtils.createElement('div', { className: 'community-map__markers' });
+
+    const controls = DOMUtils.createElement('div', { className: 'community-map__controls' });
+    controls.append(
+      this.createControl('+', 'Acercar', () => this.zoomAround(1)),
+      this.createControl('−', 'Alejar', () => this.zoomAround(-1))
+    );
+
+    const attribution = DOMUtils.createElement('div', { className: 'community-map__attribution' });
+    if (this.source.attributionUrl) {
+      attribution.append(DOMUtils.createElement('a', {
+        href: this.source.attributionUrl,
+        target: '_blank',
+        rel: 'noopener',
+        textContent: this.source.attribution
+      }));
+    } else {
+      attribution.textContent = this.source.attribution;
+    }
+
+    this.viewport.append(this.tileLayer, this.markerLayer);
+    container.append(this.viewport, controls, attribution);
+
+    this.bindEvents();
+    this.resizeObserver = new ResizeObserver(() => this.scheduleRender());
+    this.resizeObserver.observe(this.viewport);
+
+    return this;
+  }
+
+  /**
+   * Quita el mapa y sus listeners
+   */
+  destroy() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.resizeObserver?.disconnect();
+    this.container?.replaceChildren();
+    this.tiles.clear();
+    this.listeners = { hover: [], select: [] };
+  }
+
+  createControl(text, label, onClick) {
+    const button = DOMUtils.createElement('button', {
+      type: 'button',
+      className: 'community-map__control',
+      ariaLabel: label,
+      textContent: text
+    });
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // === EVENTOS ===
+
+  on(event, callback) {
+    this.listeners[event]?.push(callback);
+    return this;
+  }
+
+  emit(event, id) {
+    (this.listeners[event] || []).forEach(callback => callback(id));
+  }
+
+  /**
+   * Arrastre, rueda, teclado y marcadores
+   */
+  bindEvents() {
+    this.viewport.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || e.target.closest('.community-map__marker')) return;
+
+      this.drag = { x: e.clientX, y: e.clientY, origin: this.getCenterPoint() };
+      this.viewport.setPointerCapture(e.pointerId);
+      this.viewport.classList.add('is-dragging');
+    });
+
+    this.viewport.addEventListener('pointermove', (e) => {
+      if (!this.drag) return;
+
+      const { origin } = this.drag;
+      this.center = unprojectPoint(origin.x - (e.clientX - this.drag.x), origin.y - (e.clientY - this.drag.y), this.zoom);
+      this.scheduleRender();
+    });
+
+    const endDrag = () => {
+      this.drag = null;
+      this.viewport.classList.remove('is-dragging');
+    };
+    this.viewport.addEventListener('pointerup', endDrag);
+    this.viewport.addEventListener('pointercancel', endDrag);
+
+    // Un nivel de zoom por gesto de rueda, centrado en el cursor
+    this.viewport.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      if (Date.now() - this.lastWheel < 250) return;
+
+      this.lastWheel = Date.now();
+      const bounds = this.viewport.getBoundingClientRect();
+      this.zoomAround(e.deltaY < 0 ? 1 : -1, e.clientX - bounds.left - bounds.width / 2, e.clientY - bounds.top - bounds.height / 2);
+    }, { passive: false });
+
+    this.viewport.addEventListener('keydown', (e) => {
+      if (e.target !== this.viewport) return;
+
+      const step = 100;
+      const moves = { ArrowUp: [0, -step], ArrowDown: [0, step], ArrowLeft: [-step, 0], ArrowRight: [step, 0] };
+
+      if (moves[e.key]) {
+        e.preventDefault();
+        this.panBy(...moves[e.key]);
+      } else if (e.key === '+' || e.key === '=') {
+        e.preventDefault();
+        this.zoomAround(1);
+      } else if (e.key === '-') {
+        e.preventDefault();
+        this.zoomAround(-1);
+      }
+    });
+
+    this.markerLayer.addEventListener('click', (e) => {
+      const marker = e.target.closest('.community-map__marker');
+      if (!marker) return;
+
+      if (marker.dataset.markerId) {
+        this.select(marker.dataset.markerId, { pan: false });
+        this.emit('select', marker.dataset.markerId);
+      } else {
+        this.zoomToCluster(marker.dataset.markerIds.split(','));
+      }
+    });
+
+    const hover = (e) => {
+      const marker = e.target.closest('.community-map__marker');
+      this.emit('hover', marker?.dataset.markerId || null);
+    };
+    this.markerLayer.addEventListener('pointerover', hover);
+    this.markerLayer.addEventListener('focusin', hover);
+    this.markerLayer.addEventListener('pointerleave', () => this.emit('hover', null));
+    this.markerLayer.addEventListener('focusout', () => this.emit('hover', null));
+  }
+
+  // === VISTA ===
+
+  setView(center, zoom = this.zoom) {
+    this.center = { lat: center.lat, lng: center.lng };
+    this.zoom = this.clampZoom(zoom);
+    this.scheduleRender();
+  }
+
+  clampZoom(zoom) {
+    return Math.max(this.options.minZoom, Math.min(this.options.maxZoom, Math.round(zoom)));
+  }
+
+  getCenterPoint(zoom = this.zoom) {
+    return projectPoint(this.center.lat, this.center.lng, zoom);
+  }
+
+  getSize() {
+    return {
+      width: this.viewport?.clientWidth || 0,
+      height: this.viewport?.clientHeight || 0
+    };
+  }
+
+  panBy(dx, dy) {
+    const center = this.getCenterPoint();
+    this.center = unprojectPoint(center.x + dx, center.y + dy, this.zoom);
+    this.scheduleRender();
+  }
+
+  /**
+   * Cambia el zoom manteniendo fijo el punto a (offsetX, offsetY) del centro
+   */
+  zoomAround(delta, offsetX = 0, offsetY = 0) {
+    const zoom = this.clampZoom(this.zoom + delta);
+    if (zoom === this.zoom) return;
+
+    const center = this.getCenterPoint();
+    const factor = Math.pow(2, zoom - this.zoom);
+    const focus = { x: center.x + offsetX, y: center.y + offsetY };
+
+    this.center = unprojectPoint(focus.x * factor - offsetX, focus.y * factor - offsetY, zoom);
+    this.zoom = zoom;
+    this.scheduleRender();
+  }
+
+  /**
+   * Mayor zoom en que caben todos los marcadores
+   */
+  fitBounds(markers = this.markers, padding = 48) {
+    if (markers.length === 0) return;
+
+    const lats = markers.map(marker => marker.lat);
+    const lngs = markers.map(marker => marker.lng);
+    const north = Math.max(...lats);
+    const south = Math.min(...lats);
+    const east = Math.max(...lngs);
+    const west = Math.min(...lngs);
+    const { width, height } = this.getSize();
+
+    let zoom = this.options.maxZoom;
+    while (zoom > this.options.minZoom) {
+      const ne = projectPoint(north, east, zoom);
+      const sw = projectPoint(south, west, zoom);
+      if (ne.x - sw.x <= width - padding * 2 && sw.y - ne.y <= height - padding * 2) break;
+      zoom--;
+    }
+
+    const ne = projectPoint(north, east, zoom);
+    const sw = projectPoint(south, west, zoom);
+    this.setView(unprojectPoint((ne.x + sw.x) / 2, (ne.y + sw.y) / 2, zoom), zoom);
+  }
+
+  /**
+   * Acerca hasta separar los marcadores de un grupo
+   */
+  zoomToCluster(ids) {
+    const members = this.markers.filter(marker => ids.includes(marker.id));
+    const before = this.zoom;
+    this.fitBounds(members);
+
+    // Comunidades en el mismo punto: como mínimo un nivel más
+    if (this.zoom <= before) {
+      this.zoomAround(1);
+    }
+  }
+
+  // === MARCADORES ===
+
+  setMarkers(markers) {
+    this.markers = markers.filter(marker => Number.isFinite(marker.lat) && Number.isFinite(marker.lng));
+    this.scheduleRender();
+  }
+
+  highlight(id) {
+    this.highlighted = id;
+    this.updateMarkerStates();
+  }
+
+  /**
+   * Selecciona un marcador; con `pan` lo centra con el zoom justo para que no quede agrupado
+   */
+  select(id, { pan = true } = {}) {
+    this.selected = id;
+
+    const marker = this.markers.find(candidate => candidate.id === id);
+    if (marker && pan) {
+      let zoom = this.zoom;
+      while (zoom < this.options.maxZoom && this.isClustered(marker, zoom)) zoom++;
+      this.setView(marker, zoom);
+    } else {
+      this.scheduleRender();
+    }
+  }
+
+  isClustered(marker, zoom) {
+    if (!this.shouldCluster(zoom)) return false;
+    return clusterMarkers(this.markers, zoom, this.options.clusterRadius)
+      .some(cluster => cluster.markers.length > 1 && cluster.markers.includes(marker));
+  }
+
+  shouldCluster(zoom = this.zoom) {
+    return this.options.clustering && zoom < this.options.clusterMaxZoom;
+  }
+
+  // === PINTADO ===
+
+  scheduleRender() {
+    if (this.frame || !this.viewport) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  render() {
+    const { width, height } = this.getSize();
+    if (!width || !height) return;
+
+    const center = this.getCenterPoint();
+    const origin = { x: center.x - width / 2, y: center.y - height / 2 };
+
+    this.renderTiles(origin, width, height);
+    this.renderMarkers(origin);
+  }
+
+  /**
+   * Teselas visibles; las que ya estaban se reutilizan
+   */
+  renderTiles(origin, width, height) {
+    const count = Math.pow(2, this.zoom);
+    const needed = new Set();
+
+    for (let x = Math.floor(origin.x / MAP_TILE_SIZE); x <= Math.floor((origin.x + width) / MAP_TILE_SIZE); x++) {
+      for (let y = Math.max(0, Math.floor(origin.y / MAP_TILE_SIZE)); y <= Math.min(count - 1, Math.floor((origin.y + height) / MAP_TILE_SIZE)); y++) {
+        const key = `${this.zoom}/${x}/${y}`;
+        needed.add(key);
+
+        let tile = this.tiles.get(key);
+        if (!tile) {
+          // El mundo se repite en horizontal
+          const wrappedX = ((x % count) + count) % count;
+          tile = DOMUtils.createElement('img', { className: 'community-map__tile', alt: '', draggable: false });
+          tile.addEventListener('error', () => {
+            // Sin red (o sin teselas del proveedor) se ve la cuadrícula local
+            tile.src = MAP_TILE_SOURCES.local.render(this.zoom, wrappedX, y);
+          }, { once: true });
+          tile.src = this.getTileUrl(this.zoom, wrappedX, y);
+          this.tiles.set(key, tile);
+          this.tileLayer.append(tile);
+        }
+
+        tile.style.transform = `translate(${Math.round(x * MAP_TILE_SIZE - origin.x)}px, ${Math.round(y * MAP_TILE_SIZE - origin.y)}px)`;
+      }
+    }
+
+    this.tiles.forEach((tile, key) => {
+      if (!needed.has(key)) {
+        tile.remove();
+        this.tiles.delete(key);
+      }
+    });
+  }
+
+  getTileUrl(z, x, y) {
+    if (this.source.render) {
+      return this.source.render(z, x, y);
+    }
+
+    return this.source.url
+      .replace('{z}', z)
+      .replace('{x}', x)
+      .replace('{y}', y)
+      .replace('{style}', this.options.style || 'streets-v11')
+      .replace('{apiKey}', encodeURIComponent(this.options.apiKey || ''));
+  }
+
+  /**
+   * Marcadores y grupos del zoom actual
+   */
+  renderMarkers(origin) {
+    this.clusters = this.shouldCluster()
+      ? clusterMarkers(this.markers, this.zoom, this.options.clusterRadius)
+      : this.markers.map(marker => ({ ...projectPoint(marker.lat, marker.lng, this.zoom), markers: [marker] }));
+
+    const size = MAP_MARKER_SIZES[this.options.markerSize] || MAP_MARKER_SIZES.medium;
+
+    // Lista con clave y posición aplicada aparte: al desplazar o seleccionar se conservan
+    // los botones existentes (y con ellos el foco del teclado)
+    TemplateUtils.renderList(this.markerLayer, this.clusters, cluster => this.getClusterKey(cluster), cluster => {
+      if (cluster.markers.length === 1) {
+        const [marker] = cluster.markers;
+        return html`
+          <button type="button" class="community-map__marker" data-marker-id="${marker.id}"
+                  style="${`--marker-color: ${marker.color}; --marker-size: ${size}px`}"
+                  aria-label="${marker.label}">
+            <span class="community-map__label" aria-hidden="true">${marker.label}</span>
+          </button>
+        `;
+      }
+
+      // El grupo toma el color de la categoría más frecuente
+      const colors = ArrayUtils.groupBy(cluster.markers, 'color');
+      const color = Object.keys(colors).sort((a, b) => colors[b].length - colors[a].length)[0];
+
+      return html`
+        <button type="button" class="community-map__marker community-map__marker--cluster"
+                data-marker-ids="${cluster.markers.map(marker => marker.id).join(',')}"
+                style="${`--marker-color: ${color}; --marker-size: ${size + 12}px`}"
+                aria-label="${`${cluster.markers.length} comunidades. Acercar`}">
+          ${cluster.markers.length}
+        </button>
+      `;
+    });
+
+    this.clusters.forEach((cluster, index) => {
+      const element = this.markerLayer.children[index];
+      if (!element) return;
+
+      element.style.left = `${Math.round(cluster.x - origin.x)}px`;
+      element.style.top = `${Math.round(cluster.y - origin.y)}px`;
+    });
+
+    this.updateMarkerStates();
+  }
+
+  /**
+   * Clave estable de un marcador o grupo para la lista de marcadores
+   */
+  getClusterKey(cluster) {
+    return cluster.markers.length === 1
+      ? `marker:${cluster.markers[0].id}`
+      : `cluster:${cluster.markers.map(marker => marker.id).join(',')}`;
+  }
+
+  /**
+   * Marca el marcador (o grupo) resaltado y el seleccionado
+   */
+  updateMarkerStates() {
+    if (!this.markerLayer) return;
+
+    DOMUtils.$$('.community-map__marker', this.markerLayer).forEach(element => {
+      const ids = element.dataset.markerId ? [element.dataset.markerId] : element.dataset.markerIds.split(',');
+      element.classList.toggle('is-highlighted', ids.includes(this.highlighted));
+      element.classList.toggle('is-selected', ids.includes(this.selected));
+      if (element.dataset.markerId) {
+        element.setAttribute('aria-pressed', String(element.dataset.markerId === this.selected));
+      }
+    });
+  }
+}
+
+/**
+ * Registro de adaptadores por proveedor
+ */
+class MapProviders {
+  constructor() {
+    this.factories = new Map();
+
+    ['openstreetmap', 'mapbox', 'local'].forEach(id => {
+      this.register(id, options => new RasterMapAdapter(MAP_TILE_SOURCES[id], options));
+    });
+  }
+
+  register(id, factory) {
+    this.factories.set(id, factory);
+  }
+
+  has(id) {
+    return this.factories.has(id);
+  }
+
+  /**
+   * Adaptador del proveedor configurado; si no está disponible, OpenStreetMap
+   */
+  create(provider = ConfigManager.get('maps.provider', 'openstreetmap'), options = {}) {
+    const mapsConfig = ConfigManager.get('maps', {});
+    const mapOptions = {
+      apiKey: mapsConfig.apiKey,
+      style: mapsConfig.style,
+      minZoom: mapsConfig.minZoom,
+      maxZoom: mapsConfig.maxZoom,
+      clustering: mapsConfig.clustering !== false,
+      clusterRadius: mapsConfig.clusterRadius,
+      clusterMaxZoom: mapsConfig.clusterMaxZoom,
+      markerSize: mapsConfig.markers?.community?.size,
+      ...options
+    };
+    Object.keys(mapOptions).forEach(key => mapOptions[key] === undefined && delete mapOptions[key]);
+
+    let id = provider;
+    if (!this.has(id) || (MAP_TILE_SOURCES[id]?.requiresApiKey && !mapOptions.apiKey)) {
+      console.warn(`Map provider "${provider}" is not available, falling back to openstreetmap`);
+      id = 'openstreetmap';
+    }
+
+    return this.factories.get(id)(mapOptions);
+  }
+
+  /**
+   * Color del marcador de una comunidad según su categoría
+   */
+  getMarkerColor(community) {
+    return CONSTANTS.category(community.categoryId)?.color
+      || ConfigManager.get('maps.markers.community.color', '#6366f1');
+  }
+}
+
+// Crear instancia global
+const mapProviders = new MapProviders();
+
+// Exportar al scope global
+window.RasterMapAdapter = RasterMapAdapter;
+window.MapProviders = MapProviders;
+window.MapUtils = { projectPoint, unprojectPoint, clusterMarkers };
+window.mapProviders = mapProviders;
+
+console.log('✅ Community Stories Platform - Community Map loaded');
\ No newline at end of file
@@ -70,7 +70,13 @@ const APP_CONFIG = {
         low: 128,
         medium: 192,
         high: 320
-      }
+      },
+      spatialAudio: true,
+      backgroundMusic: true,
+      voiceNarration: true,
+      musicVolume: 0.4,
+      duckingLevel: 0.25, // proporción del volumen de música bajo la voz
+      crossfadeDuration: 1.5 // segundos
     }
   },
   
@@ -79,10 +85,13 @@ const APP_CONFIG = {
     lazyLoading: true,
     preloadImages: 3,
     cacheTimeout: 24 * 60 * 60 * 1000, // 24 horas
+    tempCacheTimeout: 5 * 60 * 1000, // búsquedas y estadísticas
+    cacheMaxBytes: 25 * 1024 * 1024, // presupuesto de la caché en memoria
     debounceDelay: 300,
     throttleDelay: 100,
     intersectionThreshold: 0.1,
-    maxConcurrentRequests: 6
+    maxConcurrentRequests: 6,
+    slowNetworkPause: 60000 // pausa de precargas tras network:slow
   },
   
   // Configuración de UI
@@ -102,6 +111,11 @@ const APP_CONFIG = {
         accelerate: 'cubic-bezier(0.4, 0, 1, 1)'
       }
     },
+    routing: {
+      scrollRestoration: true,
+      focusOnNavigate: true,
+      transition: 'fade' // fade | slide | none
+    },
     breakpoints: {
       xs: 320,
       sm: 640,
@@ -143,11 +157,18 @@ const APP_CONFIG = {
   
   // Configuración de mapas
   maps: {
-    provider: 'mapbox', // mapbox | google | openstreetmap
+    provider: 'openstreetmap', // openstreetmap | mapbox | local (ver community-map.js)
     apiKey: null,
     defaultZoom: 10,
+    minZoom: 2,
+    maxZoom: 18,
+    defaultCenter: { lat: 10, lng: -30 }, // vista inicial si no hay comunidades con ubicación
     style: 'streets-v11',
     clustering: true,
+    clusterRadius: 60, // píxeles
+    clusterMaxZoom: 14, // desde este zoom ya no se agrupan marcadores
+    nearbyRadius: 50, // km del filtro "cerca de" (null = cualquier distancia)
+    nearbyRadii: [10, 25, 50, 100, 250],
     markers: {
       community: {
         color: '#6366f1',
@@ -195,6 +216,11 @@ const APP_CONFIG = {
     notifications: {
       enabled: true,
       vapidKey: null
+    },
+    offlinePacks: {
+      enabled: true,
+      maxPacks: 20,
+      concurrency: 3 // descargas de media en paralelo
     }
   },
   
@@ -215,7 +241,13 @@ const APP_CONFIG = {
     },
     sanitization: {
       enabled: true,
-      allowedTags: ['p', 'br', 'strong', 'em', 'u', 'a', 'ul', 'ol', 'li']
+      allowedTags: ['p', 'br', 'strong', 'em', 'u', 'a', 'ul', 'ol', 'li'],
+      // Atributos permitidos por etiqueta ('*' = cualquier etiqueta permitida)
+      allowedAttributes: {
+        '*': ['title', 'lang', 'dir'],
+        a: ['href', 'target', 'rel', 'hreflang']
+      },
+      allowedSchemes: ['http', 'https', 'mailto', 'tel']
     }
   },
   
@@ -228,7 +260,8 @@ const APP_CONFIG = {
     devTools: {
       redux: true,
       performance: true,
-      accessibility: true
+      accessibility: true,
+      sanitizerCheck: false // Corpus XSS de development/fixtures contra el saneador al arrancar
     }
   },
   
@@ -237,6 +270,12 @@ const APP_CONFIG = {
     darkMode: true,
     offlineMode: true,
     rtlSupport: false,
+    storytelling: {
+      enabled: true,
+      scrollType: 'cinematic', // cinematic | standard
+      parallaxEnabled: true,
+      audioSpatial: true
+    },
     beta: {
       aiRecommendations: false,
       blockchainDonations: false,
@@ -262,6 +301,19 @@ const APP_CONFIG = {
     }
   },
   
+  // Búsqueda local (ver search-index.js)
+  search: {
+    minQueryLength: 2,
+    minPrefixLength: 2, // la última palabra se completa mientras se escribe
+    typoTolerance: {
+      oneTypo: 4, // longitud mínima para admitir una errata
+      twoTypos: 8
+    },
+    remoteThreshold: 3, // con menos resultados locales se consulta la API
+    snippetLength: 160,
+    pageLimit: 200 // resultados de /search antes de aplicar facetas
+  },
+  
   // Configuración de comunidades
   communities: {
     maxStoriesPerCommunity: 10,
@@ -295,6 +347,11 @@ const APP_CONFIG = {
     minLength: 500,
     autoSave: true,
     autoSaveInterval: 30000, // 30 segundos
+    userChoices: true, // narrativas ramificadas
+    saveProgress: true, // reanudar lectura entre sesiones y dispositivos
+    validation: {
+      strict: false // true: los errores de esquema interrumpen la carga (ver story-schema.js)
+    },
     drafts: {
       maxCount: 5,
       retention: 30 // días
@@ -306,8 +363,13 @@ const APP_CONFIG = {
     },
     sharing: {
       socialMedia: ['twitter', 'facebook', 'linkedin', 'whatsapp'],
-      embedCode: true,
-      downloadPDF: true
+      embedCode: true, // /embed/stories/:slug y oEmbed en /api/oembed
+      embed: {
+        defaultHeight: 600, // altura inicial del iframe hasta el primer mensaje de tamaño
+        maxWidth: 720
+      },
+      downloadPDF: true, // hoja de estilos de impresión (ver story-export.js)
+      downloadEPUB: true
     }
   },
   
@@ -352,6 +414,16 @@ const ENVIRONMENT_CONFIG = {
     mockData: true,
     analytics: {
       enabled: false
+    },
+    stories: {
+      validation: {
+        strict: true
+      }
+    },
+    development: {
+      devTools: {
+        sanitizerCheck: true
+      }
     }
   },
   
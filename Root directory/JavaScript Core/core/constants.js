@@ -69,12 +69,19 @@ const EVENTS = [
   'app:init', 'app:ready', 'app:error',
   // Story
   'story:load', 'story:loaded', 'story:error', 'story:progress', 'story:complete',
+  'story:choice', 'story:rewind', 'story:step', 'story:sync', 'story:export',
+  // Audio
+  'audio:load', 'audio:play', 'audio:pause', 'audio:track', 'audio:progress', 'audio:ended',
+  // Offline
+  'offline:start', 'offline:progress', 'offline:complete', 'offline:error', 'offline:remove',
   // Community
   'community:select', 'community:load', 'community:loaded',
   // Sponsor
   'sponsor:view', 'sponsor:click', 'sponsor:convert',
   // Donation
   'donation:start', 'donation:success', 'donation:error',
+  // Navigation
+  'nav:start', 'nav:change', 'nav:end', 'nav:cancel', 'nav:blocked', 'nav:notfound',
   // UI
   'ui:resize', 'ui:scroll', 'ui:theme', 'ui:language',
   // Network
@@ -332,16 +332,16 @@ class ErrorHandler {
   }
 
   /**
-   * Muestra toast de error
+   * Muestra toast de error; `message` es HTML de confianza (como antes de usar html``)
    */
   showErrorToast(message, error) {
     // Crear elemento de toast
     const toast = DOMUtils.createElement('div', {
       className: 'error-toast',
-      innerHTML: `
+      innerHTML: html`
         <div class="error-toast__icon">⚠️</div>
         <div class="error-toast__content">
-          <div class="error-toast__message">${message}</div>
+          <div class="error-toast__message">${unsafeHTML(message)}</div>
           <div class="error-toast__actions">
             <button class="error-toast__retry">Reintentar</button>
             <button class="error-toast__dismiss">Cerrar</button>
@@ -0,0 +1,433 @@
+/**
+ * Community Stories Platform - Geolocation
+ * Distancias, geohash y consultas de cercanía sobre las comunidades en caché (también sin conexión)
+ *
+ * La ubicación del usuario sale del GPS (si da permiso) o de una ciudad escrita a mano, y se
+ * guarda para no volver a preguntar:
+ *   { latitude, longitude, label, source: 'gps' | 'manual' }
+ *
+ * Las consultas "a menos de X km" usan un índice geohash: se miran la celda del punto y sus
+ * 8 vecinas con la precisión en que una celda mide al menos el radio, se descarta por
+ * rectángulo y se calcula la distancia real (haversine) solo de lo que queda.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180; // ~111,19 km, coherente con haversine
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const GEOHASH_MAX_PRECISION = 6; // celdas de ~1,2 km x 0,6 km
+const USER_LOCATION_KEY = 'user-location';
+
+const GeolocationUtils = {
+  // === DISTANCIAS ===
+
+  /**
+   * Distancia en km entre dos puntos (fórmula de haversine)
+   */
+  calculateDistance(lat1, lng1, lat2, lng2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  },
+
+  /**
+   * Rectángulo que contiene el círculo de `radiusKm` alrededor de un punto
+   *
+   * Si cruza el antimeridiano, minLng > maxLng. Si toca un polo abarca todas las longitudes.
+   */
+  getBoundingBox(lat, lng, radiusKm) {
+    const dLat = radiusKm / EARTH_RADIUS_KM * 180 / Math.PI;
+    const minLat = Math.max(-90, lat - dLat);
+    const maxLat = Math.min(90, lat + dLat);
+
+    if (minLat === -90 || maxLat === 90) {
+      return { minLat, maxLat, minLng: -180, maxLng: 180 };
+    }
+
+    // Mayor desviación en longitud del círculo (no en su centro sino más cerca del polo)
+    const sinLng = Math.sin(radiusKm / EARTH_RADIUS_KM) / Math.cos(lat * Math.PI / 180);
+    if (sinLng >= 1) {
+      return { minLat, maxLat, minLng: -180, maxLng: 180 };
+    }
+    const dLng = Math.asin(sinLng) * 180 / Math.PI;
+
+    const wrap = value => ((value + 540) % 360) - 180;
+    return { minLat, maxLat, minLng: wrap(lng - dLng), maxLng: wrap(lng + dLng) };
+  },
+
+  /**
+   * Indica si un punto cae dentro de un rectángulo de getBoundingBox
+   */
+  isInBoundingBox(lat, lng, box) {
+    if (lat < box.minLat || lat > box.maxLat) return false;
+
+    return box.minLng <= box.maxLng
+      ? lng >= box.minLng && lng <= box.maxLng
+      : lng >= box.minLng || lng <= box.maxLng;
+  },
+
+  /**
+   * Distancia legible ("850 m", "12 km")
+   */
+  formatDistance(km) {
+    if (km < 1) return `${Math.round(km * 1000)} m`;
+    return `${km < 10 ? km.toFixed(1).replace('.', ',') : Math.round(km)} km`;
+  },
+
+  // === GEOHASH ===
+
+  /**
+   * Geohash de un punto con la precisión indicada
+   */
+  encodeGeohash(lat, lng, precision = GEOHASH_MAX_PRECISION) {
+    const latRange = [-90, 90];
+    const lngRange = [-180, 180];
+    let hash = '';
+    let bits = 0;
+    let value = 0;
+    let isLng = true;
+
+    while (hash.length < precision) {
+      const range = isLng ? lngRange : latRange;
+      const coordinate = isLng ? lng : lat;
+      const mid = (range[0] + range[1]) / 2;
+
+      value <<= 1;
+      if (coordinate >= mid) {
+        value |= 1;
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+
+      isLng = !isLng;
+      if (++bits === 5) {
+        hash += GEOHASH_BASE32[value];
+        bits = 0;
+        value = 0;
+      }
+    }
+
+    return hash;
+  },
+
+  /**
+   * Centro de la celda de un geohash
+   */
+  decodeGeohash(hash) {
+    const latRange = [-90, 90];
+    const lngRange = [-180, 180];
+    let isLng = true;
+
+    for (const char of hash) {
+      const value = GEOHASH_BASE32.indexOf(char);
+      for (let bit = 4; bit >= 0; bit--) {
+        const range = isLng ? lngRange : latRange;
+        const mid = (range[0] + range[1]) / 2;
+        range[(value >> bit) & 1 ? 0 : 1] = mid;
+        isLng = !isLng;
+      }
+    }
+
+    return {
+      latitude: (latRange[0] + latRange[1]) / 2,
+      longitude: (lngRange[0] + lngRange[1]) / 2
+    };
+  },
+
+  /**
+   * Tamaño en grados de las celdas de una precisión
+   */
+  getGeohashCellSize(precision) {
+    const bits = precision * 5;
+    return {
+      lat: 180 / Math.pow(2, Math.floor(bits / 2)),
+      lng: 360 / Math.pow(2, Math.ceil(bits / 2))
+    };
+  },
+
+  /**
+   * Celda de un geohash y sus 8 vecinas (sin repetir cerca de los polos)
+   */
+  getGeohashNeighbors(hash) {
+    const { latitude, longitude } = this.decodeGeohash(hash);
+    const size = this.getGeohashCellSize(hash.length);
+    const cells = new Set();
+
+    [-1, 0, 1].forEach(dLat => {
+      const lat = latitude + dLat * size.lat;
+      if (lat < -90 || lat > 90) return;
+
+      [-1, 0, 1].forEach(dLng => {
+        const lng = ((longitude + dLng * size.lng + 540) % 360) - 180;
+        cells.add(this.encodeGeohash(lat, lng, hash.length));
+      });
+    });
+
+    return Array.from(cells);
+  },
+
+  /**
+   * Mayor precisión cuyas celdas miden al menos `radiusKm` en la latitud dada (0 si ninguna)
+   */
+  getPrecisionForRadius(radiusKm, lat) {
+    // En las vecinas hacia el polo las celdas son más estrechas
+    const latitude = Math.min(89, Math.abs(lat) + radiusKm / KM_PER_DEGREE);
+
+    for (let precision = GEOHASH_MAX_PRECISION; precision >= 1; precision--) {
+      const size = this.getGeohashCellSize(precision);
+      const height = size.lat * KM_PER_DEGREE;
+      const width = size.lng * KM_PER_DEGREE * Math.cos(latitude * Math.PI / 180);
+      if (height >= radiusKm && width >= radiusKm) return precision;
+    }
+
+    return 0;
+  },
+
+  // === UBICACIÓN DEL USUARIO ===
+
+  /**
+   * Estado del permiso: granted | prompt | denied | unsupported
+   */
+  async getPermissionState() {
+    if (!('geolocation' in navigator)) return 'unsupported';
+    if (!navigator.permissions) return 'prompt';
+
+    try {
+      const status = await navigator.permissions.query({ name: 'geolocation' });
+      return status.state;
+    } catch (error) {
+      return 'prompt';
+    }
+  },
+
+  /**
+   * Avisa de los cambios de permiso (el usuario puede cambiarlo en el navegador); devuelve cleanup
+   */
+  onPermissionChange(callback) {
+    if (!navigator.permissions) return () => {};
+
+    let status = null;
+    const handler = () => callback(status.state);
+    navigator.permissions.query({ name: 'geolocation' })
+      .then(result => {
+        status = result;
+        status.addEventListener('change', handler);
+      })
+      .catch(() => {});
+
+    return () => status?.removeEventListener('change', handler);
+  },
+
+  /**
+   * Posición actual del dispositivo; si no hay permiso el navegador lo pide
+   */
+  getCurrentPosition(options = {}) {
+    if (!('geolocation' in navigator)) {
+      return Promise.reject(new Error('Geolocation is not supported'));
+    }
+
+    return new Promise((resolve, reject) => {
+      navigator.geolocation.getCurrentPosition(
+        position => resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy
+        }),
+        error => reject(Object.assign(new Error(`Geolocation failed: ${error.message}`), {
+          code: error.code,
+          denied: error.code === error.PERMISSION_DENIED
+        })),
+        {
+          enableHighAccuracy: false,
+          timeout: ConfigManager.get('api.timeout', 10000),
+          maximumAge: 10 * 60 * 1000,
+          ...options
+        }
+      );
+    });
+  },
+
+  /**
+   * Ubicación guardada del usuario (GPS o ciudad escrita)
+   */
+  getSavedLocation() {
+    return StorageUtils.getItem(USER_LOCATION_KEY);
+  },
+
+  saveLocation(location) {
+    StorageUtils.setItem(USER_LOCATION_KEY, {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      label: location.label || null,
+      source: location.source || 'manual'
+    });
+  },
+
+  clearLocation() {
+    StorageUtils.removeItem(USER_LOCATION_KEY);
+  },
+
+  // === BÚSQUEDA POR CIUDAD ===
+
+  /**
+   * Lugares que coinciden con el nombre de una ciudad
+   *
+   * Primero las ciudades de las comunidades en caché (funciona sin conexión) y, si no hay
+   * ninguna y hay red, /api/geocode.
+   */
+  async findCity(name) {
+    const query = this.normalizeName(name);
+    if (query.length < 2) return [];
+
+    const local = this.findCachedCity(query);
+    if (local.length > 0 || !navigator.onLine) return local;
+
+    try {
+      const response = await fetch(`/api/geocode?q=${encodeURIComponent(String(name).trim())}`);
+      if (!response.ok) {
+        throw new Error(`Geocoding failed: ${response.status}`);
+      }
+
+      const { data = [] } = await response.json();
+      return data
+        .filter(place => Number.isFinite(place.latitude) && Number.isFinite(place.longitude))
+        .map(place => ({
+          latitude: place.latitude,
+          longitude: place.longitude,
+          label: [place.name, place.country].filter(Boolean).join(', ')
+        }));
+    } catch (error) {
+      console.warn('Failed to geocode city:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Ciudades de las comunidades en caché cuyo nombre empieza por la consulta
+   */
+  findCachedCity(query) {
+    if (!window.communityManager) return [];
+
+    const places = new Map();
+    communityManager.communities.forEach(community => {
+      const { city, country, latitude, longitude } = community.location || {};
+      if (!city || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return;
+
+      const key = `${this.normalizeName(city)}|${country || ''}`;
+      if (!this.normalizeName(city).startsWith(query) || places.has(key)) return;
+
+      places.set(key, { latitude, longitude, label: [city, country].filter(Boolean).join(', ') });
+    });
+
+    return Array.from(places.values());
+  },
+
+  normalizeName(name) {
+    return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  }
+};
+
+/**
+ * Índice geohash de puntos con id (las comunidades en caché)
+ */
+class GeoIndex {
+  constructor() {
+    this.points = new Map(); // id -> { latitude, longitude, hash }
+    this.cells = new Map(); // prefijo de geohash -> Set(id)
+  }
+
+  /**
+   * Añade o mueve un punto
+   */
+  add(id, latitude, longitude) {
+    const current = this.points.get(id);
+    if (current && current.latitude === latitude && current.longitude === longitude) return;
+
+    this.remove(id);
+
+    const hash = GeolocationUtils.encodeGeohash(latitude, longitude);
+    this.points.set(id, { latitude, longitude, hash });
+
+    // Se indexa cada prefijo para consultar con cualquier precisión
+    for (let length = 1; length <= hash.length; length++) {
+      const prefix = hash.slice(0, length);
+      if (!this.cells.has(prefix)) this.cells.set(prefix, new Set());
+      this.cells.get(prefix).add(id);
+    }
+  }
+
+  remove(id) {
+    const point = this.points.get(id);
+    if (!point) return;
+
+    for (let length = 1; length <= point.hash.length; length++) {
+      const prefix = point.hash.slice(0, length);
+      const cell = this.cells.get(prefix);
+      cell?.delete(id);
+      if (cell?.size === 0) this.cells.delete(prefix);
+    }
+
+    this.points.delete(id);
+  }
+
+  /**
+   * Pone el índice al día con las comunidades (array o iterable): añade, mueve y quita
+   */
+  sync(communities) {
+    const seen = new Set();
+
+    for (const community of communities) {
+      const { latitude, longitude } = community.location || {};
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+
+      seen.add(community.id);
+      this.add(community.id, latitude, longitude);
+    }
+
+    Array.from(this.points.keys()).forEach(id => {
+      if (!seen.has(id)) this.remove(id);
+    });
+  }
+
+  /**
+   * Puntos a menos de `radiusKm` ordenados por distancia: [{ id, distance }]
+   */
+  queryRadius(latitude, longitude, radiusKm) {
+    const precision = GeolocationUtils.getPrecisionForRadius(radiusKm, latitude);
+    const box = GeolocationUtils.getBoundingBox(latitude, longitude, radiusKm);
+
+    // Radios de miles de km: se recorre todo
+    let candidates = this.points.keys();
+    if (precision > 0) {
+      const ids = new Set();
+      GeolocationUtils.getGeohashNeighbors(GeolocationUtils.encodeGeohash(latitude, longitude, precision))
+        .forEach(prefix => this.cells.get(prefix)?.forEach(id => ids.add(id)));
+      candidates = ids;
+    }
+
+    const results = [];
+    for (const id of candidates) {
+      const point = this.points.get(id);
+      if (!GeolocationUtils.isInBoundingBox(point.latitude, point.longitude, box)) continue;
+
+      const distance = GeolocationUtils.calculateDistance(latitude, longitude, point.latitude, point.longitude);
+      if (distance <= radiusKm) results.push({ id, distance });
+    }
+
+    return results.sort((a, b) => a.distance - b.distance);
+  }
+
+  get size() {
+    return this.points.size;
+  }
+}
+
+// Exportar al scope global
+window.GeolocationUtils = GeolocationUtils;
+window.GeoIndex = GeoIndex;
+
+console.log('✅ Community Stories Platform - Geolocation loaded');
\ No newline at end of file
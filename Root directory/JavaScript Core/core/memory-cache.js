@@ -0,0 +1,302 @@
+/**
+ * Community Stories Platform - Memory Cache
+ * Caché en memoria compartida con presupuesto en bytes, expulsión LRU y TTL por entrada
+ *
+ * Cada módulo usa su propio espacio de nombres (`memoryCache.namespace('stories')`)
+ * con métricas separadas, pero todos comparten el mismo presupuesto de memoria.
+ */
+
+class MemoryCache {
+  constructor(options = {}) {
+    this.maxBytes = options.maxBytes || ConfigManager.get('performance.cacheMaxBytes', 25 * 1024 * 1024);
+    this.defaultTtl = options.ttl || ConfigManager.get('performance.cacheTimeout', 24 * 60 * 60 * 1000);
+
+    // El orden de inserción del Map es el orden de uso: la primera entrada es la menos reciente
+    this.entries = new Map(); // clave completa -> { namespace, value, size, expiresAt }
+    this.bytes = 0;
+    this.stats = new Map(); // namespace -> contadores
+    this.namespaces = new Map();
+    this.evictListeners = new Map(); // namespace -> Set de callbacks
+  }
+
+  /**
+   * Obtiene (o crea) la vista de un espacio de nombres
+   */
+  namespace(name) {
+    if (this.namespaces.has(name)) {
+      return this.namespaces.get(name);
+    }
+
+    const view = {
+      name,
+      get: key => this.get(name, key),
+      peek: key => this.peek(name, key),
+      has: key => this.has(name, key),
+      set: (key, value, options) => this.set(name, key, value, options),
+      delete: key => this.delete(name, key),
+      clear: () => this.clear(name),
+      keys: () => this.keys(name),
+      onEvict: callback => this.onEvict(name, callback),
+      getMetrics: () => this.getMetrics(name),
+      get size() {
+        return this.keys().length;
+      }
+    };
+
+    this.namespaces.set(name, view);
+    return view;
+  }
+
+  /**
+   * Obtiene un valor vigente y lo marca como usado
+   */
+  get(namespace, key) {
+    const fullKey = this.getKey(namespace, key);
+    const entry = this.entries.get(fullKey);
+    const stats = this.getStats(namespace);
+
+    if (!entry) {
+      stats.misses++;
+      return undefined;
+    }
+
+    // Las entradas caducadas se conservan como respaldo (peek) hasta que haga falta espacio
+    if (this.isExpired(entry)) {
+      stats.misses++;
+      stats.expired++;
+      return undefined;
+    }
+
+    this.entries.delete(fullKey);
+    this.entries.set(fullKey, entry);
+
+    stats.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Obtiene un valor aunque haya caducado, sin alterar el orden LRU ni las métricas
+   */
+  peek(namespace, key) {
+    const entry = this.entries.get(this.getKey(namespace, key));
+    return entry ? entry.value : undefined;
+  }
+
+  /**
+   * Indica si hay un valor vigente
+   */
+  has(namespace, key) {
+    const entry = this.entries.get(this.getKey(namespace, key));
+    return Boolean(entry) && !this.isExpired(entry);
+  }
+
+  /**
+   * Guarda un valor; `options.ttl` y `options.size` sustituyen a los calculados
+   */
+  set(namespace, key, value, options = {}) {
+    const fullKey = this.getKey(namespace, key);
+    const size = options.size || this.estimateSize(value);
+    const stats = this.getStats(namespace);
+
+    this.delete(namespace, key);
+
+    // Un valor mayor que todo el presupuesto vaciaría la caché sin poder guardarse
+    if (size > this.maxBytes) {
+      stats.rejected++;
+      return false;
+    }
+
+    this.entries.set(fullKey, {
+      namespace,
+      value,
+      size,
+      expiresAt: Date.now() + (options.ttl || this.defaultTtl)
+    });
+    this.bytes += size;
+    stats.sets++;
+
+    this.evict();
+    return true;
+  }
+
+  /**
+   * Elimina una entrada
+   */
+  delete(namespace, key) {
+    const fullKey = this.getKey(namespace, key);
+    const entry = this.entries.get(fullKey);
+    if (!entry) return false;
+
+    this.entries.delete(fullKey);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  /**
+   * Vacía un espacio de nombres (o toda la caché)
+   */
+  clear(namespace = null) {
+    if (!namespace) {
+      this.entries.clear();
+      this.bytes = 0;
+      return;
+    }
+
+    this.keys(namespace).forEach(key => this.delete(namespace, key));
+  }
+
+  /**
+   * Claves de un espacio de nombres
+   */
+  keys(namespace) {
+    const prefix = this.getKey(namespace, '');
+
+    return Array.from(this.entries.keys())
+      .filter(fullKey => fullKey.startsWith(prefix))
+      .map(fullKey => fullKey.slice(prefix.length));
+  }
+
+  /**
+   * Libera espacio hasta cumplir el presupuesto: primero caducadas, luego las menos usadas
+   */
+  evict() {
+    if (this.bytes <= this.maxBytes) return;
+
+    this.prune();
+
+    for (const [fullKey, entry] of this.entries) {
+      if (this.bytes <= this.maxBytes) break;
+
+      this.entries.delete(fullKey);
+      this.bytes -= entry.size;
+      this.getStats(entry.namespace).evictions++;
+      this.notifyEvict(fullKey, entry);
+    }
+  }
+
+  /**
+   * Elimina las entradas caducadas
+   */
+  prune() {
+    for (const [fullKey, entry] of this.entries) {
+      if (this.isExpired(entry)) {
+        this.entries.delete(fullKey);
+        this.bytes -= entry.size;
+        this.getStats(entry.namespace).expirations++;
+        this.notifyEvict(fullKey, entry);
+      }
+    }
+  }
+
+  /**
+   * Suscribe a las expulsiones de un espacio de nombres; devuelve la función para cancelar
+   *
+   * Solo avisa de lo que la caché descarta por su cuenta (presupuesto o caducidad),
+   * no de `delete`, `clear` ni de la sustitución de un valor con `set`.
+   */
+  onEvict(namespace, callback) {
+    if (!this.evictListeners.has(namespace)) {
+      this.evictListeners.set(namespace, new Set());
+    }
+
+    const listeners = this.evictListeners.get(namespace);
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+  }
+
+  /**
+   * Notifica una expulsión a los suscriptores de su espacio de nombres
+   */
+  notifyEvict(fullKey, entry) {
+    const listeners = this.evictListeners.get(entry.namespace);
+    if (!listeners) return;
+
+    const key = fullKey.slice(this.getKey(entry.namespace, '').length);
+    listeners.forEach(callback => {
+      try {
+        callback(key, entry.value);
+      } catch (error) {
+        console.error(`Memory cache evict listener failed for ${fullKey}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Estima el tamaño en memoria de un valor (UTF-16: 2 bytes por carácter)
+   */
+  estimateSize(value) {
+    try {
+      const json = JSON.stringify(value);
+      return json ? json.length * 2 : 0;
+    } catch (error) {
+      // Estructuras circulares: tamaño fijo conservador
+      return 64 * 1024;
+    }
+  }
+
+  /**
+   * Métricas de un espacio de nombres (o globales)
+   */
+  getMetrics(namespace = null) {
+    const counters = namespace
+      ? this.getStats(namespace)
+      : Array.from(this.stats.values()).reduce((total, stats) => {
+        Object.keys(stats).forEach(key => {
+          total[key] = (total[key] || 0) + stats[key];
+        });
+        return total;
+      }, this.createStats());
+
+    const entries = Array.from(this.entries.values())
+      .filter(entry => !namespace || entry.namespace === namespace);
+    const lookups = counters.hits + counters.misses;
+
+    return {
+      ...counters,
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxBytes: this.maxBytes,
+      hitRate: lookups > 0 ? NumberUtils.round(counters.hits / lookups, 2) : 0
+    };
+  }
+
+  /**
+   * Contadores de un espacio de nombres
+   */
+  getStats(namespace) {
+    if (!this.stats.has(namespace)) {
+      this.stats.set(namespace, this.createStats());
+    }
+    return this.stats.get(namespace);
+  }
+
+  /**
+   * Contadores iniciales
+   */
+  createStats() {
+    return { hits: 0, misses: 0, expired: 0, sets: 0, evictions: 0, expirations: 0, rejected: 0 };
+  }
+
+  /**
+   * Indica si una entrada ha caducado
+   */
+  isExpired(entry) {
+    return Date.now() >= entry.expiresAt;
+  }
+
+  /**
+   * Clave completa con espacio de nombres
+   */
+  getKey(namespace, key) {
+    return `${namespace}:${key}`;
+  }
+}
+
+// Crear instancia global compartida
+const memoryCache = new MemoryCache();
+
+// Exportar al scope global
+window.MemoryCache = MemoryCache;
+window.memoryCache = memoryCache;
+
+console.log('✅ Community Stories Platform - Memory Cache loaded');
\ No newline at end of file
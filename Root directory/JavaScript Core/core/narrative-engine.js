@@ -0,0 +1,471 @@
+/**
+ * Community Stories Platform - Narrative Engine
+ * Motor de narrativas ramificadas: nodos de decisión, condiciones y variables
+ *
+ * Formato de `story.narrative`:
+ *   {
+ *     start: 'intro',
+ *     variables: { confianza: 0 },
+ *     nodes: {
+ *       intro: { blocks: ['block-0'], next: 'rio' },
+ *       rio: { type: 'choice', prompt: '¿Qué hacemos?', choices: [
+ *         { id: 'cruzar', label: 'Cruzar', target: 'final', effects: [{ variable: 'confianza', op: 'add', value: 1 }] },
+ *         { id: 'esperar', label: 'Esperar', target: 'final', conditions: { visited: 'intro' } }
+ *       ] },
+ *       final: { type: 'ending', blocks: ['block-3'] }
+ *     }
+ *   }
+ *
+ * El recorrido del lector se guarda como lista de decisiones y el estado
+ * se reconstruye reproduciéndolas, lo que permite retroceder a cualquiera.
+ */
+
+class NarrativeEngine {
+  constructor() {
+    this.graphs = new Map();
+    this.states = new Map();
+    this.maxSteps = 1000;
+  }
+
+  /**
+   * Carga la narrativa de una historia y restaura el recorrido guardado
+   */
+  load(story) {
+    if (!story || !story.narrative) {
+      return null;
+    }
+
+    const graph = this.buildGraph(story.id, story.narrative);
+    this.graphs.set(story.id, graph);
+
+    const decisions = this.loadPath(story.id);
+    const state = this.replay(graph, decisions);
+
+    // Descartar decisiones que ya no existen (historia editada)
+    if (state.decisions.length !== decisions.length) {
+      this.savePath(story.id, state.decisions);
+    }
+
+    this.states.set(story.id, state);
+    return state;
+  }
+
+  /**
+   * Normaliza y valida el grafo narrativo
+   */
+  buildGraph(storyId, narrative) {
+    const rawNodes = Array.isArray(narrative.nodes)
+      ? narrative.nodes
+      : Object.entries(narrative.nodes || {}).map(([id, node]) => ({ id, ...node }));
+
+    if (rawNodes.length === 0) {
+      throw new Error(`Narrative for story ${storyId} has no nodes`);
+    }
+
+    const nodes = new Map();
+
+    rawNodes.forEach(node => {
+      const choices = (node.choices || []).map((choice, index) => ({
+        id: choice.id || `${node.id}-choice-${index}`,
+        label: choice.label || '',
+        target: choice.target,
+        conditions: choice.conditions || null,
+        effects: choice.effects || []
+      }));
+
+      nodes.set(node.id, {
+        id: node.id,
+        type: node.type || (choices.length > 0 ? 'choice' : node.next ? 'content' : 'ending'),
+        title: node.title || '',
+        prompt: node.prompt || '',
+        blocks: node.blocks || [],
+        next: node.next || null,
+        effects: node.effects || [],
+        choices
+      });
+    });
+
+    const graph = {
+      storyId,
+      start: narrative.start || rawNodes[0].id,
+      variables: { ...(narrative.variables || {}) },
+      nodes
+    };
+
+    this.validateGraph(graph);
+    return graph;
+  }
+
+  /**
+   * Verifica que todos los destinos existen
+   */
+  validateGraph(graph) {
+    const assertNode = (nodeId, from) => {
+      if (!graph.nodes.has(nodeId)) {
+        throw new Error(`Narrative node "${from}" references unknown node "${nodeId}"`);
+      }
+    };
+
+    assertNode(graph.start, 'start');
+
+    graph.nodes.forEach(node => {
+      node.choices.forEach(choice => assertNode(choice.target, node.id));
+
+      if (Array.isArray(node.next)) {
+        node.next.forEach(branch => assertNode(branch.target, node.id));
+      } else if (node.next) {
+        assertNode(node.next, node.id);
+      }
+
+      if (node.type === 'choice' && node.choices.length === 0) {
+        throw new Error(`Narrative choice node "${node.id}" has no choices`);
+      }
+    });
+  }
+
+  /**
+   * Reconstruye el estado reproduciendo una lista de decisiones
+   */
+  replay(graph, decisions = []) {
+    const state = {
+      storyId: graph.storyId,
+      variables: { ...graph.variables },
+      visited: [],
+      segments: [],
+      decisions: [],
+      currentNode: null,
+      choices: null,
+      ended: false
+    };
+
+    let nodeId = graph.start;
+    let steps = 0;
+
+    while (nodeId) {
+      if (++steps > this.maxSteps) {
+        throw new Error(`Narrative for story ${graph.storyId} loops without choices`);
+      }
+
+      const node = graph.nodes.get(nodeId);
+      this.enterNode(state, node);
+
+      if (node.type === 'ending') {
+        state.currentNode = node.id;
+        state.ended = true;
+        break;
+      }
+
+      if (node.type === 'choice') {
+        const available = this.getAvailableChoices(node, state);
+        const decision = decisions[state.decisions.length];
+        const choice = decision && decision.nodeId === node.id
+          ? available.find(option => option.id === decision.choiceId)
+          : null;
+
+        // Sin decisión (o decisión ya no válida): el lector debe elegir aquí
+        if (!choice) {
+          state.currentNode = node.id;
+          state.choices = available;
+          break;
+        }
+
+        this.applyEffects(state, choice.effects);
+        state.decisions.push({
+          nodeId: node.id,
+          choiceId: choice.id,
+          label: choice.label,
+          segmentIndex: state.segments.length - 1
+        });
+
+        nodeId = choice.target;
+        continue;
+      }
+
+      nodeId = this.resolveNext(node.next, state);
+
+      // Ninguna rama aplicable: el nodo actúa como final
+      if (!nodeId) {
+        state.currentNode = node.id;
+        state.ended = true;
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Registra la entrada en un nodo y aplica sus efectos
+   */
+  enterNode(state, node) {
+    state.visited.push(node.id);
+    state.segments.push({
+      nodeId: node.id,
+      type: node.type,
+      title: node.title,
+      prompt: node.prompt,
+      blocks: node.blocks
+    });
+
+    this.applyEffects(state, node.effects);
+  }
+
+  /**
+   * Resuelve el siguiente nodo (admite ramas condicionales)
+   */
+  resolveNext(next, state) {
+    if (!next) return null;
+    if (typeof next === 'string') return next;
+
+    const branch = next.find(option => this.evaluateCondition(option.conditions, state));
+    return branch ? branch.target : null;
+  }
+
+  /**
+   * Obtiene opciones cuyo requisito se cumple
+   */
+  getAvailableChoices(node, state) {
+    return node.choices.filter(choice => this.evaluateCondition(choice.conditions, state));
+  }
+
+  /**
+   * Evalúa una condición sobre decisiones previas, nodos visitados o variables
+   */
+  evaluateCondition(condition, state) {
+    if (!condition || Object.keys(condition).length === 0) return true;
+
+    if (Array.isArray(condition)) {
+      return condition.every(item => this.evaluateCondition(item, state));
+    }
+
+    if (condition.all) {
+      return condition.all.every(item => this.evaluateCondition(item, state));
+    }
+
+    if (condition.any) {
+      return condition.any.some(item => this.evaluateCondition(item, state));
+    }
+
+    if (condition.not) {
+      return !this.evaluateCondition(condition.not, state);
+    }
+
+    if (condition.choice) {
+      const decision = state.decisions.find(item => item.nodeId === condition.choice);
+      return 'equals' in condition
+        ? Boolean(decision) && decision.choiceId === condition.equals
+        : Boolean(decision);
+    }
+
+    if (condition.visited) {
+      return state.visited.includes(condition.visited);
+    }
+
+    if (condition.variable) {
+      return this.compare(state.variables[condition.variable], condition.op || 'eq', condition.value);
+    }
+
+    return true;
+  }
+
+  /**
+   * Compara un valor de variable
+   */
+  compare(actual, op, expected) {
+    switch (op) {
+      case 'eq': return actual === expected;
+      case 'neq': return actual !== expected;
+      case 'gt': return actual > expected;
+      case 'gte': return actual >= expected;
+      case 'lt': return actual < expected;
+      case 'lte': return actual <= expected;
+      case 'in': return Array.isArray(expected) && expected.includes(actual);
+      case 'truthy': return Boolean(actual);
+      default:
+        throw new Error(`Unknown narrative operator: ${op}`);
+    }
+  }
+
+  /**
+   * Aplica efectos sobre las variables
+   */
+  applyEffects(state, effects) {
+    effects.forEach(effect => {
+      const current = state.variables[effect.variable];
+
+      switch (effect.op || 'set') {
+        case 'set':
+          state.variables[effect.variable] = effect.value;
+          break;
+        case 'add':
+          state.variables[effect.variable] = (Number(current) || 0) + effect.value;
+          break;
+        case 'subtract':
+          state.variables[effect.variable] = (Number(current) || 0) - effect.value;
+          break;
+        case 'toggle':
+          state.variables[effect.variable] = !current;
+          break;
+        default:
+          throw new Error(`Unknown narrative effect: ${effect.op}`);
+      }
+    });
+  }
+
+  /**
+   * Elige una opción en el nodo de decisión actual
+   */
+  choose(storyId, choiceId) {
+    const graph = this.getGraph(storyId);
+    const state = this.states.get(storyId);
+
+    if (!state.choices) {
+      throw new Error(`Story ${storyId} is not waiting for a choice`);
+    }
+
+    const choice = state.choices.find(option => option.id === choiceId);
+    if (!choice) {
+      throw new Error(`Choice "${choiceId}" is not available in node "${state.currentNode}"`);
+    }
+
+    const nodeId = state.currentNode;
+    const decisions = [...state.decisions, { nodeId, choiceId }];
+    const nextState = this.commit(graph, decisions);
+
+    eventBus.emit(EVENTS.STORY_CHOICE, {
+      storyId,
+      nodeId,
+      choiceId,
+      variables: nextState.variables
+    });
+
+    if (nextState.ended) {
+      eventBus.emit(EVENTS.STORY_COMPLETE, {
+        storyId,
+        ending: nextState.currentNode,
+        decisions: nextState.decisions.length
+      });
+    }
+
+    return nextState;
+  }
+
+  /**
+   * Retrocede hasta una decisión previa (se deshacen ella y las siguientes)
+   */
+  rewind(storyId, decisionIndex) {
+    const graph = this.getGraph(storyId);
+    const state = this.states.get(storyId);
+
+    if (decisionIndex < 0 || decisionIndex > state.decisions.length) {
+      throw new Error(`Invalid decision index: ${decisionIndex}`);
+    }
+
+    const nextState = this.commit(graph, state.decisions.slice(0, decisionIndex));
+
+    eventBus.emit(EVENTS.STORY_REWIND, {
+      storyId,
+      decisionIndex,
+      nodeId: nextState.currentNode
+    });
+
+    return nextState;
+  }
+
+  /**
+   * Vuelve al principio de la narrativa
+   */
+  restart(storyId) {
+    return this.rewind(storyId, 0);
+  }
+
+  /**
+   * Reproduce, guarda y persiste un nuevo recorrido
+   */
+  commit(graph, decisions) {
+    const state = this.replay(graph, decisions);
+    this.states.set(graph.storyId, state);
+    this.savePath(graph.storyId, state.decisions);
+    return state;
+  }
+
+  /**
+   * Evalúa una condición sobre el estado actual de una historia
+   */
+  evaluate(storyId, condition) {
+    const state = this.states.get(storyId);
+    if (!state) return true;
+
+    return this.evaluateCondition(condition, state);
+  }
+
+  /**
+   * Obtiene el grafo de una historia cargada
+   */
+  getGraph(storyId) {
+    const graph = this.graphs.get(storyId);
+    if (!graph) {
+      throw new Error(`Narrative not loaded for story ${storyId}`);
+    }
+    return graph;
+  }
+
+  /**
+   * Obtiene el estado actual de una historia
+   */
+  getState(storyId) {
+    return this.states.get(storyId) || null;
+  }
+
+  /**
+   * Obtiene las decisiones tomadas en una historia
+   */
+  getPath(storyId) {
+    const state = this.states.get(storyId);
+    const decisions = state ? state.decisions : this.loadPath(storyId);
+
+    return decisions.map(({ nodeId, choiceId }) => ({ nodeId, choiceId }));
+  }
+
+  /**
+   * Obtiene un nodo del grafo
+   */
+  getNode(storyId, nodeId) {
+    return this.getGraph(storyId).nodes.get(nodeId) || null;
+  }
+
+  /**
+   * Carga el recorrido guardado
+   */
+  loadPath(storyId) {
+    const saved = StorageUtils.getItem(`story-path-${storyId}`, null);
+    return saved && Array.isArray(saved.decisions) ? saved.decisions : [];
+  }
+
+  /**
+   * Persiste el recorrido del lector
+   */
+  savePath(storyId, decisions) {
+    StorageUtils.setItem(`story-path-${storyId}`, {
+      decisions: decisions.map(({ nodeId, choiceId }) => ({ nodeId, choiceId })),
+      updatedAt: Date.now()
+    }, 30 * 24 * 60 * 60 * 1000); // 30 días
+  }
+
+  /**
+   * Elimina estado y recorrido de una historia
+   */
+  clear(storyId) {
+    this.graphs.delete(storyId);
+    this.states.delete(storyId);
+    StorageUtils.removeItem(`story-path-${storyId}`);
+  }
+}
+
+// Crear instancia global
+const narrativeEngine = new NarrativeEngine();
+
+// Exportar al scope global
+window.NarrativeEngine = NarrativeEngine;
+window.narrativeEngine = narrativeEngine;
+
+console.log('✅ Community Stories Platform - Narrative Engine loaded');
\ No newline at end of file
@@ -0,0 +1,550 @@
+/**
+ * Community Stories Platform - Offline Packs
+ * Paquetes de historias para leer sin conexión (IndexedDB + Cache Storage)
+ *
+ * Cada paquete guarda la historia procesada en IndexedDB y sus recursos
+ * (imágenes, audio, vídeo en todas sus versiones y logos de sponsors) en una
+ * caché propia `story-pack-<id>`, que el service worker conserva al actualizarse.
+ */
+
+const PACK_DB_NAME = 'community-stories-offline';
+const PACK_DB_VERSION = 1;
+const PACK_STORE = 'packs';
+const PACK_CACHE_PREFIX = 'story-pack-';
+const PACK_FORMAT = 1;
+
+class OfflinePacks {
+  constructor() {
+    this.db = null;
+    this.index = new Map(); // storyId -> metadatos del paquete (sin la historia)
+    this.downloads = new Map(); // storyId -> { controller, loaded, total }
+
+    this.ready = this.init();
+  }
+
+  /**
+   * Inicializa la base de datos y el índice de paquetes
+   */
+  async init() {
+    if (!this.isSupported()) return;
+
+    try {
+      const packs = await this.getAllPacks();
+
+      packs.forEach(pack => this.index.set(pack.storyId, this.toSummary(pack)));
+
+      // Los slugs de historias descargadas deben resolverse sin conexión
+      storyLoader.slugResolver.registerAll(packs.map(pack => pack.story));
+
+      console.log(`✅ OfflinePacks initialized (${packs.length} packs)`);
+    } catch (error) {
+      console.warn('Failed to initialize offline packs:', error);
+    }
+  }
+
+  /**
+   * Indica si el navegador permite paquetes offline
+   */
+  isSupported() {
+    return Boolean(
+      window.indexedDB &&
+      window.caches &&
+      ConfigManager.get('features.offlineMode', true) &&
+      ConfigManager.get('pwa.offlinePacks.enabled', true)
+    );
+  }
+
+  // === INDEXEDDB ===
+
+  /**
+   * Abre (o crea) la base de datos de paquetes
+   */
+  openDatabase() {
+    if (this.db) return Promise.resolve(this.db);
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(PACK_DB_NAME, PACK_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PACK_STORE)) {
+          db.createObjectStore(PACK_STORE, { keyPath: 'storyId' });
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Ejecuta una operación sobre el almacén de paquetes
+   */
+  async withStore(mode, operation) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(PACK_STORE, mode);
+      const request = operation(transaction.objectStore(PACK_STORE));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Obtiene todos los paquetes guardados
+   */
+  getAllPacks() {
+    return this.withStore('readonly', store => store.getAll());
+  }
+
+  /**
+   * Obtiene un paquete completo
+   */
+  getPack(storyId) {
+    return this.withStore('readonly', store => store.get(storyId));
+  }
+
+  // === CONSULTAS ===
+
+  /**
+   * Indica si una historia está descargada
+   */
+  has(storyId) {
+    return this.index.has(storyId);
+  }
+
+  /**
+   * Metadatos del paquete de una historia
+   */
+  get(storyId) {
+    return this.index.get(storyId) || null;
+  }
+
+  /**
+   * Metadatos de los paquetes, del más reciente al más antiguo
+   */
+  list() {
+    return Array.from(this.index.values())
+      .sort((a, b) => b.downloadedAt - a.downloadedAt);
+  }
+
+  /**
+   * Obtiene la historia procesada de un paquete
+   */
+  async getStory(storyId) {
+    if (!this.has(storyId)) return null;
+
+    try {
+      const pack = await this.getPack(storyId);
+      return pack ? pack.story : null;
+    } catch (error) {
+      console.warn(`Failed to read offline pack ${storyId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Indica si el paquete corresponde a una versión anterior de la historia
+   */
+  isOutdated(story) {
+    const summary = this.index.get(story.id);
+    return Boolean(summary) && summary.version !== this.getStoryVersion(story);
+  }
+
+  /**
+   * Estado de una descarga en curso
+   */
+  getDownload(storyId) {
+    const download = this.downloads.get(storyId);
+    if (!download) return null;
+
+    return {
+      loaded: download.loaded,
+      total: download.total,
+      percent: download.total > 0 ? Math.round((download.loaded / download.total) * 100) : 0
+    };
+  }
+
+  /**
+   * Espacio usado y disponible en el dispositivo
+   */
+  async getStorageUsage() {
+    const packsSize = this.list().reduce((sum, pack) => sum + pack.size, 0);
+
+    if (!navigator.storage || !navigator.storage.estimate) {
+      return { packs: packsSize, usage: null, quota: null };
+    }
+
+    const { usage, quota } = await navigator.storage.estimate();
+    return { packs: packsSize, usage, quota };
+  }
+
+  // === RECURSOS ===
+
+  /**
+   * Recopila las URLs de todos los recursos de la historia
+   */
+  collectAssets(story) {
+    const assets = new Map(); // url -> { url, type, size }
+
+    const add = (url, type, size = null) => {
+      if (!url || typeof url !== 'string' || url.startsWith('data:')) return;
+      if (!assets.has(url)) {
+        assets.set(url, { url, type, size: Number(size) || null });
+      }
+    };
+
+    // Media con todas sus versiones (resoluciones, formatos, subtítulos)
+    const addMedia = (item, type) => {
+      add(item.url, type, item.size || item.metadata?.size);
+      add(item.thumbnail, 'image');
+      add(item.poster, 'image');
+      (item.renditions || item.sources || []).forEach(rendition => {
+        add(rendition.url || rendition.src, type, rendition.size);
+      });
+      (item.tracks || []).forEach(track => add(track.url || track.src, 'text'));
+    };
+
+    const media = story.media || {};
+    (media.images || []).forEach(item => addMedia(item, 'image'));
+    (media.videos || []).forEach(item => addMedia(item, 'video'));
+    (media.audio || []).forEach(item => addMedia(item, 'audio'));
+
+    // Bloques del contenido (incluidos capítulos); cada tipo declara sus recursos
+    storyLoader.getStoryBlocks(story).forEach(block => {
+      if (['image', 'video', 'audio'].includes(block.type)) {
+        addMedia(block, block.type);
+      }
+      storyBlocks.getAssets(block).forEach(asset => add(asset.url, asset.type, asset.size));
+    });
+
+    (story.sponsors || []).forEach(sponsor => add(sponsor.logo, 'image'));
+    add(story.community?.image, 'image');
+
+    return Array.from(assets.values());
+  }
+
+  /**
+   * Estima el tamaño de la descarga
+   */
+  async estimateSize(story, assets = this.collectAssets(story)) {
+    const storyBytes = new Blob([JSON.stringify(story)]).size;
+    let unknown = 0;
+
+    // Sin tamaño declarado: se consulta con HEAD (solo con conexión)
+    const pending = assets.filter(asset => !asset.size);
+    if (navigator.onLine) {
+      for (const batch of ArrayUtils.chunk(pending, this.getConcurrency())) {
+        await Promise.all(batch.map(async asset => {
+          try {
+            const response = await fetch(asset.url, { method: 'HEAD' });
+            asset.size = Number(response.headers.get('Content-Length')) || null;
+          } catch (error) {
+            asset.size = null;
+          }
+        }));
+      }
+    }
+
+    const assetsBytes = assets.reduce((sum, asset) => {
+      if (!asset.size) unknown++;
+      return sum + (asset.size || 0);
+    }, 0);
+
+    return {
+      bytes: storyBytes + assetsBytes,
+      assets: assets.length,
+      unknown
+    };
+  }
+
+  // === DESCARGA ===
+
+  /**
+   * Descarga una historia y sus recursos como paquete offline
+   */
+  async download(storyId) {
+    if (!this.isSupported()) {
+      throw new Error('Offline packs are not supported in this browser');
+    }
+
+    if (this.downloads.has(storyId)) {
+      return this.downloads.get(storyId).promise;
+    }
+
+    const controller = new AbortController();
+    const download = { controller, loaded: 0, total: 0, promise: null };
+
+    download.promise = this.runDownload(storyId, download);
+
+    this.downloads.set(storyId, download);
+    return download.promise;
+  }
+
+  /**
+   * Proceso de descarga: historia completa, recursos y registro en IndexedDB
+   */
+  async runDownload(storyId, download) {
+    const { signal } = download.controller;
+    const cacheName = `${PACK_CACHE_PREFIX}${storyId}`;
+
+    try {
+      const story = await storyLoader.loadStory(storyId, { format: 'full' });
+
+      // Los capítulos se cargan normalmente al visitarlos; el paquete los necesita todos
+      await Promise.all((story.chapters || [])
+        .filter(chapter => !chapter.loaded)
+        .map(chapter => storyLoader.loadChapter(storyId, chapter.id)));
+
+      const assets = this.collectAssets(story);
+      const estimate = await this.estimateSize(story, assets);
+      await this.ensureQuota(storyId, estimate.bytes);
+
+      download.total = estimate.bytes;
+
+      eventBus.emit(EVENTS.OFFLINE_START, {
+        storyId,
+        total: download.total,
+        assets: assets.length
+      });
+
+      const cache = await caches.open(cacheName);
+      const failed = [];
+      let size = new Blob([JSON.stringify(story)]).size;
+      const emitProgress = FunctionUtils.throttle(() => this.emitProgress(storyId, download), 250);
+
+      for (const batch of ArrayUtils.chunk(assets, this.getConcurrency())) {
+        await Promise.all(batch.map(async asset => {
+          let received = 0;
+
+          try {
+            const response = await fetch(asset.url, { signal });
+            if (!response.ok && response.type !== 'opaque') {
+              throw new Error(`HTTP ${response.status}`);
+            }
+
+            // Tamaño y progreso salen de los bytes leídos (Content-Length falta en respuestas fragmentadas)
+            size += await this.putCounted(cache, asset.url, response, bytes => {
+              received += bytes;
+              download.loaded += bytes;
+              emitProgress();
+            });
+          } catch (error) {
+            if (signal.aborted) throw error;
+            download.loaded -= received; // el recurso fallido no cuenta en el progreso
+            failed.push(asset.url);
+          }
+
+          this.emitProgress(storyId, download);
+        }));
+      }
+
+      if (signal.aborted) {
+        throw new DOMException('Download cancelled', 'AbortError');
+      }
+
+      const pack = {
+        storyId,
+        format: PACK_FORMAT,
+        version: this.getStoryVersion(story),
+        slug: story.slug,
+        title: story.title,
+        image: story.media?.images?.[0]?.url || null,
+        story,
+        assets: assets.map(asset => asset.url).filter(url => !failed.includes(url)),
+        failed,
+        size,
+        downloadedAt: Date.now()
+      };
+
+      await this.withStore('readwrite', store => store.put(pack));
+      this.index.set(storyId, this.toSummary(pack));
+
+      // El paquete sustituye a la copia ligera de localStorage
+      storyLoader.saveToCache();
+
+      if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+      }
+
+      this.downloads.delete(storyId);
+
+      eventBus.emit(EVENTS.OFFLINE_COMPLETE, {
+        storyId,
+        size,
+        failed: failed.length
+      });
+
+      return this.index.get(storyId);
+
+    } catch (error) {
+      this.downloads.delete(storyId);
+
+      // No dejar recursos sueltos de un paquete a medias
+      if (!this.has(storyId)) {
+        await caches.delete(cacheName);
+      }
+
+      const cancelled = error.name === 'AbortError';
+
+      eventBus.emit(EVENTS.OFFLINE_ERROR, {
+        storyId,
+        cancelled,
+        error: error.message
+      });
+
+      if (!cancelled && window.errorHandler) {
+        window.errorHandler.logError({
+          type: 'offline_pack',
+          message: `Failed to download offline pack: ${storyId}`,
+          error: error.message
+        });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Cancela una descarga en curso
+   */
+  cancel(storyId) {
+    const download = this.downloads.get(storyId);
+    if (download) {
+      download.controller.abort();
+    }
+  }
+
+  /**
+   * Comprueba que el paquete cabe en el almacenamiento disponible
+   */
+  async ensureQuota(storyId, bytes) {
+    const maxPacks = ConfigManager.get('pwa.offlinePacks.maxPacks', 20);
+    if (!this.has(storyId) && this.index.size >= maxPacks) {
+      throw new Error(`Offline pack limit reached (${maxPacks})`);
+    }
+
+    if (!navigator.storage || !navigator.storage.estimate) return;
+
+    const { usage, quota } = await navigator.storage.estimate();
+    if (quota && usage + bytes > quota) {
+      throw new Error(`Not enough storage for offline pack: ${NumberUtils.formatBytes(bytes)} needed`);
+    }
+  }
+
+  /**
+   * Guarda una respuesta en caché contando los bytes del cuerpo según pasan
+   *
+   * El cuerpo va en streaming hasta la caché: un vídeo entero no pasa por memoria.
+   */
+  async putCounted(cache, url, response, onChunk) {
+    if (!response.body) {
+      await cache.put(url, response);
+      return 0;
+    }
+
+    let total = 0;
+    const counter = new TransformStream({
+      transform(chunk, controller) {
+        total += chunk.byteLength;
+        onChunk(chunk.byteLength);
+        controller.enqueue(chunk);
+      }
+    });
+
+    await cache.put(url, new Response(response.body.pipeThrough(counter), {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    }));
+
+    return total;
+  }
+
+  /**
+   * Notifica el progreso de una descarga
+   */
+  emitProgress(storyId, download) {
+    const progress = this.getDownload(storyId);
+    if (!progress) return;
+
+    eventBus.emit(EVENTS.OFFLINE_PROGRESS, {
+      storyId,
+      ...progress,
+      // Las estimaciones sin Content-Length pueden quedarse cortas
+      percent: Math.min(progress.percent, 99)
+    });
+  }
+
+  // === GESTIÓN ===
+
+  /**
+   * Elimina un paquete y sus recursos
+   */
+  async remove(storyId) {
+    await caches.delete(`${PACK_CACHE_PREFIX}${storyId}`);
+    await this.withStore('readwrite', store => store.delete(storyId));
+
+    this.index.delete(storyId);
+
+    eventBus.emit(EVENTS.OFFLINE_REMOVE, { storyId });
+  }
+
+  /**
+   * Elimina todos los paquetes
+   */
+  async clear() {
+    const storyIds = Array.from(this.index.keys());
+    for (const storyId of storyIds) {
+      await this.remove(storyId);
+    }
+  }
+
+  /**
+   * Versión de la historia para detectar paquetes desactualizados
+   */
+  getStoryVersion(story) {
+    const updatedAt = story.updatedAt instanceof Date ? story.updatedAt.getTime() : story.updatedAt;
+    return `${story.metadata?.version || '1.0.0'}-${updatedAt || 0}`;
+  }
+
+  /**
+   * Descargas de media simultáneas
+   */
+  getConcurrency() {
+    return ConfigManager.get('pwa.offlinePacks.concurrency', 3);
+  }
+
+  /**
+   * Metadatos del paquete para listados
+   */
+  toSummary(pack) {
+    return {
+      storyId: pack.storyId,
+      version: pack.version,
+      slug: pack.slug,
+      title: pack.title,
+      image: pack.image,
+      assets: pack.assets.length,
+      failed: (pack.failed || []).length,
+      size: pack.size,
+      downloadedAt: pack.downloadedAt
+    };
+  }
+}
+
+// Crear instancia global
+const offlinePacks = new OfflinePacks();
+
+// Exportar al scope global
+window.OfflinePacks = OfflinePacks;
+window.offlinePacks = offlinePacks;
+
+console.log('✅ Community Stories Platform - Offline Packs loaded');
\ No newline at end of file
@@ -0,0 +1,398 @@
+/**
+ * Community Stories Platform - Preload Scheduler
+ * Planificador de precargas según la red: concurrencia limitada, tiempo ocioso y pausa en redes lentas
+ *
+ * Tipos de tarea:
+ *   story: datos de una historia (se permiten en 3G)
+ *   image: imágenes de portada (se omiten con ahorro de datos)
+ *   media: vídeo y audio (solo en 4G sin ahorro de datos)
+ */
+
+class PreloadScheduler {
+  constructor() {
+    this.queue = [];
+    this.tasks = new Map(); // key -> tarea en cola o en curso
+    this.active = 0;
+    this.pauseReasons = new Set(); // p. ej. 'network' (red lenta) o 'hidden' (pestaña oculta)
+    this.resumeTimers = new Map(); // motivo -> temporizador de reanudación
+    this.idleHandle = null;
+    this.slow = false;
+    this.subscriptions = [];
+    this.metrics = { scheduled: 0, completed: 0, failed: 0, skipped: 0, pauses: 0 };
+
+    // Bind methods
+    this.handleConnectionChange = this.handleConnectionChange.bind(this);
+    this.handleOnline = this.handleOnline.bind(this);
+    this.pump = this.pump.bind(this);
+
+    this.init();
+  }
+
+  /**
+   * Inicializa la vigilancia de la red
+   */
+  init() {
+    window.addEventListener('online', this.handleOnline);
+
+    if (navigator.connection) {
+      navigator.connection.addEventListener('change', this.handleConnectionChange);
+    }
+
+    // Otros módulos (p. ej. peticiones que tardan) también pueden avisar de red lenta
+    this.subscriptions.push(
+      eventBus.on(EVENTS.NETWORK_SLOW, this.handleNetworkSlow.bind(this))
+    );
+
+    this.slow = this.isSlowConnection();
+
+    console.log('✅ PreloadScheduler initialized');
+  }
+
+  // === COLA ===
+
+  /**
+   * Programa una precarga; devuelve una promesa con su resultado
+   *
+   * `task` recibe un AbortSignal. Las tareas con la misma `key` se comparten.
+   */
+  schedule(task, options = {}) {
+    const {
+      key = StringUtils.generateId('preload'),
+      priority = 'normal',
+      type = 'story',
+      idle = true
+    } = options;
+
+    if (this.tasks.has(key)) {
+      return this.tasks.get(key).promise;
+    }
+
+    // Tipos que esta conexión no debe precargar: se descartan sin esperar
+    if (!this.isTypeAllowed(type)) {
+      this.metrics.skipped++;
+      return Promise.resolve(null);
+    }
+
+    const item = {
+      key,
+      task,
+      type,
+      idle,
+      priority: this.getPriorityValue(priority),
+      controller: new AbortController(),
+      timestamp: Date.now()
+    };
+
+    item.promise = new Promise((resolve, reject) => {
+      item.resolve = resolve;
+      item.reject = reject;
+    });
+
+    this.tasks.set(key, item);
+    this.queue.push(item);
+    this.metrics.scheduled++;
+
+    // Mayor prioridad primero; a igual prioridad, la más antigua
+    this.queue.sort((a, b) => b.priority - a.priority || a.timestamp - b.timestamp);
+
+    this.pump();
+    return item.promise;
+  }
+
+  /**
+   * Lanza tareas mientras haya huecos y la red lo permita
+   */
+  pump() {
+    if (!this.canRun()) return;
+
+    while (this.active < this.getConcurrency()) {
+      // Las tareas de baja urgencia esperan a que el navegador esté ocioso
+      const index = this.queue.findIndex(item => !item.idle || item.priority >= ENUMS.priority.HIGH);
+
+      if (index === -1) {
+        if (this.queue.length > 0) {
+          this.scheduleIdle();
+        }
+        return;
+      }
+
+      const [item] = this.queue.splice(index, 1);
+      this.run(item);
+    }
+  }
+
+  /**
+   * Ejecuta la siguiente tarea en tiempo ocioso
+   */
+  scheduleIdle() {
+    if (this.idleHandle) return;
+
+    const runNext = () => {
+      this.idleHandle = null;
+      if (!this.canRun() || this.active >= this.getConcurrency()) return;
+
+      const item = this.queue.shift();
+      if (item) {
+        this.run(item);
+      }
+      this.pump();
+    };
+
+    this.idleHandle = 'requestIdleCallback' in window
+      ? { id: requestIdleCallback(runNext, { timeout: 2000 }), idle: true }
+      : { id: setTimeout(runNext, 200), idle: false };
+  }
+
+  /**
+   * Ejecuta una tarea y libera su hueco al terminar
+   */
+  async run(item) {
+    // La red pudo empeorar mientras la tarea esperaba
+    if (!this.isTypeAllowed(item.type)) {
+      this.metrics.skipped++;
+      this.finish(item);
+      item.resolve(null);
+      return;
+    }
+
+    this.active++;
+
+    try {
+      const result = await item.task(item.controller.signal);
+      this.metrics.completed++;
+      item.resolve(result);
+    } catch (error) {
+      this.metrics.failed++;
+      item.reject(error);
+    } finally {
+      this.active--;
+      this.finish(item);
+      this.pump();
+    }
+  }
+
+  /**
+   * Elimina una tarea del registro
+   */
+  finish(item) {
+    if (this.tasks.get(item.key) === item) {
+      this.tasks.delete(item.key);
+    }
+  }
+
+  /**
+   * Cancela una precarga en cola o en curso
+   */
+  cancel(key) {
+    const item = this.tasks.get(key);
+    if (!item) return;
+
+    item.controller.abort();
+    this.queue = this.queue.filter(queued => queued !== item);
+    this.finish(item);
+    item.resolve(null);
+  }
+
+  /**
+   * Vacía la cola
+   */
+  clear() {
+    Array.from(this.tasks.keys()).forEach(key => this.cancel(key));
+  }
+
+  // === RED ===
+
+  /**
+   * Indica si pueden lanzarse precargas ahora
+   */
+  canRun() {
+    return navigator.onLine && !this.isPaused();
+  }
+
+  /**
+   * Precargas simultáneas según `performance.maxConcurrentRequests` y la conexión
+   */
+  getConcurrency() {
+    const max = ConfigManager.get('performance.maxConcurrentRequests', 6);
+    const connection = navigator.connection;
+
+    // Se reserva un hueco para las peticiones que pide el usuario
+    if (!connection) return Math.max(max - 1, 1);
+    if (this.slow) return 1;
+    if (connection.effectiveType === '3g') return Math.max(Math.floor(max / 3), 1);
+
+    return Math.max(max - 1, 1);
+  }
+
+  /**
+   * Indica si la conexión permite precargar un tipo de recurso
+   */
+  isTypeAllowed(type) {
+    const connection = navigator.connection;
+    if (!connection) return true;
+
+    if (connection.saveData) {
+      return false;
+    }
+
+    if (type === 'media') {
+      return connection.effectiveType === '4g';
+    }
+
+    return true;
+  }
+
+  /**
+   * Indica si la conexión es lenta (2G o inferior)
+   */
+  isSlowConnection() {
+    const connection = navigator.connection;
+    return Boolean(connection) && ['slow-2g', '2g'].includes(connection.effectiveType);
+  }
+
+  /**
+   * Reacciona a cambios de tipo de conexión o ahorro de datos
+   */
+  handleConnectionChange() {
+    const wasSlow = this.slow;
+    this.slow = this.isSlowConnection();
+
+    if (this.slow && !wasSlow) {
+      eventBus.emit(EVENTS.NETWORK_SLOW, {
+        effectiveType: navigator.connection.effectiveType,
+        downlink: navigator.connection.downlink,
+        saveData: navigator.connection.saveData
+      });
+      return;
+    }
+
+    if (!this.slow && wasSlow) {
+      this.resume('network');
+    }
+
+    // Con ahorro de datos se descarta lo pendiente que ya no está permitido
+    this.queue
+      .filter(item => !this.isTypeAllowed(item.type))
+      .forEach(item => this.cancel(item.key));
+  }
+
+  /**
+   * Pausa las precargas mientras la red va lenta
+   */
+  handleNetworkSlow() {
+    this.pause('network', ConfigManager.get('performance.slowNetworkPause', 60000));
+  }
+
+  /**
+   * Sigue con la cola al recuperar la conexión (sin conexión canRun() la detiene y la cola se conserva)
+   *
+   * Los eventos NETWORK_ONLINE/OFFLINE los emite la aplicación; una pausa explícita se respeta.
+   */
+  handleOnline() {
+    this.pump();
+  }
+
+  /**
+   * Pausa la cola por un motivo; con `duration` ese motivo se retira solo salvo que la red siga lenta
+   *
+   * Cada motivo se reanuda por separado: la cola sigue parada mientras quede alguno.
+   */
+  pause(reason = 'manual', duration = null) {
+    if (!this.isPaused()) {
+      this.metrics.pauses++;
+    }
+    this.pauseReasons.add(reason);
+
+    clearTimeout(this.resumeTimers.get(reason));
+    this.resumeTimers.delete(reason);
+
+    if (duration) {
+      this.resumeTimers.set(reason, setTimeout(() => {
+        if (this.isSlowConnection()) {
+          this.pause(reason, duration);
+        } else {
+          this.resume(reason);
+        }
+      }, duration));
+    }
+  }
+
+  /**
+   * Retira un motivo de pausa y reanuda la cola si no queda ninguno
+   */
+  resume(reason = 'manual') {
+    clearTimeout(this.resumeTimers.get(reason));
+    this.resumeTimers.delete(reason);
+    this.pauseReasons.delete(reason);
+    this.pump();
+  }
+
+  /**
+   * Indica si hay algún motivo de pausa activo
+   */
+  isPaused() {
+    return this.pauseReasons.size > 0;
+  }
+
+  // === UTILIDADES ===
+
+  /**
+   * Convierte prioridades de texto ('high', 'normal', 'low') a ENUMS.priority
+   */
+  getPriorityValue(priority) {
+    if (typeof priority === 'number') return priority;
+    return ENUMS.priority[String(priority).toUpperCase()] ?? ENUMS.priority.NORMAL;
+  }
+
+  /**
+   * Métricas del planificador
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      queued: this.queue.length,
+      active: this.active,
+      paused: this.isPaused(),
+      pauseReasons: Array.from(this.pauseReasons),
+      concurrency: this.getConcurrency(),
+      effectiveType: navigator.connection?.effectiveType || null,
+      saveData: Boolean(navigator.connection?.saveData)
+    };
+  }
+
+  /**
+   * Destruye el planificador
+   */
+  destroy() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+
+    this.clear();
+    this.resumeTimers.forEach(timer => clearTimeout(timer));
+    this.resumeTimers.clear();
+
+    if (this.idleHandle) {
+      if (this.idleHandle.idle) {
+        cancelIdleCallback(this.idleHandle.id);
+      } else {
+        clearTimeout(this.idleHandle.id);
+      }
+      this.idleHandle = null;
+    }
+
+    window.removeEventListener('online', this.handleOnline);
+
+    if (navigator.connection) {
+      navigator.connection.removeEventListener('change', this.handleConnectionChange);
+    }
+  }
+}
+
+// Crear instancia global
+const preloadScheduler = new PreloadScheduler();
+
+// Exportar al scope global
+window.PreloadScheduler = PreloadScheduler;
+window.preloadScheduler = preloadScheduler;
+
+console.log('✅ Community Stories Platform - Preload Scheduler loaded');
\ No newline at end of file
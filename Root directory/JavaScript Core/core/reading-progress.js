@@ -0,0 +1,367 @@
+/**
+ * Community Stories Platform - Reading Progress
+ * Progreso de lectura por historia persistido en local y sincronizado entre dispositivos
+ *
+ * Cada registro guarda la última sección leída, el porcentaje, el capítulo
+ * y las decisiones narrativas. Al sincronizar con `/api/users/:id/progress`
+ * gana la versión con `updatedAt` más reciente (last-write-wins por historia).
+ */
+
+class ReadingProgress {
+  constructor() {
+    this.records = new Map(); // storyId -> registro de progreso
+    this.subscriptions = [];
+    this.unsubscribeIntersection = null;
+    this.syncing = false;
+    this.lastSyncAt = null;
+    this.storageKey = 'reading-progress';
+
+    // Bind methods
+    this.handleIntersection = this.handleIntersection.bind(this);
+    this.scheduleSave = FunctionUtils.debounce(this.save.bind(this), 1000);
+    this.scheduleSync = FunctionUtils.debounce(this.sync.bind(this), 5000);
+
+    this.init();
+  }
+
+  /**
+   * Inicializa el seguimiento del progreso
+   */
+  init() {
+    this.load();
+
+    if (!this.isEnabled()) return;
+
+    this.subscriptions.push(
+      eventBus.on(EVENTS.STORY_LOADED, this.handleStoryLoaded.bind(this)),
+      eventBus.on(EVENTS.STORY_PROGRESS, this.handleStoryProgress.bind(this)),
+      eventBus.on(EVENTS.STORY_COMPLETE, this.handleStoryComplete.bind(this)),
+      eventBus.on(EVENTS.STORY_CHOICE, this.handleStoryPath.bind(this)),
+      eventBus.on(EVENTS.STORY_REWIND, this.handleStoryPath.bind(this)),
+      eventBus.on(EVENTS.NETWORK_ONLINE, () => this.sync())
+    );
+
+    // Última sección leída según el observer compartido del loader
+    this.unsubscribeIntersection = storyLoader.onIntersection(this.handleIntersection);
+
+    // Guardar antes de cerrar (el guardado diferido podría no llegar a ejecutarse)
+    window.addEventListener('pagehide', () => this.save());
+
+    if (navigator.onLine) {
+      this.sync();
+    }
+
+    console.log('✅ ReadingProgress initialized');
+  }
+
+  /**
+   * Indica si el guardado de progreso está activo
+   */
+  isEnabled() {
+    return ConfigManager.get('stories.saveProgress', true);
+  }
+
+  // === REGISTROS ===
+
+  /**
+   * Obtiene el registro de una historia
+   */
+  getRecord(storyId) {
+    return this.records.get(storyId) || null;
+  }
+
+  /**
+   * Historias empezadas y sin terminar, de la más reciente a la más antigua
+   */
+  getInProgress(limit = 10) {
+    return Array.from(this.records.values())
+      .filter(record => record.progress > 0 && !record.completed)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Actualiza el registro de una historia y programa guardado y sincronización
+   */
+  update(storyId, changes) {
+    const current = this.records.get(storyId) || {
+      storyId,
+      slug: null,
+      title: '',
+      image: null,
+      lastSection: null,
+      chapter: null,
+      chapterSlug: null,
+      chapterTitle: null,
+      chapters: {},
+      progress: 0,
+      choices: [],
+      completed: false,
+      updatedAt: 0
+    };
+
+    const hasChanges = Object.keys(changes).some(key => (
+      JSON.stringify(current[key]) !== JSON.stringify(changes[key])
+    ));
+    if (!hasChanges) return current;
+
+    const record = { ...current, ...changes, updatedAt: Date.now() };
+    this.records.set(storyId, record);
+
+    this.scheduleSave();
+    this.scheduleSync();
+
+    return record;
+  }
+
+  /**
+   * Elimina el progreso de una historia
+   */
+  remove(storyId) {
+    this.records.delete(storyId);
+    this.save();
+  }
+
+  // === EVENTOS DE LECTURA ===
+
+  /**
+   * Guarda los metadatos de la historia abierta
+   */
+  handleStoryLoaded(eventData) {
+    const { story } = eventData.data;
+
+    // story:loaded también se emite al precargar; solo cuenta la historia activa
+    if (!story || storyLoader.activeStory?.id !== story.id) return;
+
+    this.update(story.id, {
+      slug: story.slug || null,
+      title: story.title || '',
+      image: story.media?.images?.[0]?.url || story.image || null
+    });
+  }
+
+  /**
+   * Guarda el porcentaje leído (nunca retrocede al releer)
+   */
+  handleStoryProgress(eventData) {
+    const { storyId, progress, chapterId, chapterProgress } = eventData.data;
+    const current = this.getRecord(storyId);
+    const changes = {};
+    const rounded = Math.round(progress);
+
+    if (!current || rounded > current.progress) {
+      changes.progress = rounded;
+    }
+
+    // Progreso por capítulo para el índice de la historia
+    if (chapterId) {
+      const chapters = current?.chapters || {};
+      const chapterRounded = Math.round(chapterProgress);
+
+      if (!(chapters[chapterId] >= chapterRounded)) {
+        changes.chapters = { ...chapters, [chapterId]: chapterRounded };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      this.update(storyId, changes);
+    }
+  }
+
+  /**
+   * Marca la historia como terminada
+   */
+  handleStoryComplete(eventData) {
+    const { storyId } = eventData.data;
+    this.update(storyId, { completed: true });
+  }
+
+  /**
+   * Guarda el recorrido de decisiones tras elegir o retroceder
+   */
+  handleStoryPath(eventData) {
+    const { storyId } = eventData.data;
+    this.update(storyId, { choices: narrativeEngine.getPath(storyId) });
+  }
+
+  /**
+   * Registra la última sección visible y su capítulo
+   */
+  handleIntersection(entries) {
+    const story = storyLoader.activeStory;
+    if (!story) return;
+
+    entries.forEach(entry => {
+      const blockId = entry.target.dataset.blockId;
+      if (!blockId || !entry.isIntersecting || entry.intersectionRatio < 0.5) return;
+
+      const chapterElement = entry.target.closest('[data-chapter-id]');
+      const chapter = chapterElement
+        ? storyLoader.getChapter(story, chapterElement.dataset.chapterId)
+        : null;
+
+      if (chapter) {
+        this.update(story.id, {
+          lastSection: blockId,
+          chapter: chapter.id,
+          chapterSlug: chapter.slug,
+          chapterTitle: chapter.title
+        });
+        return;
+      }
+
+      const block = (story.content || []).find(item => item.id === blockId);
+
+      this.update(story.id, {
+        lastSection: blockId,
+        chapter: block?.chapter || this.getRecord(story.id)?.chapter || null
+      });
+    });
+  }
+
+  // === PERSISTENCIA LOCAL ===
+
+  /**
+   * Carga los registros persistidos
+   */
+  load() {
+    try {
+      const saved = StorageUtils.getItem(this.storageKey, null);
+      if (saved && Array.isArray(saved.records)) {
+        this.records = new Map(saved.records.map(record => [record.storyId, record]));
+      }
+    } catch (error) {
+      console.warn('Failed to load reading progress:', error);
+    }
+  }
+
+  /**
+   * Persiste los registros
+   */
+  save() {
+    try {
+      StorageUtils.setItem(this.storageKey, {
+        records: Array.from(this.records.values()),
+        lastSyncAt: this.lastSyncAt
+      }, 90 * 24 * 60 * 60 * 1000); // 90 días
+    } catch (error) {
+      console.warn('Failed to save reading progress:', error);
+    }
+  }
+
+  // === SINCRONIZACIÓN ===
+
+  /**
+   * Sincroniza con el servidor cuando hay sesión iniciada
+   */
+  async sync() {
+    const user = StorageUtils.getItem('current-user');
+    if (!user || !user.id || !navigator.onLine || this.syncing) return;
+
+    this.syncing = true;
+    const endpoint = `/api/users/${encodeURIComponent(user.id)}/progress`;
+    let method = 'GET';
+
+    try {
+      const response = await fetch(endpoint);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch reading progress: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const remoteRecords = data.data || data.records || [];
+      const { updated, outgoing } = this.merge(remoteRecords);
+
+      if (outgoing.length > 0) {
+        method = 'PUT';
+        const result = await fetch(endpoint, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ records: outgoing })
+        });
+
+        if (!result.ok) {
+          throw new Error(`Failed to upload reading progress: ${result.status}`);
+        }
+      }
+
+      this.lastSyncAt = Date.now();
+      this.save();
+
+      if (updated.length > 0) {
+        eventBus.emit(EVENTS.STORY_SYNC, { records: updated });
+      }
+    } catch (error) {
+      if (window.errorHandler) {
+        window.errorHandler.handleApiError(error, {
+          method,
+          endpoint,
+          context: 'syncReadingProgress'
+        });
+      }
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Combina registros remotos y locales: gana el `updatedAt` más reciente
+   */
+  merge(remoteRecords) {
+    const remoteIds = new Set();
+    const updated = [];
+    const outgoing = [];
+
+    remoteRecords.forEach(remote => {
+      if (!remote || !remote.storyId) return;
+
+      remoteIds.add(remote.storyId);
+      const local = this.records.get(remote.storyId);
+
+      if (!local || remote.updatedAt > local.updatedAt) {
+        this.records.set(remote.storyId, remote);
+        updated.push(remote.storyId);
+
+        // El motor narrativo restaura el recorrido desde su propio almacenamiento
+        if (Array.isArray(remote.choices) && remote.storyId !== storyLoader.activeStory?.id) {
+          narrativeEngine.savePath(remote.storyId, remote.choices);
+        }
+      } else if (local.updatedAt > remote.updatedAt) {
+        outgoing.push(local);
+      }
+    });
+
+    // Registros que el servidor aún no conoce
+    this.records.forEach(record => {
+      if (!remoteIds.has(record.storyId)) {
+        outgoing.push(record);
+      }
+    });
+
+    return { updated, outgoing };
+  }
+
+  /**
+   * Destruye el seguimiento
+   */
+  destroy() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+
+    if (this.unsubscribeIntersection) {
+      this.unsubscribeIntersection();
+      this.unsubscribeIntersection = null;
+    }
+
+    this.save();
+  }
+}
+
+// Crear instancia global
+const readingProgress = new ReadingProgress();
+
+// Exportar al scope global
+window.ReadingProgress = ReadingProgress;
+window.readingProgress = readingProgress;
+
+console.log('✅ Community Stories Platform - Reading Progress loaded');
\ No newline at end of file
@@ -0,0 +1,775 @@
+/**
+ * Community Stories Platform - Router
+ * Router del lado cliente con parámetros opcionales, comodines, query strings,
+ * rutas con nombre, guards, redirecciones y loaders de datos
+ */
+
+class Router {
+  constructor(options = {}) {
+    this.routes = [];
+    this.namedRoutes = new Map();
+    this.redirects = [];
+    this.guards = [];
+    this.notFoundHandler = null;
+    this.errorHandler = null;
+    this.currentRoute = null;
+    this.pendingNavigation = null;
+    this.navigationId = 0;
+    this.maxRedirects = options.maxRedirects || 10;
+    this.base = (options.base || '').replace(/\/+$/, '');
+
+    // Restauración de scroll por entrada del historial
+    this.scrollBehavior = options.scrollBehavior || null;
+    this.transition = options.transition || null;
+    this.scrollPositions = new Map();
+    this.scrollStorageKey = 'router-scroll-positions';
+    this.maxScrollEntries = 50;
+    this.currentKey = null;
+
+    // Bind methods
+    this.handlePopState = this.handlePopState.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+  }
+
+  /**
+   * Registra una ruta
+   *
+   * Sintaxis de patrones:
+   *   /stories/:slug       parámetro obligatorio
+   *   /stories/:slug/:ch?  parámetro opcional
+   *   /docs/*path          comodín (captura el resto de la ruta)
+   *
+   * Opciones:
+   *   name         nombre para construir URLs con buildUrl()
+   *   alias        ruta(s) alternativas que resuelven a esta misma ruta
+   *   beforeEnter  guard(s) que se ejecutan antes de entrar
+   *   loader       función async cuyo resultado llega al handler en context.data
+   *   meta         datos arbitrarios de la ruta
+   */
+  addRoute(path, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for route ${path} must be a function`);
+    }
+
+    const aliases = [].concat(options.alias || []);
+
+    const route = {
+      path,
+      handler,
+      matchers: [path, ...aliases].map(pattern => this.compilePattern(pattern)),
+      name: options.name || null,
+      guards: [].concat(options.beforeEnter || []),
+      loader: options.loader || null,
+      meta: options.meta || {}
+    };
+
+    this.routes.push(route);
+
+    if (route.name) {
+      if (this.namedRoutes.has(route.name)) {
+        throw new Error(`Duplicate route name: ${route.name}`);
+      }
+      this.namedRoutes.set(route.name, route);
+    }
+
+    return this;
+  }
+
+  /**
+   * Registra una redirección declarativa
+   *
+   * El destino puede ser una ruta con parámetros (`/stories/:slug`),
+   * un objeto `{ name, params, query }` o una función que recibe el contexto.
+   */
+  addRedirect(from, to) {
+    this.redirects.push({
+      path: from,
+      to,
+      ...this.compilePattern(from)
+    });
+
+    return this;
+  }
+
+  /**
+   * Registra un guard global que se ejecuta antes de cada ruta
+   */
+  beforeEach(guard) {
+    if (typeof guard !== 'function') {
+      throw new Error('Guard must be a function');
+    }
+
+    this.guards.push(guard);
+    return () => {
+      this.guards = this.guards.filter(existing => existing !== guard);
+    };
+  }
+
+  /**
+   * Registra el handler para rutas no encontradas
+   */
+  setNotFound(handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('Not found handler must be a function');
+    }
+
+    this.notFoundHandler = handler;
+    return this;
+  }
+
+  /**
+   * Registra el handler de errores de guards, loaders y handlers
+   */
+  setErrorHandler(handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('Error handler must be a function');
+    }
+
+    this.errorHandler = handler;
+    return this;
+  }
+
+  /**
+   * Inicializa el router con la URL actual
+   */
+  init() {
+    // El router se encarga de restaurar el scroll
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+
+    this.loadScrollPositions();
+
+    // Asegurar que la entrada actual tiene clave
+    this.currentKey = this.getHistoryKey(window.history.state);
+    if (!this.currentKey) {
+      this.currentKey = this.generateKey();
+      window.history.replaceState({ ...(window.history.state || {}), key: this.currentKey }, '');
+    }
+
+    window.addEventListener('popstate', this.handlePopState);
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    return this.resolve(this.getCurrentUrl(), { trigger: 'initial' });
+  }
+
+  /**
+   * Navega a una URL
+   */
+  navigate(url, options = {}) {
+    const { replace = false, push = true, state = {} } = options;
+    const history = push ? (replace ? 'replace' : 'push') : null;
+
+    return this.resolve(url, { history, state, trigger: history || 'initial' });
+  }
+
+  /**
+   * Actualiza parámetros de query de la ruta actual
+   */
+  updateQuery(changes, options = {}) {
+    const current = this.currentRoute || this.parseUrl(this.getCurrentUrl());
+    const query = { ...current.query, ...changes };
+
+    return this.navigate(
+      current.pathname + this.stringifyQuery(query, true) + (current.hash ? `#${current.hash}` : ''),
+      options
+    );
+  }
+
+  /**
+   * Maneja navegación del historial (atrás/adelante)
+   */
+  handlePopState(event) {
+    // Guardar posición de la entrada que se abandona antes de cambiar de clave
+    this.saveScrollPosition(this.currentKey);
+    this.currentKey = this.getHistoryKey(event.state) || this.currentKey;
+
+    this.resolve(this.getCurrentUrl(), { trigger: 'pop' });
+  }
+
+  /**
+   * Persiste posiciones de scroll al abandonar la página (recargas)
+   */
+  handlePageHide() {
+    this.saveScrollPosition(this.currentKey);
+    this.persistScrollPositions();
+  }
+
+  /**
+   * Resuelve una URL contra las rutas registradas
+   *
+   * Orden: redirecciones → guards → historial → loader → handler.
+   * Una navegación nueva cancela la pendiente; su resultado se descarta.
+   */
+  async resolve(url, options = {}) {
+    const { history = null, state = {}, redirectCount = 0, trigger = 'initial' } = options;
+
+    if (this.pendingNavigation) {
+      this.cancelNavigation(this.pendingNavigation);
+    }
+
+    const navigation = {
+      id: ++this.navigationId,
+      url,
+      history,
+      trigger,
+      controller: typeof AbortController !== 'undefined' ? new AbortController() : null,
+      cancelled: false
+    };
+    this.pendingNavigation = navigation;
+
+    const location = this.parseUrl(url);
+    let context = { ...location, params: {}, name: null, meta: {}, route: null, data: null };
+
+    this.emit(EVENTS.NAV_START, { path: location.fullPath, navigationId: navigation.id });
+
+    try {
+      // Redirecciones declarativas
+      const redirect = this.matchRedirect(location);
+      if (redirect) {
+        return this.followRedirect(redirect.target, { ...context, params: redirect.params }, navigation, redirectCount, state);
+      }
+
+      const match = this.matchRoute(location.pathname);
+
+      if (!match) {
+        this.commitHistory(location, history, state);
+        return await this.handleNotFound(context, navigation);
+      }
+
+      context = {
+        ...context,
+        params: match.params,
+        name: match.route.name,
+        meta: match.route.meta,
+        route: match.route.path,
+        signal: navigation.controller ? navigation.controller.signal : null
+      };
+
+      // Guards globales y de la ruta
+      for (const guard of [...this.guards, ...match.route.guards]) {
+        const result = await guard(context);
+        if (navigation.cancelled) return null;
+
+        if (result === false) {
+          this.finishNavigation(navigation);
+          this.emit(EVENTS.NAV_BLOCKED, { path: location.fullPath, route: match.route.name });
+          return null;
+        }
+
+        if (result !== undefined && result !== null && result !== true) {
+          return this.followRedirect(result, context, navigation, redirectCount, state);
+        }
+      }
+
+      this.commitHistory(location, history, state);
+
+      // Cargar datos antes de pintar la vista
+      if (match.route.loader) {
+        context.data = await match.route.loader(context);
+        if (navigation.cancelled) return null;
+      }
+
+      this.currentRoute = context;
+      this.finishNavigation(navigation);
+
+      return await this.renderRoute(navigation, context, () => match.route.handler(context.params, context));
+
+    } catch (error) {
+      if (navigation.cancelled || error.name === 'AbortError') {
+        return null;
+      }
+
+      this.finishNavigation(navigation);
+
+      if (this.errorHandler) {
+        return this.errorHandler(error, context);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Sigue una redirección devuelta por un guard o declarada con addRedirect()
+   */
+  followRedirect(target, context, navigation, redirectCount, state) {
+    if (redirectCount >= this.maxRedirects) {
+      throw new Error(`Too many redirects while navigating to ${context.fullPath}`);
+    }
+
+    const url = this.resolveTarget(target, context);
+
+    // Un destino nulo significa que la redirección no pudo resolverse
+    if (url === null) {
+      this.commitHistory(context, navigation.history, state);
+      return this.handleNotFound(context, navigation);
+    }
+
+    // La redirección reemplaza a la navegación actual sin cancelarla como "nueva"
+    this.finishNavigation(navigation);
+
+    // En navegaciones sin push (carga inicial, atrás/adelante) se corrige la URL visible
+    const history = navigation.history === 'push' ? 'push' : 'replace';
+
+    return this.resolve(url, { history, state, redirectCount: redirectCount + 1, trigger: navigation.trigger });
+  }
+
+  /**
+   * Ejecuta el handler de ruta no encontrada
+   */
+  handleNotFound(context, navigation) {
+    this.currentRoute = context;
+    this.finishNavigation(navigation);
+
+    this.emit(EVENTS.NAV_NOTFOUND, { path: context.pathname });
+
+    if (this.notFoundHandler) {
+      return this.renderRoute(navigation, context, () => this.notFoundHandler(context.params, context));
+    }
+
+    console.warn('No route found for:', context.pathname);
+    return null;
+  }
+
+  /**
+   * Pinta la vista (con transición opcional) y restaura el scroll
+   */
+  async renderRoute(navigation, context, render) {
+    const result = this.transition
+      ? await this.transition(render, context)
+      : await render();
+
+    // Si empezó otra navegación mientras se pintaba, ella gestiona scroll y foco
+    if (navigation.id === this.navigationId) {
+      this.applyScroll(context, navigation.trigger);
+
+      this.emit(EVENTS.NAV_END, {
+        path: context.fullPath,
+        name: context.name,
+        trigger: navigation.trigger
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Aplica la posición de scroll correspondiente a la navegación
+   */
+  applyScroll(context, trigger) {
+    const savedPosition = this.scrollPositions.get(this.currentKey) || null;
+
+    const position = this.scrollBehavior
+      ? this.scrollBehavior(context, trigger, savedPosition)
+      : this.getDefaultScrollPosition(context, trigger, savedPosition);
+
+    if (!position) return;
+
+    requestAnimationFrame(() => {
+      if (position.el || position.selector) {
+        const element = position.selector
+          ? document.querySelector(position.selector)
+          : document.getElementById(position.el);
+        if (element) {
+          // offset: distancia al borde superior que debe conservar el elemento
+          if (position.offset !== undefined) {
+            window.scrollTo(0, element.getBoundingClientRect().top + window.scrollY - position.offset);
+          } else {
+            element.scrollIntoView({ block: 'start' });
+          }
+          return;
+        }
+      }
+
+      window.scrollTo(position.x || 0, position.y || 0);
+    });
+  }
+
+  /**
+   * Comportamiento de scroll por defecto
+   *
+   * - atrás/adelante y recarga: posición guardada de la entrada
+   * - push: ancla del hash o principio de la página
+   * - replace (p. ej. cambio de filtros): se mantiene la posición
+   */
+  getDefaultScrollPosition(context, trigger, savedPosition) {
+    if (trigger === 'pop' || trigger === 'initial') {
+      if (savedPosition) return savedPosition;
+      return context.hash ? { el: context.hash } : null;
+    }
+
+    if (trigger === 'push') {
+      return context.hash ? { el: context.hash } : { x: 0, y: 0 };
+    }
+
+    return null;
+  }
+
+  /**
+   * Guarda la posición de scroll de una entrada del historial
+   */
+  saveScrollPosition(key) {
+    if (!key) return;
+
+    // Reinsertar para mantener orden de uso reciente
+    this.scrollPositions.delete(key);
+    this.scrollPositions.set(key, DOMUtils.getScrollPosition());
+
+    if (this.scrollPositions.size > this.maxScrollEntries) {
+      const oldestKey = this.scrollPositions.keys().next().value;
+      this.scrollPositions.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Carga posiciones de scroll guardadas en la sesión
+   */
+  loadScrollPositions() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.scrollStorageKey) || '[]');
+      this.scrollPositions = new Map(stored);
+    } catch (error) {
+      this.scrollPositions = new Map();
+    }
+  }
+
+  /**
+   * Persiste posiciones de scroll en la sesión
+   */
+  persistScrollPositions() {
+    try {
+      sessionStorage.setItem(
+        this.scrollStorageKey,
+        JSON.stringify(Array.from(this.scrollPositions.entries()))
+      );
+    } catch (error) {
+      console.warn('Failed to persist scroll positions:', error);
+    }
+  }
+
+  /**
+   * Obtiene la clave de una entrada del historial
+   */
+  getHistoryKey(state) {
+    return state && state.key ? state.key : null;
+  }
+
+  /**
+   * Genera clave para una entrada del historial
+   */
+  generateKey() {
+    return StringUtils.generateId('nav');
+  }
+
+  /**
+   * Convierte un destino de redirección en URL
+   */
+  resolveTarget(target, context) {
+    if (typeof target === 'function') {
+      return this.resolveTarget(target(context), context);
+    }
+
+    if (target === null || target === undefined) {
+      return null;
+    }
+
+    if (typeof target === 'string') {
+      return target.replace(/:(\w+)/g, (segment, key) => {
+        return key in context.params ? encodeURIComponent(context.params[key]) : segment;
+      });
+    }
+
+    if (target.name) {
+      return this.buildUrl(target.name, target.params || {}, target.query || {}, target.hash || '');
+    }
+
+    if (target.path) {
+      return target.path + this.stringifyQuery(target.query || {}, true);
+    }
+
+    throw new Error('Invalid redirect target');
+  }
+
+  /**
+   * Busca una redirección que coincida con la URL
+   */
+  matchRedirect(location) {
+    for (const redirect of this.redirects) {
+      const params = this.extractParams(redirect, location.pathname);
+      if (params !== null) {
+        return { target: redirect.to, params };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Cancela una navegación pendiente
+   */
+  cancelNavigation(navigation) {
+    navigation.cancelled = true;
+
+    if (navigation.controller) {
+      navigation.controller.abort();
+    }
+
+    this.emit(EVENTS.NAV_CANCEL, { path: navigation.url, navigationId: navigation.id });
+  }
+
+  /**
+   * Marca una navegación como terminada
+   */
+  finishNavigation(navigation) {
+    if (this.pendingNavigation === navigation) {
+      this.pendingNavigation = null;
+    }
+  }
+
+  /**
+   * Actualiza el historial del navegador
+   */
+  commitHistory(location, method, state = {}) {
+    if (!method) return;
+
+    const url = this.base + location.fullPath;
+
+    // No apilar entradas duplicadas en el historial
+    const historyMethod = method === 'replace' || url === this.getCurrentUrl()
+      ? 'replaceState'
+      : 'pushState';
+
+    // Una entrada nueva recibe clave propia; replace conserva la de la entrada actual
+    if (historyMethod === 'pushState') {
+      this.saveScrollPosition(this.currentKey);
+      this.currentKey = this.generateKey();
+    }
+
+    window.history[historyMethod]({ ...state, key: this.currentKey }, '', url);
+  }
+
+  /**
+   * Emite un evento de navegación si el EventBus está disponible
+   */
+  emit(eventName, data) {
+    if (typeof eventBus !== 'undefined') {
+      eventBus.emit(eventName, data);
+    }
+  }
+
+  /**
+   * Busca la primera ruta que coincide con un pathname
+   */
+  matchRoute(pathname) {
+    for (const route of this.routes) {
+      for (const matcher of route.matchers) {
+        const params = this.extractParams(matcher, pathname);
+        if (params !== null) {
+          return { route, params };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Extrae parámetros de un pathname según un patrón compilado
+   */
+  extractParams(matcher, pathname) {
+    const result = matcher.regex.exec(pathname);
+    if (!result) return null;
+
+    const params = {};
+
+    matcher.keys.forEach((key, index) => {
+      const value = result[index + 1];
+
+      if (value === undefined) {
+        if (key.splat) params[key.name] = '';
+        return;
+      }
+
+      params[key.name] = key.splat
+        ? value.split('/').map(part => this.decode(part)).join('/')
+        : this.decode(value);
+    });
+
+    return params;
+  }
+
+  /**
+   * Compila un patrón de ruta a expresión regular
+   */
+  compilePattern(pattern) {
+    const keys = [];
+    const segments = pattern.split('/').filter(Boolean);
+
+    const source = segments.map((segment, index) => {
+      if (segment.startsWith('*')) {
+        if (index !== segments.length - 1) {
+          throw new Error(`Wildcard must be the last segment in route: ${pattern}`);
+        }
+        keys.push({ name: segment.slice(1) || 'wildcard', optional: true, splat: true });
+        return '(?:/(.*))?';
+      }
+
+      if (segment.startsWith(':')) {
+        const optional = segment.endsWith('?');
+        const name = segment.slice(1, optional ? -1 : undefined);
+        keys.push({ name, optional, splat: false });
+        return optional ? '(?:/([^/]+))?' : '/([^/]+)';
+      }
+
+      return '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return {
+      regex: new RegExp(`^${source}/?$`),
+      keys
+    };
+  }
+
+  /**
+   * Construye una URL a partir de una ruta con nombre
+   */
+  buildUrl(name, params = {}, query = {}, hash = '') {
+    const route = this.namedRoutes.get(name);
+    if (!route) {
+      throw new Error(`Unknown route name: ${name}`);
+    }
+
+    const segments = route.path.split('/').filter(Boolean).map(segment => {
+      if (segment.startsWith('*')) {
+        const value = params[segment.slice(1) || 'wildcard'];
+        if (value === undefined || value === null || value === '') return null;
+        return String(value).split('/').map(encodeURIComponent).join('/');
+      }
+
+      if (segment.startsWith(':')) {
+        const optional = segment.endsWith('?');
+        const key = segment.slice(1, optional ? -1 : undefined);
+        const value = params[key];
+
+        if (value === undefined || value === null || value === '') {
+          if (optional) return null;
+          throw new Error(`Missing param "${key}" for route ${name}`);
+        }
+        return encodeURIComponent(value);
+      }
+
+      return segment;
+    }).filter(segment => segment !== null);
+
+    return this.base +
+      '/' + segments.join('/') +
+      this.stringifyQuery(query, true) +
+      (hash ? `#${hash}` : '');
+  }
+
+  /**
+   * Descompone una URL en pathname, query y hash
+   */
+  parseUrl(url) {
+    const parsed = new URL(url, window.location.origin);
+    let pathname = parsed.pathname;
+
+    if (this.base && pathname.startsWith(this.base)) {
+      pathname = pathname.slice(this.base.length) || '/';
+    }
+
+    const search = parsed.search;
+    const hash = parsed.hash.replace(/^#/, '');
+
+    return {
+      pathname,
+      search,
+      hash,
+      query: this.parseQuery(search),
+      fullPath: pathname + search + parsed.hash
+    };
+  }
+
+  /**
+   * Convierte un query string en objeto (claves repetidas se agrupan en arrays)
+   */
+  parseQuery(search) {
+    const query = {};
+    const searchParams = new URLSearchParams(search);
+
+    searchParams.forEach((value, key) => {
+      if (key in query) {
+        query[key] = [].concat(query[key], value);
+      } else {
+        query[key] = value;
+      }
+    });
+
+    return query;
+  }
+
+  /**
+   * Convierte un objeto en query string
+   */
+  stringifyQuery(query = {}, withPrefix = false) {
+    const searchParams = new URLSearchParams();
+
+    Object.keys(query).sort().forEach(key => {
+      const value = query[key];
+      if (value === null || value === undefined || value === '') return;
+
+      if (Array.isArray(value)) {
+        value.forEach(item => searchParams.append(key, item));
+      } else {
+        searchParams.append(key, value);
+      }
+    });
+
+    const queryString = searchParams.toString();
+    return withPrefix && queryString ? `?${queryString}` : queryString;
+  }
+
+  /**
+   * Obtiene la URL actual del navegador
+   */
+  getCurrentUrl() {
+    const { pathname, search, hash } = window.location;
+    return pathname + search + hash;
+  }
+
+  /**
+   * Decodifica un segmento de URL de forma segura
+   */
+  decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (e) {
+      return value;
+    }
+  }
+
+  /**
+   * Destruye el router
+   */
+  destroy() {
+    window.removeEventListener('popstate', this.handlePopState);
+    window.removeEventListener('pagehide', this.handlePageHide);
+    this.persistScrollPositions();
+
+    if (this.pendingNavigation) {
+      this.cancelNavigation(this.pendingNavigation);
+    }
+
+    this.routes = [];
+    this.namedRoutes.clear();
+    this.redirects = [];
+    this.guards = [];
+    this.notFoundHandler = null;
+    this.errorHandler = null;
+    this.currentRoute = null;
+  }
+}
+
+// Exportar al scope global
+window.Router = Router;
+
+console.log('✅ Community Stories Platform - Router loaded');
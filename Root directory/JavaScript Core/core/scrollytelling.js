@@ -0,0 +1,363 @@
+/**
+ * Community Stories Platform - Scrollytelling
+ * Motor cinematográfico: escenas fijas, animaciones por bloque y parallax según el scroll
+ *
+ * Cada bloque puede declarar en `animations`:
+ *   enter: 'fade' | 'fade-up' | 'fade-down' | 'slide-left' | 'slide-right' | 'zoom'
+ *   exit: 'fade' | 'fade-up' | 'zoom'
+ *   progress: [{ property: 'opacity' | 'translateX' | 'translateY' | 'scale' | 'rotate' | 'blur', from, to }]
+ *   parallax: velocidad de la capa (-1 a 1)
+ */
+
+class ScrollytellingEngine {
+  constructor() {
+    this.container = null;
+    this.story = null;
+    this.elements = new Map(); // elemento -> { animations, active, layer }
+    this.active = new Set();
+    this.stepListeners = [];
+    this.progressListeners = [];
+    this.unsubscribeIntersection = null;
+    this.frameRequested = false;
+    this.static = false;
+
+    // Bind methods
+    this.handleIntersection = this.handleIntersection.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.update = this.update.bind(this);
+  }
+
+  /**
+   * Conecta el motor al contenido pintado de una historia
+   */
+  attach(container, story) {
+    this.detach();
+
+    this.container = container;
+    this.story = story;
+    this.static = !this.isCinematic() || !storyLoader.intersectionObserver;
+
+    // Artículo plano: todo visible y sin efectos ligados al scroll
+    if (this.static) {
+      container.classList.add('story-content--static');
+      DOMUtils.$$('.story-paragraph', container).forEach(element => {
+        element.classList.add('story-paragraph--visible');
+      });
+      return;
+    }
+
+    container.classList.add('story-content--cinematic');
+    this.registerElements(container, story);
+
+    this.unsubscribeIntersection = storyLoader.onIntersection(this.handleIntersection);
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    window.addEventListener('resize', this.handleScroll, { passive: true });
+
+    this.requestUpdate();
+  }
+
+  /**
+   * Registra bloques y pasos de escena con animaciones
+   */
+  registerElements(container, story) {
+    const blocks = new Map();
+    storyLoader.getStoryBlocks(story).forEach(block => {
+      blocks.set(block.id, block);
+      (block.steps || []).forEach(step => blocks.set(step.id, step));
+    });
+
+    DOMUtils.$$('[data-block-id]', container).forEach(element => {
+      const block = blocks.get(element.dataset.blockId);
+      if (!block) return;
+
+      const animations = block.animations || {};
+
+      // Animaciones declaradas en la historia (ver CSS de story-container)
+      if (animations.enter) {
+        element.dataset.enter = animations.enter;
+      }
+      if (animations.exit) {
+        element.dataset.exit = animations.exit;
+      }
+
+      // Capas de parallax dentro del bloque (p. ej. fondos de escena)
+      if (this.isParallaxEnabled()) {
+        DOMUtils.$$('[data-parallax]', element).forEach(layer => {
+          this.elements.set(layer, {
+            animations: { parallax: Number(layer.dataset.parallax) },
+            active: false,
+            layer: true
+          });
+        });
+      }
+
+      this.elements.set(element, { block, animations, active: false, layer: false });
+      storyLoader.intersectionObserver.observe(element);
+    });
+  }
+
+  /**
+   * Procesa entradas del IntersectionObserver compartido
+   */
+  handleIntersection(entries) {
+    entries.forEach(entry => {
+      const item = this.elements.get(entry.target);
+      if (!item) return;
+
+      if (entry.isIntersecting && !item.active) {
+        this.enter(entry.target, item);
+      } else if (!entry.isIntersecting && item.active) {
+        this.exit(entry.target, item);
+      }
+    });
+  }
+
+  /**
+   * Activa un bloque que entra en pantalla
+   */
+  enter(element, item) {
+    item.active = true;
+    this.active.add(element);
+
+    element.classList.add('is-visible');
+    element.classList.remove('is-exited');
+
+    if (element.classList.contains('story-paragraph')) {
+      element.classList.add('story-paragraph--visible');
+    }
+
+    // Paso de una escena fija: la escena refleja el paso activo
+    const scene = element.closest('.story-scene');
+    if (scene && element.dataset.step !== undefined) {
+      scene.dataset.activeStep = element.dataset.step;
+      DOMUtils.$$('.story-scene__step', scene).forEach(step => {
+        step.classList.toggle('story-scene__step--active', step === element);
+      });
+      DOMUtils.$$('[data-scene-step]', scene).forEach(background => {
+        background.classList.toggle('is-active', background.dataset.sceneStep === element.dataset.step);
+      });
+    }
+
+    this.notifyStep(element, item, 'enter');
+    this.requestUpdate();
+  }
+
+  /**
+   * Desactiva un bloque que sale de pantalla
+   */
+  exit(element, item) {
+    item.active = false;
+    this.active.delete(element);
+
+    if (element.dataset.exit) {
+      element.classList.add('is-exited');
+    }
+
+    this.notifyStep(element, item, 'exit');
+  }
+
+  /**
+   * Notifica entrada/salida de un paso
+   */
+  notifyStep(element, item, state) {
+    const detail = {
+      storyId: this.story.id,
+      blockId: element.dataset.blockId,
+      state
+    };
+
+    this.stepListeners.forEach(listener => listener({ ...detail, element, block: item.block }));
+    eventBus.emit(EVENTS.STORY_STEP, detail);
+  }
+
+  /**
+   * Agrupa actualizaciones de scroll en un frame
+   */
+  handleScroll() {
+    this.requestUpdate();
+  }
+
+  /**
+   * Solicita actualización en el siguiente frame
+   */
+  requestUpdate() {
+    if (this.frameRequested) return;
+
+    this.frameRequested = true;
+    requestAnimationFrame(this.update);
+  }
+
+  /**
+   * Calcula progreso de los bloques activos y aplica efectos
+   */
+  update() {
+    this.frameRequested = false;
+    if (!this.container) return;
+
+    // La vista se sustituyó al navegar
+    if (!this.container.isConnected) {
+      this.detach();
+      return;
+    }
+
+    const viewportHeight = window.innerHeight;
+
+    this.elements.forEach((item, element) => {
+      const { animations } = item;
+
+      // Solo se recalculan bloques visibles y capas de parallax
+      if (!item.active && !item.layer) return;
+
+      const rect = element.getBoundingClientRect();
+      if (rect.bottom < 0 || rect.top > viewportHeight) return;
+
+      // 0 cuando el bloque asoma por abajo, 1 cuando desaparece por arriba
+      const progress = NumberUtils.clamp(
+        (viewportHeight - rect.top) / (viewportHeight + rect.height),
+        0,
+        1
+      );
+
+      element.style.setProperty('--story-progress', progress.toFixed(3));
+
+      const transforms = [];
+      let filter = '';
+
+      if (Array.isArray(animations.progress)) {
+        animations.progress.forEach(tween => {
+          const value = tween.from + (tween.to - tween.from) * progress;
+
+          switch (tween.property) {
+            case 'opacity':
+              element.style.opacity = value;
+              break;
+            case 'translateX':
+            case 'translateY':
+              transforms.push(`${tween.property}(${value}${tween.unit || 'px'})`);
+              break;
+            case 'scale':
+              transforms.push(`scale(${value})`);
+              break;
+            case 'rotate':
+              transforms.push(`rotate(${value}deg)`);
+              break;
+            case 'blur':
+              filter = `blur(${value}px)`;
+              break;
+          }
+        });
+      }
+
+      if (animations.parallax && this.isParallaxEnabled()) {
+        // Desplazamiento relativo al centro de la pantalla
+        const offset = (rect.top + rect.height / 2 - viewportHeight / 2) * -animations.parallax;
+        transforms.push(`translateY(${offset.toFixed(1)}px)`);
+      }
+
+      if (transforms.length > 0) {
+        element.style.transform = transforms.join(' ');
+      }
+      if (filter) {
+        element.style.filter = filter;
+      }
+
+      if (item.active) {
+        this.progressListeners.forEach(listener => listener({
+          storyId: this.story.id,
+          blockId: element.dataset.blockId,
+          progress,
+          element
+        }));
+      }
+    });
+  }
+
+  /**
+   * Registra callback de entrada/salida; devuelve función para eliminarlo
+   */
+  onStep(listener) {
+    this.stepListeners.push(listener);
+    return () => {
+      this.stepListeners = this.stepListeners.filter(item => item !== listener);
+    };
+  }
+
+  /**
+   * Registra callback de progreso; devuelve función para eliminarlo
+   */
+  onProgress(listener) {
+    this.progressListeners.push(listener);
+    return () => {
+      this.progressListeners = this.progressListeners.filter(item => item !== listener);
+    };
+  }
+
+  /**
+   * Indica si debe usarse el modo cinematográfico
+   */
+  isCinematic() {
+    const storytelling = ConfigManager.get('features.storytelling', {});
+
+    if (storytelling.enabled === false || storytelling.scrollType !== 'cinematic') {
+      return false;
+    }
+
+    return !DOMUtils.prefersReducedMotion();
+  }
+
+  /**
+   * Indica si las capas de parallax están activas
+   */
+  isParallaxEnabled() {
+    return !this.static && ConfigManager.get('features.storytelling.parallaxEnabled', true);
+  }
+
+  /**
+   * Indica si los pasos de escena están observados (solo en modo cinematográfico)
+   */
+  isObservingSteps() {
+    return Boolean(this.container) && !this.static;
+  }
+
+  /**
+   * Desconecta el motor del contenido actual
+   */
+  detach() {
+    if (this.unsubscribeIntersection) {
+      this.unsubscribeIntersection();
+      this.unsubscribeIntersection = null;
+    }
+
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('resize', this.handleScroll);
+
+    if (this.container) {
+      this.container.classList.remove('story-content--cinematic', 'story-content--static');
+    }
+
+    this.elements.forEach((item, element) => {
+      // Las secciones ([data-story-section]) las sigue observando el tracking de progreso
+      if (!item.layer && !element.dataset.storySection && storyLoader.intersectionObserver) {
+        storyLoader.intersectionObserver.unobserve(element);
+      }
+
+      ['transform', 'opacity', 'filter', '--story-progress'].forEach(property => {
+        element.style.removeProperty(property);
+      });
+    });
+
+    this.elements.clear();
+    this.active.clear();
+    this.container = null;
+    this.story = null;
+  }
+}
+
+// Crear instancia global
+const scrollytelling = new ScrollytellingEngine();
+
+// Exportar al scope global
+window.ScrollytellingEngine = ScrollytellingEngine;
+window.scrollytelling = scrollytelling;
+
+console.log('✅ Community Stories Platform - Scrollytelling loaded');
\ No newline at end of file
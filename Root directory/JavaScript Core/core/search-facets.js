@@ -0,0 +1,255 @@
+/**
+ * Community Stories Platform - Search Facets
+ * Pestañas, facetas y recuentos de la página de resultados (/search) con el estado en la URL
+ *
+ * Todo el estado vive en la query para que atrás/adelante y los enlaces compartidos
+ * muestren lo mismo:
+ *   /search?q=agua&type=communities&category=water&category=health&funding=10000-50000&minMembers=20
+ *
+ * Los valores de una misma faceta se combinan con O y las facetas entre sí con Y. El recuento
+ * de cada opción se calcula con el resto de facetas aplicadas, así que indica cuántos
+ * resultados quedarían al marcarla.
+ */
+
+const SEARCH_TABS = [
+  { id: 'stories', type: SEARCH_RESULT_TYPES.STORY, label: 'Historias' },
+  { id: 'communities', type: SEARCH_RESULT_TYPES.COMMUNITY, label: 'Comunidades' },
+  { id: 'sponsors', type: SEARCH_RESULT_TYPES.SPONSOR, label: 'Patrocinadores' }
+];
+
+// Nombres de las claves de REGIONS
+const REGION_NAMES = {
+  LA: 'Latinoamérica',
+  NA: 'Norteamérica',
+  EU: 'Europa',
+  AF: 'África',
+  AS: 'Asia',
+  OC: 'Oceanía'
+};
+
+// Tramos de financiación (el límite superior no se incluye)
+const FUNDING_RANGES = [
+  { id: '0-1000', min: 0, max: 1000 },
+  { id: '1000-10000', min: 1000, max: 10000 },
+  { id: '10000-50000', min: 10000, max: 50000 },
+  { id: '50000-', min: 50000, max: null }
+];
+
+// Facetas de lista: de qué tipos de resultado salen sus valores y qué opciones ofrecen
+const SEARCH_FACETS = {
+  category: {
+    label: 'Categoría',
+    types: [SEARCH_RESULT_TYPES.STORY, SEARCH_RESULT_TYPES.COMMUNITY],
+    getValues: (item, type) => [
+      type === SEARCH_RESULT_TYPES.STORY ? item.metadata?.category || item.community?.categoryId : item.categoryId
+    ],
+    getOptions: () => CATEGORIES.map(category => ({ value: category.id, label: `${category.icon} ${category.name}` }))
+  },
+  region: {
+    label: 'Región',
+    types: [SEARCH_RESULT_TYPES.STORY, SEARCH_RESULT_TYPES.COMMUNITY],
+    getValues: (item, type) => [
+      (type === SEARCH_RESULT_TYPES.STORY ? item.community?.regionId : item.regionId)?.toUpperCase()
+    ],
+    getOptions: () => Object.keys(REGIONS).map(region => ({ value: region, label: REGION_NAMES[region] || region }))
+  },
+  funding: {
+    label: 'Financiación',
+    types: [SEARCH_RESULT_TYPES.COMMUNITY, SEARCH_RESULT_TYPES.SPONSOR],
+    getValues: (item, type) => {
+      const amount = type === SEARCH_RESULT_TYPES.SPONSOR ? item.amount : item.stats?.funding;
+      if (typeof amount !== 'number') return [];
+
+      const range = FUNDING_RANGES.find(({ min, max }) => amount >= min && (max === null || amount < max));
+      return range ? [range.id] : [];
+    },
+    getOptions: () => FUNDING_RANGES.map(({ id, min, max }) => ({
+      value: id,
+      label: max === null ? `Más de ${CONSTANTS.currency(min)}` : `${CONSTANTS.currency(min)} – ${CONSTANTS.currency(max)}`
+    }))
+  },
+  language: {
+    label: 'Idioma',
+    types: [SEARCH_RESULT_TYPES.STORY, SEARCH_RESULT_TYPES.COMMUNITY],
+    // Una historia cuenta en todos los idiomas en que puede leerse
+    getValues: (item, type) => type === SEARCH_RESULT_TYPES.STORY
+      ? storyLocalizer.getAvailableLanguages(item)
+      : [item.language || ConfigManager.get('i18n.defaultLanguage', 'es')],
+    getOptions: () => ConfigManager.get('i18n.supportedLanguages', ['es', 'en']).map(code => ({
+      value: code,
+      label: storyLocalizer.getLanguageName(code)
+    }))
+  }
+};
+
+// Umbrales de communityManager.filterCommunities (solo comunidades)
+const SEARCH_THRESHOLDS = {
+  minMembers: { label: 'Mínimo de miembros', step: 1 },
+  minStories: { label: 'Mínimo de historias', step: 1 },
+  minFunding: { label: 'Financiación mínima', step: 100 }
+};
+
+class SearchFacets {
+  // === ESTADO EN LA URL ===
+
+  /**
+   * Estado de la página a partir de la query de la ruta
+   */
+  parseState(query = {}) {
+    const toList = value => [].concat(value ?? [])
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+
+    const facets = {};
+    Object.keys(SEARCH_FACETS).forEach(facetId => {
+      facets[facetId] = toList(query[facetId]);
+    });
+
+    const thresholds = {};
+    Object.keys(SEARCH_THRESHOLDS).forEach(key => {
+      const value = parseFloat(query[key]);
+      thresholds[key] = Number.isFinite(value) && value > 0 ? value : null;
+    });
+
+    return {
+      q: String([].concat(query.q ?? '')[0]).trim(),
+      tab: SEARCH_TABS.some(tab => tab.id === query.type) ? query.type : null,
+      facets,
+      thresholds
+    };
+  }
+
+  /**
+   * Query de la URL para un estado (null borra el parámetro)
+   */
+  toQuery(state) {
+    const query = { q: state.q || null, type: state.tab || null };
+
+    Object.entries(state.facets).forEach(([facetId, values]) => {
+      query[facetId] = values.length > 0 ? values : null;
+    });
+
+    Object.entries(state.thresholds).forEach(([key, value]) => {
+      query[key] = value || null;
+    });
+
+    return query;
+  }
+
+  /**
+   * Indica si hay algún filtro activo
+   */
+  hasFilters(state) {
+    return Object.values(state.facets).some(values => values.length > 0)
+      || Object.values(state.thresholds).some(Boolean);
+  }
+
+  // === FILTRADO ===
+
+  getTab(tabId) {
+    return SEARCH_TABS.find(tab => tab.id === tabId) || null;
+  }
+
+  /**
+   * Facetas de lista que se aplican a un tipo de resultado
+   */
+  getFacets(type) {
+    return Object.entries(SEARCH_FACETS)
+      .filter(([, facet]) => facet.types.includes(type))
+      .map(([id, facet]) => ({ id, ...facet }));
+  }
+
+  /**
+   * Umbrales que se aplican a un tipo de resultado
+   */
+  getThresholds(type) {
+    if (type !== SEARCH_RESULT_TYPES.COMMUNITY) return [];
+    return Object.entries(SEARCH_THRESHOLDS).map(([id, threshold]) => ({ id, ...threshold }));
+  }
+
+  /**
+   * Resultados que cumplen el estado; `except` deja fuera una faceta (para sus recuentos)
+   */
+  filter(results, state, except = null) {
+    const allowedCommunities = this.getCommunitiesWithinThresholds(results, state);
+
+    return results.filter(result => {
+      if (result.type === SEARCH_RESULT_TYPES.COMMUNITY && allowedCommunities && !allowedCommunities.has(result.id)) {
+        return false;
+      }
+
+      return this.getFacets(result.type).every(facet => {
+        const selected = state.facets[facet.id];
+        if (facet.id === except || selected.length === 0) return true;
+
+        return facet.getValues(result.item, result.type).some(value => selected.includes(value));
+      });
+    });
+  }
+
+  /**
+   * Ids de las comunidades que superan los umbrales (null si no hay ninguno activo)
+   */
+  getCommunitiesWithinThresholds(results, state) {
+    const thresholds = Object.fromEntries(Object.entries(state.thresholds).filter(([, value]) => value));
+    if (Object.keys(thresholds).length === 0) return null;
+
+    // Sin estadísticas no se puede comprobar ningún mínimo
+    const communities = results
+      .filter(result => result.type === SEARCH_RESULT_TYPES.COMMUNITY && result.item.stats)
+      .map(result => result.item);
+
+    return new Set(communityManager.filterCommunities(communities, thresholds).map(community => community.id));
+  }
+
+  // === RECUENTOS ===
+
+  /**
+   * Resultados filtrados de cada pestaña
+   */
+  getTabCounts(results, state) {
+    const filtered = this.filter(results, state);
+
+    return Object.fromEntries(SEARCH_TABS.map(tab => [
+      tab.id,
+      filtered.filter(result => result.type === tab.type).length
+    ]));
+  }
+
+  /**
+   * Opciones de cada faceta de una pestaña con su recuento
+   */
+  getFacetCounts(results, state, type) {
+    const ofType = results.filter(result => result.type === type);
+
+    return this.getFacets(type).map(facet => {
+      const counts = new Map();
+      this.filter(ofType, state, facet.id).forEach(result => {
+        new Set(facet.getValues(result.item, result.type)).forEach(value => {
+          if (value) counts.set(value, (counts.get(value) || 0) + 1);
+        });
+      });
+
+      return {
+        id: facet.id,
+        label: facet.label,
+        options: facet.getOptions().map(option => ({
+          ...option,
+          count: counts.get(option.value) || 0,
+          selected: state.facets[facet.id].includes(option.value)
+        }))
+      };
+    });
+  }
+}
+
+// Crear instancia global
+const searchFacets = new SearchFacets();
+
+// Exportar al scope global
+window.SearchFacets = SearchFacets;
+window.SEARCH_TABS = SEARCH_TABS;
+window.searchFacets = searchFacets;
+
+console.log('✅ Community Stories Platform - Search Facets loaded');
\ No newline at end of file
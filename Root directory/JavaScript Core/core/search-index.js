@@ -0,0 +1,739 @@
+/**
+ * Community Stories Platform - Search Index
+ * Índice invertido local sobre las comunidades e historias en caché para buscar sin conexión
+ *
+ * Cada palabra se indexa sin acentos y reducida a su raíz según el idioma del texto
+ * (es, en, pt, fr), así que "comunidades" encuentra "Comunidad". Las consultas admiten
+ * erratas, completan la última palabra mientras se escribe y se ordenan por BM25 con
+ * pesos por campo. Lo que no está en caché se busca en la API cuando hay conexión.
+ *
+ * Uso:
+ *   const results = await searchIndex.search('energia solar', { types: ['community', 'story'] });
+ *   results[0] -> { type, id, item, score, title, snippet, source }
+ *   searchIndex.searchLocal('agua') -> sin red ni esperas
+ */
+
+const SEARCH_RESULT_TYPES = {
+  COMMUNITY: 'community',
+  STORY: 'story',
+  SPONSOR: 'sponsor' // reunidos de las historias y comunidades en caché
+};
+
+// Peso de cada campo en la puntuación
+const SEARCH_FIELD_WEIGHTS = {
+  title: 5,
+  tags: 3,
+  description: 2,
+  meta: 2, // categoría, región, comunidad de la historia, lo que apoya un sponsor
+  body: 1
+};
+
+// Sufijos que se recortan por idioma, del más largo al más corto (palabras ya sin acentos)
+const STEMMER_SUFFIXES = {
+  es: [
+    'amientos', 'imientos', 'amiento', 'imiento', 'aciones', 'uciones', 'idades', 'adoras', 'adores',
+    'ancias', 'encias', 'mente', 'acion', 'ucion', 'adora', 'ancia', 'encia', 'ables', 'ibles',
+    'istas', 'ismos', 'iendo', 'idad', 'ador', 'able', 'ible', 'ista', 'ismo', 'osos', 'osas',
+    'ivos', 'ivas', 'ando', 'ados', 'adas', 'idos', 'idas', 'oso', 'osa', 'ivo', 'iva', 'ado',
+    'ada', 'ido', 'ida', 'ar', 'er', 'ir', 'es', 'os', 'as', 's', 'o', 'a', 'e'
+  ],
+  en: [
+    'ational', 'ations', 'ements', 'ities', 'ation', 'ement', 'ments', 'ness', 'ings', 'ment',
+    'ies', 'ity', 'ing', 'ers', 'ed', 'er', 'ly', 'es', 's', 'y', 'e'
+  ],
+  pt: [
+    'amentos', 'imentos', 'amento', 'imento', 'idades', 'acoes', 'icoes', 'mente', 'adoras', 'adores',
+    'ancias', 'encias', 'idade', 'acao', 'icao', 'adora', 'ador', 'ancia', 'encia', 'aveis', 'iveis',
+    'istas', 'ismos', 'avel', 'ivel', 'ista', 'ismo', 'osos', 'osas', 'ivos', 'ivas', 'ando', 'endo',
+    'indo', 'ados', 'adas', 'idos', 'idas', 'oes', 'oso', 'osa', 'ivo', 'iva', 'ado', 'ada', 'ido',
+    'ida', 'ao', 'ar', 'er', 'ir', 'es', 'os', 'as', 's', 'o', 'a', 'e'
+  ],
+  fr: [
+    'issements', 'issement', 'atrices', 'ateurs', 'ations', 'ements', 'atrice', 'ateur', 'ation',
+    'ement', 'ances', 'ences', 'euses', 'ables', 'ismes', 'istes', 'ites', 'ance', 'ence', 'euse',
+    'able', 'isme', 'iste', 'ives', 'ite', 'eux', 'ive', 'ifs', 'ant', 'ent', 'if', 'er', 'ez',
+    'es', 's', 'x', 'e'
+  ]
+};
+
+// Palabras vacías (sin acentos) que no se indexan
+const STOPWORDS = new Set([
+  // es
+  'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'al', 'a', 'en', 'y', 'o', 'u',
+  'que', 'con', 'por', 'para', 'sin', 'su', 'sus', 'se', 'lo', 'le', 'les', 'es', 'como', 'mas', 'pero',
+  // en
+  'the', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'at', 'is', 'are', 'was', 'it',
+  'its', 'this', 'that', 'from', 'as', 'be',
+  // pt
+  'os', 'as', 'um', 'uma', 'do', 'da', 'dos', 'das', 'no', 'na', 'nos', 'nas', 'e', 'com', 'em', 'ao',
+  // fr
+  'le', 'les', 'une', 'des', 'du', 'au', 'aux', 'et', 'ou', 'dans', 'sur', 'pour', 'avec', 'par', 'est'
+]);
+
+// Idiomas con raíz: la consulta se reduce con todos porque no sabemos en cuál se escribe
+const STEM_LANGUAGES = Object.keys(STEMMER_SUFFIXES);
+
+// Parámetros de BM25
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Peso de las coincidencias aproximadas frente a las exactas
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.8,
+  typo: 0.6
+};
+
+class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // docId -> documento indexado
+    this.postings = new Map(); // raíz -> Map(docId -> { campo: frecuencia })
+    this.words = new Map(); // palabra sin acentos -> Set(raíces)
+    this.fieldLengths = {}; // campo -> suma de longitudes, para la media de BM25
+    this.packStories = new Map(); // historias de paquetes offline (IndexedDB)
+
+    this.ready = this.init();
+  }
+
+  /**
+   * Indexa lo que ya hay en caché y escucha nuevas cargas
+   */
+  async init() {
+    this.sync();
+
+    eventBus.on(EVENTS.COMMUNITY_LOADED, () => this.sync());
+    eventBus.on(EVENTS.STORY_LOADED, () => this.sync());
+    eventBus.on(EVENTS.OFFLINE_COMPLETE, ({ data }) => this.indexPackStory(data.storyId));
+    eventBus.on(EVENTS.OFFLINE_REMOVE, ({ data }) => {
+      this.packStories.delete(data.storyId);
+      this.sync();
+    });
+
+    // Las historias descargadas solo están en IndexedDB
+    if (window.offlinePacks) {
+      try {
+        await offlinePacks.ready;
+        const packs = await offlinePacks.getAllPacks();
+        packs.forEach(pack => pack.story && this.packStories.set(pack.story.id, pack.story));
+        this.sync();
+      } catch (error) {
+        console.warn('Failed to index offline packs:', error);
+      }
+    }
+  }
+
+  /**
+   * Añade al índice una historia recién descargada
+   */
+  async indexPackStory(storyId) {
+    const story = await offlinePacks.getStory(storyId);
+    if (!story) return;
+
+    this.packStories.set(story.id, story);
+    this.sync();
+  }
+
+  // === SINCRONIZACIÓN ===
+
+  /**
+   * Pone el índice al día con las cachés: reindexa lo que cambió y quita lo que ya no está
+   */
+  sync() {
+    const sources = new Map();
+
+    if (window.communityManager) {
+      communityManager.communities.forEach(community => {
+        sources.set(this.getDocId(SEARCH_RESULT_TYPES.COMMUNITY, community.id), { type: SEARCH_RESULT_TYPES.COMMUNITY, item: community });
+      });
+    }
+
+    const stories = new Map(this.packStories);
+    if (window.storyLoader) {
+      storyLoader.stories.forEach(story => stories.set(story.id, story));
+    }
+    stories.forEach(story => {
+      sources.set(this.getDocId(SEARCH_RESULT_TYPES.STORY, story.id), { type: SEARCH_RESULT_TYPES.STORY, item: story });
+    });
+
+    this.collectSponsors(sources).forEach((sponsor, docId) => {
+      sources.set(docId, { type: SEARCH_RESULT_TYPES.SPONSOR, item: sponsor });
+    });
+
+    this.documents.forEach((doc, docId) => {
+      if (!sources.has(docId)) this.remove(docId);
+    });
+
+    sources.forEach(({ type, item }, docId) => {
+      const current = this.documents.get(docId);
+      if (!current || current.source !== this.getSource(type, item) || current.signature !== this.getSignature(type, item)) {
+        this.add(type, item);
+      }
+    });
+  }
+
+  /**
+   * Sponsors de las historias y comunidades indexadas, cada uno con lo que apoya
+   */
+  collectSponsors(sources) {
+    const sponsors = new Map();
+
+    sources.forEach(({ type, item }) => {
+      (item.sponsors || []).forEach(sponsor => {
+        if (!sponsor || !sponsor.id) return;
+
+        const docId = this.getDocId(SEARCH_RESULT_TYPES.SPONSOR, sponsor.id);
+        if (!sponsors.has(docId)) {
+          sponsors.set(docId, { ...sponsor, source: sponsor, supports: [] });
+        }
+
+        sponsors.get(docId).supports.push({
+          type,
+          id: item.id,
+          name: type === SEARCH_RESULT_TYPES.STORY ? item.title : item.name,
+          slug: item.slug
+        });
+      });
+    });
+
+    return sponsors;
+  }
+
+  /**
+   * Objeto en caché del que sale un documento (los sponsors se copian en cada sincronización)
+   */
+  getSource(type, item) {
+    return type === SEARCH_RESULT_TYPES.SPONSOR ? item.source : item;
+  }
+
+  /**
+   * Cambia cuando un objeto en caché se modifica en sitio (p. ej. al cargar capítulos)
+   */
+  getSignature(type, item) {
+    if (type === SEARCH_RESULT_TYPES.SPONSOR) {
+      return item.supports.map(support => `${support.type}:${support.id}`).join(',');
+    }
+
+    return type === SEARCH_RESULT_TYPES.STORY && window.storyLoader
+      ? storyLoader.getStoryBlocks(item).length
+      : 0;
+  }
+
+  getDocId(type, id) {
+    return `${type}:${id}`;
+  }
+
+  // === INDEXACIÓN ===
+
+  /**
+   * Indexa (o reindexa) una comunidad o historia
+   */
+  add(type, item) {
+    const docId = this.getDocId(type, item.id);
+    this.remove(docId);
+
+    const fields = this.getFields(type, item);
+    const doc = {
+      id: item.id,
+      docId,
+      type,
+      item,
+      fields,
+      lengths: {},
+      terms: new Set(),
+      source: this.getSource(type, item),
+      signature: this.getSignature(type, item)
+    };
+
+    fields.forEach(({ field, text, language }) => {
+      const tokens = this.tokenize(text, language);
+      doc.lengths[field] = (doc.lengths[field] || 0) + tokens.length;
+
+      tokens.forEach(({ word, term }) => {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const docs = this.postings.get(term);
+        const frequencies = docs.get(docId) || {};
+        frequencies[field] = (frequencies[field] || 0) + 1;
+        docs.set(docId, frequencies);
+        doc.terms.add(term);
+
+        if (!this.words.has(word)) this.words.set(word, new Set());
+        this.words.get(word).add(term);
+      });
+    });
+
+    Object.entries(doc.lengths).forEach(([field, length]) => {
+      this.fieldLengths[field] = (this.fieldLengths[field] || 0) + length;
+    });
+
+    this.documents.set(docId, doc);
+  }
+
+  /**
+   * Quita un documento del índice
+   */
+  remove(docId) {
+    const doc = this.documents.get(docId);
+    if (!doc) return;
+
+    doc.terms.forEach(term => {
+      const docs = this.postings.get(term);
+      docs.delete(docId);
+      if (docs.size === 0) this.postings.delete(term);
+    });
+
+    Object.entries(doc.lengths).forEach(([field, length]) => {
+      this.fieldLengths[field] -= length;
+    });
+
+    this.documents.delete(docId);
+  }
+
+  /**
+   * Campos de texto según el tipo de documento
+   */
+  getFields(type, item) {
+    switch (type) {
+      case SEARCH_RESULT_TYPES.STORY:
+        return this.getStoryFields(item);
+      case SEARCH_RESULT_TYPES.SPONSOR:
+        return this.getSponsorFields(item);
+      default:
+        return this.getCommunityFields(item);
+    }
+  }
+
+  /**
+   * Campos de texto de una comunidad
+   */
+  getCommunityFields(community) {
+    const language = community.language || ConfigManager.get('i18n.defaultLanguage', 'es');
+
+    return [
+      { field: 'title', text: community.name, language },
+      { field: 'description', text: community.description, language },
+      { field: 'tags', text: (community.tags || []).join(' '), language },
+      { field: 'meta', text: [community.category?.name, community.region?.name, community.location?.city].filter(Boolean).join(' '), language }
+    ].filter(entry => entry.text);
+  }
+
+  /**
+   * Campos de texto de una historia, con sus traducciones y el texto de los bloques cargados
+   */
+  getStoryFields(story) {
+    const language = storyLoader.getStoryLanguage(story);
+    const fields = [
+      { field: 'title', text: story.title, language },
+      { field: 'description', text: story.description || story.metadata?.description, language },
+      { field: 'tags', text: (story.metadata?.tags || story.tags || []).join(' '), language },
+      { field: 'meta', text: [story.community?.name, story.metadata?.author].filter(Boolean).join(' '), language }
+    ];
+
+    storyLoader.getStoryBlocks(story).forEach(block => {
+      fields.push({ field: 'body', text: textMetrics.toPlainText(storyBlocks.extractText(block)), language: block.lang || language });
+    });
+
+    (story.chapters || []).forEach(chapter => fields.push({ field: 'body', text: chapter.title, language }));
+
+    Object.entries(story.translations || {}).forEach(([code, translation]) => {
+      fields.push({ field: 'title', text: translation.title, language: code });
+      fields.push({ field: 'description', text: translation.description, language: code });
+
+      Object.values(translation.blocks || {}).forEach(block => {
+        const text = ['content', 'caption', 'title', 'transcript']
+          .map(field => block[field])
+          .filter(value => typeof value === 'string')
+          .join(' ');
+        fields.push({ field: 'body', text: textMetrics.toPlainText(text), language: code });
+      });
+    });
+
+    return fields.filter(entry => typeof entry.text === 'string' && entry.text.trim());
+  }
+
+  /**
+   * Campos de texto de un sponsor
+   */
+  getSponsorFields(sponsor) {
+    const language = ConfigManager.get('i18n.defaultLanguage', 'es');
+
+    return [
+      { field: 'title', text: sponsor.name, language },
+      { field: 'description', text: sponsor.description, language },
+      { field: 'meta', text: [sponsor.tier, ...sponsor.supports.map(support => support.name)].filter(Boolean).join(' '), language }
+    ].filter(entry => entry.text);
+  }
+
+  // === TEXTO ===
+
+  /**
+   * Minúsculas sin acentos ni diacríticos ("Educación" -> "educacion")
+   */
+  fold(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/ß/g, 'ss')
+      .toLowerCase();
+  }
+
+  /**
+   * Reduce una palabra sin acentos a su raíz recortando el sufijo más largo del idioma
+   */
+  stem(word, language) {
+    const suffixes = STEMMER_SUFFIXES[language];
+    if (!suffixes || word.length <= 3) return word;
+
+    const suffix = suffixes.find(candidate => word.endsWith(candidate) && word.length - candidate.length >= 3);
+    return suffix ? word.slice(0, -suffix.length) : word;
+  }
+
+  /**
+   * Palabras de un texto con su forma sin acentos y su raíz
+   *
+   * Las elisiones y compuestos ("l'eau", "agua-potable") se separan en sus partes.
+   */
+  tokenize(text, language) {
+    if (!text) return [];
+
+    return textMetrics.getWords(String(text), textMetrics.getLanguage(language))
+      .flatMap(word => this.fold(word).split(/['’\-]/))
+      .filter(word => word && (word.length > 1 || /\d/.test(word)) && !STOPWORDS.has(word))
+      .map(word => ({ word, term: this.stem(word, language) }));
+  }
+
+  // === BÚSQUEDA ===
+
+  /**
+   * Busca en el índice local y completa con la API si hay conexión y pocos resultados
+   */
+  async search(query, options = {}) {
+    const searchOptions = {
+      types: Object.values(SEARCH_RESULT_TYPES),
+      limit: 10,
+      remote: true,
+      ...options
+    };
+
+    const results = this.searchLocal(query, searchOptions);
+    const threshold = ConfigManager.get('search.remoteThreshold', 3);
+    const wantsCommunities = searchOptions.types.includes(SEARCH_RESULT_TYPES.COMMUNITY);
+
+    if (!searchOptions.remote || !wantsCommunities || !navigator.onLine || results.length >= Math.min(threshold, searchOptions.limit)) {
+      return results;
+    }
+
+    try {
+      const remote = await communityManager.searchCommunities(query, { limit: searchOptions.limit });
+      const terms = this.getQueryTerms(query);
+      const known = new Set(results.map(result => this.getDocId(result.type, result.id)));
+
+      remote
+        .filter(community => !known.has(this.getDocId(SEARCH_RESULT_TYPES.COMMUNITY, community.id)))
+        .forEach(community => results.push(this.createRemoteResult(community, terms)));
+    } catch (error) {
+      console.warn('Remote search failed, showing cached results only:', error);
+    }
+
+    return results.slice(0, searchOptions.limit);
+  }
+
+  /**
+   * Busca solo en el índice local
+   */
+  searchLocal(query, options = {}) {
+    const { types = Object.values(SEARCH_RESULT_TYPES), limit = 10, filter = null } = options;
+    const queryTokens = this.parseQuery(query);
+    if (queryTokens.length === 0) return [];
+
+    const scores = new Map(); // docId -> { score, tokens: Set, terms: Set }
+
+    queryTokens.forEach((token, tokenIndex) => {
+      const matches = this.expandToken(token);
+      const best = new Map(); // docId -> mejor puntuación de esta palabra
+
+      matches.forEach((weight, term) => {
+        const docs = this.postings.get(term);
+        const idf = this.getIdf(docs.size);
+
+        docs.forEach((frequencies, docId) => {
+          const doc = this.documents.get(docId);
+          if (!types.includes(doc.type)) return;
+
+          const termScore = this.scoreTerm(doc, frequencies) * idf * weight;
+          const entry = scores.get(docId) || { score: 0, tokens: new Set(), terms: new Set() };
+          entry.terms.add(term);
+          entry.tokens.add(tokenIndex);
+          scores.set(docId, entry);
+
+          best.set(docId, Math.max(best.get(docId) || 0, termScore));
+        });
+      });
+
+      best.forEach((score, docId) => {
+        scores.get(docId).score += score;
+      });
+    });
+
+    return Array.from(scores.entries())
+      .map(([docId, { score, tokens, terms }]) => {
+        const doc = this.documents.get(docId);
+        // Las que contienen todas las palabras de la consulta van primero
+        const coverage = tokens.size / queryTokens.length;
+        return { doc, score: score * coverage * coverage, terms };
+      })
+      .filter(({ doc }) => !filter || filter(doc.item, doc.type))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ doc, score, terms }) => this.createResult(doc, score, terms));
+  }
+
+  /**
+   * Ids de los documentos de un tipo que coinciden con la consulta
+   */
+  matchIds(query, type = SEARCH_RESULT_TYPES.COMMUNITY) {
+    return new Set(this.searchLocal(query, { types: [type], limit: Infinity }).map(result => result.id));
+  }
+
+  /**
+   * Palabras de la consulta; la última se completa por prefijo mientras se escribe
+   */
+  parseQuery(query) {
+    const text = String(query || '');
+    const words = (text.match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+      .map(word => this.fold(word))
+      .filter(word => !STOPWORDS.has(word) || text.trim().split(/\s+/).length === 1);
+    const isTyping = !/\s$/.test(text);
+
+    return words.map((word, index) => ({
+      word,
+      prefix: isTyping && index === words.length - 1
+    }));
+  }
+
+  /**
+   * Raíces del índice que casan con una palabra de la consulta, con su peso
+   */
+  expandToken({ word, prefix }) {
+    const matches = new Map();
+    const addTerm = (term, weight) => {
+      if (this.postings.has(term) && weight > (matches.get(term) || 0)) matches.set(term, weight);
+    };
+
+    // Exacta: la palabra reducida con cada idioma
+    addTerm(word, MATCH_WEIGHTS.exact);
+    STEM_LANGUAGES.forEach(language => addTerm(this.stem(word, language), MATCH_WEIGHTS.exact));
+
+    const minPrefix = ConfigManager.get('search.minPrefixLength', 2);
+    const maxTypos = this.getMaxTypos(word);
+
+    this.words.forEach((terms, indexed) => {
+      if (prefix && word.length >= minPrefix && indexed.startsWith(word) && indexed !== word) {
+        terms.forEach(term => addTerm(term, MATCH_WEIGHTS.prefix));
+        return;
+      }
+
+      if (maxTypos === 0 || indexed[0] !== word[0] || Math.abs(indexed.length - word.length) > maxTypos) return;
+
+      const distance = this.getEditDistance(word, indexed, maxTypos);
+      if (distance > 0 && distance <= maxTypos) {
+        terms.forEach(term => addTerm(term, MATCH_WEIGHTS.typo / distance));
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Erratas admitidas según la longitud de la palabra
+   */
+  getMaxTypos(word) {
+    const { oneTypo = 4, twoTypos = 8 } = ConfigManager.get('search.typoTolerance', {});
+    if (word.length >= twoTypos) return 2;
+    if (word.length >= oneTypo) return 1;
+    return 0;
+  }
+
+  /**
+   * Distancia de Damerau-Levenshtein (transposiciones incluidas); corta al superar el máximo
+   */
+  getEditDistance(a, b, max) {
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const nextRow = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+        if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+
+        nextRow[j] = value;
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > max) return max + 1;
+      previousRow = row;
+      row = nextRow;
+    }
+
+    return row[b.length];
+  }
+
+  /**
+   * Frecuencia ponderada por campo y normalizada por longitud (BM25F)
+   */
+  scoreTerm(doc, frequencies) {
+    const count = this.documents.size || 1;
+    let weighted = 0;
+
+    Object.entries(frequencies).forEach(([field, frequency]) => {
+      const average = (this.fieldLengths[field] || 1) / count;
+      const normalization = 1 - BM25_B + BM25_B * ((doc.lengths[field] || 0) / (average || 1));
+      weighted += (SEARCH_FIELD_WEIGHTS[field] || 1) * frequency / normalization;
+    });
+
+    return weighted / (BM25_K1 + weighted);
+  }
+
+  getIdf(documentFrequency) {
+    const count = this.documents.size;
+    return Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  // === RESULTADOS ===
+
+  /**
+   * Resultado con título y fragmento resaltados
+   */
+  createResult(doc, score, terms) {
+    const titleField = doc.fields.find(entry => entry.field === 'title');
+    const title = titleField ? this.highlight(titleField.text, titleField.language, terms) : '';
+
+    return {
+      type: doc.type,
+      id: doc.id,
+      item: doc.item,
+      score,
+      title,
+      snippet: this.getSnippet(doc, terms),
+      source: 'local'
+    };
+  }
+
+  /**
+   * Resultado de la API que aún no está en caché
+   */
+  createRemoteResult(community, terms) {
+    const language = community.language || ConfigManager.get('i18n.defaultLanguage', 'es');
+
+    return {
+      type: SEARCH_RESULT_TYPES.COMMUNITY,
+      id: community.id,
+      item: community,
+      score: 0,
+      title: this.highlight(community.name || '', language, terms),
+      snippet: this.highlight(StringUtils.truncate(community.description || '', this.getSnippetLength()), language, terms),
+      source: 'api'
+    };
+  }
+
+  /**
+   * Raíces de la consulta sin expandir (para resaltar resultados de la API)
+   */
+  getQueryTerms(query) {
+    const terms = new Set();
+    this.parseQuery(query).forEach(({ word }) => {
+      terms.add(word);
+      STEM_LANGUAGES.forEach(language => terms.add(this.stem(word, language)));
+    });
+    return terms;
+  }
+
+  getSnippetLength() {
+    return ConfigManager.get('search.snippetLength', 160);
+  }
+
+  /**
+   * Fragmento del campo con más coincidencias; si ninguno las tiene, el inicio de la descripción
+   */
+  getSnippet(doc, terms) {
+    const candidates = doc.fields
+      .filter(entry => entry.field !== 'title')
+      .map(entry => ({ entry, hits: this.findHits(entry.text, entry.language, terms) }));
+
+    const best = candidates.reduce((winner, candidate) => (
+      candidate.hits.length > (winner?.hits.length || 0) ? candidate : winner
+    ), null);
+
+    if (!best) {
+      const description = candidates.find(({ entry }) => entry.field === 'description');
+      return description ? html`${StringUtils.truncate(description.entry.text, this.getSnippetLength())}` : '';
+    }
+
+    // Ventana alrededor de la primera coincidencia, cortada en límites de palabra
+    const { text, language } = best.entry;
+    const length = this.getSnippetLength();
+    let start = Math.max(0, best.hits[0].index - Math.floor(length / 3));
+    let end = Math.min(text.length, start + length);
+
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+    return html`${start > 0 ? '…' : ''}${this.highlight(text.slice(start, end), language, terms)}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Posiciones de las palabras de un texto cuya raíz está entre las buscadas
+   */
+  findHits(text, language, terms) {
+    return Array.from(text.matchAll(/[\p{L}\p{M}\p{N}]+/gu))
+      .filter(match => {
+        const word = this.fold(match[0]);
+        return terms.has(word) || terms.has(this.stem(word, language));
+      })
+      .map(match => ({ index: match.index, length: match[0].length }));
+  }
+
+  /**
+   * Texto escapado con las coincidencias en <mark>
+   */
+  highlight(text, language, terms) {
+    const parts = [];
+    let position = 0;
+
+    this.findHits(text, language, terms).forEach(({ index, length }) => {
+      parts.push(text.slice(position, index), html`<mark>${text.slice(index, index + length)}</mark>`);
+      position = index + length;
+    });
+    parts.push(text.slice(position));
+
+    return html`${parts}`;
+  }
+
+  /**
+   * Estadísticas del índice
+   */
+  getStats() {
+    return {
+      documents: this.documents.size,
+      terms: this.postings.size,
+      words: this.words.size,
+      offlineStories: this.packStories.size
+    };
+  }
+}
+
+// Crear instancia global
+const searchIndex = new SearchIndex();
+
+// Exportar al scope global
+window.SearchIndex = SearchIndex;
+window.SEARCH_RESULT_TYPES = SEARCH_RESULT_TYPES;
+window.searchIndex = searchIndex;
+
+console.log('✅ Community Stories Platform - Search Index loaded');
\ No newline at end of file
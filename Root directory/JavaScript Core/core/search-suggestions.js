@@ -0,0 +1,134 @@
+/**
+ * Community Stories Platform - Search Suggestions
+ * Búsquedas recientes de cada usuario y sugerencias a partir de las búsquedas populares
+ *
+ * Las recientes se guardan en localStorage por usuario (o en el dispositivo si no hay sesión).
+ * Las populares vienen de /api/search/popular y se guardan para sugerirlas sin conexión.
+ */
+
+const RECENT_SEARCHES_LIMIT = 5;
+const POPULAR_SEARCHES_KEY = 'popular-searches';
+
+class SearchSuggestions {
+  constructor() {
+    this.popular = StorageUtils.getItem(POPULAR_SEARCHES_KEY) || { queries: [], fetchedAt: 0 };
+    this.loading = null;
+  }
+
+  // === RECIENTES ===
+
+  /**
+   * Clave de almacenamiento del usuario actual
+   */
+  getRecentKey() {
+    const user = StorageUtils.getItem('current-user');
+    return `recent-searches:${user?.id || 'guest'}`;
+  }
+
+  /**
+   * Búsquedas recientes, de la más nueva a la más antigua
+   */
+  getRecent() {
+    return StorageUtils.getItem(this.getRecentKey()) || [];
+  }
+
+  /**
+   * Guarda una búsqueda; si ya estaba sube al principio
+   */
+  addRecent(query) {
+    const text = String(query || '').trim();
+    if (text.length < ConfigManager.get('search.minQueryLength', 2)) return;
+
+    const key = searchIndex.fold(text);
+    const recent = this.getRecent().filter(entry => searchIndex.fold(entry) !== key);
+    StorageUtils.setItem(this.getRecentKey(), [text, ...recent].slice(0, RECENT_SEARCHES_LIMIT));
+  }
+
+  /**
+   * Borra las búsquedas recientes del usuario actual
+   */
+  clearRecent() {
+    StorageUtils.removeItem(this.getRecentKey());
+  }
+
+  // === POPULARES ===
+
+  /**
+   * Descarga las búsquedas populares si las guardadas caducaron
+   */
+  loadPopular() {
+    const maxAge = ConfigManager.get('performance.cacheTimeout', 24 * 60 * 60 * 1000);
+    if (Date.now() - this.popular.fetchedAt < maxAge || !navigator.onLine) {
+      return Promise.resolve(this.popular.queries);
+    }
+
+    if (!this.loading) {
+      // Cualquier fallo (también síncrono) acaba en el .catch y deja las guardadas
+      this.loading = Promise.resolve()
+        .then(() => fetch('/api/search/popular'))
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to fetch popular searches: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(({ data = [] }) => {
+          this.popular = {
+            queries: data.map(entry => (typeof entry === 'string' ? entry : entry.query)).filter(Boolean),
+            fetchedAt: Date.now()
+          };
+          StorageUtils.setItem(POPULAR_SEARCHES_KEY, this.popular);
+          return this.popular.queries;
+        })
+        .catch(error => {
+          console.warn('Failed to load popular searches:', error);
+          return this.popular.queries;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  // === SUGERENCIAS ===
+
+  /**
+   * Búsquedas populares que contienen lo escrito (sin acentos); sin texto, las primeras
+   */
+  getSuggestions(query, limit = 3) {
+    const words = searchIndex.fold(String(query || '')).split(/\s+/).filter(Boolean);
+    const current = searchIndex.fold(String(query || '').trim());
+
+    return this.popular.queries
+      .filter(suggestion => {
+        const folded = searchIndex.fold(suggestion);
+        return folded !== current && words.every(word => folded.split(/\s+/).some(part => part.startsWith(word)));
+      })
+      .slice(0, limit);
+  }
+
+  /**
+   * Recientes que coinciden con lo escrito (todas si no hay texto)
+   */
+  getMatchingRecent(query, limit = RECENT_SEARCHES_LIMIT) {
+    const current = searchIndex.fold(String(query || '').trim());
+
+    return this.getRecent()
+      .filter(entry => {
+        const folded = searchIndex.fold(entry);
+        return !current || (folded !== current && folded.startsWith(current));
+      })
+      .slice(0, limit);
+  }
+}
+
+// Crear instancia global
+const searchSuggestions = new SearchSuggestions();
+
+// Exportar al scope global
+window.SearchSuggestions = SearchSuggestions;
+window.searchSuggestions = searchSuggestions;
+
+console.log('✅ Community Stories Platform - Search Suggestions loaded');
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Community Stories Platform - Slug Resolver
+ * Resolución de slugs a IDs con historial de slugs y soporte offline
+ */
+
+class SlugResolver {
+  constructor(options = {}) {
+    if (!options.resource) {
+      throw new Error('SlugResolver requires a resource name');
+    }
+
+    this.resource = options.resource; // stories | communities
+    this.storageKey = options.storageKey || `${options.resource}-slugs`;
+    this.getCachedEntity = options.getCachedEntity || (() => null);
+
+    this.slugs = new Map(); // slug (actual o antiguo) -> id
+    this.canonicalSlugs = new Map(); // id -> slug canónico
+    this.pendingRequests = new Map();
+
+    this.loadIndex();
+  }
+
+  /**
+   * Registra el slug canónico y los antiguos de una entidad
+   */
+  register(entity) {
+    if (!entity || !entity.id || !entity.slug) return;
+
+    const previousSlugs = entity.slugHistory || entity.previousSlugs || [];
+
+    previousSlugs.forEach(slug => this.slugs.set(slug, entity.id));
+    this.slugs.set(entity.slug, entity.id);
+    this.canonicalSlugs.set(entity.id, entity.slug);
+  }
+
+  /**
+   * Registra varias entidades y persiste el índice
+   */
+  registerAll(entities) {
+    entities.forEach(entity => this.register(entity));
+    this.saveIndex();
+  }
+
+  /**
+   * Resuelve un slug a { id, slug, redirect }
+   *
+   * Devuelve null si el slug no existe (o, sin conexión, si no está en caché).
+   * `redirect` indica que el slug recibido no es el canónico (slug antiguo o ID heredado).
+   */
+  async resolve(slug) {
+    const localResolution = this.resolveLocal(slug);
+    if (localResolution) {
+      return localResolution;
+    }
+
+    // Sin conexión solo se puede resolver con datos en caché: lo demás no se encuentra
+    if (!navigator.onLine) {
+      return null;
+    }
+
+    // Evitar peticiones duplicadas para el mismo slug
+    if (this.pendingRequests.has(slug)) {
+      return this.pendingRequests.get(slug);
+    }
+
+    const request = this.fetchResolution(slug)
+      .finally(() => this.pendingRequests.delete(slug));
+
+    this.pendingRequests.set(slug, request);
+    return request;
+  }
+
+  /**
+   * Resuelve un slug con el índice y las cachés locales
+   */
+  resolveLocal(slug) {
+    let id = this.slugs.get(slug);
+
+    // URLs antiguas que usaban el ID directamente
+    if (!id && (this.canonicalSlugs.has(slug) || this.getCachedEntity(slug))) {
+      id = slug;
+    }
+
+    if (!id) return null;
+
+    // La entidad en caché tiene prioridad por ser la fuente más reciente
+    const entity = this.getCachedEntity(id);
+    if (entity && entity.slug) {
+      this.register(entity);
+    }
+
+    const canonicalSlug = this.canonicalSlugs.get(id) || slug;
+
+    return {
+      id,
+      slug: canonicalSlug,
+      redirect: canonicalSlug !== slug
+    };
+  }
+
+  /**
+   * Consulta la resolución del slug en la API
+   */
+  async fetchResolution(slug) {
+    const response = await fetch(`/api/${this.resource}/resolve/${encodeURIComponent(slug)}`);
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to resolve ${this.resource} slug: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const entity = data.data || data;
+
+    this.register(entity);
+    this.saveIndex();
+
+    // El slug pedido puede no figurar en el historial devuelto
+    this.slugs.set(slug, entity.id);
+
+    return {
+      id: entity.id,
+      slug: entity.slug,
+      redirect: entity.slug !== slug
+    };
+  }
+
+  /**
+   * Obtiene el slug canónico de un ID
+   */
+  getCanonicalSlug(id) {
+    return this.canonicalSlugs.get(id) || null;
+  }
+
+  /**
+   * Carga el índice de slugs persistido
+   */
+  loadIndex() {
+    try {
+      const index = StorageUtils.getItem(this.storageKey, null);
+      if (index) {
+        this.slugs = new Map(index.slugs || []);
+        this.canonicalSlugs = new Map(index.canonical || []);
+      }
+    } catch (error) {
+      console.warn(`Failed to load ${this.resource} slug index:`, error);
+    }
+  }
+
+  /**
+   * Persiste el índice de slugs
+   */
+  saveIndex() {
+    try {
+      StorageUtils.setItem(this.storageKey, {
+        slugs: Array.from(this.slugs.entries()),
+        canonical: Array.from(this.canonicalSlugs.entries())
+      }, 7 * 24 * 60 * 60 * 1000); // 7 días
+    } catch (error) {
+      console.warn(`Failed to save ${this.resource} slug index:`, error);
+    }
+  }
+
+  /**
+   * Limpia el índice
+   */
+  clear() {
+    this.slugs.clear();
+    this.canonicalSlugs.clear();
+    this.pendingRequests.clear();
+    StorageUtils.removeItem(this.storageKey);
+  }
+}
+
+// Exportar al scope global
+window.SlugResolver = SlugResolver;
+
+console.log('✅ Community Stories Platform - Slug Resolver loaded');
\ No newline at end of file
@@ -0,0 +1,788 @@
+/**
+ * Community Stories Platform - Story Blocks
+ * Registro de tipos de bloque: esquema, renderizado, hidratación y texto para las estadísticas
+ *
+ * Cada tipo se registra con:
+ *   schema: campos propios del bloque (JSON Schema; se añade a STORY_SCHEMA)
+ *   render(block, attrs): html`` del bloque; `attrs` lleva los data-* que usan progreso y scrollytelling
+ *   hydrate(element, block, context): interactividad opcional; puede devolver una función de limpieza
+ *   extractText(block): texto plano que cuenta para el tiempo de lectura
+ *   duration(block): segundos de audio o vídeo que se suman al tiempo estimado
+ *   assets(block): recursos del bloque ({ url, type }) para los paquetes offline
+ *   print(block, attrs, { labels }): versión estática para exportar (PDF y EPUB); por defecto, render
+ *
+ * Un tipo nuevo no necesita cambios en el núcleo:
+ *   storyBlocks.register('poll', { schema: {...}, render: (block, attrs) => html`...` });
+ *
+ * El campo `content` de párrafos, citas y pasos es HTML saneado y se inserta con unsafeHTML;
+ * el resto de campos se escapan.
+ */
+
+class StoryBlockRegistry {
+  constructor() {
+    this.types = new Map();
+  }
+
+  /**
+   * Registra (o sustituye) un tipo de bloque
+   */
+  register(type, definition) {
+    if (typeof definition.render !== 'function') {
+      throw new Error(`Block type "${type}" must define a render function`);
+    }
+
+    this.types.set(type, {
+      type,
+      schema: {},
+      hydrate: null,
+      extractText: () => '',
+      duration: () => 0,
+      assets: () => [],
+      print: null,
+      ...definition
+    });
+
+    storyValidator.registerBlockType(type, definition.schema || {});
+    return this;
+  }
+
+  /**
+   * Obtiene la definición de un tipo
+   */
+  get(type) {
+    return this.types.get(type) || null;
+  }
+
+  /**
+   * Indica si un tipo está registrado
+   */
+  has(type) {
+    return this.types.has(type);
+  }
+
+  /**
+   * Tipos registrados
+   */
+  getTypes() {
+    return Array.from(this.types.keys());
+  }
+
+  // === RENDERIZADO ===
+
+  /**
+   * Renderiza un bloque
+   */
+  render(block, index = 0) {
+    const attrs = html`data-story-section="${block.order ?? index}" data-block-id="${block.id}" data-block-type="${block.type}"${this.getTranslationAttrs(block)}`;
+    const definition = this.get(block.type);
+
+    if (!definition) {
+      return html`<div class="story-block" ${attrs}>${unsafeHTML(block.content)}</div>`;
+    }
+
+    try {
+      // Los renderizadores son código de la aplicación: una cadena sin html`` se confía tal cual
+      const result = definition.render(block, attrs);
+      return TemplateUtils.isSafe(result) ? result : unsafeHTML(result);
+    } catch (error) {
+      // Un bloque defectuoso no debe impedir leer el resto de la historia
+      if (window.errorHandler) {
+        window.errorHandler.logError({
+          type: 'story_block',
+          message: `Failed to render block ${block.id} (${block.type})`,
+          error: error.message
+        });
+      }
+      return html`<div class="story-block story-block--error" ${attrs}></div>`;
+    }
+  }
+
+  /**
+   * Renderiza la versión estática de un bloque (sin controles ni media reproducible)
+   *
+   * `labels` son los textos de la exportación en el idioma de la historia.
+   */
+  renderPrint(block, labels = {}) {
+    const attrs = html`data-block-id="${block.id}" data-block-type="${block.type}"${this.getTranslationAttrs(block)}`;
+    const definition = this.get(block.type);
+
+    if (!definition) {
+      return html`<div class="story-block" ${attrs}>${unsafeHTML(block.content)}</div>`;
+    }
+
+    try {
+      const result = definition.print
+        ? definition.print(block, attrs, { labels })
+        : definition.render(block, attrs);
+      return TemplateUtils.isSafe(result) ? result : unsafeHTML(result);
+    } catch (error) {
+      console.warn(`Failed to render block ${block.id} for export:`, error);
+      return html``;
+    }
+  }
+
+  /**
+   * Estado de traducción del bloque y, si se muestra en otro idioma, su lang y dir
+   */
+  getTranslationAttrs(block) {
+    if (!block.translationStatus) return '';
+
+    return html` data-translation-status="${block.translationStatus}"${
+      block.lang ? html` lang="${block.lang}" dir="${storyLocalizer.getDirection(block.lang)}"` : ''
+    }`;
+  }
+
+  /**
+   * Renderiza una lista de bloques
+   */
+  renderAll(blocks) {
+    return html`${(blocks || []).map((block, index) => this.render(block, index))}`;
+  }
+
+  /**
+   * Hidrata los bloques interactivos de un contenedor; devuelve la función de limpieza
+   */
+  hydrate(container, story) {
+    const blocksById = new Map(storyLoader.getStoryBlocks(story).map(block => [block.id, block]));
+    const cleanups = [];
+
+    DOMUtils.$$('[data-block-type]', container).forEach(element => {
+      const definition = this.get(element.dataset.blockType);
+      const block = blocksById.get(element.dataset.blockId);
+      if (!definition?.hydrate || !block || element.dataset.hydrated) return;
+
+      element.dataset.hydrated = 'true';
+
+      try {
+        const cleanup = definition.hydrate(element, block, { story, container });
+        if (typeof cleanup === 'function') {
+          cleanups.push(cleanup);
+        }
+      } catch (error) {
+        console.warn(`Failed to hydrate block ${block.id}:`, error);
+      }
+    });
+
+    return () => cleanups.forEach(cleanup => cleanup());
+  }
+
+  // === TEXTO Y RECURSOS ===
+
+  /**
+   * Texto plano de un bloque (puede contener HTML saneado)
+   */
+  extractText(block) {
+    const definition = this.get(block.type);
+    const text = definition ? definition.extractText(block) : block.content;
+    return typeof text === 'string' ? text : '';
+  }
+
+  /**
+   * Duración en segundos del audio o vídeo de un bloque
+   */
+  getDuration(block) {
+    const definition = this.get(block.type);
+    const seconds = definition ? Number(definition.duration(block)) : 0;
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+  }
+
+  /**
+   * Recursos que necesita un bloque para mostrarse sin conexión
+   */
+  getAssets(block) {
+    const definition = this.get(block.type);
+    return definition ? definition.assets(block).filter(asset => asset && asset.url) : [];
+  }
+}
+
+// Crear instancia global
+const storyBlocks = new StoryBlockRegistry();
+
+// === BLOQUES DE TEXTO Y MEDIA ===
+
+storyBlocks.register('paragraph', {
+  schema: {
+    required: ['content'],
+    properties: { content: { type: 'string' } }
+  },
+  render: (block, attrs) => html`<p class="story-paragraph" ${attrs}>${unsafeHTML(block.content)}</p>`,
+  extractText: block => block.content
+});
+
+storyBlocks.register('quote', {
+  schema: {
+    required: ['content'],
+    properties: {
+      content: { type: 'string' },
+      author: { type: 'string' }
+    }
+  },
+  render: (block, attrs) => html`
+    <blockquote class="story-quote" ${attrs}>
+      <p class="story-quote__text">${unsafeHTML(block.content)}</p>
+      ${block.author ? html`<cite class="story-quote__author">${block.author}</cite>` : ''}
+    </blockquote>
+  `,
+  extractText: block => [block.content, block.author].filter(Boolean).join(' ')
+});
+
+storyBlocks.register('image', {
+  schema: {
+    required: ['url'],
+    properties: {
+      url: { $ref: '#/definitions/url' },
+      alt: { type: 'string' }
+    }
+  },
+  render: (block, attrs) => html`
+    <figure class="story-media" ${attrs}>
+      <img src="${block.url}" alt="${block.alt || ''}" loading="lazy">
+      ${block.caption ? html`<figcaption>${block.caption}</figcaption>` : ''}
+    </figure>
+  `,
+  extractText: block => block.caption,
+  assets: block => [{ url: block.url, type: 'image' }]
+});
+
+storyBlocks.register('video', {
+  schema: {
+    required: ['url'],
+    properties: {
+      url: { $ref: '#/definitions/url' },
+      poster: { $ref: '#/definitions/url' },
+      duration: { type: 'number', minimum: 0 }
+    }
+  },
+  render: (block, attrs) => html`
+    <figure class="story-media story-media--video" ${attrs}>
+      <video controls preload="metadata">
+        <source src="${block.url}" type="video/mp4">
+        Tu navegador no soporta el elemento video.
+      </video>
+      ${block.caption ? html`<figcaption>${block.caption}</figcaption>` : ''}
+    </figure>
+  `,
+  print: (block, attrs, { labels }) => html`
+    <figure class="story-media story-media--video" ${attrs}>
+      ${block.poster ? html`<img src="${block.poster}" alt="">` : ''}
+      <figcaption>
+        ${block.caption ? html`${block.caption} · ` : ''}${labels.video}: <a href="${block.url}">${block.url}</a>
+      </figcaption>
+    </figure>
+  `,
+  extractText: block => block.caption,
+  duration: block => block.duration,
+  assets: block => [{ url: block.url, type: 'video' }, { url: block.poster, type: 'image' }]
+});
+
+// Escena fija con pasos que avanzan con el scroll (ver scrollytelling.js)
+storyBlocks.register('scene', {
+  schema: {
+    required: ['steps'],
+    properties: {
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: { $ref: '#/definitions/step' }
+      },
+      background: { $ref: '#/definitions/image' },
+      layers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: { $ref: '#/definitions/url' },
+            depth: { type: 'number' }
+          }
+        }
+      }
+    }
+  },
+  render: (block, attrs) => {
+    const steps = block.steps || [];
+
+    return html`
+      <section class="story-scene" ${attrs}>
+        <div class="story-scene__sticky">
+          ${block.background ? html`
+            <img class="story-scene__background" src="${block.background.url}" alt="${block.background.alt || ''}">
+          ` : ''}
+          ${steps.filter(step => step.background).map(step => html`
+            <img class="story-scene__background" src="${step.background.url}" alt="" aria-hidden="true"
+                 data-scene-step="${steps.indexOf(step)}" loading="lazy">
+          `)}
+          ${(block.layers || []).map(layer => html`
+            <img class="story-scene__layer" src="${layer.url}" alt="" aria-hidden="true"
+                 data-parallax="${layer.depth || 0}" loading="lazy">
+          `)}
+        </div>
+        <div class="story-scene__steps">
+          ${steps.map((step, stepIndex) => html`
+            <div class="story-scene__step" data-block-id="${step.id}" data-step="${stepIndex}">
+              <div class="story-scene__card">${unsafeHTML(step.content)}</div>
+            </div>
+          `)}
+        </div>
+      </section>
+    `;
+  },
+  // Impresa, la escena es una secuencia: fondo y cada paso con su imagen
+  print: (block, attrs) => html`
+    <section class="story-scene" ${attrs}>
+      ${block.background ? html`<img src="${block.background.url}" alt="${block.background.alt || ''}">` : ''}
+      ${(block.steps || []).map(step => html`
+        ${step.background ? html`<img src="${step.background.url}" alt="${step.background.alt || ''}">` : ''}
+        <div class="story-scene__step" data-block-id="${step.id}">${unsafeHTML(step.content)}</div>
+      `)}
+    </section>
+  `,
+  extractText: block => (block.steps || []).map(step => step.content || '').join(' '),
+  assets: block => [
+    { url: block.background?.url, type: 'image' },
+    ...(block.layers || []).map(layer => ({ url: layer.url, type: 'image' })),
+    ...(block.steps || []).map(step => ({ url: step.background?.url, type: 'image' }))
+  ]
+});
+
+// === BLOQUES ENRIQUECIDOS ===
+
+// Galería en cuadrícula; cada imagen se amplía en un visor con navegación por teclado
+storyBlocks.register('gallery', {
+  schema: {
+    required: ['images'],
+    properties: {
+      images: {
+        type: 'array',
+        minItems: 1,
+        items: { $ref: '#/definitions/image' }
+      }
+    }
+  },
+  render: (block, attrs) => html`
+    <figure class="story-gallery-block" ${attrs}>
+      <div class="story-gallery">
+        ${block.images.map((image, index) => html`
+          <button type="button" class="gallery-item" data-gallery-index="${index}"
+                  aria-label="Ampliar imagen ${index + 1} de ${block.images.length}">
+            <img class="gallery-item__image" src="${image.url}"
+                 alt="${image.alt}" loading="lazy">
+            ${image.caption ? html`<span class="gallery-item__overlay">${image.caption}</span>` : ''}
+          </button>
+        `)}
+      </div>
+      ${block.caption ? html`<figcaption class="story-media__caption">${block.caption}</figcaption>` : ''}
+    </figure>
+  `,
+  hydrate: (element, block) => {
+    const images = block.images;
+    let dialog = null;
+    let current = 0;
+
+    const show = index => {
+      current = (index + images.length) % images.length;
+      const image = images[current];
+
+      DOMUtils.$('.story-lightbox__image', dialog).src = image.url;
+      DOMUtils.$('.story-lightbox__image', dialog).alt = image.alt || '';
+      DOMUtils.$('.story-lightbox__caption', dialog).textContent = image.caption || '';
+      DOMUtils.$('.story-lightbox__counter', dialog).textContent = `${current + 1} / ${images.length}`;
+    };
+
+    const createDialog = () => {
+      dialog = DOMUtils.createElement('dialog', {
+        className: 'story-lightbox',
+        innerHTML: html`
+          <button type="button" class="story-lightbox__close" data-lightbox="close" aria-label="Cerrar">×</button>
+          <figure class="story-lightbox__figure">
+            <img class="story-lightbox__image" src="" alt="">
+            <figcaption class="story-lightbox__caption"></figcaption>
+          </figure>
+          ${images.length > 1 ? html`
+            <div class="story-lightbox__controls">
+              <button type="button" class="story-lightbox__button" data-lightbox="-1" aria-label="Imagen anterior">‹</button>
+              <span class="story-lightbox__counter" aria-live="polite"></span>
+              <button type="button" class="story-lightbox__button" data-lightbox="1" aria-label="Imagen siguiente">›</button>
+            </div>
+          ` : html`<span class="story-lightbox__counter" hidden></span>`}
+        `
+      });
+
+      dialog.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-lightbox]')?.dataset.lightbox;
+
+        // Clic en el fondo (fuera del contenido) también cierra
+        if (action === 'close' || e.target === dialog) {
+          dialog.close();
+        } else if (action) {
+          show(current + Number(action));
+        }
+      });
+
+      dialog.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowRight') show(current + 1);
+        if (e.key === 'ArrowLeft') show(current - 1);
+      });
+
+      // Devolver el foco a la miniatura que abrió el visor
+      dialog.addEventListener('close', () => {
+        DOMUtils.$(`[data-gallery-index="${current}"]`, element)?.focus();
+      });
+
+      element.appendChild(dialog);
+    };
+
+    element.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-gallery-index]');
+      if (!item || typeof HTMLDialogElement === 'undefined') return;
+
+      if (!dialog) createDialog();
+      show(Number(item.dataset.galleryIndex));
+      dialog.showModal();
+    });
+  },
+  print: (block, attrs) => html`
+    <figure class="story-gallery-block" ${attrs}>
+      ${block.images.map(image => html`
+        <figure class="story-media">
+          <img src="${image.url}" alt="${image.alt || ''}">
+          ${image.caption ? html`<figcaption>${image.caption}</figcaption>` : ''}
+        </figure>
+      `)}
+      ${block.caption ? html`<figcaption class="story-media__caption">${block.caption}</figcaption>` : ''}
+    </figure>
+  `,
+  extractText: block => [block.caption, ...block.images.map(image => image.caption)].filter(Boolean).join(' '),
+  assets: block => block.images.map(image => ({ url: image.url, type: 'image' }))
+});
+
+// Clip de audio con transcripción (pausa la narración de la historia al reproducirse)
+storyBlocks.register('audio', {
+  schema: {
+    required: ['url'],
+    properties: {
+      url: { $ref: '#/definitions/url' },
+      title: { type: 'string' },
+      transcript: { type: 'string' },
+      duration: { type: 'number', minimum: 0 }
+    }
+  },
+  render: (block, attrs) => html`
+    <figure class="story-audio" ${attrs}>
+      ${block.title ? html`<figcaption class="story-audio__title">${block.title}</figcaption>` : ''}
+      <audio class="story-audio__player" controls preload="none" src="${block.url}">
+        Tu navegador no soporta el elemento audio.
+      </audio>
+      ${block.transcript ? html`
+        <details class="story-audio__transcript">
+          <summary>Transcripción</summary>
+          <p>${block.transcript}</p>
+        </details>
+      ` : ''}
+      ${block.caption ? html`<p class="story-audio__caption">${block.caption}</p>` : ''}
+    </figure>
+  `,
+  hydrate: (element, block, { container }) => {
+    const player = DOMUtils.$('.story-audio__player', element);
+
+    player.addEventListener('play', () => {
+      DOMUtils.$$('.story-audio__player', container)
+        .filter(other => other !== player)
+        .forEach(other => other.pause());
+
+      if (window.audioEngine && audioEngine.playing) {
+        audioEngine.pause();
+      }
+    });
+  },
+  print: (block, attrs, { labels }) => html`
+    <figure class="story-audio" ${attrs}>
+      <figcaption class="story-audio__title">
+        ${block.title || labels.audio}: <a href="${block.url}">${block.url}</a>
+      </figcaption>
+      ${block.transcript ? html`
+        <p class="story-audio__transcript"><strong>${labels.transcript}:</strong> ${block.transcript}</p>
+      ` : ''}
+      ${block.caption ? html`<p class="story-audio__caption">${block.caption}</p>` : ''}
+    </figure>
+  `,
+  // Con duración conocida se cuenta el tiempo de escucha en lugar de leer la transcripción
+  extractText: block => [block.title, block.duration ? null : block.transcript, block.caption].filter(Boolean).join(' '),
+  duration: block => block.duration,
+  assets: block => [{ url: block.url, type: 'audio' }]
+});
+
+// Mapa embebido: se carga al pedirlo (sin peticiones a terceros hasta entonces; sin conexión queda la lista de lugares)
+storyBlocks.register('map', {
+  schema: {
+    required: ['center'],
+    properties: {
+      center: { $ref: '#/definitions/coordinates' },
+      zoom: { type: 'integer', minimum: 1, maximum: 19 },
+      markers: {
+        type: 'array',
+        items: {
+          allOf: [{ $ref: '#/definitions/coordinates' }],
+          properties: { label: { type: 'string' } }
+        }
+      }
+    }
+  },
+  render: (block, attrs) => {
+    const { lat, lng } = block.center;
+    const zoom = block.zoom || ConfigManager.get('maps.defaultZoom', 10);
+    const span = 180 / Math.pow(2, zoom);
+    const bbox = [lng - span, lat - span / 2, lng + span, lat + span / 2].map(value => value.toFixed(5)).join(',');
+    const marker = block.markers?.[0] || block.center;
+    const src = `https://www.openstreetmap.org/export/embed.html?bbox=${bbox}&layer=mapnik&marker=${marker.lat},${marker.lng}`;
+
+    return html`
+      <figure class="story-map-block" ${attrs}>
+        <div class="story-map">
+          <div class="story-map__container" data-map-src="${src}">
+            <button type="button" class="story-map__load">Cargar mapa</button>
+            ${block.markers?.length > 0 ? html`
+              <ul class="story-map__places">
+                ${block.markers.map(item => html`<li>${item.label || `${item.lat}, ${item.lng}`}</li>`)}
+              </ul>
+            ` : ''}
+          </div>
+        </div>
+        <figcaption class="story-media__caption">
+          ${block.caption ? block.caption : ''}
+          <a class="story-map__link" href="https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=${zoom}/${lat}/${lng}"
+             target="_blank" rel="noopener">Ver en OpenStreetMap</a>
+        </figcaption>
+      </figure>
+    `;
+  },
+  hydrate: (element, block) => {
+    const container = DOMUtils.$('.story-map__container', element);
+
+    DOMUtils.$('.story-map__load', container).addEventListener('click', () => {
+      container.innerHTML = '';
+      container.appendChild(DOMUtils.createElement('iframe', {
+        className: 'story-map__iframe',
+        src: container.dataset.mapSrc,
+        title: block.caption || 'Mapa',
+        loading: 'lazy'
+      }));
+    }, { once: true });
+  },
+  // Sin mapa interactivo quedan los lugares con sus coordenadas
+  print: (block, attrs, { labels }) => {
+    const { lat, lng } = block.center;
+    const zoom = block.zoom || ConfigManager.get('maps.defaultZoom', 10);
+    const places = block.markers?.length > 0 ? block.markers : [block.center];
+
+    return html`
+      <figure class="story-map-block" ${attrs}>
+        <ul class="story-map__places">
+          ${places.map(item => html`<li>${item.label ? `${item.label} · ` : ''}${item.lat}, ${item.lng}</li>`)}
+        </ul>
+        <figcaption class="story-media__caption">
+          ${block.caption ? html`${block.caption} · ` : ''}${labels.map}:
+          <a href="https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=${zoom}/${lat}/${lng}">openstreetmap.org</a>
+        </figcaption>
+      </figure>
+    `;
+  },
+  extractText: block => [block.caption, ...(block.markers || []).map(item => item.label)].filter(Boolean).join(' ')
+});
+
+// Cifra destacada que cuenta hasta su valor al entrar en pantalla
+storyBlocks.register('statistic', {
+  schema: {
+    required: ['value', 'label'],
+    properties: {
+      value: { type: 'number' },
+      label: { type: 'string', minLength: 1 },
+      prefix: { type: 'string' },
+      suffix: { type: 'string' },
+      decimals: { type: 'integer', minimum: 0, maximum: 4 },
+      source: { type: 'string' }
+    }
+  },
+  render: (block, attrs) => {
+    const text = `${block.prefix || ''}${formatStatistic(block, block.value)}${block.suffix || ''}`;
+
+    return html`
+      <figure class="story-statistic" ${attrs}>
+        <p class="story-statistic__value">
+          <span class="sr-only">${text}</span>
+          <span aria-hidden="true">${block.prefix || ''}<span data-statistic-value>${formatStatistic(block, block.value)}</span>${block.suffix || ''}</span>
+        </p>
+        <figcaption class="story-statistic__label">${block.label}</figcaption>
+        ${block.source ? html`<p class="story-statistic__source">Fuente: ${block.source}</p>` : ''}
+      </figure>
+    `;
+  },
+  hydrate: (element, block) => {
+    if (DOMUtils.prefersReducedMotion() || !('IntersectionObserver' in window)) return;
+
+    const output = DOMUtils.$('[data-statistic-value]', element);
+    const duration = 1200;
+    let frame = null;
+
+    const animate = start => {
+      const progress = Math.min((performance.now() - start) / duration, 1);
+      const eased = 1 - Math.pow(1 - progress, 3);
+      output.textContent = formatStatistic(block, block.value * eased);
+
+      if (progress < 1) {
+        frame = requestAnimationFrame(() => animate(start));
+      }
+    };
+
+    const observer = new IntersectionObserver(entries => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+
+      observer.disconnect();
+      animate(performance.now());
+    }, { threshold: 0.6 });
+
+    output.textContent = formatStatistic(block, 0);
+    observer.observe(element);
+
+    return () => {
+      observer.disconnect();
+      cancelAnimationFrame(frame);
+    };
+  },
+  print: (block, attrs, { labels }) => html`
+    <figure class="story-statistic" ${attrs}>
+      <p class="story-statistic__value">${block.prefix || ''}${formatStatistic(block, block.value)}${block.suffix || ''}</p>
+      <figcaption class="story-statistic__label">${block.label}</figcaption>
+      ${block.source ? html`<p class="story-statistic__source">${labels.source}: ${block.source}</p>` : ''}
+    </figure>
+  `,
+  extractText: block => `${block.prefix || ''}${block.value}${block.suffix || ''} ${block.label}`
+});
+
+/**
+ * Formatea el valor de una cifra destacada con el idioma de la página
+ */
+function formatStatistic(block, value) {
+  const decimals = block.decimals || 0;
+
+  return Number(value).toLocaleString(document.documentElement.lang || 'es', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+}
+
+// Comparador antes/después con un control deslizante accesible
+storyBlocks.register('before-after', {
+  schema: {
+    required: ['before', 'after'],
+    properties: {
+      before: { $ref: '#/definitions/image' },
+      after: { $ref: '#/definitions/image' },
+      position: { type: 'number', minimum: 0, maximum: 100 }
+    }
+  },
+  render: (block, attrs) => {
+    const position = block.position ?? 50;
+
+    return html`
+      <figure class="story-compare" ${attrs} style="--compare-position: ${position}%">
+        <div class="story-compare__frame">
+          <img class="story-compare__image" src="${block.after.url}"
+               alt="${block.after.alt}" loading="lazy">
+          <div class="story-compare__before">
+            <img class="story-compare__image" src="${block.before.url}"
+                 alt="${block.before.alt}" loading="lazy">
+          </div>
+          <span class="story-compare__label story-compare__label--before" aria-hidden="true">Antes</span>
+          <span class="story-compare__label story-compare__label--after" aria-hidden="true">Después</span>
+          <span class="story-compare__handle" aria-hidden="true"></span>
+          <input type="range" class="story-compare__range" min="0" max="100" value="${position}"
+                 aria-label="Comparar antes y después" aria-valuetext="${position}% antes">
+        </div>
+        ${block.caption ? html`<figcaption>${block.caption}</figcaption>` : ''}
+      </figure>
+    `;
+  },
+  hydrate: element => {
+    const range = DOMUtils.$('.story-compare__range', element);
+
+    range.addEventListener('input', () => {
+      element.style.setProperty('--compare-position', `${range.value}%`);
+      range.setAttribute('aria-valuetext', `${range.value}% antes`);
+    });
+  },
+  print: (block, attrs, { labels }) => html`
+    <figure class="story-compare" ${attrs}>
+      <figure class="story-media">
+        <img src="${block.before.url}" alt="${block.before.alt || ''}">
+        <figcaption>${labels.before}</figcaption>
+      </figure>
+      <figure class="story-media">
+        <img src="${block.after.url}" alt="${block.after.alt || ''}">
+        <figcaption>${labels.after}</figcaption>
+      </figure>
+      ${block.caption ? html`<figcaption>${block.caption}</figcaption>` : ''}
+    </figure>
+  `,
+  extractText: block => block.caption,
+  assets: block => [
+    { url: block.before.url, type: 'image' },
+    { url: block.after.url, type: 'image' }
+  ]
+});
+
+// Línea de tiempo dentro del relato (los eventos de `story.timeline` van aparte)
+storyBlocks.register('timeline', {
+  schema: {
+    required: ['events'],
+    properties: {
+      title: { type: 'string' },
+      events: {
+        type: 'array',
+        minItems: 1,
+        items: { $ref: '#/definitions/timelineEvent' }
+      }
+    }
+  },
+  render: (block, attrs) => {
+    const events = [...block.events].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return html`
+      <section class="story-timeline" ${attrs}>
+        ${block.title ? html`<h2 class="story-timeline__title">${block.title}</h2>` : ''}
+        <ol class="story-timeline__list">
+          ${events.map(event => html`
+            <li class="timeline-item">
+              <time class="timeline-item__date" datetime="${event.date}">
+                ${event.label || DateUtils.format(event.date)}
+              </time>
+              <h3 class="timeline-item__title">${event.title}</h3>
+              ${event.description ? html`<p class="timeline-item__description">${event.description}</p>` : ''}
+              ${event.media ? html`
+                <img class="timeline-item__image" src="${event.media.url}"
+                     alt="${event.media.alt}" loading="lazy">
+              ` : ''}
+            </li>
+          `)}
+        </ol>
+      </section>
+    `;
+  },
+  extractText: block => [
+    block.title,
+    ...block.events.flatMap(event => [event.title, event.description])
+  ].filter(Boolean).join(' '),
+  assets: block => block.events.map(event => ({ url: event.media?.url, type: 'image' }))
+});
+
+// Exportar al scope global (o como módulo para el comando de Node)
+if (typeof window !== 'undefined') {
+  window.StoryBlockRegistry = StoryBlockRegistry;
+  window.storyBlocks = storyBlocks;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { StoryBlockRegistry, storyBlocks };
+}
+
+console.log('✅ Community Stories Platform - Story Blocks loaded');
\ No newline at end of file
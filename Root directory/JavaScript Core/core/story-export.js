@@ -0,0 +1,711 @@
+/**
+ * Community Stories Platform - Story Export
+ * Exportación de historias a PDF (hoja de estilos de impresión) y EPUB 3 generado en el navegador
+ *
+ * Ambos formatos parten de la historia procesada con todos sus capítulos, en el idioma
+ * que se está leyendo: portada, capítulos (versión estática de cada bloque), cronología
+ * y créditos con los sponsors. El EPUB incluye las imágenes que se pueden descargar;
+ * las que fallan (sin conexión o sin CORS) se sustituyen por su texto alternativo.
+ */
+
+const EXPORT_FORMATS = {
+  PDF: 'pdf',
+  EPUB: 'epub'
+};
+
+// Textos propios de la exportación, en el idioma de la historia
+const EXPORT_LABELS = {
+  es: {
+    contents: 'Índice', timeline: 'Cronología', credits: 'Créditos', sponsors: 'Patrocinadores',
+    community: 'Comunidad', author: 'Autoría', published: 'Publicado', sourceUrl: 'Leer en línea',
+    source: 'Fuente', transcript: 'Transcripción', audio: 'Audio', video: 'Vídeo', map: 'Mapa',
+    before: 'Antes', after: 'Después'
+  },
+  en: {
+    contents: 'Contents', timeline: 'Timeline', credits: 'Credits', sponsors: 'Sponsors',
+    community: 'Community', author: 'Author', published: 'Published', sourceUrl: 'Read online',
+    source: 'Source', transcript: 'Transcript', audio: 'Audio', video: 'Video', map: 'Map',
+    before: 'Before', after: 'After'
+  },
+  fr: {
+    contents: 'Sommaire', timeline: 'Chronologie', credits: 'Crédits', sponsors: 'Partenaires',
+    community: 'Communauté', author: 'Auteur', published: 'Publié', sourceUrl: 'Lire en ligne',
+    source: 'Source', transcript: 'Transcription', audio: 'Audio', video: 'Vidéo', map: 'Carte',
+    before: 'Avant', after: 'Après'
+  },
+  pt: {
+    contents: 'Sumário', timeline: 'Cronologia', credits: 'Créditos', sponsors: 'Patrocinadores',
+    community: 'Comunidade', author: 'Autoria', published: 'Publicado', sourceUrl: 'Ler online',
+    source: 'Fonte', transcript: 'Transcrição', audio: 'Áudio', video: 'Vídeo', map: 'Mapa',
+    before: 'Antes', after: 'Depois'
+  },
+  de: {
+    contents: 'Inhalt', timeline: 'Chronik', credits: 'Impressum', sponsors: 'Förderer',
+    community: 'Gemeinschaft', author: 'Autor', published: 'Veröffentlicht', sourceUrl: 'Online lesen',
+    source: 'Quelle', transcript: 'Transkript', audio: 'Audio', video: 'Video', map: 'Karte',
+    before: 'Vorher', after: 'Nachher'
+  }
+};
+
+// Tipos de imagen admitidos en EPUB 3 y su extensión
+const EPUB_IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+// Elementos interactivos que no tienen sentido (ni validan) en un libro
+const EPUB_REMOVED_ELEMENTS = 'script, style, iframe, button, input, select, textarea, dialog, audio, video, source';
+
+const EPUB_STYLESHEET = `
+body { margin: 0 5%; font-family: Georgia, serif; line-height: 1.5; }
+h1, h2, h3 { font-family: sans-serif; line-height: 1.2; page-break-after: avoid; }
+figure { margin: 1.5em 0; page-break-inside: avoid; }
+img { display: block; max-width: 100%; height: auto; margin: 0 auto; }
+figcaption, .story-statistic__source { font-size: 0.85em; color: #555; }
+blockquote { margin: 1.5em 0; padding-inline-start: 1em; border-inline-start: 3px solid #999; font-style: italic; }
+.story-statistic__value { font-size: 2em; font-weight: bold; margin: 0; }
+.story-scene__step, .story-audio__transcript { margin: 1em 0; }
+.export-title { text-align: center; margin-top: 20%; }
+.export-title__description { font-size: 1.2em; font-style: italic; }
+.export-timeline { list-style: none; padding: 0; }
+.export-timeline li { margin-bottom: 1.5em; }
+.export-credits dt { font-weight: bold; }
+.export-credits dd { margin: 0 0 0.75em; }
+.export-missing-image { display: block; font-style: italic; color: #555; }
+[data-translation-status="untranslated"] { border-inline-start: 2px dotted #999; padding-inline-start: 0.75em; }
+`;
+
+// Tabla del CRC-32 de ZIP (se calcula al primer uso)
+let crcTable = null;
+
+class StoryExporter {
+  constructor() {
+    this.exporting = false;
+  }
+
+  /**
+   * Indica si un formato está habilitado
+   */
+  isEnabled(format) {
+    const key = format === EXPORT_FORMATS.PDF ? 'downloadPDF' : 'downloadEPUB';
+    return Boolean(ConfigManager.get(`stories.sharing.${key}`, false));
+  }
+
+  /**
+   * Exporta una historia en el formato indicado
+   */
+  async export(format, story) {
+    if (!this.isEnabled(format)) {
+      throw new Error(`Export format not enabled: ${format}`);
+    }
+
+    if (this.exporting) {
+      throw new Error('Another export is in progress');
+    }
+
+    this.exporting = true;
+
+    try {
+      const prepared = await this.prepareStory(story);
+
+      if (format === EXPORT_FORMATS.PDF) {
+        await this.exportPDF(prepared);
+      } else if (format === EXPORT_FORMATS.EPUB) {
+        await this.exportEPUB(prepared);
+      } else {
+        throw new Error(`Unknown export format: ${format}`);
+      }
+
+      eventBus.emit(EVENTS.STORY_EXPORT, { storyId: story.id, format, language: prepared.language });
+    } finally {
+      this.exporting = false;
+    }
+  }
+
+  /**
+   * Historia completa (todos los capítulos) en el idioma que se está leyendo
+   */
+  async prepareStory(story) {
+    const original = await storyLoader.loadStory(story.id, { format: 'full' });
+
+    // Los capítulos se cargan al visitarlos; la exportación los necesita todos
+    await Promise.all((original.chapters || [])
+      .filter(chapter => !chapter.loaded)
+      .map(chapter => storyLoader.loadChapter(original.id, chapter.id)));
+
+    return storyLocalizer.localize(original, story.localization?.requested || null);
+  }
+
+  // === CONTENIDO ===
+
+  /**
+   * Idioma, dirección y textos de la exportación
+   */
+  getMetadata(story) {
+    const language = story.language || storyLoader.getStoryLanguage(story);
+    const fallback = ConfigManager.get('i18n.fallbackLanguage', 'en');
+
+    return {
+      language,
+      dir: storyLocalizer.getDirection(language),
+      labels: EXPORT_LABELS[textMetrics.getLanguage(language)] || EXPORT_LABELS[fallback] || EXPORT_LABELS.en
+    };
+  }
+
+  /**
+   * Secciones del documento: portada, capítulos, cronología y créditos
+   *
+   * `id` sirve de ancla en el PDF y de nombre de archivo en el EPUB.
+   */
+  getSections(story, { labels }) {
+    const renderBlocks = blocks => html`${(blocks || []).map(block => storyBlocks.renderPrint(block, labels))}`;
+    const sections = [{
+      id: 'title',
+      type: 'titlepage',
+      title: story.title,
+      body: this.renderTitlePage(story, labels)
+    }];
+
+    if (story.chapters?.length > 0) {
+      story.chapters.forEach((chapter, index) => {
+        sections.push({
+          id: `chapter-${index + 1}`,
+          type: 'chapter',
+          title: chapter.title,
+          body: html`
+            <h2 class="export-section__title">${chapter.title}</h2>
+            ${renderBlocks(chapter.content)}
+          `
+        });
+      });
+    } else {
+      sections.push({ id: 'story', type: 'chapter', title: story.title, body: renderBlocks(story.content) });
+    }
+
+    if (story.timeline?.length > 0) {
+      sections.push({
+        id: 'timeline',
+        type: 'appendix',
+        title: labels.timeline,
+        body: this.renderTimeline(story, labels)
+      });
+    }
+
+    sections.push({
+      id: 'credits',
+      type: 'acknowledgments',
+      title: labels.credits,
+      body: this.renderCredits(story, labels)
+    });
+
+    return sections;
+  }
+
+  /**
+   * Portada
+   */
+  renderTitlePage(story, labels) {
+    return html`
+      <header class="export-title">
+        <h1 class="export-title__title">${story.title}</h1>
+        ${story.description ? html`<p class="export-title__description">${story.description}</p>` : ''}
+        ${story.community?.name ? html`<p class="export-title__community">${labels.community}: ${story.community.name}</p>` : ''}
+        ${story.publishedAt ? html`<p class="export-title__date">${this.formatDate(story.publishedAt, story.language)}</p>` : ''}
+      </header>
+    `;
+  }
+
+  /**
+   * Cronología de la historia
+   */
+  renderTimeline(story, labels) {
+    return html`
+      <h2 class="export-section__title">${labels.timeline}</h2>
+      <ol class="export-timeline">
+        ${story.timeline.map(event => html`
+          <li>
+            <p class="export-timeline__date">${event.label || this.formatDate(event.date, story.language)}</p>
+            <h3 class="export-timeline__title">${event.title}</h3>
+            ${event.description ? html`<p>${event.description}</p>` : ''}
+            ${event.media?.url ? html`<img src="${event.media.url}" alt="${event.media.alt || ''}">` : ''}
+          </li>
+        `)}
+      </ol>
+    `;
+  }
+
+  /**
+   * Créditos: autoría, comunidad, fecha, enlace y sponsors (de mayor a menor aportación)
+   */
+  renderCredits(story, labels) {
+    const sponsors = [...(story.sponsors || [])].sort((a, b) => (b.amount || 0) - (a.amount || 0));
+
+    return html`
+      <h2 class="export-section__title">${labels.credits}</h2>
+      <dl class="export-credits">
+        ${story.metadata?.author ? html`<dt>${labels.author}</dt><dd>${story.metadata.author}</dd>` : ''}
+        ${story.community?.name ? html`<dt>${labels.community}</dt><dd>${story.community.name}</dd>` : ''}
+        ${story.publishedAt ? html`<dt>${labels.published}</dt><dd>${this.formatDate(story.publishedAt, story.language)}</dd>` : ''}
+        <dt>${labels.sourceUrl}</dt>
+        <dd><a href="${this.getStoryUrl(story)}">${this.getStoryUrl(story)}</a></dd>
+        ${sponsors.length > 0 ? html`
+          <dt>${labels.sponsors}</dt>
+          ${sponsors.map(sponsor => html`
+            <dd>${sponsor.website ? html`<a href="${sponsor.website}">${sponsor.name}</a>` : sponsor.name}</dd>
+          `)}
+        ` : ''}
+      </dl>
+    `;
+  }
+
+  // === PDF ===
+
+  /**
+   * Pinta el documento de impresión y abre el diálogo del navegador ("Guardar como PDF")
+   */
+  async exportPDF(story) {
+    const meta = this.getMetadata(story);
+    const sections = this.getSections(story, meta);
+
+    this.removePrintDocument();
+
+    const container = DOMUtils.createElement('div', {
+      className: 'story-print',
+      id: 'story-print',
+      lang: meta.language,
+      dir: meta.dir,
+      innerHTML: html`
+        ${sections.map((section, index) => html`
+          ${index === 1 && sections.length > 3 ? this.renderPrintToc(sections, meta.labels) : ''}
+          <section class="story-print__section story-print__section--${section.type}" id="print-${section.id}">
+            ${section.body}
+          </section>
+        `)}
+      `
+    });
+
+    // La carga diferida dejaría huecos en las páginas fuera de pantalla
+    DOMUtils.$$('img[loading]', container).forEach(image => image.removeAttribute('loading'));
+
+    document.body.appendChild(container);
+    document.body.classList.add('is-printing-story');
+
+    // El título del documento es el nombre propuesto para el PDF
+    const previousTitle = document.title;
+    document.title = story.title;
+
+    await this.waitForImages(container);
+
+    // Si el navegador no avisa al cerrar el diálogo, la siguiente exportación limpia el documento
+    window.addEventListener('afterprint', () => {
+      document.title = previousTitle;
+      this.removePrintDocument();
+    }, { once: true });
+
+    window.print();
+  }
+
+  /**
+   * Índice del PDF
+   */
+  renderPrintToc(sections, labels) {
+    return html`
+      <nav class="story-print__section story-print__toc">
+        <h2 class="export-section__title">${labels.contents}</h2>
+        <ol>
+          ${sections.slice(1).map(section => html`<li><a href="#print-${section.id}">${section.title}</a></li>`)}
+        </ol>
+      </nav>
+    `;
+  }
+
+  /**
+   * Elimina el documento de una impresión anterior
+   */
+  removePrintDocument() {
+    DOMUtils.$('#story-print')?.remove();
+    document.body.classList.remove('is-printing-story');
+  }
+
+  /**
+   * Espera a que carguen las imágenes (las que fallan no bloquean la impresión)
+   */
+  waitForImages(container) {
+    return Promise.all(DOMUtils.$$('img', container).map(image => (
+      image.complete ? null : image.decode().catch(() => null)
+    )));
+  }
+
+  // === EPUB ===
+
+  /**
+   * Genera el EPUB 3 y lo descarga
+   */
+  async exportEPUB(story) {
+    const meta = this.getMetadata(story);
+    const sections = this.getSections(story, meta);
+    const images = new Map(); // URL absoluta -> { id, href, mediaType, data } (null si no se pudo descargar)
+    const documents = [];
+
+    for (const section of sections) {
+      const body = await this.toXHTML(section.body, images);
+
+      documents.push({
+        ...section,
+        href: `${section.id}.xhtml`,
+        content: this.renderXHTMLDocument(meta, section.title, html`
+          <section epub:type="${section.type}">${unsafeHTML(body)}</section>
+        `)
+      });
+    }
+
+    const coverUrl = story.media?.images?.[0]?.url;
+    const cover = coverUrl ? await this.embedImage(coverUrl, images) : null;
+    const embedded = Array.from(images.values()).filter(Boolean);
+
+    const entries = [
+      // El mimetype va primero y sin comprimir para que se reconozca el formato
+      { name: 'mimetype', data: 'application/epub+zip', compress: false },
+      { name: 'META-INF/container.xml', data: this.renderContainer(), compress: true },
+      { name: 'OEBPS/content.opf', data: this.renderPackage(story, meta, documents, embedded, cover), compress: true },
+      { name: 'OEBPS/nav.xhtml', data: this.renderNav(meta, documents), compress: true },
+      { name: 'OEBPS/styles.css', data: EPUB_STYLESHEET.trim(), compress: true },
+      ...documents.map(page => ({ name: `OEBPS/${page.href}`, data: page.content, compress: true })),
+      // Las imágenes ya están comprimidas
+      ...embedded.map(image => ({ name: `OEBPS/${image.href}`, data: image.data, compress: false }))
+    ];
+
+    const blob = await this.createZip(entries, 'application/epub+zip');
+    this.downloadBlob(blob, `${this.getFileName(story)}.epub`);
+  }
+
+  /**
+   * Convierte un fragmento HTML en XHTML con las imágenes incluidas en el libro
+   */
+  async toXHTML(markup, images) {
+    const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${markup}`, 'text/html');
+
+    doc.body.querySelectorAll(EPUB_REMOVED_ELEMENTS).forEach(element => element.remove());
+    doc.body.querySelectorAll('[loading]').forEach(element => element.removeAttribute('loading'));
+
+    for (const image of Array.from(doc.body.querySelectorAll('img'))) {
+      const embedded = await this.embedImage(image.getAttribute('src'), images);
+
+      if (embedded) {
+        image.setAttribute('src', embedded.href);
+      } else if (image.getAttribute('alt')) {
+        const fallback = doc.createElement('span');
+        fallback.className = 'export-missing-image';
+        fallback.textContent = `[${image.getAttribute('alt')}]`;
+        image.replaceWith(fallback);
+      } else {
+        image.remove();
+      }
+    }
+
+    // XMLSerializer cierra los elementos vacíos y escapa como exige XHTML
+    const serializer = new XMLSerializer();
+    return Array.from(doc.body.childNodes).map(node => serializer.serializeToString(node)).join('');
+  }
+
+  /**
+   * Descarga una imagen para el libro (una sola vez por URL)
+   */
+  async embedImage(src, images) {
+    if (!src) return null;
+
+    const url = new URL(src, window.location.href).href;
+    if (images.has(url)) return images.get(url);
+
+    let image = null;
+
+    try {
+      const response = await fetch(url);
+      if (response.ok) {
+        const blob = await response.blob();
+        const mediaType = EPUB_IMAGE_TYPES[blob.type] ? blob.type : this.getImageType(url);
+
+        if (mediaType) {
+          const id = `image-${images.size + 1}`;
+          image = {
+            id,
+            href: `images/${id}.${EPUB_IMAGE_TYPES[mediaType]}`,
+            mediaType,
+            data: new Uint8Array(await blob.arrayBuffer())
+          };
+        }
+      }
+    } catch (error) {
+      console.warn(`Failed to embed image ${url}:`, error);
+    }
+
+    images.set(url, image);
+    return image;
+  }
+
+  /**
+   * Tipo de imagen según la extensión de la URL
+   */
+  getImageType(url) {
+    const extension = new URL(url).pathname.split('.').pop().toLowerCase();
+    const normalized = extension === 'jpeg' ? 'jpg' : extension;
+
+    return Object.keys(EPUB_IMAGE_TYPES).find(type => EPUB_IMAGE_TYPES[type] === normalized) || null;
+  }
+
+  /**
+   * Documento XHTML de contenido
+   */
+  renderXHTMLDocument(meta, title, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n${html`
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${meta.language}" lang="${meta.language}" dir="${meta.dir}">
+  <head>
+    <meta charset="UTF-8"/>
+    <title>${title}</title>
+    <link rel="stylesheet" type="text/css" href="styles.css"/>
+  </head>
+  <body>${body}</body>
+</html>`.toString().trim()}`;
+  }
+
+  /**
+   * Índice navegable (nav.xhtml)
+   */
+  renderNav(meta, documents) {
+    return this.renderXHTMLDocument(meta, meta.labels.contents, html`
+      <nav epub:type="toc" id="toc">
+        <h1>${meta.labels.contents}</h1>
+        <ol>
+          ${documents.map(page => html`<li><a href="${page.href}">${page.title}</a></li>`)}
+        </ol>
+      </nav>
+    `);
+  }
+
+  /**
+   * Punto de entrada del contenedor OCF
+   */
+  renderContainer() {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+  }
+
+  /**
+   * Documento de paquete: metadatos, manifiesto y orden de lectura
+   */
+  renderPackage(story, meta, documents, images, cover) {
+    const published = this.toDate(story.publishedAt);
+    const modified = this.toDate(story.updatedAt) || new Date();
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${html`
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="story-id" xml:lang="${meta.language}" dir="${meta.dir}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="story-id">${this.getStoryUrl(story)}</dc:identifier>
+    <dc:title>${story.title}</dc:title>
+    <dc:language>${meta.language}</dc:language>
+    ${story.metadata?.author ? html`<dc:creator>${story.metadata.author}</dc:creator>` : ''}
+    ${story.community?.name ? html`<dc:publisher>${story.community.name}</dc:publisher>` : ''}
+    ${story.description ? html`<dc:description>${story.description}</dc:description>` : ''}
+    ${published ? html`<dc:date>${published.toISOString().slice(0, 10)}</dc:date>` : ''}
+    <meta property="dcterms:modified">${modified.toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="styles" href="styles.css" media-type="text/css"/>
+    ${documents.map(page => html`
+    <item id="${page.id}" href="${page.href}" media-type="application/xhtml+xml"/>`)}
+    ${images.map(image => html`
+    <item id="${image.id}" href="${image.href}" media-type="${image.mediaType}"${image === cover ? unsafeHTML(' properties="cover-image"') : ''}/>`)}
+  </manifest>
+  <spine page-progression-direction="${meta.dir}">
+    ${documents.map(page => html`
+    <itemref idref="${page.id}"/>`)}
+  </spine>
+</package>`.toString().trim()}`;
+  }
+
+  // === ZIP ===
+
+  /**
+   * Crea un ZIP; las entradas con `compress` se comprimen si el navegador lo permite
+   */
+  async createZip(entries, type) {
+    const encoder = new TextEncoder();
+    const { time, date } = this.getDosDateTime(new Date());
+    const files = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      const name = encoder.encode(entry.name);
+      const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+      const deflated = entry.compress ? await this.deflate(data) : null;
+      const compressed = Boolean(deflated) && deflated.length < data.length;
+      const body = compressed ? deflated : data;
+      const crc = this.crc32(data);
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(8, compressed ? 8 : 0, true);
+      header.setUint16(10, time, true);
+      header.setUint16(12, date, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, body.length, true);
+      header.setUint32(22, data.length, true);
+      header.setUint16(26, name.length, true);
+      files.push(header, name, body);
+
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true);
+      record.setUint16(4, 20, true);
+      record.setUint16(6, 20, true);
+      record.setUint16(10, compressed ? 8 : 0, true);
+      record.setUint16(12, time, true);
+      record.setUint16(14, date, true);
+      record.setUint32(16, crc, true);
+      record.setUint32(20, body.length, true);
+      record.setUint32(24, data.length, true);
+      record.setUint16(28, name.length, true);
+      record.setUint32(42, offset, true);
+      directory.push(record, name);
+
+      offset += header.byteLength + name.length + body.length;
+    }
+
+    const directorySize = directory.reduce((total, part) => total + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...files, ...directory, end], { type });
+  }
+
+  /**
+   * Comprime con deflate (null si el navegador no tiene CompressionStream)
+   */
+  async deflate(data) {
+    if (typeof CompressionStream === 'undefined') return null;
+
+    try {
+      const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * CRC-32 de los datos
+   */
+  crc32(data) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Fecha y hora en formato MS-DOS
+   */
+  getDosDateTime(value) {
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+      date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  }
+
+  // === UTILIDADES ===
+
+  /**
+   * URL pública de la historia en su idioma
+   */
+  getStoryUrl(story) {
+    const base = ConfigManager.get('seo.canonicalUrl', window.location.origin);
+    const language = story.localization?.language;
+    const query = language && language !== story.localization.original ? `?lang=${encodeURIComponent(language)}` : '';
+
+    return `${base}/stories/${encodeURIComponent(story.slug || story.id)}${query}`;
+  }
+
+  /**
+   * Nombre de archivo: slug y, si no es el original, idioma
+   */
+  getFileName(story) {
+    const language = story.localization?.language;
+    const suffix = language && language !== story.localization.original ? `-${language}` : '';
+
+    return `${story.slug || StringUtils.toSlug(story.title)}${suffix}`;
+  }
+
+  /**
+   * Fecha larga en el idioma de la historia
+   */
+  formatDate(value, language) {
+    const date = this.toDate(value);
+    if (!date) return '';
+
+    try {
+      return new Intl.DateTimeFormat(language, { dateStyle: 'long' }).format(date);
+    } catch (error) {
+      return DateUtils.format(date);
+    }
+  }
+
+  /**
+   * Convierte a Date (null si no es una fecha válida)
+   */
+  toDate(value) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Descarga un Blob con un nombre de archivo
+   */
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = DOMUtils.createElement('a', { href: url, download: fileName, hidden: true });
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Safari necesita la URL hasta que empieza la descarga
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// Crear instancia global
+const storyExporter = new StoryExporter();
+
+// Exportar al scope global
+window.StoryExporter = StoryExporter;
+window.EXPORT_FORMATS = EXPORT_FORMATS;
+window.storyExporter = storyExporter;
+
+console.log('✅ Community Stories Platform - Story Export loaded');
\ No newline at end of file
@@ -8,11 +8,16 @@ class StoryLoader {
     this.stories = new Map();
     this.activeStory = null;
     this.loadingStates = new Map();
-    this.preloadQueue = [];
-    this.cache = new Map();
+    this.cache = memoryCache.namespace('stories');
     this.intersectionObserver = null;
+    this.intersectionListeners = [];
     this.progressTracking = new Map();
     this.subscriptions = [];
+    this.slugResolver = new SlugResolver({
+      resource: 'stories',
+      storageKey: 'story-slugs',
+      getCachedEntity: id => this.stories.get(id) || null
+    });
     
     this.init();
   }
@@ -28,7 +33,7 @@ class StoryLoader {
     this.subscriptions.push(
       eventBus.on(EVENTS.STORY_LOAD, this.handleStoryLoad.bind(this)),
       eventBus.on(EVENTS.STORY_PROGRESS, this.handleStoryProgress.bind(this)),
-      eventBus.on(EVENTS.NETWORK_ONLINE, this.processPreloadQueue.bind(this))
+      this.cache.onEvict(this.handleCacheEvict.bind(this))
     );
 
     // Cargar desde caché local
@@ -65,7 +70,8 @@ class StoryLoader {
       format: 'full' // full | preview | minimal
     };
 
-    const loadOptions = { ...defaultOptions, ...options };
+    // `signal` (AbortSignal) cancela la petición; no forma parte de la consulta ni de la clave de caché
+    const { signal = null, ...loadOptions } = { ...defaultOptions, ...options };
     
     // Verificar si ya está cargando
     if (this.loadingStates.has(storyId)) {
@@ -78,13 +84,25 @@ class StoryLoader {
       return cachedStory;
     }
 
+    // Sin conexión: usar el paquete offline si la historia está descargada
+    // (el índice de paquetes se lee de IndexedDB al arrancar)
+    if (!navigator.onLine && window.offlinePacks) {
+      await offlinePacks.ready;
+
+      const packedStory = offlinePacks.has(storyId) ? await offlinePacks.getStory(storyId) : null;
+      if (packedStory) {
+        this.cacheStory(storyId, packedStory, loadOptions);
+        return packedStory;
+      }
+    }
+
     try {
       eventBus.emit(EVENTS.STORY_LOAD, { 
         storyId, 
         options: loadOptions 
       });
 
-      const loadPromise = this.fetchStory(storyId, loadOptions);
+      const loadPromise = this.fetchStory(storyId, loadOptions, signal);
       this.loadingStates.set(storyId, loadPromise);
 
       const storyData = await loadPromise;
@@ -111,6 +129,11 @@ class StoryLoader {
     } catch (error) {
       this.loadingStates.delete(storyId);
 
+      // Una precarga cancelada no es un error de carga
+      if (signal && signal.aborted) {
+        throw error;
+      }
+
       eventBus.emit(EVENTS.STORY_ERROR, {
         storyId,
         error: error.message,
@@ -125,8 +148,9 @@ class StoryLoader {
         });
       }
 
-      // Intentar retornar versión en caché si existe
-      const fallbackStory = this.getCachedStory(storyId, { format: 'minimal' });
+      // Intentar retornar versión en caché si existe (aunque haya caducado)
+      const fallbackStory = this.cache.peek(this.generateCacheKey(storyId, loadOptions)) ||
+        this.getCachedStory(storyId, { format: 'minimal' });
       if (fallbackStory) {
         return fallbackStory;
       }
@@ -138,7 +162,7 @@ class StoryLoader {
   /**
    * Hace fetch de historia desde la API
    */
-  async fetchStory(storyId, options) {
+  async fetchStory(storyId, options, signal = null) {
     const queryParams = new URLSearchParams();
     
     Object.entries(options).forEach(([key, value]) => {
@@ -147,35 +171,78 @@ class StoryLoader {
       }
     });
 
-    const response = await NetworkUtils.fetchWithRetry(
-      `/api/stories/${storyId}?${queryParams.toString()}`
-    );
+    const response = await fetch(`/api/stories/${storyId}?${queryParams.toString()}`, { signal });
 
     if (!response.ok) {
       throw new Error(`Failed to fetch story: ${response.status}`);
     }
 
-    return await response.json();
+    const data = await response.json();
+    return data.data || data;
+  }
+
+  /**
+   * Valida datos de la API contra STORY_SCHEMA
+   *
+   * En desarrollo lanza StoryValidationError con la ruta de cada error; en
+   * producción descarta los bloques inválidos y registra el informe.
+   */
+  validateStoryData(data, options = {}) {
+    const { definition = null, storyId = data?.id } = options;
+    const { errors } = storyValidator.validate(data, definition);
+
+    if (errors.length === 0) {
+      return data;
+    }
+
+    const label = definition ? `${definition} of story ${storyId}` : `story ${storyId}`;
+
+    if (this.isStrictValidation()) {
+      throw new StoryValidationError(errors, label);
+    }
+
+    const result = storyValidator.removeInvalidItems(data, errors);
+
+    if (window.errorHandler) {
+      window.errorHandler.logError({
+        type: 'story_validation',
+        message: `Schema validation failed for ${label}`,
+        storyId,
+        errors: errors.map(error => `${error.path || '(root)'}: ${error.message}`),
+        removed: result.removed
+      });
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Indica si los errores de esquema deben interrumpir la carga
+   */
+  isStrictValidation() {
+    return ConfigManager.get('stories.validation.strict', false);
   }
 
   /**
    * Procesa datos de historia
    */
-  async processStory(storyData, options) {
+  async processStory(rawStoryData, options) {
+    const storyData = this.validateStoryData(rawStoryData);
+
     const story = {
       ...storyData,
       id: storyData.id,
       title: storyData.title,
       slug: storyData.slug || StringUtils.toSlug(storyData.title),
-      createdAt: new Date(storyData.createdAt),
-      updatedAt: new Date(storyData.updatedAt),
-      publishedAt: storyData.publishedAt ? new Date(storyData.publishedAt) : null
+      createdAt: this.parseDate(storyData.createdAt),
+      updatedAt: this.parseDate(storyData.updatedAt),
+      publishedAt: this.parseDate(storyData.publishedAt)
     };
 
     // Procesar contenido según formato
     if (options.format === 'full') {
       story.content = await this.processStoryContent(storyData.content || []);
-      story.chapters = await this.processChapters(storyData.chapters || []);
+      story.chapters = await this.processChapters(storyData.chapters || [], this.getStoryLanguage(storyData));
       story.timeline = await this.processTimeline(storyData.timeline || []);
     }
 
@@ -208,37 +275,146 @@ class StoryLoader {
     return story;
   }
 
+  /**
+   * Convierte una fecha de la API (null si falta o no es válida)
+   */
+  parseDate(value) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
   /**
    * Procesa contenido de la historia
    */
   async processStoryContent(contentBlocks) {
-    return contentBlocks.map((block, index) => ({
-      ...block,
-      id: block.id || `block-${index}`,
-      type: block.type || 'paragraph',
-      content: this.sanitizeContent(block.content),
-      order: block.order || index,
-      animations: block.animations || {},
-      interactions: block.interactions || {}
-    }));
+    return contentBlocks.map((block, index) => {
+      const id = block.id || `block-${index}`;
+
+      return {
+        ...block,
+        id,
+        type: block.type || 'paragraph',
+        content: this.sanitizeContent(block.content),
+        order: block.order || index,
+        animations: block.animations || {},
+        interactions: block.interactions || {},
+        // Pasos de escenas fijas (scrollytelling)
+        steps: (block.steps || []).map((step, stepIndex) => ({
+          ...step,
+          id: step.id || `${id}-step-${stepIndex}`,
+          content: this.sanitizeContent(step.content),
+          animations: step.animations || {}
+        }))
+      };
+    });
   }
 
   /**
    * Procesa capítulos de la historia
    */
-  async processChapters(chapters) {
-    return chapters.map((chapter, index) => ({
-      ...chapter,
-      id: chapter.id || `chapter-${index}`,
-      title: chapter.title,
-      slug: chapter.slug || StringUtils.toSlug(chapter.title),
-      order: chapter.order || index,
-      content: chapter.content || [],
-      duration: this.estimateReadingTime(chapter.content),
-      progress: 0
+  async processChapters(chapters, language) {
+    return Promise.all(chapters.map(async (chapter, index) => {
+      // Los capítulos sin contenido se cargan al visitarlos (loadChapter)
+      const loaded = Array.isArray(chapter.content) && chapter.content.length > 0;
+
+      return {
+        ...chapter,
+        id: chapter.id || `chapter-${index}`,
+        title: chapter.title,
+        slug: chapter.slug || StringUtils.toSlug(chapter.title),
+        order: chapter.order || index,
+        content: loaded ? await this.processStoryContent(chapter.content) : [],
+        duration: loaded ? this.estimateReadingTime(chapter.content, language) : (chapter.duration || 0),
+        loaded,
+        progress: 0
+      };
     }));
   }
 
+  /**
+   * Busca un capítulo por slug o ID
+   */
+  getChapter(story, chapterSlug) {
+    return (story?.chapters || []).find(chapter => (
+      chapter.slug === chapterSlug || chapter.id === chapterSlug
+    )) || null;
+  }
+
+  /**
+   * Carga bajo demanda el contenido de un capítulo
+   */
+  async loadChapter(storyId, chapterId) {
+    const story = this.stories.get(storyId);
+    const chapter = this.getChapter(story, chapterId);
+
+    if (!chapter) {
+      throw new Error(`Chapter not found: ${chapterId}`);
+    }
+
+    if (chapter.loaded) {
+      return chapter;
+    }
+
+    const loadingKey = `chapter-${storyId}-${chapter.id}`;
+    if (this.loadingStates.has(loadingKey)) {
+      return this.loadingStates.get(loadingKey);
+    }
+
+    const loadPromise = (async () => {
+      const response = await fetch(`/api/stories/${storyId}/chapters/${encodeURIComponent(chapter.id)}`);
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch chapter: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const chapterData = this.validateStoryData(data.data || data, {
+        definition: 'chapterPayload',
+        storyId
+      });
+
+      chapter.content = await this.processStoryContent(chapterData.content || []);
+      chapter.duration = this.estimateReadingTime(chapter.content, this.getStoryLanguage(story));
+      chapter.loaded = true;
+
+      story.readingStats = this.calculateReadingStats(story);
+      this.saveToCache();
+
+      return chapter;
+    })();
+
+    this.loadingStates.set(loadingKey, loadPromise);
+
+    try {
+      return await loadPromise;
+    } catch (error) {
+      if (window.errorHandler) {
+        window.errorHandler.handleApiError(error, {
+          method: 'GET',
+          endpoint: `/stories/${storyId}/chapters/${chapter.id}`,
+          context: 'loadChapter'
+        });
+      }
+      throw error;
+    } finally {
+      this.loadingStates.delete(loadingKey);
+    }
+  }
+
+  /**
+   * Bloques de la historia, incluidos los de capítulos ya cargados
+   */
+  getStoryBlocks(story) {
+    if (!story) return [];
+
+    return [
+      ...(story.content || []),
+      ...(story.chapters || []).flatMap(chapter => chapter.content || [])
+    ];
+  }
+
   /**
    * Procesa línea de tiempo
    */
@@ -384,6 +560,7 @@ class StoryLoader {
    */
   sanitizeContent(content) {
     if (typeof content !== 'string') return content;
+    if (!ConfigManager.get('security.sanitization.enabled', true)) return content;
     
     const allowedTags = ConfigManager.get('security.sanitization.allowedTags', []);
     return ValidationUtils.sanitizeInput(content, allowedTags);
@@ -393,64 +570,72 @@ class StoryLoader {
    * Calcula estadísticas de lectura
    */
   calculateReadingStats(story) {
-    const wordsPerMinute = 200; // Promedio de lectura
-    let totalWords = 0;
-
-    // Contar palabras en contenido
-    if (story.content) {
-      story.content.forEach(block => {
-        if (block.type === 'paragraph' || block.type === 'text') {
-          totalWords += this.countWords(block.content);
-        }
-      });
-    }
-
-    // Contar palabras en capítulos
-    if (story.chapters) {
-      story.chapters.forEach(chapter => {
-        if (chapter.content) {
-          chapter.content.forEach(block => {
-            if (block.type === 'paragraph' || block.type === 'text') {
-              totalWords += this.countWords(block.content);
-            }
-          });
-        }
-      });
-    }
-
-    const estimatedMinutes = Math.ceil(totalWords / wordsPerMinute);
+    const blocks = this.getStoryBlocks(story);
+    const analysis = this.analyzeBlocks(blocks, this.getStoryLanguage(story));
+    const readingMinutes = textMetrics.getReadingMinutes(analysis);
+    const mediaMinutes = this.getMediaSeconds(blocks) / 60;
+    const readability = textMetrics.getReadability(analysis);
 
     return {
-      totalWords,
-      estimatedReadingTime: estimatedMinutes,
-      difficulty: this.calculateDifficulty(story),
+      language: analysis.language,
+      totalWords: analysis.words,
+      totalCharacters: analysis.characters,
+      readingMinutes: NumberUtils.round(readingMinutes, 1),
+      mediaMinutes: NumberUtils.round(mediaMinutes, 1),
+      estimatedReadingTime: Math.ceil(readingMinutes + mediaMinutes),
+      readability: readability.score,
+      difficulty: this.calculateDifficulty(story, analysis),
       interactivity: this.calculateInteractivity(story)
     };
   }
 
+  /**
+   * Analiza el texto de una lista de bloques (cada tipo de bloque sabe extraer su texto)
+   */
+  analyzeBlocks(blocks, language) {
+    // Un salto de línea entre bloques cierra la frase aunque el bloque no acabe en punto
+    const text = blocks
+      .map(block => storyBlocks.extractText(block))
+      .filter(Boolean)
+      .join('\n');
+
+    return textMetrics.analyze(text, language);
+  }
+
+  /**
+   * Segundos de audio y vídeo de una lista de bloques
+   */
+  getMediaSeconds(blocks) {
+    return blocks.reduce((total, block) => total + storyBlocks.getDuration(block), 0);
+  }
+
+  /**
+   * Idioma de la historia (metadatos, campo propio o idioma de la interfaz)
+   */
+  getStoryLanguage(story) {
+    return story?.metadata?.language || story?.language || ConfigManager.get('ui.language', 'es');
+  }
+
   /**
    * Cuenta palabras en texto
    */
-  countWords(text) {
+  countWords(text, language = null) {
     if (typeof text !== 'string') return 0;
-    
-    // Remover HTML y contar palabras
-    const plainText = StringUtils.stripHtml(text);
-    return plainText.trim().split(/\s+/).filter(word => word.length > 0).length;
+    return textMetrics.countWords(text, language);
   }
 
   /**
-   * Calcula dificultad de lectura
+   * Calcula dificultad de lectura con el modelo de legibilidad del idioma
    */
-  calculateDifficulty(story) {
-    // Algoritmo simplificado basado en longitud y complejidad
-    const totalBlocks = (story.content?.length || 0) + (story.chapters?.length || 0);
-    const hasInteractions = (story.interactions?.length || 0) > 0;
-    const hasMedia = Object.values(story.media || {}).some(arr => arr.length > 0);
+  calculateDifficulty(story, analysis = null) {
+    const result = analysis || this.analyzeBlocks(this.getStoryBlocks(story), this.getStoryLanguage(story));
 
-    if (totalBlocks < 5 && !hasInteractions) return 'beginner';
-    if (totalBlocks < 15 && hasMedia) return 'intermediate';
-    return 'advanced';
+    // Sin texto no hay legibilidad que medir: se respeta la que indique el autor
+    if (result.words === 0) {
+      return story.metadata?.difficulty || 'beginner';
+    }
+
+    return textMetrics.getReadability(result).level;
   }
 
   /**
@@ -470,57 +655,55 @@ class StoryLoader {
   /**
    * Estima tiempo de lectura
    */
-  estimateReadingTime(content) {
+  estimateReadingTime(content, language = null) {
     if (!Array.isArray(content)) return 0;
-    
-    let totalWords = 0;
-    content.forEach(block => {
-      if (block.type === 'paragraph' || block.type === 'text') {
-        totalWords += this.countWords(block.content);
-      }
-    });
 
-    return Math.ceil(totalWords / 200); // 200 WPM promedio
+    const analysis = this.analyzeBlocks(content, language);
+    return Math.ceil(textMetrics.getReadingMinutes(analysis) + this.getMediaSeconds(content) / 60);
   }
 
   /**
-   * Obtiene historia del caché
+   * Resuelve el slug de una historia a su ID y slug canónico
    */
-  getCachedStory(storyId, options) {
-    const cacheKey = this.generateCacheKey(storyId, options);
-    
-    if (this.cache.has(cacheKey)) {
-      const cachedData = this.cache.get(cacheKey);
-      
-      // Verificar expiración
-      if (Date.now() - cachedData.timestamp < TIMEOUTS.CACHE_EXPIRE) {
-        return cachedData.story;
-      } else {
-        this.cache.delete(cacheKey);
-      }
+  async resolveSlug(slug) {
+    // Los slugs de las historias descargadas se registran al leer los paquetes
+    if (window.offlinePacks) {
+      await offlinePacks.ready;
     }
 
-    return null;
+    return this.slugResolver.resolve(slug);
+  }
+
+  /**
+   * Obtiene historia del caché
+   */
+  getCachedStory(storyId, options) {
+    // La caché compartida descarta las entradas caducadas (performance.cacheTimeout)
+    return this.cache.get(this.generateCacheKey(storyId, options)) || null;
   }
 
   /**
    * Almacena historia en caché
    */
   cacheStory(storyId, story, options) {
-    const cacheKey = this.generateCacheKey(storyId, options);
-    
-    this.cache.set(cacheKey, {
-      story: story,
-      timestamp: Date.now(),
-      options: options
-    });
+    // La caché compartida aplica el presupuesto en bytes y expulsa por LRU
+    this.cache.set(this.generateCacheKey(storyId, options), story);
 
     // También almacenar en Map principal
     this.stories.set(storyId, story);
+    this.slugResolver.registerAll([story]);
+  }
+
+  /**
+   * Retira del Map principal las historias que la caché compartida ha expulsado
+   */
+  handleCacheEvict(key, story) {
+    if (!story || this.activeStory?.id === story.id) return;
 
-    // Limitar tamaño del caché
-    if (this.cache.size > LIMITS.CACHE_ITEMS_MAX) {
-      this.cleanupCache();
+    // La misma historia puede seguir en caché con otras opciones de carga
+    const stillCached = this.cache.keys().some(cacheKey => this.cache.peek(cacheKey)?.id === story.id);
+    if (!stillCached) {
+      this.stories.delete(story.id);
     }
   }
 
@@ -539,112 +722,92 @@ class StoryLoader {
   }
 
   /**
-   * Limpia caché antiguo
-   */
-  cleanupCache() {
-    const entries = Array.from(this.cache.entries());
-    
-    // Ordenar por timestamp (más antiguo primero)
-    entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
-    
-    // Remover la mitad más antigua
-    const toRemove = entries.slice(0, Math.floor(entries.length / 2));
-    toRemove.forEach(([key]) => this.cache.delete(key));
-  }
-
-  /**
-   * Precarga historia
+   * Precarga historia a través del planificador de red
    */
-  async preloadStory(storyId, priority = 'normal') {
+  preloadStory(storyId, priority = 'normal') {
     // Verificar si ya está cargada
     if (this.stories.has(storyId)) {
-      return this.stories.get(storyId);
-    }
-
-    // Verificar si ya está en cola
-    const existingQueueItem = this.preloadQueue.find(item => item.storyId === storyId);
-    if (existingQueueItem) {
-      return existingQueueItem.promise;
+      return Promise.resolve(this.stories.get(storyId));
     }
 
-    // Añadir a cola de precarga
-    const preloadPromise = this.loadStory(storyId, {
+    return preloadScheduler.schedule(signal => this.loadStory(storyId, {
       format: 'preview',
-      preloadAssets: false
-    });
-
-    const queueItem = {
-      storyId,
+      preloadAssets: false,
+      signal
+    }), {
+      key: `story:${storyId}`,
       priority,
-      promise: preloadPromise,
-      timestamp: Date.now()
-    };
-
-    this.preloadQueue.push(queueItem);
-
-    // Procesar cola si hay capacidad
-    if (this.preloadQueue.length <= ConfigManager.get('performance.maxConcurrentRequests', 6)) {
-      this.processPreloadQueue();
-    }
-
-    return preloadPromise;
-  }
-
-  /**
-   * Procesa cola de precarga
-   */
-  async processPreloadQueue() {
-    if (this.preloadQueue.length === 0) return;
-
-    // Ordenar por prioridad
-    this.preloadQueue.sort((a, b) => {
-      const priorityOrder = { high: 3, normal: 2, low: 1 };
-      return priorityOrder[b.priority] - priorityOrder[a.priority];
+      type: 'story',
+      idle: priority !== 'high'
     });
-
-    const maxConcurrent = ConfigManager.get('performance.maxConcurrentRequests', 6);
-    const currentLoading = this.loadingStates.size;
-
-    if (currentLoading >= maxConcurrent) return;
-
-    const availableSlots = maxConcurrent - currentLoading;
-    const itemsToProcess = this.preloadQueue.splice(0, availableSlots);
-
-    await Promise.allSettled(
-      itemsToProcess.map(item => item.promise)
-    );
   }
 
   /**
-   * Precarga assets de historia
+   * Precarga assets de historia (vídeo y audio solo si la conexión lo permite)
    */
   async preloadStoryAssets(story) {
     const preloadPromises = [];
+    const schedule = (url, type, preload) => preloadScheduler.schedule(
+      () => preload.call(this, url),
+      { key: `${type}:${url}`, type, priority: 'normal' }
+    );
 
     // Precargar imágenes
     if (story.media?.images) {
       story.media.images.slice(0, 3).forEach(image => {
-        preloadPromises.push(this.preloadImage(image.url));
+        preloadPromises.push(schedule(image.url, 'image', this.preloadImage));
       });
     }
 
     // Precargar videos (solo metadata)
     if (story.media?.videos) {
       story.media.videos.slice(0, 1).forEach(video => {
-        preloadPromises.push(this.preloadVideo(video.url));
+        preloadPromises.push(schedule(video.url, 'media', this.preloadVideo));
       });
     }
 
     // Precargar audio
     if (story.media?.audio) {
       story.media.audio.slice(0, 1).forEach(audio => {
-        preloadPromises.push(this.preloadAudio(audio.url));
+        preloadPromises.push(schedule(audio.url, 'media', this.preloadAudio));
       });
     }
 
     await Promise.allSettled(preloadPromises);
   }
 
+  /**
+   * Siguiente historia probable: la posterior en la lista de su comunidad, sin terminar
+   */
+  getNextStory(story) {
+    const community = (story.community?.id && communityManager.communities.get(story.community.id))
+      || communityManager.activeCommunity;
+    const stories = community?.stories || [];
+    const index = stories.findIndex(item => item.id === story.id);
+    if (index === -1) return null;
+
+    // Orden de la comunidad empezando tras la actual y dando la vuelta
+    const candidates = [...stories.slice(index + 1), ...stories.slice(0, index)];
+
+    return candidates.find(item => (
+      item.id && !readingProgress.getRecord(item.id)?.completed
+    )) || null;
+  }
+
+  /**
+   * Precarga en tiempo ocioso la siguiente historia probable
+   */
+  prefetchNextStory(story) {
+    if (!window.communityManager || !window.readingProgress) return;
+
+    const next = this.getNextStory(story);
+    if (!next) return;
+
+    this.preloadStory(next.id, 'low').catch(error => {
+      console.warn(`Failed to prefetch story ${next.id}:`, error);
+    });
+  }
+
   /**
    * Precarga imagen
    */
@@ -686,7 +849,9 @@ class StoryLoader {
   /**
    * Establece historia activa
    */
-  async setActiveStory(storyId) {
+  async setActiveStory(storyId, options = {}) {
+    const { updateUrl = true } = options;
+
     try {
       const story = await this.loadStory(storyId, {
         format: 'full',
@@ -700,8 +865,8 @@ class StoryLoader {
       // Inicializar tracking de progreso
       this.initializeProgressTracking(story);
 
-      // Actualizar URL
-      if (window.history && window.history.pushState) {
+      // Actualizar URL (el router ya lo hace al navegar)
+      if (updateUrl && window.history && window.history.pushState) {
         const newUrl = `/stories/${story.slug || story.id}`;
         window.history.pushState({ storyId }, story.title, newUrl);
       }
@@ -727,6 +892,9 @@ class StoryLoader {
 
       eventBus.emit(EVENTS.STORY_LOADED, { story });
 
+      // Adelantar la siguiente historia mientras se lee esta
+      this.prefetchNextStory(story);
+
       // Rastrear analytics
       if (window.AnalyticsUtils) {
         AnalyticsUtils.trackEvent(ANALYTICS_EVENTS.STORY_START, {
@@ -785,16 +953,37 @@ class StoryLoader {
     });
   }
 
+  /**
+   * Registra un listener de intersecciones; devuelve función para eliminarlo
+   */
+  onIntersection(listener) {
+    this.intersectionListeners.push(listener);
+
+    return () => {
+      this.intersectionListeners = this.intersectionListeners.filter(item => item !== listener);
+    };
+  }
+
   /**
    * Maneja intersecciones para tracking
    */
   handleIntersection(entries) {
+    // Otros módulos (p. ej. scrollytelling) reutilizan el mismo observer
+    this.intersectionListeners.forEach(listener => listener(entries));
+
     entries.forEach(entry => {
       if (entry.isIntersecting && this.activeStory) {
         const sectionId = entry.target.dataset.storySection;
         const tracking = this.progressTracking.get(this.activeStory.id);
         
         if (tracking && sectionId) {
+          const chapterElement = entry.target.closest('[data-chapter-id]');
+
+          if (chapterElement) {
+            this.updateChapterProgress(tracking, chapterElement.dataset.chapterId, sectionId);
+            return;
+          }
+
           tracking.sectionsRead.add(sectionId);
           
           const progress = (tracking.sectionsRead.size / tracking.totalSections) * 100;
@@ -805,10 +994,37 @@ class StoryLoader {
     });
   }
 
+  /**
+   * Actualiza progreso de un capítulo; el de la historia es la media de sus capítulos
+   */
+  updateChapterProgress(tracking, chapterId, sectionId) {
+    const story = this.activeStory;
+    const chapter = this.getChapter(story, chapterId);
+    if (!chapter || chapter.content.length === 0) return;
+
+    tracking.sectionsRead.add(`${chapterId}:${sectionId}`);
+
+    const readInChapter = Array.from(tracking.sectionsRead)
+      .filter(key => key.startsWith(`${chapterId}:`)).length;
+
+    // No retroceder al volver a un capítulo ya leído
+    chapter.progress = Math.max(
+      chapter.progress,
+      Math.min((readInChapter / chapter.content.length) * 100, 100)
+    );
+
+    const progress = story.chapters.reduce((sum, item) => sum + item.progress, 0) / story.chapters.length;
+
+    this.updateProgress(story.id, progress, {
+      chapterId,
+      chapterProgress: chapter.progress
+    });
+  }
+
   /**
    * Actualiza progreso de lectura
    */
-  updateProgress(storyId, progress) {
+  updateProgress(storyId, progress, details = {}) {
     const tracking = this.progressTracking.get(storyId);
     if (!tracking) return;
 
@@ -819,7 +1035,8 @@ class StoryLoader {
       progress: Math.min(progress, 100),
       timeSpent: tracking.timeSpent,
       sectionsRead: tracking.sectionsRead.size,
-      totalSections: tracking.totalSections
+      totalSections: tracking.totalSections,
+      ...details
     });
 
     // Rastrear hitos importantes
@@ -894,9 +1111,8 @@ class StoryLoader {
     try {
       const cachedStories = StorageUtils.getItem('stories-cache', null);
       if (cachedStories && Array.isArray(cachedStories.data)) {
-        cachedStories.data.forEach(story => {
-          this.stories.set(story.id, story);
-        });
+        // Pasan por la caché compartida para que el presupuesto también las acote
+        cachedStories.data.forEach(story => this.cacheStory(story.id, story, {}));
       }
     } catch (error) {
       console.warn('Failed to load stories from cache:', error);
@@ -906,9 +1122,19 @@ class StoryLoader {
   /**
    * Guarda en caché local
    */
-  saveToCache() {
+  async saveToCache() {
+    // Copia antes de esperar: destroy() vacía las historias justo después
+    const stories = Array.from(this.stories.values());
+
     try {
-      const storiesArray = Array.from(this.stories.values()).slice(0, 20); // Límite
+      // Las historias descargadas ya viven en IndexedDB (offline-packs)
+      if (window.offlinePacks) {
+        await offlinePacks.ready;
+      }
+
+      const storiesArray = stories
+        .filter(story => !(window.offlinePacks && offlinePacks.has(story.id)))
+        .slice(0, 20); // Límite
       StorageUtils.setItem('stories-cache', {
         data: storiesArray,
         timestamp: Date.now()
@@ -925,8 +1151,9 @@ class StoryLoader {
     return {
       totalStories: this.stories.size,
       cachedStories: this.cache.size,
+      cache: this.cache.getMetrics(),
       activeStory: this.activeStory?.id || null,
-      preloadQueue: this.preloadQueue.length,
+      preload: preloadScheduler.getMetrics(),
       progressTracking: this.progressTracking.size,
       loadingStates: this.loadingStates.size
     };
@@ -939,6 +1166,7 @@ class StoryLoader {
     this.cache.clear();
     this.stories.clear();
     this.progressTracking.clear();
+    this.slugResolver.clear();
     StorageUtils.removeItem('stories-cache');
   }
 
@@ -950,6 +1178,8 @@ class StoryLoader {
     this.subscriptions.forEach(unsubscribe => unsubscribe());
     this.subscriptions = [];
 
+    this.intersectionListeners = [];
+
     // Desconectar intersection observer
     if (this.intersectionObserver) {
       this.intersectionObserver.disconnect();
@@ -961,7 +1191,6 @@ class StoryLoader {
     // Limpiar datos
     this.clearCache();
     this.activeStory = null;
-    this.preloadQueue = [];
   }
 }
 
@@ -0,0 +1,208 @@
+/**
+ * Community Stories Platform - Story Localizer
+ * Variantes de idioma de las historias con cadena de respaldo y estado de traducción por bloque
+ *
+ * Una historia se escribe en `metadata.language` y puede traer traducciones:
+ *   translations: {
+ *     en: {
+ *       title, description,
+ *       chapters: { [chapterId]: { title } },
+ *       blocks: { [blockId]: { status, content, caption, alt, ..., steps: { [stepId]: { content } } } }
+ *     }
+ *   }
+ *
+ * Cada bloque se muestra en el primer idioma de la cadena (pedido, `i18n.fallbackLanguage`,
+ * original) que lo tenga traducido, así que una traducción parcial mezcla idiomas.
+ */
+
+const TRANSLATION_STATUS = {
+  ORIGINAL: 'original',
+  TRANSLATED: 'translated',
+  MACHINE: 'machine', // traducción automática sin revisar
+  OUTDATED: 'outdated', // el original cambió después de traducirse
+  UNTRANSLATED: 'untranslated' // se muestra en otro idioma de la cadena
+};
+
+// Campos de texto de un bloque que pueden traducirse
+const TRANSLATABLE_BLOCK_FIELDS = ['content', 'caption', 'alt', 'title', 'author', 'label', 'transcript'];
+
+class StoryLocalizer {
+  /**
+   * Idioma original de una historia
+   */
+  getOriginalLanguage(story) {
+    return story.localization?.original || storyLoader.getStoryLanguage(story);
+  }
+
+  /**
+   * Idiomas en los que puede leerse una historia (el original primero)
+   */
+  getAvailableLanguages(story) {
+    const original = this.getOriginalLanguage(story);
+    return [original, ...Object.keys(story.translations || {}).filter(language => language !== original)];
+  }
+
+  /**
+   * Cadena de idiomas para un idioma pedido: pedido → respaldo → original
+   */
+  getLanguageChain(story, language) {
+    const available = this.getAvailableLanguages(story);
+    const chain = [language, ConfigManager.get('i18n.fallbackLanguage', 'en'), this.getOriginalLanguage(story)];
+
+    return chain.filter((code, index) => code && available.includes(code) && chain.indexOf(code) === index);
+  }
+
+  /**
+   * Idioma en que se mostrará la historia: el pedido (o el de la interfaz) si existe;
+   * si no, el primero disponible de la cadena
+   */
+  resolveLanguage(story, requested = null) {
+    const preferred = requested || ConfigManager.get('ui.language', ConfigManager.get('i18n.defaultLanguage', 'es'));
+    return this.getLanguageChain(story, preferred)[0];
+  }
+
+  /**
+   * Devuelve una copia de la historia en un idioma con `localization` describiendo el resultado
+   */
+  localize(story, requested = null) {
+    const original = this.getOriginalLanguage(story);
+    const language = this.resolveLanguage(story, requested);
+    const chain = this.getLanguageChain(story, language);
+    const statuses = {}; // blockId -> { language, status }
+
+    // Un capítulo aún sin cargar conserva `content` sin definir para que se cargue después
+    const translateBlocks = blocks => (Array.isArray(blocks) ? blocks.map(block => {
+      const localized = this.localizeBlock(story, block, chain, original);
+      statuses[block.id] = { language: localized.lang || language, status: localized.translationStatus };
+      return localized;
+    }) : blocks);
+
+    const localizedStory = {
+      ...story,
+      title: this.pickText(story, chain, original, translation => translation.title) || story.title,
+      description: this.pickText(story, chain, original, translation => translation.description) ?? story.description,
+      content: translateBlocks(story.content),
+      chapters: (story.chapters || []).map(chapter => ({
+        ...chapter,
+        title: this.pickText(story, chain, original, translation => translation.chapters?.[chapter.id]?.title) || chapter.title,
+        content: translateBlocks(chapter.content)
+      })),
+      metadata: { ...story.metadata, language },
+      language
+    };
+
+    const counts = Object.values(statuses).reduce((total, { status }) => {
+      total[status] = (total[status] || 0) + 1;
+      return total;
+    }, {});
+
+    localizedStory.localization = {
+      language,
+      requested,
+      original,
+      chain,
+      available: this.getAvailableLanguages(story),
+      blocks: statuses,
+      counts,
+      complete: !counts[TRANSLATION_STATUS.UNTRANSLATED],
+      dir: this.getDirection(language)
+    };
+
+    // El tiempo y la dificultad dependen del idioma mostrado
+    localizedStory.readingStats = storyLoader.calculateReadingStats(localizedStory);
+
+    return localizedStory;
+  }
+
+  /**
+   * Traduce un bloque con el primer idioma de la cadena que lo tenga
+   *
+   * `lang` solo se añade cuando el bloque queda en un idioma distinto del pedido.
+   */
+  localizeBlock(story, block, chain, original) {
+    const language = chain[0];
+
+    for (const code of chain) {
+      if (code === original) {
+        return code === language
+          ? { ...block, translationStatus: TRANSLATION_STATUS.ORIGINAL }
+          : { ...block, lang: code, translationStatus: TRANSLATION_STATUS.UNTRANSLATED };
+      }
+
+      const translation = story.translations?.[code]?.blocks?.[block.id];
+      if (!translation || translation.status === TRANSLATION_STATUS.UNTRANSLATED) continue;
+
+      const localized = { ...block };
+      TRANSLATABLE_BLOCK_FIELDS.forEach(field => {
+        if (typeof translation[field] === 'string') {
+          localized[field] = field === 'content' ? storyLoader.sanitizeContent(translation[field]) : translation[field];
+        }
+      });
+
+      if (translation.steps && block.steps) {
+        localized.steps = block.steps.map(step => {
+          const content = translation.steps[step.id]?.content;
+          return typeof content === 'string' ? { ...step, content: storyLoader.sanitizeContent(content) } : step;
+        });
+      }
+
+      if (code !== language) {
+        localized.lang = code;
+        localized.translationStatus = TRANSLATION_STATUS.UNTRANSLATED;
+      } else {
+        localized.translationStatus = translation.status || TRANSLATION_STATUS.TRANSLATED;
+      }
+
+      return localized;
+    }
+
+    return { ...block, translationStatus: TRANSLATION_STATUS.ORIGINAL };
+  }
+
+  /**
+   * Primer texto disponible en la cadena (el original se toma de la propia historia)
+   */
+  pickText(story, chain, original, getText) {
+    for (const code of chain) {
+      if (code === original) return null;
+
+      const text = getText(story.translations?.[code] || {});
+      if (typeof text === 'string' && text) return text;
+    }
+    return null;
+  }
+
+  // === UTILIDADES ===
+
+  /**
+   * Nombre de un idioma en su propio idioma
+   */
+  getLanguageName(code) {
+    const known = CONSTANTS.language(code);
+    if (known) return known.name;
+
+    try {
+      return new Intl.DisplayNames([code], { type: 'language' }).of(code);
+    } catch (error) {
+      return code;
+    }
+  }
+
+  /**
+   * Dirección de escritura de un idioma
+   */
+  getDirection(code) {
+    const rtlLanguages = ConfigManager.get('i18n.rtlLanguages', []);
+    return rtlLanguages.includes(code) || CONSTANTS.language(code)?.rtl ? 'rtl' : 'ltr';
+  }
+}
+
+// Crear instancia global
+const storyLocalizer = new StoryLocalizer();
+
+// Exportar al scope global
+window.StoryLocalizer = StoryLocalizer;
+window.TRANSLATION_STATUS = TRANSLATION_STATUS;
+window.storyLocalizer = storyLocalizer;
+
+console.log('✅ Community Stories Platform - Story Localizer loaded');
\ No newline at end of file
@@ -0,0 +1,611 @@
+/**
+ * Community Stories Platform - Story Schema
+ * Esquema JSON de las historias y validador con rutas precisas para los autores
+ *
+ * `STORY_SCHEMA` es JSON Schema (draft-07) estándar: el comando de Node
+ * `validate-stories.js` lo compila con ajv para revisar los fixtures, y en el
+ * navegador `StoryValidator` aplica el subconjunto de palabras clave que usa
+ * (type, required, properties, additionalProperties, propertyNames, items, enum,
+ * const, pattern, format, $ref, allOf, anyOf, if/then, minLength, minItems,
+ * minimum, maximum).
+ *
+ * Los tipos de bloque y sus campos los añade el registro de bloques
+ * (story-blocks.js) mediante `storyValidator.registerBlockType()`.
+ */
+
+// Formatos de fecha y URL (mismas expresiones que el modo "fast" de ajv)
+const SCHEMA_FORMATS = {
+  'date': /^\d\d\d\d-[0-1]\d-[0-3]\d$/,
+  'date-time': /^\d\d\d\d-[0-1]\d-[0-3]\d[t\s](?:[0-2]\d:[0-5]\d:[0-5]\d|23:59:60)(?:\.\d+)?(?:z|[+-]\d\d(?::?\d\d)?)$/i,
+  'uri-reference': /^(?:(?:[a-z][a-z0-9+\-.]*:)?\/?\/)?(?:[^\\\s#][^\s#]*)?(?:#[^\\\s]*)?$/i
+};
+
+const STORY_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://communitystories.platform/schemas/story.json',
+  title: 'Story',
+  type: 'object',
+  required: ['id', 'title', 'createdAt', 'updatedAt'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    title: { type: 'string', minLength: 1 },
+    slug: { $ref: '#/definitions/slug' },
+    description: { type: 'string' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    publishedAt: { type: ['string', 'null'], format: 'date-time' },
+    content: { $ref: '#/definitions/blocks' },
+    chapters: {
+      type: 'array',
+      items: { $ref: '#/definitions/chapter' }
+    },
+    timeline: {
+      type: 'array',
+      items: { $ref: '#/definitions/timelineEvent' }
+    },
+    media: {
+      type: 'array',
+      items: { $ref: '#/definitions/mediaItem' }
+    },
+    interactions: {
+      type: 'array',
+      items: { $ref: '#/definitions/interaction' }
+    },
+    sponsors: {
+      type: 'array',
+      items: { $ref: '#/definitions/sponsor' }
+    },
+    metadata: {
+      type: 'object',
+      properties: {
+        author: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        language: { $ref: '#/definitions/language' },
+        difficulty: { enum: ['beginner', 'intermediate', 'advanced'] },
+        estimatedTime: { type: 'number', minimum: 0 },
+        lastUpdate: { type: 'string', format: 'date-time' },
+        version: { type: 'string' },
+        sources: { type: 'array' }
+      }
+    },
+    community: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        slug: { $ref: '#/definitions/slug' },
+        image: { $ref: '#/definitions/url' }
+      }
+    },
+    narrative: {
+      type: 'object',
+      required: ['nodes'],
+      properties: {
+        start: { type: 'string' },
+        variables: { type: 'object' },
+        nodes: { type: 'object' }
+      }
+    },
+    // Variantes por idioma: { en: { title, blocks: { [blockId]: {...} } } }
+    translations: {
+      type: 'object',
+      propertyNames: { $ref: '#/definitions/language' },
+      additionalProperties: { $ref: '#/definitions/translation' }
+    }
+  },
+
+  definitions: {
+    language: { type: 'string', pattern: '^[a-z]{2}(-[A-Z]{2})?$' },
+    slug: { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$' },
+    url: { type: 'string', minLength: 1, format: 'uri-reference' },
+    image: {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { $ref: '#/definitions/url' },
+        alt: { type: 'string' },
+        caption: { type: 'string' }
+      }
+    },
+    coordinates: {
+      type: 'object',
+      required: ['lat', 'lng'],
+      properties: {
+        lat: { type: 'number', minimum: -90, maximum: 90 },
+        lng: { type: 'number', minimum: -180, maximum: 180 }
+      }
+    },
+    animations: {
+      type: 'object',
+      properties: {
+        enter: { type: 'string' },
+        exit: { type: 'string' }
+      }
+    },
+
+    blocks: {
+      type: 'array',
+      items: { $ref: '#/definitions/block' }
+    },
+    block: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        type: { enum: [] }, // tipos registrados en story-blocks.js
+        content: { type: 'string' },
+        order: { type: 'integer', minimum: 0 },
+        chapter: { type: 'string' },
+        caption: { type: 'string' },
+        animations: { $ref: '#/definitions/animations' },
+        interactions: { type: 'object' }
+      },
+      // Campos propios de cada tipo: { if: { type: <tipo> }, then: <esquema del tipo> }
+      allOf: []
+    },
+    step: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        content: { type: 'string' },
+        background: { $ref: '#/definitions/image' },
+        animations: { $ref: '#/definitions/animations' }
+      }
+    },
+
+    chapter: {
+      type: 'object',
+      required: ['title'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        title: { type: 'string', minLength: 1 },
+        slug: { $ref: '#/definitions/slug' },
+        order: { type: 'integer', minimum: 0 },
+        duration: { type: 'number', minimum: 0 },
+        content: { $ref: '#/definitions/blocks' }
+      }
+    },
+    // Respuesta de `/api/stories/:id/chapters/:chapterId`
+    chapterPayload: {
+      type: 'object',
+      required: ['content'],
+      properties: {
+        id: { type: 'string' },
+        content: { $ref: '#/definitions/blocks' }
+      }
+    },
+
+    timelineEvent: {
+      type: 'object',
+      required: ['date', 'title'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        date: {
+          type: 'string',
+          anyOf: [{ format: 'date' }, { format: 'date-time' }]
+        },
+        title: { type: 'string', minLength: 1 },
+        label: { type: 'string' }, // texto de la fecha (p. ej. "Verano de 1990")
+        description: { type: 'string' },
+        media: {
+          anyOf: [{ type: 'null' }, { $ref: '#/definitions/image' }]
+        },
+        order: { type: 'integer', minimum: 0 }
+      }
+    },
+
+    mediaItem: {
+      type: 'object',
+      required: ['type', 'url'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        type: { enum: ['image', 'video', 'audio', 'document'] },
+        url: { $ref: '#/definitions/url' },
+        thumbnail: { $ref: '#/definitions/url' },
+        alt: { type: 'string' },
+        caption: { type: 'string' },
+        // Pistas de audio (ver audio-engine.js)
+        role: { enum: ['narration', 'music', 'voice'] },
+        section: { type: 'string' },
+        chapter: { type: 'string' },
+        metadata: { type: 'object' }
+      }
+    },
+
+    interaction: {
+      type: 'object',
+      required: ['trigger', 'action'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        type: { type: 'string' },
+        trigger: {
+          type: 'object',
+          properties: {
+            blockId: { type: 'string' },
+            selector: { type: 'string' },
+            event: { type: 'string' }
+          }
+        },
+        action: {
+          type: 'object',
+          required: ['type'],
+          properties: {
+            type: { enum: ['choice', 'toggle', 'reveal', 'navigate'] },
+            url: { $ref: '#/definitions/url' }
+          }
+        },
+        conditions: { type: 'object' }
+      }
+    },
+
+    sponsor: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1 },
+        logo: { $ref: '#/definitions/url' },
+        tier: { enum: ['bronze', 'silver', 'gold', 'platinum'] },
+        amount: { type: 'number', minimum: 0 },
+        website: { $ref: '#/definitions/url' },
+        description: { type: 'string' },
+        placement: { type: 'string' }
+      }
+    },
+
+    translation: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        chapters: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { title: { type: 'string', minLength: 1 } }
+          }
+        },
+        blocks: {
+          type: 'object',
+          additionalProperties: { $ref: '#/definitions/blockTranslation' }
+        }
+      }
+    },
+
+    // Campos de texto traducidos de un bloque; los pasos de escena van por ID
+    blockTranslation: {
+      type: 'object',
+      properties: {
+        status: { enum: ['translated', 'machine', 'outdated', 'untranslated'] },
+        content: { type: 'string' },
+        caption: { type: 'string' },
+        alt: { type: 'string' },
+        title: { type: 'string' },
+        author: { type: 'string' },
+        label: { type: 'string' },
+        transcript: { type: 'string' },
+        steps: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { content: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Colecciones cuyos elementos inválidos pueden descartarse sin romper la historia
+// (de más a menos específica: un error en un bloque de capítulo descarta el bloque, no el capítulo)
+const SCHEMA_DROPPABLE_COLLECTIONS = [
+  ['chapters', '*', 'content'],
+  ['content'],
+  ['chapters'],
+  ['timeline'],
+  ['media'],
+  ['interactions'],
+  ['sponsors']
+];
+
+class StoryValidationError extends Error {
+  constructor(errors, label = 'story') {
+    super(`Invalid ${label}:\n${errors.map(error => `  - ${error.path || '(root)'}: ${error.message}`).join('\n')}`);
+    this.name = 'StoryValidationError';
+    this.errors = errors;
+  }
+}
+
+class StoryValidator {
+  constructor(schema = STORY_SCHEMA) {
+    this.schema = schema;
+  }
+
+  /**
+   * Añade (o sustituye) un tipo de bloque y los campos que exige
+   */
+  registerBlockType(type, schema = {}) {
+    const block = this.schema.definitions.block;
+    const types = block.properties.type.enum;
+
+    if (!types.includes(type)) {
+      types.push(type);
+    }
+
+    block.allOf = block.allOf.filter(rule => rule.if.properties.type.const !== type);
+    block.allOf.push({
+      if: { required: ['type'], properties: { type: { const: type } } },
+      then: schema
+    });
+  }
+
+  /**
+   * Valida datos contra el esquema completo o una de sus definiciones
+   */
+  validate(data, definition = null) {
+    const schema = definition ? this.schema.definitions[definition] : this.schema;
+    if (!schema) {
+      throw new Error(`Unknown schema definition: ${definition}`);
+    }
+
+    const errors = [];
+    this.validateNode(data, schema, [], errors);
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Valida y lanza StoryValidationError si hay errores
+   */
+  assert(data, definition = null, label = definition || 'story') {
+    const { errors } = this.validate(data, definition);
+    if (errors.length > 0) {
+      throw new StoryValidationError(errors, label);
+    }
+    return data;
+  }
+
+  /**
+   * Copia los datos sin los elementos de colección que tienen errores
+   */
+  removeInvalidItems(data, errors) {
+    const removed = new Map(); // ruta de la colección -> índices descartados
+    const remaining = [];
+
+    errors.forEach(error => {
+      const target = this.getDroppableTarget(error.segments);
+      if (!target) {
+        remaining.push(error);
+        return;
+      }
+
+      const key = target.collection.join('.');
+      if (!removed.has(key)) {
+        removed.set(key, { collection: target.collection, indexes: new Set() });
+      }
+      removed.get(key).indexes.add(target.index);
+    });
+
+    const result = JSON.parse(JSON.stringify(data));
+
+    removed.forEach(({ collection, indexes }) => {
+      const list = collection.reduce((node, segment) => node?.[segment], result);
+      if (!Array.isArray(list)) return;
+
+      // De atrás hacia delante para no desplazar los índices pendientes
+      Array.from(indexes).sort((a, b) => b - a).forEach(index => list.splice(index, 1));
+    });
+
+    return {
+      data: result,
+      removed: Array.from(removed.values()).flatMap(({ collection, indexes }) => (
+        Array.from(indexes).map(index => this.formatPath([...collection, index]))
+      )),
+      errors: remaining
+    };
+  }
+
+  /**
+   * Colección descartable más específica que contiene la ruta de un error
+   */
+  getDroppableTarget(segments) {
+    for (const pattern of SCHEMA_DROPPABLE_COLLECTIONS) {
+      const matches = pattern.every((segment, index) => (
+        segment === '*' ? Number.isInteger(segments[index]) : segments[index] === segment
+      ));
+
+      if (matches && Number.isInteger(segments[pattern.length])) {
+        return {
+          collection: segments.slice(0, pattern.length),
+          index: segments[pattern.length]
+        };
+      }
+    }
+    return null;
+  }
+
+  // === PALABRAS CLAVE ===
+
+  /**
+   * Valida un valor contra un (sub)esquema acumulando errores
+   */
+  validateNode(value, schema, segments, errors) {
+    if (schema.$ref) {
+      return this.validateNode(value, this.resolveRef(schema.$ref), segments, errors);
+    }
+
+    const startCount = errors.length;
+    const addError = (keyword, message, path = segments) => {
+      errors.push({ keyword, message, segments: path, path: this.formatPath(path) });
+    };
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      addError('type', `must be ${[].concat(schema.type).join(' or ')}`);
+      return false;
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      addError('const', `must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      addError('enum', `must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        addError('minLength', schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        addError('pattern', `must match ${schema.pattern}`);
+      }
+      if (schema.format && !this.matchesFormat(value, schema.format)) {
+        addError('format', `must be a valid ${schema.format}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        addError('minimum', `must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        addError('maximum', `must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        addError('minItems', `must have at least ${schema.minItems} item(s)`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.validateNode(item, schema.items, [...segments, index], errors));
+      }
+    }
+
+    if (this.isObject(value)) {
+      (schema.required || []).forEach(property => {
+        if (value[property] === undefined) {
+          addError('required', 'is required', [...segments, property]);
+        }
+      });
+
+      Object.entries(schema.properties || {}).forEach(([property, propertySchema]) => {
+        if (value[property] !== undefined) {
+          this.validateNode(value[property], propertySchema, [...segments, property], errors);
+        }
+      });
+
+      // Mapas con claves libres (p. ej. idiomas o IDs de bloque)
+      Object.keys(value).forEach(property => {
+        if (schema.propertyNames && !this.isValid(property, schema.propertyNames)) {
+          addError('propertyNames', `"${property}" is not a valid key`, [...segments, property]);
+        } else if (this.isObject(schema.additionalProperties) && !(property in (schema.properties || {}))) {
+          this.validateNode(value[property], schema.additionalProperties, [...segments, property], errors);
+        }
+      });
+    }
+
+    (schema.allOf || []).forEach(subschema => this.validateNode(value, subschema, segments, errors));
+
+    if (schema.anyOf && !schema.anyOf.some(subschema => this.isValid(value, subschema))) {
+      addError('anyOf', this.describeAnyOf(schema.anyOf));
+    }
+
+    if (schema.if && schema.then && this.isValid(value, schema.if)) {
+      this.validateNode(value, schema.then, segments, errors);
+    }
+
+    return errors.length === startCount;
+  }
+
+  /**
+   * Indica si un valor cumple un subesquema (sin registrar errores)
+   */
+  isValid(value, schema) {
+    return this.validateNode(value, schema, [], []);
+  }
+
+  /**
+   * Resuelve referencias locales (`#/definitions/...`)
+   */
+  resolveRef(ref) {
+    const schema = ref.replace(/^#\//, '').split('/')
+      .reduce((node, key) => node?.[key], this.schema);
+
+    if (!schema) {
+      throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Comprueba el tipo JSON de un valor
+   */
+  matchesType(value, type) {
+    return [].concat(type).some(expected => {
+      switch (expected) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return this.isObject(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === expected;
+      }
+    });
+  }
+
+  /**
+   * Comprueba un formato de cadena
+   */
+  matchesFormat(value, format) {
+    const regex = SCHEMA_FORMATS[format];
+    if (!regex || !regex.test(value)) return !regex;
+
+    // Fechas con forma correcta pero imposibles (p. ej. 2024-02-31)
+    return format.startsWith('date') ? !Number.isNaN(Date.parse(value)) : true;
+  }
+
+  /**
+   * Mensaje para anyOf a partir de sus alternativas
+   */
+  describeAnyOf(alternatives) {
+    const options = alternatives.map(alternative => (
+      alternative.format || alternative.type || (alternative.$ref || '').split('/').pop()
+    ));
+    return `must be ${options.join(' or ')}`;
+  }
+
+  /**
+   * Ruta legible para autores: `chapters[1].content[3].url`
+   */
+  formatPath(segments) {
+    return segments.reduce((path, segment) => (
+      Number.isInteger(segment) ? `${path}[${segment}]` : (path ? `${path}.${segment}` : segment)
+    ), '');
+  }
+
+  /**
+   * Indica si un valor es un objeto plano
+   */
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Crear instancia global
+const storyValidator = new StoryValidator();
+
+// Exportar al scope global (o como módulo para el comando de Node)
+if (typeof window !== 'undefined') {
+  window.STORY_SCHEMA = STORY_SCHEMA;
+  window.StoryValidator = StoryValidator;
+  window.StoryValidationError = StoryValidationError;
+  window.storyValidator = storyValidator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { STORY_SCHEMA, StoryValidator, StoryValidationError, storyValidator };
+}
+
+console.log('✅ Community Stories Platform - Story Schema loaded');
\ No newline at end of file
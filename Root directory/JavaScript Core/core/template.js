@@ -0,0 +1,208 @@
+/**
+ * Community Stories Platform - Template
+ * Plantillas HTML seguras: las interpolaciones se escapan salvo que se marquen con unsafeHTML
+ *
+ * Uso:
+ *   html`<h3>${community.name}</h3>`            -> el nombre se escapa
+ *   html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>`
+ *   html`<p>${unsafeHTML(block.content)}</p>`   -> HTML ya saneado, sin escapar
+ *   TemplateUtils.render(container, html`...`)
+ *   TemplateUtils.renderList(container, items, item => item.id, item => html`<li>...</li>`)
+ */
+
+// Atributos cuyo valor es una URL (o lista de URLs): se bloquean esquemas como javascript:
+const URL_ATTRIBUTE = /\s(href|src|srcset|poster|action|formaction|xlink:href|data-[\w-]*(?:src|srcset|href|url))\s*=\s*["']?$/i;
+const INVALID_URL = 'about:invalid';
+
+// Primera mitad de una imagen data: partida por la coma que separa los candidatos de srcset
+const SRCSET_DATA_IMAGE = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64$/i;
+
+// Marcado con el que se creó cada elemento de una lista con clave
+const renderedMarkup = new WeakMap();
+
+/**
+ * Fragmento HTML de confianza (resultado de html`` o unsafeHTML)
+ */
+class SafeHTML {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Etiqueta de plantilla que escapa cada interpolación
+ */
+function html(strings, ...values) {
+  let result = strings[0];
+
+  values.forEach((value, index) => {
+    const urlAttribute = strings[index].match(URL_ATTRIBUTE)?.[1].toLowerCase() || null;
+    result += TemplateUtils.renderValue(value, urlAttribute) + strings[index + 1];
+  });
+
+  return new SafeHTML(result);
+}
+
+/**
+ * Marca un HTML como seguro; solo para contenido ya saneado
+ */
+function unsafeHTML(value) {
+  return new SafeHTML(String(value ?? ''));
+}
+
+const TemplateUtils = {
+  /**
+   * Convierte un valor interpolado en HTML; `urlAttribute` es el atributo URL que lo recibe
+   */
+  renderValue(value, urlAttribute = null) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHTML) return value.value;
+    if (Array.isArray(value)) return value.map(item => this.renderValue(item, urlAttribute)).join('');
+    if (!urlAttribute) return this.escape(value);
+
+    return this.escape(urlAttribute.endsWith('srcset') ? this.sanitizeSrcset(value) : this.sanitizeUrl(value));
+  },
+
+  /**
+   * Escapa texto para contenido y atributos HTML
+   */
+  escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * Devuelve la URL si su esquema es seguro (relativas, http(s), mailto, tel e imágenes data:)
+   */
+  sanitizeUrl(value) {
+    const url = String(value).trim();
+    return ValidationUtils.isSafeUrl(url) ? url : INVALID_URL;
+  },
+
+  /**
+   * Devuelve el srcset si todos sus candidatos tienen un esquema seguro
+   */
+  sanitizeSrcset(value) {
+    const srcset = String(value).trim();
+    const safe = srcset.split(',').every(candidate => {
+      const url = candidate.trim().split(/\s+/)[0];
+      return ValidationUtils.isSafeUrl(url) || SRCSET_DATA_IMAGE.test(url);
+    });
+
+    return safe ? srcset : INVALID_URL;
+  },
+
+  /**
+   * Indica si un valor es un fragmento de confianza
+   */
+  isSafe(value) {
+    return value instanceof SafeHTML;
+  },
+
+  /**
+   * Sustituye el contenido de un contenedor; el texto sin plantilla se muestra como texto
+   */
+  render(container, template) {
+    if (!container) return;
+
+    if (template instanceof SafeHTML) {
+      container.innerHTML = template.value;
+    } else {
+      container.textContent = template ?? '';
+    }
+  },
+
+  /**
+   * Crea un elemento a partir de una plantilla con un único elemento raíz
+   */
+  toElement(template) {
+    const wrapper = document.createElement('template');
+    wrapper.innerHTML = String(template instanceof SafeHTML ? template.value : this.escape(template ?? '')).trim();
+    return wrapper.content.firstElementChild;
+  },
+
+  /**
+   * Actualiza una lista por claves: solo se recrean los elementos cuyo marcado cambia
+   *
+   * `getKey(item, index)` identifica cada elemento y `template(item, index)` devuelve
+   * html`` con un único elemento raíz. Los hijos sin clave (estados vacíos, cargas) se eliminan.
+   */
+  renderList(container, items, getKey, template) {
+    if (!container) return;
+
+    const existing = new Map();
+    Array.from(container.children).forEach(child => {
+      if (child.dataset.key !== undefined) {
+        existing.set(child.dataset.key, child);
+      }
+    });
+
+    const focused = document.activeElement;
+    const nodes = [];
+
+    items.forEach((item, index) => {
+      const key = String(getKey(item, index));
+      const markup = String(template(item, index));
+      let node = existing.get(key);
+      existing.delete(key);
+
+      // Un elemento con el foco o con media en reproducción se conserva hasta el siguiente render
+      if (!node || (renderedMarkup.get(node) !== markup && !this.isBusy(node))) {
+        const fresh = this.toElement(unsafeHTML(markup));
+        if (!fresh) return;
+
+        fresh.dataset.key = key;
+        renderedMarkup.set(fresh, markup);
+
+        if (node) {
+          node.replaceWith(fresh);
+        }
+        node = fresh;
+      }
+
+      nodes.push(node);
+    });
+
+    // Reordenar moviendo solo los elementos fuera de su sitio
+    nodes.forEach((node, index) => {
+      const reference = container.children[index] || null;
+      if (node !== reference) {
+        container.insertBefore(node, reference);
+      }
+    });
+
+    Array.from(container.children).slice(nodes.length).forEach(child => child.remove());
+
+    // Mover un elemento le quita el foco: se devuelve sin desplazar la página
+    if (focused && focused !== document.activeElement && focused.isConnected && container.contains(focused)) {
+      focused.focus({ preventScroll: true });
+    }
+  },
+
+  /**
+   * Indica si un elemento tiene el foco o media reproduciéndose
+   */
+  isBusy(node) {
+    if (node.contains(document.activeElement)) return true;
+
+    return Array.from(node.querySelectorAll('audio, video'))
+      .concat(node.matches('audio, video') ? [node] : [])
+      .some(media => !media.paused && !media.ended);
+  }
+};
+
+// Exportar al scope global
+window.SafeHTML = SafeHTML;
+window.html = html;
+window.unsafeHTML = unsafeHTML;
+window.TemplateUtils = TemplateUtils;
+
+console.log('✅ Community Stories Platform - Template loaded');
\ No newline at end of file
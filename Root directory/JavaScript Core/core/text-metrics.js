@@ -0,0 +1,257 @@
+/**
+ * Community Stories Platform - Text Metrics
+ * Conteo de palabras y caracteres con Intl.Segmenter, velocidad de lectura y legibilidad por idioma
+ *
+ * El chino y el japonés no separan palabras con espacios: su lectura se mide en
+ * caracteres por minuto. Las velocidades son las del estudio IReST (Trauzettel-Klosinski
+ * et al., 2012) salvo el hindi, que no incluye (estimación).
+ */
+
+const READING_SPEEDS = {
+  es: { unit: 'word', perMinute: 218 },
+  en: { unit: 'word', perMinute: 228 },
+  fr: { unit: 'word', perMinute: 195 },
+  pt: { unit: 'word', perMinute: 181 },
+  de: { unit: 'word', perMinute: 179 },
+  it: { unit: 'word', perMinute: 188 },
+  zh: { unit: 'character', perMinute: 255 },
+  ja: { unit: 'character', perMinute: 357 },
+  ar: { unit: 'word', perMinute: 138 },
+  hi: { unit: 'word', perMinute: 140 }
+};
+
+const DEFAULT_READING_SPEED = { unit: 'word', perMinute: 200 };
+
+/**
+ * Modelos de legibilidad (puntuación 0-100, más alta = más fácil)
+ *
+ * flesch: base − sentence × palabras por frase − syllable × sílabas por palabra
+ *   es: Fernández Huerta · en: Flesch · fr: Kandel-Moles · pt: Martins et al.
+ *   de: Amstad · it: Flesch-Vacca
+ * sentenceLength: escritura sin sílabas fiables; se mide la longitud media de frase
+ * (en caracteres o palabras según la unidad del idioma) entre `easy` y `hard`.
+ */
+const READABILITY_MODELS = {
+  es: { type: 'flesch', base: 206.84, sentence: 1.02, syllable: 60, vowels: /[aeiouáéíóúü]+/g },
+  en: { type: 'flesch', base: 206.835, sentence: 1.015, syllable: 84.6, vowels: /[aeiouy]+/g, silent: /[^l]e$/ },
+  fr: { type: 'flesch', base: 207, sentence: 1.015, syllable: 73.6, vowels: /[aeiouyàâéèêëîïôûùüœ]+/g, silent: /[^aeiouy](?:e|es|ent)$/ },
+  pt: { type: 'flesch', base: 248.835, sentence: 1.015, syllable: 84.6, vowels: /[aeiouáéíóúâêôãõü]+/g },
+  de: { type: 'flesch', base: 180, sentence: 1, syllable: 58.5, vowels: /[aeiouyäöü]+/g },
+  it: { type: 'flesch', base: 217, sentence: 1.3, syllable: 60, vowels: /[aeiouàèéìíòóùú]+/g },
+  zh: { type: 'sentenceLength', easy: 15, hard: 35 },
+  ja: { type: 'sentenceLength', easy: 30, hard: 60 },
+  ar: { type: 'sentenceLength', easy: 12, hard: 25 },
+  hi: { type: 'sentenceLength', easy: 12, hard: 25 }
+};
+
+// Umbrales de puntuación para los niveles de dificultad
+const READABILITY_LEVELS = [
+  { min: 65, level: 'beginner' },
+  { min: 45, level: 'intermediate' },
+  { min: -Infinity, level: 'advanced' }
+];
+
+class TextMetrics {
+  constructor() {
+    this.segmenters = new Map(); // `${idioma}:${granularidad}` -> Intl.Segmenter
+    this.supportsSegmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function';
+  }
+
+  // === CONTEO ===
+
+  /**
+   * Analiza un texto (puede contener HTML) en un idioma
+   */
+  analyze(text, language) {
+    const lang = this.getLanguage(language);
+    const plainText = this.toPlainText(text);
+    const words = this.getWords(plainText, lang);
+
+    return {
+      language: lang,
+      words: words.length,
+      characters: this.countCharacters(plainText, lang),
+      sentences: words.length > 0 ? Math.max(this.countSentences(plainText, lang), 1) : 0,
+      syllables: this.isSyllableModel(lang)
+        ? words.reduce((sum, word) => sum + this.countSyllables(word, lang), 0)
+        : 0
+    };
+  }
+
+  /**
+   * Cuenta palabras
+   */
+  countWords(text, language) {
+    return this.getWords(this.toPlainText(text), this.getLanguage(language)).length;
+  }
+
+  /**
+   * Palabras de un texto plano (segmentación por diccionario en chino y japonés)
+   */
+  getWords(text, language) {
+    if (!text.trim()) return [];
+
+    if (this.supportsSegmenter) {
+      return Array.from(this.getSegmenter(language, 'word').segment(text))
+        .filter(segment => segment.isWordLike)
+        .map(segment => segment.segment);
+    }
+
+    // Sin Intl.Segmenter cada ideograma o kana cuenta como palabra
+    return text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{M}\p{N}'’-]+/gu) || [];
+  }
+
+  /**
+   * Cuenta caracteres legibles (grafemas de letras y números; sin espacios ni puntuación)
+   */
+  countCharacters(text, language) {
+    const plainText = this.toPlainText(text);
+
+    if (this.supportsSegmenter) {
+      return Array.from(this.getSegmenter(this.getLanguage(language), 'grapheme').segment(plainText))
+        .filter(segment => /[\p{L}\p{N}]/u.test(segment.segment))
+        .length;
+    }
+
+    return (plainText.match(/[\p{L}\p{N}]/gu) || []).length;
+  }
+
+  /**
+   * Cuenta frases
+   */
+  countSentences(text, language) {
+    const plainText = this.toPlainText(text);
+
+    if (this.supportsSegmenter) {
+      return Array.from(this.getSegmenter(this.getLanguage(language), 'sentence').segment(plainText))
+        .filter(segment => /[\p{L}\p{N}]/u.test(segment.segment))
+        .length;
+    }
+
+    return plainText.split(/[.!?。！？…।]+|\n+/).filter(sentence => /[\p{L}\p{N}]/u.test(sentence)).length;
+  }
+
+  /**
+   * Estima las sílabas de una palabra por grupos vocálicos
+   */
+  countSyllables(word, language) {
+    const model = READABILITY_MODELS[this.getLanguage(language)];
+    if (!model?.vowels) return 1;
+
+    const lower = word.toLowerCase();
+    let syllables = (lower.match(model.vowels) || []).length;
+
+    // Terminaciones mudas (inglés "make", francés "parlent")
+    if (model.silent && syllables > 1 && model.silent.test(lower)) {
+      syllables--;
+    }
+
+    return Math.max(syllables, 1);
+  }
+
+  // === TIEMPO Y LEGIBILIDAD ===
+
+  /**
+   * Velocidad de lectura del idioma
+   */
+  getReadingSpeed(language) {
+    return READING_SPEEDS[this.getLanguage(language)] || DEFAULT_READING_SPEED;
+  }
+
+  /**
+   * Minutos de lectura de un análisis (sin redondear)
+   */
+  getReadingMinutes(analysis) {
+    const speed = this.getReadingSpeed(analysis.language);
+    const units = speed.unit === 'character' ? analysis.characters : analysis.words;
+
+    return units / speed.perMinute;
+  }
+
+  /**
+   * Puntuación de legibilidad (0-100) y nivel de dificultad
+   */
+  getReadability(analysis) {
+    if (analysis.words === 0) {
+      return { score: null, level: 'beginner' };
+    }
+
+    const model = READABILITY_MODELS[analysis.language];
+    let score;
+
+    if (model?.type === 'flesch') {
+      const wordsPerSentence = analysis.words / analysis.sentences;
+      const syllablesPerWord = analysis.syllables / analysis.words;
+      score = model.base - model.sentence * wordsPerSentence - model.syllable * syllablesPerWord;
+    } else {
+      // Longitud media de frase; sin modelo propio, entre 12 y 25 palabras
+      const { easy = 12, hard = 25 } = model || {};
+      const units = this.getReadingSpeed(analysis.language).unit === 'character' ? analysis.characters : analysis.words;
+      const ratio = NumberUtils.clamp((units / analysis.sentences - easy) / (hard - easy), 0, 1);
+      score = 90 - ratio * 70;
+    }
+
+    score = NumberUtils.round(NumberUtils.clamp(score, 0, 100), 1);
+
+    return {
+      score,
+      level: READABILITY_LEVELS.find(threshold => score >= threshold.min).level
+    };
+  }
+
+  // === UTILIDADES ===
+
+  /**
+   * Idioma base soportado ('es-MX' -> 'es')
+   */
+  getLanguage(language) {
+    const code = String(language || ConfigManager.get('ui.language', 'es')).toLowerCase().split(/[-_]/)[0];
+    return code || 'es';
+  }
+
+  /**
+   * Indica si el idioma usa un modelo basado en sílabas
+   */
+  isSyllableModel(language) {
+    return READABILITY_MODELS[language]?.type === 'flesch';
+  }
+
+  /**
+   * Segmentador reutilizable por idioma y granularidad
+   */
+  getSegmenter(language, granularity) {
+    const key = `${language}:${granularity}`;
+
+    if (!this.segmenters.has(key)) {
+      this.segmenters.set(key, new Intl.Segmenter(language, { granularity }));
+    }
+
+    return this.segmenters.get(key);
+  }
+
+  /**
+   * Texto plano de un HTML (documento inerte: no carga recursos)
+   */
+  toPlainText(text) {
+    if (typeof text !== 'string' || !text) return '';
+    if (!/[<&]/.test(text)) return text;
+
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+
+    // Los bloques terminan frase aunque el autor no ponga punto
+    doc.body.querySelectorAll('p, li, br, blockquote, h1, h2, h3, h4, h5, h6').forEach(element => {
+      element.append('\n');
+    });
+
+    return doc.body.textContent || '';
+  }
+}
+
+// Crear instancia global
+const textMetrics = new TextMetrics();
+
+// Exportar al scope global
+window.TextMetrics = TextMetrics;
+window.textMetrics = textMetrics;
+
+console.log('✅ Community Stories Platform - Text Metrics loaded');
\ No newline at end of file
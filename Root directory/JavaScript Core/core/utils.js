@@ -136,6 +136,18 @@ const DOMUtils = {
         }, duration);
       }
     });
+  },
+
+  /**
+   * Indica si deben evitarse las animaciones (configuración o preferencia del sistema)
+   */
+  prefersReducedMotion() {
+    if (!ConfigManager.get('ui.animations.enabled', true)) return true;
+
+    return Boolean(
+      window.matchMedia &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches
+    );
   }
 };
 
@@ -821,9 +833,35 @@ const NumberUtils = {
    */
   map(num, inMin, inMax, outMin, outMax) {
     return ((num - inMin) * (outMax - outMin)) / (inMax - inMin) + outMin;
+  },
+
+  /**
+   * Formatea un tamaño en bytes (p. ej. 12,3 MB)
+   */
+  formatBytes(bytes, decimals = 1) {
+    if (!bytes) return '0 B';
+
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = NumberUtils.round(bytes / Math.pow(1024, exponent), exponent === 0 ? 0 : decimals);
+
+    return `${value.toLocaleString('es-ES')} ${units[exponent]}`;
   }
 };
 
+// === SANEADO DE HTML ===
+
+// Elementos que se eliminan con todo su contenido en lugar de desenvolverse
+const SANITIZER_DROP_TAGS = [
+  'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'noembed', 'noframes', 'svg', 'math', 'textarea', 'select', 'title', 'xmp',
+  'plaintext', 'base', 'link', 'meta', 'form', 'input', 'button'
+];
+const SANITIZER_URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href'];
+const SANITIZER_DEFAULT_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const SANITIZER_DATA_IMAGE = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,[a-z0-9+/]+=*$/i;
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
 // === UTILIDADES DE VALIDACIÓN ===
 const ValidationUtils = {
   /**
@@ -905,6 +943,166 @@ const ValidationUtils = {
       valid: errors.length === 0,
       errors: errors
     };
+  },
+
+  /**
+   * Sanea HTML con listas de permitidos (`security.sanitization`)
+   *
+   * Las etiquetas no permitidas se desenvuelven (se conserva su texto), salvo las de
+   * SANITIZER_DROP_TAGS, que se eliminan enteras. Solo quedan los atributos permitidos
+   * para cada etiqueta (o para '*'), las URL con esquemas seguros y los enlaces externos
+   * llevan rel="noopener".
+   */
+  sanitizeInput(content, allowedTags = null, options = {}) {
+    if (content === null || content === undefined) return '';
+
+    const config = ConfigManager.get('security.sanitization', {}) || {};
+    const rules = {
+      tags: (allowedTags || config.allowedTags || []).map(tag => tag.toLowerCase()),
+      attributes: options.allowedAttributes || config.allowedAttributes || {},
+      schemes: options.allowedSchemes || config.allowedSchemes || SANITIZER_DEFAULT_SCHEMES
+    };
+
+    // DOMParser crea un documento inerte: no ejecuta scripts ni carga imágenes
+    const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${content}`, 'text/html');
+    ValidationUtils.sanitizeChildren(doc.body, rules);
+
+    return doc.body.innerHTML;
+  },
+
+  /**
+   * Sanea los hijos de un nodo (recursivo)
+   */
+  sanitizeChildren(parent, rules) {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+
+      // Comentarios, instrucciones de proceso y CDATA
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      const tag = node.localName;
+      if (node.namespaceURI !== XHTML_NAMESPACE || SANITIZER_DROP_TAGS.includes(tag)) {
+        node.remove();
+        return;
+      }
+
+      ValidationUtils.sanitizeChildren(node, rules);
+
+      if (!rules.tags.includes(tag)) {
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+
+      ValidationUtils.sanitizeAttributes(node, rules);
+    });
+  },
+
+  /**
+   * Elimina los atributos no permitidos de un elemento
+   */
+  sanitizeAttributes(element, rules) {
+    const tag = element.localName;
+    const allowed = [...(rules.attributes[tag] || []), ...(rules.attributes['*'] || [])];
+
+    Array.from(element.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      const isUrl = SANITIZER_URL_ATTRIBUTES.includes(name);
+
+      if (
+        !allowed.includes(name) ||
+        name.startsWith('on') ||
+        (isUrl && !ValidationUtils.isSafeUrl(attribute.value, rules.schemes))
+      ) {
+        element.removeAttribute(attribute.name);
+      }
+    });
+
+    // Los enlaces externos o en otra pestaña no deben poder controlar esta ventana
+    const href = element.getAttribute('href');
+    if (tag === 'a' && href && (ValidationUtils.isExternalUrl(href) || element.hasAttribute('target'))) {
+      const rel = new Set((element.getAttribute('rel') || '').split(/\s+/).filter(Boolean));
+      rel.add('noopener');
+      element.setAttribute('rel', Array.from(rel).join(' '));
+    }
+  },
+
+  /**
+   * Indica si una URL usa un esquema seguro (las relativas siempre lo son)
+   */
+  isSafeUrl(url, schemes = SANITIZER_DEFAULT_SCHEMES) {
+    // Los navegadores ignoran espacios y caracteres de control dentro del esquema
+    const normalized = String(url).replace(/[\u0000- ]/g, '');
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i)?.[1].toLowerCase();
+
+    return !scheme || schemes.includes(scheme) || SANITIZER_DATA_IMAGE.test(normalized);
+  },
+
+  /**
+   * Indica si una URL apunta a otro origen
+   */
+  isExternalUrl(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return /^https?:$/.test(parsed.protocol) && parsed.origin !== window.location.origin;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Comprueba el saneador contra un corpus de ataques XSS ({ name, payload, expected? })
+   *
+   * Devuelve los casos que fallan: HTML peligroso en la salida, salida distinta de la
+   * esperada o que cambia al sanearse otra vez (posible mutation XSS).
+   */
+  checkSanitizer(payloads, allowedTags = null) {
+    return payloads.reduce((failures, testCase) => {
+      const output = ValidationUtils.sanitizeInput(testCase.payload, allowedTags);
+      const problems = ValidationUtils.findUnsafeMarkup(output);
+
+      if (testCase.expected !== undefined && output !== testCase.expected) {
+        problems.push(`expected ${JSON.stringify(testCase.expected)}`);
+      }
+
+      if (ValidationUtils.sanitizeInput(output, allowedTags) !== output) {
+        problems.push('output changes when sanitized again');
+      }
+
+      if (problems.length > 0) {
+        failures.push({ name: testCase.name, payload: testCase.payload, output, problems });
+      }
+
+      return failures;
+    }, []);
+  },
+
+  /**
+   * Busca elementos y atributos ejecutables en un HTML ya saneado
+   */
+  findUnsafeMarkup(markup) {
+    const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${markup}`, 'text/html');
+    const problems = [];
+
+    doc.body.querySelectorAll('*').forEach(element => {
+      if (SANITIZER_DROP_TAGS.includes(element.localName) || element.namespaceURI !== XHTML_NAMESPACE) {
+        problems.push(`<${element.localName}> element`);
+      }
+
+      Array.from(element.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+
+        if (name.startsWith('on') || name === 'style' || name === 'srcdoc') {
+          problems.push(`${name} attribute on <${element.localName}>`);
+        } else if (SANITIZER_URL_ATTRIBUTES.includes(name) && !ValidationUtils.isSafeUrl(attribute.value)) {
+          problems.push(`unsafe ${name} on <${element.localName}>`);
+        }
+      });
+    });
+
+    return problems;
   }
 };
 
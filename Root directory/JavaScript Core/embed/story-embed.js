@@ -0,0 +1,48 @@
+/**
+ * Community Stories Platform - Story Embed
+ * Script para webs de terceros: ajusta la altura de las historias insertadas con iframe
+ *
+ * Uso (lo genera el botón "Insertar en tu web" de cada historia):
+ *   <iframe src="https://communitystories.platform/embed/stories/<slug>" data-community-story ...></iframe>
+ *   <script async src="https://communitystories.platform/js/embed/story-embed.js"></script>
+ *
+ * Se ejecuta en páginas ajenas: no depende de la aplicación ni deja más global que
+ * CommunityStoriesEmbed, que evita registrar el listener dos veces si hay varias historias.
+ */
+
+(function () {
+  // Debe coincidir con EMBED_RESIZE_MESSAGE en app.js
+  const RESIZE_MESSAGE = 'community-stories:resize';
+  const MAX_HEIGHT = 20000;
+
+  if (window.CommunityStoriesEmbed) return;
+
+  // Solo se aceptan mensajes del origen desde el que se cargó este script
+  const script = document.currentScript;
+  const origin = script ? new URL(script.src, window.location.href).origin : null;
+
+  /**
+   * Iframe de historia cuya ventana envió el mensaje
+   */
+  function findFrame(source) {
+    return Array.from(document.querySelectorAll('iframe[data-community-story]'))
+      .find(frame => frame.contentWindow === source) || null;
+  }
+
+  /**
+   * Aplica la altura recibida al iframe
+   */
+  function handleMessage(event) {
+    if (event.origin !== origin || event.data?.type !== RESIZE_MESSAGE) return;
+
+    const height = Number(event.data.height);
+    const frame = findFrame(event.source);
+    if (!frame || !Number.isFinite(height) || height <= 0) return;
+
+    frame.style.height = `${Math.min(Math.ceil(height), MAX_HEIGHT)}px`;
+  }
+
+  window.addEventListener('message', handleMessage);
+
+  window.CommunityStoriesEmbed = { origin, version: 1 };
+})();
\ No newline at end of file
@@ -6,6 +6,9 @@
 const CACHE_NAME = 'community-stories-v1.0.0';
 const CACHE_VERSION = '1.0.0';
 
+// Cachés de historias descargadas por el usuario (offline-packs.js)
+const PACK_CACHE_PREFIX = 'story-pack-';
+
 // URLs críticas para cachear inmediatamente
 const CRITICAL_URLS = [
   '/',
@@ -22,6 +25,7 @@ const CRITICAL_URLS = [
   // CSS layout
   '/css/layout/community-grid.css',
   '/css/layout/story-container.css',
+  '/css/layout/story-print.css',
   '/css/layout/navigation.css',
   '/css/layout/footer.css',
   '/css/layout/sidebar.css',
@@ -32,10 +36,30 @@ const CRITICAL_URLS = [
   '/js/core/config.js',
   '/js/core/constants.js',
   '/js/core/utils.js',
+  '/js/core/template.js',
   '/js/core/error-handler.js',
   '/js/core/event-bus.js',
+  '/js/core/memory-cache.js',
+  '/js/core/preload-scheduler.js',
+  '/js/core/story-schema.js',
+  '/js/core/story-blocks.js',
+  '/js/core/text-metrics.js',
+  '/js/core/slug-resolver.js',
+  '/js/core/geolocation.js',
   '/js/core/community-manager.js',
   '/js/core/story-loader.js',
+  '/js/core/story-localizer.js',
+  '/js/core/narrative-engine.js',
+  '/js/core/scrollytelling.js',
+  '/js/core/audio-engine.js',
+  '/js/core/reading-progress.js',
+  '/js/core/offline-packs.js',
+  '/js/core/search-index.js',
+  '/js/core/search-facets.js',
+  '/js/core/search-suggestions.js',
+  '/js/core/community-map.js',
+  '/js/core/story-export.js',
+  '/js/core/router.js',
   
   // Iconos críticos
   '/assets/icons/icon-192x192.png',
@@ -94,7 +118,8 @@ self.addEventListener('activate', event => {
       .then(cacheNames => {
         return Promise.all(
           cacheNames.map(cacheName => {
-            if (cacheName !== CACHE_NAME) {
+            // Los paquetes offline solo los elimina el usuario
+            if (cacheName !== CACHE_NAME && !cacheName.startsWith(PACK_CACHE_PREFIX)) {
               console.log(`[SW] Eliminando cache obsoleto: ${cacheName}`);
               return caches.delete(cacheName);
             }